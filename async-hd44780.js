@@ -11,7 +11,8 @@
  * DEFAULT CONFIGURATION:
  * ~~~~~~~~~~~~~~~~~~~~~
  * This is the default configuration used by the initialize() method if no
- * configuration is provided:
+ * configuration is provided (also available as the 'default' preset, see
+ * lib/config.js):
  *
  *    Pin   LCD  DESCRIPTION             REMARKS
  * ---------------------------------------------------------
@@ -19,7 +20,7 @@
  *     2     2   VDD (5V)
  *           3   Contrast (0-5V)
  *    13     4   RS (Register Select)    GPIO 27
- *     6     5   R/W (Read Write)        GROUND THIS PIN
+ *     6     5   R/W (Read Write)        GROUND THIS PIN (see 'pin_rw')
  *    15     6   Enable or Clock         GPIO 22
  *           7   Data Bit 0              NOT USED
  *           8   Data Bit 1              NOT USED
@@ -32,466 +33,3070 @@
  *     2    15   LCD Backlight +5V       (only for models with backlight)
  *     6    16   LCD Backlight GND       (only for models with backlight)
  *
+ *
+ * I2C MODE:
+ * ~~~~~~~~
+ * Modules with a PCF8574 I2C backpack are driven through the I2C bus instead
+ * of the GPIO pins: set the 'i2c_address' property of the configuration to the
+ * address of the expander (the 'pin_xx' properties are ignored).
+ *
  */
 
-var GPIO = require('rpi-gpio');
 var async = require('async');
 var debug = require('debug')('async-hd44780');
+var EventEmitter = require('events');
+var constants = require('./lib/constants');
+var EmulatorTransport = require('./lib/emulator-transport');
+var PCF8574Transport = require('./lib/pcf8574-transport');
+var MCP23017Transport = require('./lib/mcp23017-transport');
+var CommandQueue = require('./lib/command-queue');
+var GlyphRegistry = require('./lib/glyphs').GlyphRegistry;
+var parseGlyph = require('./lib/glyphs').parseGlyph;
+var Framebuffer = require('./lib/framebuffer');
+var Charset = require('./lib/charset');
+var layoutText = require('./lib/layout').layoutText;
+var Marquee = require('./lib/marquee');
+var Widgets = require('./lib/widgets');
+var Menu = require('./lib/menu');
+var ScreenManager = require('./lib/screens');
+var Terminal = require('./lib/terminal');
+var ButtonDecoder = require('./lib/buttons').ButtonDecoder;
+var KEYS = require('./lib/buttons').KEYS;
+var resolveGeometry = require('./lib/geometry').resolveGeometry;
+var ENABLE_LINES = require('./lib/geometry').ENABLE_LINES;
+var Config = require('./lib/config');
 
 /* {{{ General Constants
  * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
  */
-const LCDCommand = {
-    CLEARDISPLAY: 0x01,
-    HOME: 0x02,
-    ENTRYMODESET: 0x04,
-    DISPLAYCONTROL: 0x08,
-    CURSORSHIFT: 0x10,
-    FUNCTIONSET: 0x20,
-    SETCGRAMADDR: 0x40,
-    SETDDRAMADDR: 0x80
-};
-
-const LCDEntryModeFlags = {
-    ENTRYRIGHT: 0x00,
-    ENTRYLEFT: 0x02,
-    ENTRYSHIFTINCREMENT: 0x01,
-    ENTRYSHIFTDECREMENT: 0x00
-};
-
-const LCDControlFlags = {
-    DISPLAYON: 0x04,
-    DISPLAYOFF: 0x00,
-    CURSORON: 0x02,
-    CURSOROFF: 0x00,
-    BLINKON: 0x01,
-    BLINKOFF: 0x00
-};
-
-const LCDFunctionSetFlags = {
-    EIGHTBITMODE: 0x10,
-    FOURBITMODE: 0x00,
-    TWOLINE: 0x08,
-    ONELINE: 0x00,
-    FIVEBYTENDOTS: 0x04,
-    FIVEBYEIGHTDOTS: 0x00
-};
-
-const LCDRowOffset = [0x00, 0x40, 0x14, 0x54];
-
-// Value for the RS line: LCD_RS_DATA (True) = write to data, LCD_RS_CMD (False) = write to Command
-const LCD_RS_DATA = true;
-const LCD_RS_CMD  = false;
+const LCDCommand = constants.LCDCommand;
+const LCDEntryModeFlags = constants.LCDEntryModeFlags;
+const LCDControlFlags = constants.LCDControlFlags;
+const LCDMoveFlags = constants.LCDMoveFlags;
+const LCDFunctionSetFlags = constants.LCDFunctionSetFlags;
+const LCD_RS_DATA = constants.LCD_RS_DATA;
+const LCD_RS_CMD  = constants.LCD_RS_CMD;
+const Priority = CommandQueue.Priority;
+
+// Display control and entry mode set by initialize()
+const DEFAULT_DISPLAYCONTROL = LCDControlFlags.DISPLAYON | 
+                               LCDControlFlags.CURSOROFF | 
+                               LCDControlFlags.BLINKOFF;
+const DEFAULT_ENTRYMODE = LCDEntryModeFlags.ENTRYLEFT |
+                          LCDEntryModeFlags.ENTRYSHIFTDECREMENT;
+
+// Data lines of the bus, least significant bit first
+const DATA_LINES_4BIT = ['d4', 'd5', 'd6', 'd7'];
+const DATA_LINES_8BIT = ['d0', 'd1', 'd2', 'd3', 'd4', 'd5', 'd6', 'd7'];
+
+// Number of characters of each line of the DDRAM in 2-line mode, and first
+// address of the second line
+const DDRAM_LINE_LENGTH = 40;
+const DDRAM_LINE2 = 0x40;
 
 
 // Default configuration (with default GPIO Mapping)
 const DEFAULT_CONFIG = {
+    preset: null,   // Name of a wiring preset (see lib/config.js)
+    pin_numbering: 'bcm',   // 'pin_xx' numbering: 'bcm' (GPIO #) or 'board' (header pin #)
     pin_rs: 27,
     pin_e: 22,
+    pin_d0: 0,      // D0-D3: 8-bit mode only (0 = 4-bit mode, D0-D3 not connected)
+    pin_d1: 0,
+    pin_d2: 0,
+    pin_d3: 0,
     pin_d4: 25,
     pin_d5: 24,
     pin_d6: 23,
     pin_d7: 18,
-    pin_bl: 15,     // Backlight pin
+    pin_bl: 15,     // Backlight pin (0 = no backlight control)
+    pin_rw: 0,      // R/W pin, to poll the busy flag (0 = R/W grounded, timed delays)
+    pin_e2: 0,      // ENABLE pin of the 2nd controller (40x4 displays only)
+    pin_btn_up: 0,      // Menu buttons (0 = not connected, see lib/buttons.js)
+    pin_btn_down: 0,
+    pin_btn_left: 0,
+    pin_btn_right: 0,
+    pin_btn_enter: 0,
+    pin_btn_back: 0,
+    btn_active_low: true,   // Buttons connected to ground (pressed = low level)
+    btn_debounce: 20,       // ms a button level must be stable to be accepted
+    btn_long_press: 800,    // ms a button must be held for a long press (0 = never)
     cols: 16,
-    rows: 2
+    rows: 2,
+    geometry: null, // Name of a geometry preset (see lib/geometry.js)
+    row_offsets: null,  // DDRAM address of the first column of each row (null = default)
+    font: '5x8',    // Character font: '5x8' or '5x10' (1-row displays only)
+    i2c_address: 0, // I2C mode: address of the expander (0 = use GPIO)
+    i2c_expander: 'pcf8574',    // I2C mode: 'pcf8574' or 'mcp23017'
+    i2c_bus: 1,     // I2C mode: bus number N of /dev/i2c-N
+    i2c_pinout: null,   // I2C mode: pinout name or object (null = 'default')
+    backlight: true,    // Backlight on after initialize()
+    brightness: 1,      // Brightness of the backlight (0-1)
+    bl_pwm_chip: 0,     // Hardware PWM: N of /sys/class/pwm/pwmchipN
+    bl_pwm_channel: -1, // Hardware PWM: channel driving the backlight (-1 = software PWM)
+    idle_timeout: 0,    // Seconds without updates before dimming the backlight (0 = never)
+    idle_brightness: 0, // Brightness of the backlight while idle (0 = off)
+    charset: 'A00',     // Character ROM of the controller: 'A00' or 'A02'
+    replacement_char: '?',  // Printed for the characters not available
+    auto_glyphs: true,  // Use CGRAM glyphs for the characters not in the ROM
+    enable_delay: 1,    // ms before and after the rising edge of ENABLE (timed mode)
+    exec_delay: 1,      // ms to execute an instruction (timed mode)
+    clear_delay: 2,     // ms to execute CLEARDISPLAY and HOME (timed mode)
+    reset_delay: 5,     // ms to wait during the reset sequence
+    busy_timeout: 100,  // ms the busy flag can stay set before failing (R/W mode)
+    watchdog_interval: 0    // Seconds between two resets of the controller (0 = never)
 }
 // }}}
 
-/* {{{ Global Variables
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- */
-// This global object contains the current pinout and LCD geometry. Set 
-// by the initalize() function. It is set to undefined after a shutdown.
-var theConfig = undefined;
-
-// This boolean is set to TRUE when a long operation (i.e. printLine) begin 
-// and cleared to FALSE when it terminates. Allow to asynchronously
-// shutdown the system cleanly avoiding race conditions (i.e. clearing
-// theConfig object right in the middle of a sequence of writeByte() calls)
-var thePendingCmd = false;          
-
-// When there is a pending command and finalize() is called asynchronously,
-// a shutdown cannot be performed until the long operation completes. Use
-// theFinalize to control the type of shutdown operation (normal vs.
-// clearScreen). theFinalizeCallback stores the callback to perform AFTER 
-// the shutdown completes.
-const FINALIZE_NONE = 0;            // No finalize after a long command
-const FINALIZE_NORMAL = 1;          // Shutdown after the long command
-const FINALIZE_CLEARSCREEN = 2;     // Clear screen and shutdown after the long command
-
-var theFinalize = FINALIZE_NONE;
-var theFinalizeCallback = null;
-
-// }}}
-
 /*******************************************************************************
  * PRIVATE FUNCTIONS
  ******************************************************************************/
-/* {{{ initDefaultProperties
+/* {{{ promiseOrCallback
  * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Helper for initializing the configuration properties of a Javascript object.
- * It takes the argument passed in the constructor (for the properties) and
- * an Object containing the default values.
- * It returns an Object containing all the properties defined in the 'def' object
- * with the value either from the 'props' object (if defined) or from the 'def'
- * object (if unset).
+ * Helper for the public functions supporting both callbacks and promises.
  *
- * This method makes a new shallow copy of the values of the properties processed.
+ * Invokes 'operation(cb)' where 'cb(error)' must be called when the operation
+ * completes. If 'callback' is provided, 'cb' is the callback itself and the
+ * function returns undefined. Otherwise returns a Promise that is resolved
+ * when the operation completes successfully, or rejected with the error.
  */
-function initDefaultProperties(props, def) {
-    // props must be an object
-    if (props && (typeof(props) != "object")) {
-        debug("Invalid property: not an object, using defaults");
-        return JSON.parse(JSON.stringify(def));
-    }
-
-    if (!props) {
-        // Shortcut, if not provided, just return the default ones
-        debug("Property not provided, using defaults");
-        return JSON.parse(JSON.stringify(def));
-    }
-
-    // Iterate through the 'def' properties and ensure they are defined in retVal
-    var retVal = {};
-    for (var k in def) {
-        if (props.hasOwnProperty(k)) {
-            // Ensure they have the same type at least...
-            if (def[k] && (typeof(props[k]) != typeof(def[k]))) {
-                debug("Invalid type for property '%s', using default value", k);
+function promiseOrCallback(callback, operation) {
+    if (callback) {
+        operation(callback);
+        return undefined;
+    }
+    return new Promise((resolve, reject) => {
+        operation((err) => {
+            if (err) {
+                reject(err);
             } else {
-                retVal[k] = props[k];
+                resolve();
             }
-            continue;
-        }
-        // Use default value
-        retVal[k] = def[k];
-    }
-    return retVal;
+        });
+    });
 }
 
 // }}}
 
-/* {{{ shutdown
+/* {{{ createTransport
  * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
  * Internal function
  *
+ * Creates the transport for the given configuration: PCF8574 or MCP23017 (see
+ * 'i2c_expander') if an I2C address is defined, GPIO otherwise.
+ * The GPIO transport is loaded only when needed, so rpi-gpio is not required
+ * when the library is used with another transport (i.e. the emulator).
+ * Throws an error if the configuration of the transport is invalid.
  */
-function shutdown(clear, callback) {
-    function doShutdown() {
-        theConfig = undefined;
-        debug("Finalizing GPIO subsystem...");
-        GPIO.destroy(callback);
-    }
-
-    if (clear) {
-        clearScreen(doShutdown);
-    } else {
-        doShutdown();
+function createTransport(config) {
+    if (config.i2c_address) {
+        var Expander = (config.i2c_expander === 'mcp23017' ? MCP23017Transport : PCF8574Transport);
+        return new Expander({
+            busNumber: config.i2c_bus,
+            address: config.i2c_address,
+            pinout: config.i2c_pinout
+        });
     }
+    var GpioTransport = require('./lib/gpio-transport');
+    return new GpioTransport(config);
 }
 
 // }}}
 
-/* {{{ delayedWrite
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Internal function
- *
- * Writes the 'value' on 'pin' after 'delay' milliseconds.
- * When the operation is completed, invokes 'callback(error)' (with error=null if
- * there are no errors).
- */
-function delayedWrite(delay, pin, value, callback) {
-    setTimeout( () => {
-        GPIO.write(pin, value, callback);
-    }, delay);
-}
 
-// }}}
 
-/* {{{ toggleEnable
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Internal function
+/*******************************************************************************
+ * LCD CLASS
+ ******************************************************************************/
+/* NOTE: 
+ * Each LCD object drives a single display and owns its own configuration,
+ * transport and command queue, so multiple displays can be used from the 
+ * same process (i.e. sharing the data lines and using a different ENABLE pin
+ * for each display).
  *
- * Toggles the Enable pin generating a short pulse as required by the LCD 
- * after setting up each nibble on the data bus of the device.
- * When completed, invokes 'callback(null)'.
- * In case of error during the various steps, calls 'callback(error') with the
- * error.
- */
-function toggleEnable(callback) {
-    async.series([
-        (next) => { GPIO.write(theConfig.pin_e, false, next); },
-        (next) => { delayedWrite(1, theConfig.pin_e, true, next); },
-        (next) => { delayedWrite(1, theConfig.pin_e, false, next); },
-        (next) => { setTimeout(next, 1, null); }
-    ], () => {
-        if (callback) callback(null);
-    });
-}
-
-// }}}
-
-/* {{{ writeByte
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Internal function
+ * All the public methods that perform operations on the LCD takes an optional
+ * callback that is invoked after the operation completes. If the callback is
+ * not provided, they return a Promise instead (resolved when the operation
+ * completes, or rejected with the error):
+ *
+ *    await lcd.initialize(config);
+ *    await lcd.printLine("Hello World!", 0);
  *
- * Writes 'bits' in the LCD setting RS line to 'mode' (boolean). 
- * The write operation will introduce a 'writeWait' delay (optional) before the
- * operation begins, and an `initWait` delay between writing the high/low nibble.
+ * The operations are not executed immediately: they are pushed in a queue
+ * and executed one at a time, so the sequence of writes of two operations
+ * (i.e. two printLine() called without waiting for the first one to complete)
+ * never interleave on the bus.
+ * Operations that take an 'options' object accept the following properties:
+ *  'priority': operations with higher priority are executed first (see 
+ *              Priority.LOW, NORMAL and HIGH, default=Priority.NORMAL)
  *
- * When everything complete successfully, will call 'callback(null)'. In case of
- * error, will call 'callback(error)'.
+ * If you call finalize() while other operations are queued, the operation
+ * currently executing (if any) always completes normally. The other ones are
+ * either cancelled (default) or executed before the shutdown (if the 'drain'
+ * option is set). The callback of an operation cancelled by finalize() (or
+ * called while the shutdown is pending) is invoked with an error having the
+ * property 'code' set to 'ESHUTDOWN'. The operations cancelled by another 
+ * one (see printLine() and cancelLine()) fail with the code 'ECANCELED'.
+ *
+ * The errors of the transport (i.e. a failed GPIO write) are passed to the 
+ * callback of the operation. The LCD object is an EventEmitter with the 
+ * following events:
+ *  'ready'     : initialize() completed successfully
+ *  'idle'      : all the queued operations are completed
+ *  'error'     : an operation started by the driver itself (idle timeout, 
+ *                watchdog, software PWM, menu, screen manager) failed. The
+ *                property 'operation' of the error is the name of the 
+ *                operation. Without listeners these errors are only logged
+ *  'recovered' : the display has been restored (see recover())
+ *  'key'       : a button has been pressed (see injectKey())
+ *  'finalizing': finalize() has been called, new operations are rejected
+ *  'closed'    : the shutdown is completed
  */
-function writeByte(bits, mode, writeWait, initWait, callback) {
-    function writeNibble(val, cb) {
-        async.parallel([
-            (next) => { GPIO.write(theConfig.pin_d4, ((val & 0x01) == 0x01), next); },
-            (next) => { GPIO.write(theConfig.pin_d5, ((val & 0x02) == 0x02), next); },
-            (next) => { GPIO.write(theConfig.pin_d6, ((val & 0x04) == 0x04), next); },
-            (next) => { GPIO.write(theConfig.pin_d7, ((val & 0x08) == 0x08), next); },
-        ], cb);
-    }
-
-    async.series([
-        (next) => { delayedWrite(writeWait, theConfig.pin_rs, mode, next); },
-        (next) => { writeNibble(bits >> 4, next); },
-        (next) => { toggleEnable(next); },
-        (next) => { if (initWait) {
-                        setTimeout(next, initWait);
-                    } else {
-                        next(null)
-                    }
-                  },
-        (next) => { writeNibble(bits, next); },
-        (next) => { toggleEnable(next); },
-    ], callback);
-}
+class LCD extends EventEmitter {
+    constructor() {
+        super();
 
-// }}}
+        // The current pinout and LCD geometry. Set by the initalize() method. 
+        // It is set to undefined after a shutdown.
+        this.config = undefined;
 
+        // The transport used to drive the LCD lines (see lib/gpio-transport.js
+        // for the description of the interface). Set by the initialize() method.
+        this.transport = undefined;
 
+        // Width of the data bus: 8 if the transport drives D0-D7, 4 if it 
+        // drives D4-D7 only. Set by the initialize() method.
+        this.busWidth = 4;
 
-/*******************************************************************************
- * PUBLIC FUNCTIONS
- ******************************************************************************/
-/* NOTE: 
- * All the public functions that perform operations on the LCD takes an optional
- * callback that is invoked after the operation completes.
- *
- * If you call finalize() while another operation is running (i.e. right in the
- * middle of a printLine(), now you have two callbacks:
- *  - the callback of the long operation (i.e. the one provided to the printLine)
- *  - the callback provided to the finalize() function
- * In this case the callback of the finalize wins and will be called after the
- * shutdown sequence is completed (after the long operation is done).
- * The callback of the original long operation call will not be invoked.
- */
-/* {{{ initialize
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Public
- * 
- * Initializes the GPIO and the LCD.
- * The 'config' object defines the pinout and the geometry (rows, cols) of the 
- * LCD.
- * This object must have the following properties:
- *  'pin_rs': GPIO # where the RS pin of the LCD is connected (default=27)
- *  'pin_e' : GPIO # where the ENABLE pin of the LCD is connected (default=22)
- *  'pin_d4': GPIO # where the D4 pin of the LCD is connected (default=25)
- *  'pin_d5': GPIO # where the D5 pin of the LCD is connected (default=24)
- *  'pin_d6': GPIO # where the D6 pin of the LCD is connected (default=23)
- *  'pin_d7': GPIO # where the D7 pin of the LCD is connected (default=18)
- *  'pin_bl': GPIO # where the Backlight pin of the LCD is connected (default=15) 
- *            set it to zero (or undefined) if your LCD does not have a backlight
- *  `cols'  : number of columns in your LCD (default=16)
- *  `rows'  : number of rows in your LCD (default=2)
- */
-function initialize(config, callback) {
-    if (theConfig) {
-        debug("LCD already initialized (ignored)");
-        if (callback) callback(null);
-        return;
-    }
-    theConfig = initDefaultProperties(config, DEFAULT_CONFIG);
-    if (theConfig.rows > LCDRowOffset.length) {
-        debug("Invalid row count: LCD controller only support up to %d rows", LCDRowOffset.length);
-        if (callback) callback(new Error("Invalid parameter"));
-        return;
-    }
-    theFinalize = FINALIZE_NONE;
-    theFinalizeCallback = null;
-    GPIO.setMode(GPIO.MODE_BCM);
-    thePendingCmd = true;
-    async.series([
-        (next) => { debug("Setting up GPIO using config: " + JSON.stringify(theConfig)); next(null); },
-        (next) => { GPIO.setup(theConfig.pin_e,  GPIO.DIR_OUT, GPIO.EDGE_NONE, next) },
-        (next) => { GPIO.setup(theConfig.pin_rs, GPIO.DIR_OUT, GPIO.EDGE_NONE, next) },
-        (next) => { GPIO.setup(theConfig.pin_d4, GPIO.DIR_OUT, GPIO.EDGE_NONE, next) },
-        (next) => { GPIO.setup(theConfig.pin_d5, GPIO.DIR_OUT, GPIO.EDGE_NONE, next) },
-        (next) => { GPIO.setup(theConfig.pin_d6, GPIO.DIR_OUT, GPIO.EDGE_NONE, next) },
-        (next) => { GPIO.setup(theConfig.pin_d7, GPIO.DIR_OUT, GPIO.EDGE_NONE, next) },
-        (next) => { GPIO.setup(theConfig.pin_bl, GPIO.DIR_OUT, GPIO.EDGE_NONE, next) },
-
-        (next) => { debug("Initializing LCD..."); next(null); },
-
-        // Reset sequence
-        (next) => { writeByte(0x33, LCD_RS_CMD, 0, 5, next); },
-        (next) => { writeByte(0x32, LCD_RS_CMD, 0, 0, next); },
-
-        (next) => { writeByte(LCDCommand.DISPLAYCONTROL | 
-                              LCDControlFlags.DISPLAYON | 
-                              LCDControlFlags.CURSOROFF | 
-                              LCDControlFlags.BLINKOFF, LCD_RS_CMD, 1, 0, next); },
-
-        (next) => { writeByte(LCDCommand.FUNCTIONSET | 
-                              LCDFunctionSetFlags.FOURBITMODE | 
-                              LCDFunctionSetFlags.TWOLINE | 
-                              LCDFunctionSetFlags.FIVEBYEIGHTDOTS, LCD_RS_CMD, 1, 0, next); },
-
-        (next) => { writeByte(LCDCommand.ENTRYMODESET | 
-                              LCDEntryModeFlags.ENTRYLEFT |
-                              LCDEntryModeFlags.ENTRYSHIFTDECREMENT, LCD_RS_CMD, 1, 0, next); },
-
-        // Clear screen - Do not call the clearScreen() function
-        (next) => { writeByte(LCDCommand.CLEARDISPLAY, LCD_RS_CMD, 1, 0, next); }, 
-        (next) => { debug("LCD initialization completed successfully"); next(null); }
-    ], (err) => {
-        thePendingCmd = false;
-        if (theFinalize) {
-            // Pending asynchronous shutdown requested?
-            theFinalize = FINALIZE_NONE;
-            shutdown(false, theFinalizeCallback);   // don't clear the screen here
-        } else {
-            callback(err);
+        // Set to TRUE when the busy flag is read after each write instead of
+        // waiting fixed delays (R/W connected, see waitReady())
+        this.busyPolling = false;
+
+        // All the operations are executed through this queue (see 
+        // lib/command-queue.js)
+        this.queue = new CommandQueue();
+        this.queue.on('idle', () => {
+            if (this.config && !this.finalizing) {
+                this.emit('idle');
+            }
+        });
+
+        // This boolean is set to TRUE when finalize() is called and cleared to
+        // FALSE when the shutdown completes. New operations are rejected while
+        // it is set.
+        this.finalizing = false;
+
+        // Callbacks of the finalize() called while the shutdown is pending,
+        // invoked when it completes
+        this.finalizeWaiters = [];
+
+        // Named custom characters and content of the CGRAM (see lib/glyphs.js)
+        this.glyphs = new GlyphRegistry();
+
+        // Mapping between Unicode and the character ROM (see lib/charset.js).
+        // Set by the initialize() method.
+        this.charset = undefined;
+
+        // Character codes currently displayed, as an array of rows (each row
+        // is an array of 'cols' codes). Set by the initialize() method.
+        this.screen = undefined;
+
+        // The text that should be displayed (see lib/framebuffer.js), sent to
+        // the LCD by flush(). Set by the initialize() method.
+        this.framebuffer = undefined;
+
+        // Current flags of the DISPLAYCONTROL and ENTRYMODESET commands, and
+        // DDRAM address of the cursor. Set by the initialize() method.
+        this.displayControl = DEFAULT_DISPLAYCONTROL;
+        this.entryMode = DEFAULT_ENTRYMODE;
+        this.cursorAddress = 0;
+
+        // Mapping between the cells and the DDRAM addresses of the 
+        // controller(s) (see lib/geometry.js). Set by the initialize() method.
+        this.geometry = undefined;
+
+        // ENABLE lines toggled by the writes: all the controllers by default
+        // (see selectController())
+        this.enableLines = ['e'];
+
+        // Controller showing the cursor ('cursorAddress' is an address of 
+        // its DDRAM), always 0 for displays with a single controller
+        this.cursorController = 0;
+
+        // Number of positions the display has been shifted to the left (see 
+        // shiftDisplay() and setAutoscroll())
+        this.displayShift = 0;
+
+        // State of the backlight: 'idle' is set to TRUE when the backlight 
+        // has been dimmed after 'idle_timeout' seconds without updates. Set 
+        // by the initialize() method.
+        this.backlight = { on: true, brightness: 1, idle: false };
+
+        // Timer that dims the backlight (see resetIdleTimer())
+        this.idleTimer = null;
+
+        // Marquees currently scrolling, indexed by row (see startMarquee())
+        this.marquees = {};
+
+        // Timer that periodically resets the controller and redraws the 
+        // screen (see startWatchdog())
+        this.watchdogTimer = null;
+        this.watchdogPending = false;
+
+        // Push buttons read from the GPIO inputs 'pin_btn_xx' (see 
+        // lib/gpio-transport.js) and their debouncer (see lib/buttons.js).
+        // Set by the initialize() method if any button is configured.
+        this.buttons = undefined;
+        this.buttonDecoder = undefined;
+
+        // Menu reading the keys (see openMenu())
+        this.menu = null;
+
+        // Screen manager rotating the pages (see createScreenManager())
+        this.screens = null;
+    }
+
+    /* {{{ enqueue
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Pushes the operation 'run(done)' in the command queue, using the
+     * 'priority' and 'key' properties of 'options'. When the operation 
+     * completes, invokes 'callback(error)'. If 'callback' is not provided,
+     * returns a Promise.
+     * Unless 'options.background' is set, the operation counts as an update
+     * of the display: it restores the backlight if dimmed by the idle timeout
+     * before running, and restarts the idle timer when completed.
+     */
+    enqueue(name, options, run, callback) {
+        return promiseOrCallback(callback, (callback) => {
+            if (this.finalizing) {
+                debug("%s rejected: LCD is being finalized", name);
+                process.nextTick(callback, CommandQueue.shutdownError("LCD is being finalized"));
+                return;
+            }
+            var operation = run;
+            if (!options.background) {
+                operation = (done) => {
+                    this.wakeUp((err) => {
+                        if (err) {
+                            done(err);
+                            return;
+                        }
+                        CommandQueue.invoke(name, run, (err) => {
+                            this.resetIdleTimer();
+                            done(err);
+                        });
+                    });
+                };
+            }
+            this.queue.push({
+                name: name,
+                priority: options.priority,
+                key: options.key,
+                run: operation
+            }, callback);
+        });
+    }
+
+    // }}}
+
+    /* {{{ reportError
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Reports the error of an operation that has no caller to notify (i.e.
+     * started by a timer) through the 'error' event. The property 
+     * 'operation' of the error is set to 'name'.
+     * The error is only logged if there are no listeners: an unhandled 
+     * 'error' event would terminate the process.
+     */
+    reportError(name, err) {
+        err.operation = name;
+        if (!this.listenerCount('error')) {
+            debug("%s failed: %s (no 'error' listener)", name, err.message);
+            return;
         }
-    });
-}
+        this.emit('error', err);
+    }
 
-// }}}
+    // }}}
 
-/* {{{ finalize
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Public
- *
- * Clear the screen of the LCD and restore the GPIO state and invoke 
- * 'callback(null)'
- *
- * After calling finalize, if you want to use again the LCD you need to 
- * re-initialize it
- */
-function finalize(clear, callback) {
-    if (theConfig && (theFinalize === FINALIZE_NONE)) {
-        if (thePendingCmd) {
-            // There is a (long) scheduled command, need to execute the real
-            // shutdown later, when the long operation completes
-            debug("LCD delayed shutdown (pending operation)");
-            theFinalize = (clearScreen ? FINALIZE_CLEARSCREEN : FINALIZE_NORMAL);
-            theFinalizeCallback = callback;
+    /* {{{ shutdown
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Clears the screen (if 'clear' is true) and closes the transport.
+     * Must be executed from the command queue.
+     */
+    shutdown(clear, callback) {
+        this.stopIdleTimer();
+        this.stopWatchdog();
+        // The transport is closed even if the screen cannot be cleared, the
+        // first error is reported
+        var doShutdown = (clearErr) => {
+            var transport = this.transport;
+            this.config = undefined;
+            this.transport = undefined;
+            debug("Closing transport...");
+            transport.close((err) => {
+                this.closeButtons((buttonsErr) => { callback(clearErr || err || buttonsErr || null); });
+            });
+        };
+
+        if (clear) {
+            this.writeByte(LCDCommand.CLEARDISPLAY, LCD_RS_CMD, 0, 0, doShutdown);
         } else {
-            // There are no pending sequence of operations scheduled, can shutdown
-            // immediately
-            debug("LCD immediate shutdown");
-            shutdown(clear, callback);
+            doShutdown(null);
         }
-    } else {
-        debug("LCD not initialized or already finalized, nothing to do");
-        callback(null);
     }
-}
 
-// }}}
+    // }}}
 
-/* {{{ getConfig
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Public
- *
- * Returns the current configuration or NULL if LCD is not initialized
- */
-function getConfig() {
-    return theConfig;
-}
+    /* {{{ delayedWrite
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Writes the 'signals' (i.e. { e: true }) on the transport after 'delay' 
+     * milliseconds (immediately if 'delay' is zero: even a zero timeout 
+     * would wait about 1ms).
+     * When the operation is completed, invokes 'callback(error)' (with 
+     * error=null if there are no errors).
+     */
+    delayedWrite(delay, signals, callback) {
+        if (!delay) {
+            this.transport.write(signals, callback);
+            return;
+        }
+        setTimeout( () => {
+            this.transport.write(signals, callback);
+        }, delay);
+    }
 
-// }}}
+    // }}}
 
-/* {{{ clearScreen
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Public
- *
- * Clears the LCD screen and call 'callback(null)' if successful, or 
- * 'callback(error)' if an error occurred.
- */
-function clearScreen(callback) {
-    if (!theConfig) {
-        debug("clearScreen failed: LCD not initialized");
-        if (callback) callback(new Error("LCD not initialized"));
-        return;
-    }
-    debug("Clearing LCD...");
-    // A single writeByte operation is not atomic and can be interrupted
-    // by an asynchronous call to finalize()
-    // We need to protect it just like a call to printLine()
-    thePendingCmd = true;
-    writeByte(LCDCommand.CLEARDISPLAY, LCD_RS_CMD, 0, 0, (err) => {
-        thePendingCmd = false;
-        if (theFinalize) {
-            // Pending asynchronous shutdown requested?
-            var clear = (theFinalize === FINALIZE_CLEARSCREEN);
-            theFinalize = FINALIZE_NONE;
-            shutdown(clear, theFinalizeCallback);
-        } else {
+    /* {{{ wait
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Invokes 'callback(null)' after 'delay' milliseconds (on the next tick
+     * if 'delay' is zero).
+     */
+    wait(delay, callback) {
+        if (!delay) {
+            process.nextTick(callback, null);
+            return;
+        }
+        setTimeout(callback, delay, null);
+    }
+
+    // }}}
+
+    /* {{{ toggleEnable
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Toggles the Enable pin generating a short pulse as required by the LCD 
+     * after setting up each nibble on the data bus of the device.
+     * When completed, invokes 'callback(null)'.
+     * In case of error during the various steps, calls 'callback(error)' with
+     * the error (the remaining steps are skipped).
+     */
+    toggleEnable(callback) {
+        var enable = (value) => {
+            var signals = {};
+            this.enableLines.forEach((line) => { signals[line] = value; });
+            return signals;
+        };
+        // When the busy flag is polled, the controller is known to be ready
+        // and the writes on the bus are slower than the minimum pulse width
+        var enableDelay = (this.busyPolling ? 0 : this.config.enable_delay);
+        var execDelay = (this.busyPolling ? 0 : this.config.exec_delay);
+        async.series([
+            (next) => { this.transport.write(enable(false), next); },
+            (next) => { this.delayedWrite(enableDelay, enable(true), next); },
+            (next) => { this.delayedWrite(enableDelay, enable(false), next); },
+            (next) => { this.wait(execDelay, next); }
+        ], (err) => {
+            if (callback) callback(err || null);
+        });
+    }
+
+    // }}}
+
+    /* {{{ selectController
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Sends the next writes to controller 'index' only, or to all the 
+     * controllers if 'index' is undefined (default state).
+     */
+    selectController(index) {
+        var count = (this.geometry ? this.geometry.controllers : 1);
+        this.enableLines = (index === undefined ? ENABLE_LINES.slice(0, count) : [ ENABLE_LINES[index] ]);
+    }
+
+    // }}}
+
+    /* {{{ writeByte
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Writes 'bits' in the LCD setting RS line to 'mode' (boolean). 
+     * The write operation will introduce a 'writeWait' delay (optional) before
+     * the operation begins, and an `initWait` delay between writing the 
+     * high/low nibble (4-bit mode only: in 8-bit mode the whole byte is
+     * written on D0-D7 with a single strobe).
+     *
+     * If the busy flag can be read (see waitReady()), the delays are skipped
+     * and the write completes when the controller is ready for the next one.
+     *
+     * If the transport is shared with other displays (i.e. GPIO transports 
+     * using the same data lines), the bus is locked for the whole byte.
+     *
+     * When everything complete successfully, will call 'callback(null)'. In
+     * case of error, will call 'callback(error)'.
+     */
+    writeByte(bits, mode, writeWait, initWait, callback) {
+        var transport = this.transport;
+        var writeData = (val, lines, cb) => {
+            var signals = {};
+            lines.forEach((line, i) => { signals[line] = (((val >> i) & 0x01) == 0x01); });
+            transport.write(signals, cb);
+        };
+        var writeNibble = (val, cb) => { writeData(val, DATA_LINES_4BIT, cb); };
+        if (this.busyPolling) {
+            writeWait = initWait = 0;
+        }
+
+        var doWrite = (done) => {
+            if (this.busWidth === 8) {
+                async.series([
+                    (next) => { this.delayedWrite(writeWait, { rs: mode }, next); },
+                    (next) => { writeData(bits, DATA_LINES_8BIT, next); },
+                    (next) => { this.toggleEnable(next); },
+                    (next) => { this.waitReady(next); }
+                ], done);
+                return;
+            }
+            async.series([
+                (next) => { this.delayedWrite(writeWait, { rs: mode }, next); },
+                (next) => { writeNibble(bits >> 4, next); },
+                (next) => { this.toggleEnable(next); },
+                (next) => { if (initWait) {
+                                setTimeout(next, initWait);
+                            } else {
+                                next(null)
+                            }
+                          },
+                (next) => { writeNibble(bits, next); },
+                (next) => { this.toggleEnable(next); },
+                (next) => { this.waitReady(next); }
+            ], done);
+        };
+
+        if (!transport.lock) {
+            doWrite(callback);
+            return;
+        }
+        transport.lock(() => {
+            doWrite((err) => {
+                transport.unlock();
+                callback(err);
+            });
+        });
+    }
+
+    // }}}
+
+    /* {{{ waitReady
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * If the busy flag can be read (R/W connected, see 'pin_rw'), switches 
+     * the data lines to input and reads the busy flag of each selected 
+     * controller until it is cleared, then switches the data lines back to
+     * output and invokes 'callback(null)'. Invokes 'callback(error)' if the
+     * controller is still busy after 'busy_timeout' ms.
+     * Does nothing if the busy flag is not polled.
+     */
+    waitReady(callback) {
+        if (!this.busyPolling) {
+            process.nextTick(callback, null);
+            return;
+        }
+        var transport = this.transport;
+        var deadline = Date.now() + this.config.busy_timeout;
+        var strobes = (this.busWidth === 8 ? 1 : 2);
+        // Reads the busy flag (D7 of the first strobe), in 4-bit mode the 
+        // second strobe reads the low nibble of the address counter
+        var readBusy = (line, cb) => {
+            var busy = false;
+            async.timesSeries(strobes, (i, next) => {
+                async.series([
+                    (step) => { transport.write({ [line]: true }, step); },
+                    (step) => {
+                        if (i > 0) {
+                            step(null);
+                            return;
+                        }
+                        transport.read('d7', (err, value) => {
+                            busy = !!value;
+                            step(err);
+                        });
+                    },
+                    (step) => { transport.write({ [line]: false }, step); }
+                ], next);
+            }, (err) => { cb(err, busy); });
+        };
+        var poll = (line, cb) => {
+            readBusy(line, (err, busy) => {
+                if (err || !busy) {
+                    cb(err);
+                } else if (Date.now() > deadline) {
+                    debug("Controller still busy after %d ms", this.config.busy_timeout);
+                    cb(new Error("LCD busy timeout"));
+                } else {
+                    setImmediate(poll, line, cb);
+                }
+            });
+        };
+        // Never read two controllers at once: they would both drive the bus
+        async.series([
+            (next) => { transport.setBusDirection(true, next); },
+            (next) => { transport.write({ rs: false, rw: true }, next); },
+            (next) => { async.eachSeries(this.enableLines, poll, next); }
+        ], (err) => {
+            async.series([
+                (next) => { transport.write({ rw: false }, next); },
+                (next) => { transport.setBusDirection(false, next); }
+            ], (errRestore) => { callback(err || errRestore); });
+        });
+    }
+
+    // }}}
+
+    /* {{{ writeFunctionSet
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Sends the FUNCTIONSET command for the configured bus width and font
+     * (must follow resetInterface()).
+     */
+    writeFunctionSet(callback) {
+        // The 5x10 font is available only in 1-line mode
+        var font5x10 = (this.config.font === '5x10');
+        this.writeByte(LCDCommand.FUNCTIONSET | 
+                       (this.busWidth === 8 ? LCDFunctionSetFlags.EIGHTBITMODE 
+                                            : LCDFunctionSetFlags.FOURBITMODE) | 
+                       (font5x10 ? (LCDFunctionSetFlags.ONELINE |
+                                    LCDFunctionSetFlags.FIVEBYTENDOTS) 
+                                 : (LCDFunctionSetFlags.TWOLINE |
+                                    LCDFunctionSetFlags.FIVEBYEIGHTDOTS)), LCD_RS_CMD, 1, 0, callback);
+    }
+
+    // }}}
+
+    /* {{{ waitClear
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * CLEARDISPLAY and HOME take 1.52ms to execute (instead of 37us): waits
+     * 'clear_delay' ms after them, unless the busy flag has been polled.
+     */
+    waitClear(callback) {
+        this.wait((this.busyPolling ? 0 : this.config.clear_delay), callback);
+    }
+
+    // }}}
+
+    /* {{{ resetInterface
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Initialization by instruction: sends the FUNCTIONSET 8-bit command 
+     * three times, so the controller is in a known state whatever the mode it
+     * was in, then switches to 4-bit mode if only D4-D7 are connected.
+     * The FUNCTIONSET command with the actual flags must follow.
+     * The busy flag cannot be read during this sequence: the polling starts
+     * after it (if the transport can read the bus), waiting for the last 
+     * command of the sequence to complete.
+     */
+    resetInterface(callback) {
+        if (this.busWidth === 8) {
+            this.busyPolling = false;
+            async.series([
+                (next) => { this.writeByte(0x30, LCD_RS_CMD, 0, 0, next); },
+                (next) => { setTimeout(next, this.config.reset_delay, null); },
+                (next) => { this.writeByte(0x30, LCD_RS_CMD, 0, 0, next); },
+                (next) => { this.writeByte(0x30, LCD_RS_CMD, 0, 0, next); },
+                (next) => { this.busyPolling = !!this.transport.canRead; this.waitReady(next); }
+            ], callback);
+            return;
+        }
+        // In 4-bit mode each write is a pair of nibbles: 0x3 0x3, 0x3 0x2
+        this.busyPolling = false;
+        async.series([
+            (next) => { this.writeByte(0x33, LCD_RS_CMD, 0, this.config.reset_delay, next); },
+            (next) => { this.writeByte(0x32, LCD_RS_CMD, 0, 0, next); },
+            (next) => { this.busyPolling = !!this.transport.canRead; this.waitReady(next); }
+        ], callback);
+    }
+
+    // }}}
+
+    /* {{{ resetScreen
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Marks the whole screen as blank (i.e. after a CLEARDISPLAY command)
+     */
+    resetScreen() {
+        this.screen = [];
+        for (var row = 0; row < this.config.rows; ++row) {
+            this.screen.push(new Array(this.config.cols).fill(0x20));
+        }
+    }
+
+    // }}}
+
+    /* {{{ visibleSlots
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Returns the set (object indexed by slot) of the CGRAM slots currently 
+     * displayed, excluding the cells for which 'overwritten(row, col)' 
+     * returns true (that are going to be overwritten).
+     */
+    visibleSlots(overwritten) {
+        var retVal = {};
+        this.screen.forEach((codes, r) => {
+            codes.forEach((code, c) => {
+                if (overwritten(r, c)) {
+                    return;
+                }
+                var slot = this.glyphs.slotOf(code);
+                if (slot != -1) {
+                    retVal[slot] = true;
+                }
+            });
+        });
+        return retVal;
+    }
+
+    // }}}
+
+    /* {{{ encode
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Converts 'text' into the characters of the ROM (one per cell), 
+     * registering the glyphs needed for the missing characters.
+     */
+    encode(text) {
+        return this.charset.encode(text, this.glyphs);
+    }
+
+    // }}}
+
+    /* {{{ nextAddress
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Returns the DDRAM address following (delta=1) or preceding (delta=-1)
+     * 'address', following the same rules of the address counter of the
+     * controller: two lines of 40 characters (0x00-0x27 and 0x40-0x67) in 
+     * 2-line mode, one line of 80 characters in 1-line mode (5x10 font).
+     */
+    nextAddress(address, delta) {
+        if (this.config.font === '5x10') {
+            return (address + delta + 2*DDRAM_LINE_LENGTH) % (2*DDRAM_LINE_LENGTH);
+        }
+        var index = (address >= DDRAM_LINE2 ? address - DDRAM_LINE2 + DDRAM_LINE_LENGTH : address);
+        index = (index + delta + 2*DDRAM_LINE_LENGTH) % (2*DDRAM_LINE_LENGTH);
+        return (index >= DDRAM_LINE_LENGTH ? index - DDRAM_LINE_LENGTH + DDRAM_LINE2 : index);
+    }
+
+    // }}}
+
+    /* {{{ cellAt
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Returns the cell { row, col } displaying DDRAM 'address' of 
+     * 'controller' (default=the one showing the cursor), ignoring the display
+     * shift, or null if the address is not visible.
+     */
+    cellAt(address, controller) {
+        if (controller === undefined) {
+            controller = this.cursorController;
+        }
+        for (var row = 0; row < this.geometry.rows; ++row) {
+            var segment = this.geometry.rowMap[row].find((seg) => (seg.controller === controller) &&
+                                                                 (address >= seg.address) && 
+                                                                 (address < seg.address + seg.length));
+            if (segment) {
+                return { row: row, col: segment.col + address - segment.address };
+            }
+        }
+        return null;
+    }
+
+    // }}}
+
+    /* {{{ addressOf
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Returns the controller and the DDRAM address of the cell at column 
+     * 'col' of row 'row', as { controller, address }
+     */
+    addressOf(row, col) {
+        var segment = this.geometry.rowMap[row].find((seg) => (col >= seg.col) && (col < seg.col + seg.length));
+        return { controller: segment.controller, address: segment.address + col - segment.col };
+    }
+
+    // }}}
+
+    /* {{{ writeCells
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Writes the character 'codes' (array) in row 'row' starting from column
+     * 'col' and updates the shadow copy of the screen. The row is written one
+     * segment at a time (see lib/geometry.js), each segment to its own
+     * controller, and the cursor is left after the last character.
+     * Requires the default entry mode (see withDefaultEntryMode()).
+     */
+    writeCells(row, col, codes, callback) {
+        var end = col + codes.length;
+        var segments = this.geometry.rowMap[row].filter((seg) => (seg.col < end) && (seg.col + seg.length > col));
+        var controller = this.cursorController;
+        async.eachSeries(segments, (seg, nextSegment) => {
+            var first = Math.max(col, seg.col);
+            var last = Math.min(end, seg.col + seg.length);
+            var address = seg.address + first - seg.col;
+            controller = seg.controller;
+            this.selectController(seg.controller);
+            async.series([
+                (next) => { this.writeByte(LCDCommand.SETDDRAMADDR | address, LCD_RS_CMD, 1, 0, next); },
+                (next) => {
+                    async.timesSeries(last - first, (i, cb) => {
+                        this.screen[row][first + i] = codes[first - col + i];
+                        this.cursorAddress = this.nextAddress(address + i, 1);
+                        this.writeByte(codes[first - col + i], LCD_RS_DATA, 1, 0, cb);
+                    }, next);
+                }
+            ], nextSegment);
+        }, (err) => {
+            this.selectController();
+            if (err) {
+                callback(err);
+                return;
+            }
+            this.moveCursorTo(controller, callback);
+        });
+    }
+
+    // }}}
+
+    /* {{{ writeRows
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Writes the encoded text of each entry of 'rows' (array of objects with
+     * properties 'row', 'col' and 'text') in the LCD and in the framebuffer, 
+     * loading the glyphs referenced by the text in the CGRAM.
+     */
+    writeRows(rows, callback) {
+        var resolved;
+        try {
+            var overwritten = (r, c) => rows.some((entry) => ((entry.row === r) && (c >= entry.col) && (c < entry.col + entry.text.length)));
+            resolved = this.glyphs.resolve(rows.map((entry) => entry.text).join(""), this.visibleSlots(overwritten));
+        } catch (err) {
+            debug("Write failed: %s", err.message);
+            process.nextTick(callback, err);
+            return;
+        }
+        var offset = 0;
+        var runs = rows.map((entry) => {
+            var text = resolved.text.substr(offset, entry.text.length);
+            offset += entry.text.length;
+            return { row: entry.row, col: entry.col, codes: Array.from(text, (c) => c.charCodeAt(0)) };
+        });
+        async.series([
+            (next) => {
+                this.loadGlyphs(resolved.loads, next);
+            },
+            (next) => {
+                this.withDefaultEntryMode((cbRuns) => {
+                    async.eachSeries(runs, (run, cb) => { this.writeCells(run.row, run.col, run.codes, cb); }, cbRuns);
+                }, next);
+            },
+            (next) => {
+                rows.forEach((entry) => { this.framebuffer.writeRaw(entry.text, entry.row, entry.col); });
+                next(null);
+            }
+        ], callback);
+    }
+
+    // }}}
+
+    /* {{{ withDefaultEntryMode
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * The operations writing at a given position of the screen (printLine(),
+     * flush()) require the characters to be written left to right without 
+     * shifting the display. If the entry mode has been changed (see 
+     * setTextDirection() and setAutoscroll()), sets the default one, 
+     * executes 'operation(cb)' and restores the entry mode.
+     */
+    withDefaultEntryMode(operation, callback) {
+        var entryMode = this.entryMode;
+        if (entryMode === DEFAULT_ENTRYMODE) {
+            operation(callback);
+            return;
+        }
+        async.series([
+            (next) => { this.writeByte(LCDCommand.ENTRYMODESET | DEFAULT_ENTRYMODE, LCD_RS_CMD, 1, 0, next); },
+            (next) => { operation(next); },
+            (next) => { this.writeByte(LCDCommand.ENTRYMODESET | entryMode, LCD_RS_CMD, 1, 0, next); }
+        ], callback);
+    }
+
+    // }}}
+
+    /* {{{ applyDisplayControl
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Sends the DISPLAYCONTROL command with the flags 'displayControl'. With
+     * two controllers, the cursor is shown only by the one it is in.
+     */
+    applyDisplayControl(displayControl, callback) {
+        if (this.geometry.controllers < 2) {
+            this.writeByte(LCDCommand.DISPLAYCONTROL | displayControl, LCD_RS_CMD, 1, 0, callback);
+            return;
+        }
+        async.timesSeries(this.geometry.controllers, (index, next) => {
+            var flags = (index === this.cursorController ? displayControl 
+                                                        : displayControl & ~(LCDControlFlags.CURSORON | LCDControlFlags.BLINKON));
+            this.selectController(index);
+            this.writeByte(LCDCommand.DISPLAYCONTROL | flags, LCD_RS_CMD, 1, 0, next);
+        }, (err) => {
+            this.selectController();
             callback(err);
+        });
+    }
+
+    // }}}
+
+    /* {{{ moveCursorTo
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Records that the cursor is now in 'controller', moving the visible 
+     * cursor to it if needed.
+     */
+    moveCursorTo(controller, callback) {
+        if (controller === this.cursorController) {
+            process.nextTick(callback, null);
+            return;
         }
-    });
-}
+        this.cursorController = controller;
+        if (!(this.displayControl & (LCDControlFlags.CURSORON | LCDControlFlags.BLINKON))) {
+            process.nextTick(callback, null);
+            return;
+        }
+        this.applyDisplayControl(this.displayControl, callback);
+    }
 
-// }}}
+    // }}}
 
-/* {{{ printLine
- * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- * Public
- *
- * Prints 'message' in row 'line' (zero-based), then call 'callback(null)' or 
- * 'callback(error)' if an error occurred.
- */
-function printLine(message, line, callback) {
-    if (!theConfig) {
-        debug("printLine failed: LCD not initialized");
-        if (callback) callback(new Error("LCD not initialized"));
-        return;
-    }
-    line = Number.parseInt(line) % theConfig.rows;
-    if (message.length > theConfig.cols) {
-        debug("printLine warning: message larger than display, output will be truncated");
-        message = message.substr(0, theConfig.cols);
-    }
-    debug("Printing line '%s' on row=#%d", message, line);
-    thePendingCmd = true;
-    async.series([
-        (next) => { writeByte(LCDCommand.SETDDRAMADDR | LCDRowOffset[line], LCD_RS_CMD, 1, 0, next); },
-        (next) => { 
-            async.timesSeries(message.length,
-                (i, cb) => { writeByte(message.charCodeAt(i), LCD_RS_DATA, 1, 0, cb) },
-                next);
-        }
-    ], (err) => {
-        thePendingCmd = false;
-        if (theFinalize) {
-            // Pending asynchronous shutdown requested?
-            var clear = (theFinalize === FINALIZE_CLEARSCREEN);
-            theFinalize = FINALIZE_NONE;
-            shutdown(clear, theFinalizeCallback);
-        } else {
+    /* {{{ writeGlyph
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Loads the pixel 'rows' in CGRAM 'slot'. 
+     * After this operation the address counter points to the CGRAM: the 
+     * caller must set the DDRAM address before writing characters.
+     */
+    writeGlyph(slot, rows, callback) {
+        debug("Loading glyph in CGRAM slot #%d", slot);
+        async.series([
+            (next) => { this.writeByte(LCDCommand.SETCGRAMADDR | this.glyphs.cgramAddress(slot), LCD_RS_CMD, 1, 0, next); },
+            (next) => {
+                async.eachSeries(rows, (bits, cb) => { this.writeByte(bits, LCD_RS_DATA, 1, 0, cb); }, next);
+            }
+        ], callback);
+    }
+
+    // }}}
+
+    /* {{{ loadGlyphs
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Writes the glyphs 'loads' returned by GlyphRegistry.resolve() in the
+     * CGRAM. If a write fails the content of the slots is unknown: they are
+     * freed, so their glyphs are loaded again the next time they are printed.
+     */
+    loadGlyphs(loads, callback) {
+        async.eachSeries(loads, (load, cb) => { this.writeGlyph(load.slot, load.rows, cb); }, (err) => {
+            if (err) {
+                this.glyphs.discard(loads);
+            }
             callback(err);
+        });
+    }
+
+    // }}}
+
+    /* {{{ applyBacklight
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Drives the backlight according to the current state (on/off, 
+     * brightness and idle). Transports that cannot dim the backlight turn it
+     * on for any brightness greater than zero.
+     */
+    applyBacklight(callback) {
+        var level = 0;
+        if (this.backlight.on) {
+            level = (this.backlight.idle ? Math.min(this.config.idle_brightness, this.backlight.brightness)
+                                         : this.backlight.brightness);
         }
-    });
-}
+        debug("Setting backlight brightness to %d", level);
+        if (this.transport.setBrightness) {
+            this.transport.setBrightness(level, callback);
+        } else {
+            this.transport.write({ bl: (level > 0) }, callback);
+        }
+    }
 
-// }}}
+    // }}}
 
-// Exported functions
-exports.initialize  = initialize;
-exports.finalize    = finalize;
-exports.getConfig   = getConfig;
+    /* {{{ wakeUp
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Restores the backlight if it has been dimmed by the idle timeout.
+     */
+    wakeUp(callback) {
+        if (!this.config || !this.backlight.idle) {
+            process.nextTick(callback, null);
+            return;
+        }
+        debug("Activity detected, restoring backlight");
+        this.backlight.idle = false;
+        this.applyBacklight(callback);
+    }
 
-exports.clearScreen = clearScreen;
-exports.printLine   = printLine;
+    // }}}
+
+    /* {{{ resetIdleTimer / stopIdleTimer
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * (Re)starts the timer that dims the backlight after 'idle_timeout' 
+     * seconds without updates. The timer does not keep the process alive.
+     */
+    resetIdleTimer() {
+        this.stopIdleTimer();
+        if (!this.config || !(this.config.idle_timeout > 0)) {
+            return;
+        }
+        this.idleTimer = setTimeout(() => {
+            this.idleTimer = null;
+            this.enqueue("idle", { priority: Priority.LOW, background: true }, (done) => {
+                // Skip if the display has been updated (or finalized) while 
+                // this operation was queued
+                if (!this.config || this.idleTimer || this.backlight.idle) {
+                    done(null);
+                    return;
+                }
+                debug("No updates in the last %d seconds, dimming backlight", this.config.idle_timeout);
+                this.backlight.idle = true;
+                this.applyBacklight(done);
+            }, (err) => {
+                if (err && (err.code !== 'ESHUTDOWN')) {
+                    this.reportError("idle", err);
+                }
+            });
+        }, this.config.idle_timeout * 1000);
+        this.idleTimer.unref();
+    }
+
+    stopIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    // }}}
+
+    /* {{{ restoreDisplay
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Brings the controller back to the current state after it has lost the
+     * nibble synchronization or has been reset by a power dip: replays the 
+     * reset sequence of initialize(), then reloads the CGRAM, redraws the 
+     * screen and restores the display shift, the entry mode, the cursor and
+     * the display control flags.
+     * Must be executed from the command queue.
+     */
+    restoreDisplay(callback) {
+        var cursorAddress = this.cursorAddress;
+        var cursorController = this.cursorController;
+        var shiftMove = (this.displayShift > 0 ? LCDMoveFlags.MOVELEFT : LCDMoveFlags.MOVERIGHT);
+        this.selectController();
+        async.series([
+            (next) => { this.resetInterface(next); },
+            (next) => { this.writeFunctionSet(next); },
+            (next) => { this.writeByte(LCDCommand.DISPLAYCONTROL | DEFAULT_DISPLAYCONTROL, LCD_RS_CMD, 1, 0, next); },
+            // Clearing the display also cancels its shift
+            (next) => { this.writeByte(LCDCommand.CLEARDISPLAY, LCD_RS_CMD, 1, 0, next); },
+            (next) => { this.waitClear(next); },
+            (next) => { this.writeByte(LCDCommand.ENTRYMODESET | DEFAULT_ENTRYMODE, LCD_RS_CMD, 1, 0, next); },
+            (next) => {
+                async.eachSeries(this.glyphs.loadedSlots(), (load, cb) => { this.writeGlyph(load.slot, load.rows, cb); }, next);
+            },
+            (next) => {
+                async.timesSeries(this.config.rows, (row, cb) => { this.writeCells(row, 0, this.screen[row].slice(), cb); }, next);
+            },
+            (next) => {
+                if (this.entryMode === DEFAULT_ENTRYMODE) {
+                    next(null);
+                    return;
+                }
+                this.writeByte(LCDCommand.ENTRYMODESET | this.entryMode, LCD_RS_CMD, 1, 0, next);
+            },
+            (next) => {
+                async.timesSeries(Math.abs(this.displayShift), (i, cb) => {
+                    this.writeByte(LCDCommand.CURSORSHIFT | LCDMoveFlags.DISPLAYMOVE | shiftMove, LCD_RS_CMD, 1, 0, cb);
+                }, next);
+            },
+            (next) => {
+                this.cursorAddress = cursorAddress;
+                this.cursorController = cursorController;
+                this.writeByte(LCDCommand.SETDDRAMADDR | this.cursorAddress, LCD_RS_CMD, 1, 0, next);
+            },
+            (next) => { this.applyDisplayControl(this.displayControl, next); }
+        ], callback);
+    }
+
+    // }}}
+
+    /* {{{ startWatchdog / stopWatchdog
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Starts the timer that restores the display every 'watchdog_interval'
+     * seconds (see restoreDisplay()). The restore is queued as any other 
+     * operation, so it never interrupts the writes of another operation, and 
+     * it does not count as an update for the idle timeout. The timer does not
+     * keep the process alive.
+     */
+    startWatchdog() {
+        this.stopWatchdog();
+        if (!this.config || !(this.config.watchdog_interval > 0)) {
+            return;
+        }
+        this.watchdogTimer = setInterval(() => {
+            if (this.watchdogPending) {
+                // The previous restore is still queued
+                return;
+            }
+            this.watchdogPending = true;
+            this.enqueue("watchdog", { background: true }, (done) => {
+                this.watchdogPending = false;
+                if (!this.config) {
+                    done(null);
+                    return;
+                }
+                debug("Watchdog: restoring the display");
+                this.restoreDisplay((err) => {
+                    if (!err) {
+                        this.emit('recovered', { reason: 'watchdog' });
+                    }
+                    done(err);
+                });
+            }, (err) => {
+                this.watchdogPending = false;
+                if (err && (err.code !== 'ESHUTDOWN')) {
+                    this.reportError("watchdog", err);
+                }
+            });
+        }, this.config.watchdog_interval * 1000);
+        this.watchdogTimer.unref();
+    }
+
+    stopWatchdog() {
+        if (this.watchdogTimer) {
+            clearInterval(this.watchdogTimer);
+            this.watchdogTimer = null;
+        }
+    }
+
+    // }}}
+
+    /* {{{ openButtons / closeButtons
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Sets up the GPIO inputs of the buttons listed in the configuration 
+     * ('pin_btn_xx'), if any, or else the buttons read by the transport 
+     * (i.e. the keypad of the Adafruit Pi Plate, see createButtons() in
+     * lib/mcp23017-transport.js), then call 'callback(error)'. The debounced
+     * presses are emitted as 'key' events (see injectKey()).
+     * closeButtons() releases them.
+     */
+    openButtons(callback) {
+        var pins = {};
+        KEYS.forEach((key) => {
+            if (this.config['pin_btn_' + key]) {
+                pins[key] = Config.toBcm(this.config['pin_btn_' + key], this.config.pin_numbering);
+            }
+        });
+        try {
+            if (Object.keys(pins).length) {
+                var GpioButtons = require('./lib/gpio-transport').GpioButtons;
+                this.buttons = new GpioButtons(pins, this.config.btn_active_low);
+                debug("Setting up the buttons: %s", JSON.stringify(pins));
+            } else if (this.transport.createButtons) {
+                this.buttons = this.transport.createButtons();
+            }
+        } catch (err) {
+            debug("Failed to create the buttons: %s", err.message);
+            process.nextTick(callback, err);
+            return;
+        }
+        if (!this.buttons) {
+            process.nextTick(callback, null);
+            return;
+        }
+        this.buttonDecoder = new ButtonDecoder((key, long) => { this.injectKey(key, long); }, {
+            debounce: this.config.btn_debounce,
+            longPress: this.config.btn_long_press
+        });
+        this.buttons.onChange = (key, pressed) => { this.buttonDecoder.input(key, pressed); };
+        this.buttons.open(callback);
+    }
+
+    closeButtons(callback) {
+        var buttons = this.buttons;
+        if (this.buttonDecoder) {
+            this.buttonDecoder.stop();
+        }
+        this.buttons = undefined;
+        this.buttonDecoder = undefined;
+        if (!buttons) {
+            process.nextTick(callback, null);
+            return;
+        }
+        debug("Releasing the buttons...");
+        buttons.close(callback);
+    }
+
+    // }}}
+
+    /* {{{ initialize
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     * 
+     * Initializes the GPIO and the LCD.
+     * The 'config' object defines the pinout and the geometry (rows, cols) of
+     * the LCD.
+     * This object can have the following properties (the missing ones take 
+     * the default value):
+     *  'preset': name of a wiring preset, whose properties are used instead
+     *            of the defaults (see lib/config.js): 'default' (the wiring
+     *            above), 'adafruit-pi-plate' or 'sunfounder-lcd2004'
+     *  'pin_numbering': numbering of the 'pin_xx' properties, either 'bcm'
+     *            (GPIO #, default) or 'board' (# of the pin on the 40-pin 
+     *            header)
+     *  'pin_rs': GPIO # where the RS pin of the LCD is connected (default=27)
+     *  'pin_e' : GPIO # where the ENABLE pin of the LCD is connected (default=22)
+     *  'pin_d0': GPIO # where the D0-D3 pins of the LCD are connected, for 
+     *  ...       the 8-bit mode (default=0, not connected: 4-bit mode). Set
+     *  'pin_d3'  all of them or none
+     *  'pin_d4': GPIO # where the D4 pin of the LCD is connected (default=25)
+     *  'pin_d5': GPIO # where the D5 pin of the LCD is connected (default=24)
+     *  'pin_d6': GPIO # where the D6 pin of the LCD is connected (default=23)
+     *  'pin_d7': GPIO # where the D7 pin of the LCD is connected (default=18)
+     *  'pin_bl': GPIO # where the Backlight pin of the LCD is connected (default=15) 
+     *            set it to zero if your LCD does not have a backlight
+     *  'pin_rw': GPIO # where the R/W pin of the LCD is connected (default=0,
+     *            R/W grounded). If set, the busy flag is read after each 
+     *            write instead of waiting fixed delays
+     *  `cols'  : number of columns in your LCD (default=16)
+     *  `rows'  : number of rows in your LCD (default=2)
+     *  'geometry'   : name of a geometry preset, overrides 'cols' and 'rows'
+     *                 (see lib/geometry.js): '8x1', '8x2', '16x1', '16x2', 
+     *                 '16x4', '20x1', '20x2', '20x4', '24x2', '40x1', '40x2',
+     *                 '16x1_type1' (single row split in two halves at 0x00
+     *                 and 0x40) or '40x4' (two controllers, see 'pin_e2')
+     *  'row_offsets': DDRAM address of the first column of each row, for the
+     *                 displays that do not use the default ones (0x00, 0x40,
+     *                 'cols', 0x40+'cols')
+     *  'pin_e2': GPIO # where the ENABLE pin of the 2nd controller of 40x4 
+     *            displays (rows 2-3) is connected (default=0, none)
+     *  'font'  : character font, either '5x8' (default) or '5x10'. The 5x10 
+     *            font is supported only by 1-row displays
+     *
+     * When the busy flag cannot be read, the driver waits fixed delays 
+     * (in ms) that can be tuned for your module:
+     *  'enable_delay': before and after the rising edge of ENABLE (default=1)
+     *  'exec_delay'  : after each write, to execute the instruction 
+     *                  (default=1)
+     *  'clear_delay' : after the CLEARDISPLAY and HOME instructions 
+     *                  (default=2)
+     * The following timings are used in both modes:
+     *  'reset_delay' : during the reset sequence of initialize(), when the 
+     *                  busy flag cannot be read yet (default=5)
+     *  'busy_timeout': an operation fails if the busy flag is still set after
+     *                  this time (default=100)
+     *
+     * The backlight is controlled by the following properties:
+     *  'backlight'      : turn on the backlight (default=true)
+     *  'brightness'     : brightness of the backlight, between 0 and 1 
+     *                     (default=1). Intermediate values require a 
+     *                     transport that can dim the backlight (the GPIO 
+     *                     transport uses a software PWM on 'pin_bl')
+     *  'bl_pwm_chip'    : use the hardware PWM channel 'bl_pwm_channel' of 
+     *  'bl_pwm_channel'   /sys/class/pwm/pwmchipN instead of the software PWM
+     *                     (default chip=0, channel=-1: software PWM)
+     *  'idle_timeout'   : dim the backlight after this number of seconds 
+     *                     without updates (default=0, never)
+     *  'idle_brightness': brightness of the backlight while idle (default=0,
+     *                     off). The next update restores the brightness.
+     *
+     * Displays on long cables can lose the nibble synchronization or be 
+     * reset by a power dip, and then show garbage. To recover automatically:
+     *  'watchdog_interval': reset the controller and redraw the screen every
+     *                       N seconds (default=0, never). Each recovery 
+     *                       emits the 'recovered' event (see recover())
+     *
+     * The text is converted to the character ROM of the controller (see 
+     * lib/charset.js) according to the following properties:
+     *  'charset'         : 'A00' (Japanese, default) or 'A02' (European)
+     *  'replacement_char': printed for the characters not available in the
+     *                      ROM (default='?')
+     *  'auto_glyphs'     : print the missing accented letters and symbols 
+     *                      using the CGRAM slots not used by other glyphs
+     *                      (default=true)
+     *
+     * The push buttons used to navigate the menus (see openMenu()) are read
+     * from GPIO inputs:
+     *  'pin_btn_up', 'pin_btn_down', 'pin_btn_left', 'pin_btn_right',
+     *  'pin_btn_enter', 'pin_btn_back': GPIO # where each button is 
+     *                    connected (default=0, none)
+     *  'btn_active_low': the buttons connect the pins to ground, with a 
+     *                    pull-up resistor (default=true)
+     *  'btn_debounce'  : ms a level must be stable to be accepted (default=20)
+     *  'btn_long_press': ms a button must be held for a long press 
+     *                    (default=800, 0 to disable the long presses)
+     *
+     * Multiple displays can share the same GPIO pins for RS, D4-D7 and 
+     * backlight, but each of them must have its own ENABLE pin.
+     *
+     * To use a LCD with a PCF8574 I2C backpack, set the following properties 
+     * instead of the 'pin_xx' ones:
+     *  'i2c_address': I2C address of the PCF8574 (default=0, GPIO mode). 
+     *                 Usually 0x27 (PCF8574T) or 0x3F (PCF8574AT)
+     *  'i2c_bus'    : bus number N of the /dev/i2c-N device (default=1)
+     *  'i2c_pinout' : wiring between the expander and the LCD: either 
+     *                 'default' (P0=RS, P1=RW, P2=E, P3=BL, P4-P7=D4-D7), 
+     *                 'mjkdz' (P0-P3=D4-D7, P4=E, P5=RW, P6=RS, P7=BL active
+     *                 low) or an object mapping each line to its bit (see 
+     *                 lib/pcf8574-transport.js)
+     *  'i2c_expander': 'pcf8574' (default) or 'mcp23017', for the LCDs 
+     *                 driven by a MCP23017 (see lib/mcp23017-transport.js, 
+     *                 the only pinout is 'adafruit')
+     *
+     * The configuration is checked before anything is done on the GPIO: 
+     * initialize() fails with an error describing the problem if a property
+     * is unknown, has the wrong type or an invalid value, if a required pin
+     * is missing or if two lines use the same pin. loadConfig() reads the 
+     * configuration from a JSON file.
+     *
+     * The optional property 'transport' can be used to provide the object 
+     * used to drive the LCD lines (see lib/gpio-transport.js for the 
+     * interface). If not provided, the LCD is driven through the GPIO pins 
+     * defined above. 
+     * Use an EmulatorTransport to run the library without the real hardware.
+     */
+    initialize(config, callback) {
+        // Initialization goes before any other operation already queued
+        return this.enqueue("initialize", { priority: Infinity }, (done) => {
+            if (this.config) {
+                debug("LCD already initialized (ignored)");
+                done(null);
+                return;
+            }
+            try {
+                this.config = Config.resolveConfig(config, DEFAULT_CONFIG);
+            } catch (err) {
+                debug("%s", err.message);
+                done(err);
+                return;
+            }
+            var geometry;
+            try {
+                geometry = resolveGeometry({
+                    geometry: this.config.geometry,
+                    cols: this.config.cols,
+                    rows: this.config.rows,
+                    rowOffsets: this.config.row_offsets
+                });
+            } catch (err) {
+                debug("Invalid geometry: %s", err.message);
+                this.config = undefined;
+                done(err);
+                return;
+            }
+            this.config.cols = geometry.cols;
+            this.config.rows = geometry.rows;
+            // The second controller needs its own ENABLE line: 'pin_e2' in 
+            // GPIO mode, or an 'e2' bit in the I2C pinout
+            var hasEnable2 = ((config && config.transport) || 
+                              (this.config.i2c_address ? (this.config.i2c_pinout && (this.config.i2c_pinout.e2 !== undefined))
+                                                       : this.config.pin_e2));
+            if ((geometry.controllers > 1) && !hasEnable2) {
+                debug("Invalid configuration: a 2nd ENABLE line is required by the %dx%d geometry", geometry.cols, geometry.rows);
+                this.config = undefined;
+                done(new Error("Invalid configuration: the " + geometry.cols + "x" + geometry.rows +
+                               " geometry requires a 2nd ENABLE line ('pin_e2', or 'e2' in the I2C pinout)"));
+                return;
+            }
+            try {
+                this.charset = new Charset({
+                    rom: this.config.charset,
+                    replacement: this.config.replacement_char,
+                    autoGlyphs: this.config.auto_glyphs
+                });
+            } catch (err) {
+                debug("Invalid charset configuration: %s", err.message);
+                this.config = undefined;
+                done(err);
+                return;
+            }
+            var font5x10 = (this.config.font === '5x10');
+            if ((!font5x10 && (this.config.font !== '5x8')) || 
+                (font5x10 && ((geometry.rows > 1) || (geometry.rowMap[0].length > 1)))) {
+                debug("Invalid font '%s' for a %d-row display", this.config.font, this.config.rows);
+                var fontErr = new Error("Invalid configuration: 'font' must be '5x8' or '5x10' (1-row displays only), got '" +
+                                        this.config.font + "' for a " + this.config.rows + "-row display");
+                this.config = undefined;
+                done(fontErr);
+                return;
+            }
+            try {
+                this.transport = (config && config.transport) || createTransport(this.config);
+                this.transport.onError = (err) => { this.reportError("transport", err); };
+            } catch (err) {
+                debug("Failed to create transport: %s", err.message);
+                this.config = undefined;
+                done(err);
+                return;
+            }
+            async.series([
+                (next) => { debug("Setting up transport using config: " + JSON.stringify(this.config)); next(null); },
+                (next) => { this.transport.open(next); },
+                (next) => { this.openButtons(next); },
+
+                (next) => { 
+                    debug("Initializing LCD...");
+                    // The commands of the initialization are sent to all
+                    // the controllers
+                    this.geometry = geometry;
+                    this.busWidth = (this.transport.busWidth === 8 ? 8 : 4);
+                    this.selectController();
+                    next(null);
+                },
+
+                (next) => { this.resetInterface(next); },
+
+                (next) => { this.writeByte(LCDCommand.DISPLAYCONTROL | DEFAULT_DISPLAYCONTROL, LCD_RS_CMD, 1, 0, next); },
+
+                (next) => { this.writeFunctionSet(next); },
+
+                (next) => { this.writeByte(LCDCommand.ENTRYMODESET | DEFAULT_ENTRYMODE, LCD_RS_CMD, 1, 0, next); },
+
+                // Clear screen - Do not call the clearScreen() method
+                (next) => { this.writeByte(LCDCommand.CLEARDISPLAY, LCD_RS_CMD, 1, 0, next); }, 
+                (next) => { this.waitClear(next); },
+                (next) => { 
+                    this.resetScreen();
+                    this.displayControl = DEFAULT_DISPLAYCONTROL;
+                    this.entryMode = DEFAULT_ENTRYMODE;
+                    this.cursorAddress = 0;
+                    this.cursorController = 0;
+                    this.displayShift = 0;
+                    this.framebuffer = new Framebuffer(this.config.cols, this.config.rows, (text) => this.encode(text),
+                                                       (text) => this.charset.decode(text, this.glyphs));
+                    this.glyphs.reset(font5x10);
+                    this.backlight = { on: this.config.backlight, brightness: this.config.brightness, idle: false };
+                    next(null); 
+                },
+                (next) => { this.applyBacklight(next); },
+                (next) => { this.startWatchdog(); next(null); },
+                (next) => { debug("LCD initialization completed successfully"); next(null); }
+            ], (err) => {
+                if (!err) {
+                    this.emit('ready');
+                    done(null);
+                    return;
+                }
+                // Release the transport, so initialize() can be called again
+                debug("LCD initialization failed: %s", err.message);
+                var transport = this.transport;
+                this.config = undefined;
+                this.transport = undefined;
+                transport.close((closeErr) => {
+                    if (closeErr) {
+                        debug("Failed to close the transport: %s", closeErr.message);
+                    }
+                    this.closeButtons((closeErr) => {
+                        if (closeErr) {
+                            debug("Failed to release the buttons: %s", closeErr.message);
+                        }
+                        done(err);
+                    });
+                });
+            });
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ finalize
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Clear the screen of the LCD (if 'clear' is true) and restore the GPIO 
+     * state and invoke 'callback(null)'
+     * The GPIO pins shared with other displays are released only when the 
+     * last display using them is finalized.
+     *
+     * Instead of a boolean, 'clear' can be an object with the following 
+     * properties:
+     *  'clear': clear the screen before the shutdown
+     *  'drain': execute all the operations already queued before the shutdown
+     *           (by default they are cancelled)
+     *
+     * Once finalize is called, new operations are rejected. After calling 
+     * finalize, if you want to use again the LCD you need to re-initialize it
+     */
+    finalize(clear, callback) {
+        if (typeof(clear) === "function") {
+            callback = clear;
+            clear = undefined;
+        }
+        var options = ((clear && (typeof(clear) == "object")) ? clear : { clear: clear });
+        return promiseOrCallback(callback, (callback) => {
+            if (this.finalizing) {
+                debug("LCD shutdown already in progress, waiting for it");
+                this.finalizeWaiters.push(callback);
+                return;
+            }
+            if (!this.config && !this.queue.depth()) {
+                debug("LCD not initialized or already finalized, nothing to do");
+                callback(null);
+                return;
+            }
+            this.finalizing = true;
+            this.emit('finalizing');
+            this.stopMarquee();
+            this.closeMenu();
+            if (this.screens) {
+                this.screens.stop();
+            }
+            if (options.drain) {
+                debug("LCD delayed shutdown (draining %d operation(s))", this.queue.depth());
+            } else {
+                var cancelled = this.queue.flush(CommandQueue.shutdownError("Cancelled by finalize()"));
+                debug("LCD shutdown (%d operation(s) cancelled)", cancelled);
+            }
+            // Bypass enqueue(): new operations are already rejected
+            this.queue.push({
+                name: "finalize",
+                priority: (options.drain ? -Infinity : Infinity),
+                run: (done) => {
+                    var closed = (err) => {
+                        this.finalizing = false;
+                        var waiters = this.finalizeWaiters;
+                        this.finalizeWaiters = [];
+                        waiters.forEach((waiter) => { process.nextTick(waiter, err || null); });
+                        this.emit('closed');
+                        done(err);
+                    };
+                    if (!this.config) {
+                        closed(null);
+                        return;
+                    }
+                    this.shutdown(!!options.clear, closed);
+                }
+            }, callback);
+        });
+    }
+
+    // }}}
+
+    /* {{{ getConfig
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns the current configuration or NULL if LCD is not initialized
+     */
+    getConfig() {
+        return this.config;
+    }
+
+    // }}}
+
+    /* {{{ getQueueDepth
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns the number of operations in the queue (including the one 
+     * currently executing)
+     */
+    getQueueDepth() {
+        return this.queue.depth();
+    }
+
+    // }}}
+
+    /* {{{ cancelLine
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Cancels all the queued printLine() operations for row 'line' that are 
+     * not executing yet. Returns the number of cancelled operations.
+     */
+    cancelLine(line) {
+        return this.queue.cancelKey(this.rowKey(line));
+    }
+
+    // }}}
+
+    /* {{{ rowKey
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Returns the queue key of the printLine() operations for row 'line', 
+     * wrapped around the display like printLine() does when the geometry is
+     * known (so -1 and the last row share the same key).
+     */
+    rowKey(line) {
+        var row = Number.parseInt(line);
+        if (this.config && !Number.isNaN(row)) {
+            row = ((row % this.config.rows) + this.config.rows) % this.config.rows;
+        }
+        return "row:" + row;
+    }
+
+    // }}}
+
+    /* {{{ clearScreen
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Clears the LCD screen and call 'callback(null)' if successful, or 
+     * 'callback(error)' if an error occurred.
+     * 'options' (optional) is described in the NOTE above.
+     */
+    clearScreen(options, callback) {
+        if (typeof(options) === "function") {
+            callback = options;
+            options = undefined;
+        }
+        return this.enqueue("clearScreen", options || {}, (done) => {
+            if (!this.config) {
+                debug("clearScreen failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            debug("Clearing LCD...");
+            async.series([
+                (next) => { this.writeByte(LCDCommand.CLEARDISPLAY, LCD_RS_CMD, 0, 0, next); },
+                (next) => { this.waitClear(next); }
+            ], (err) => {
+                this.resetScreen();
+                this.cursorAddress = 0;
+                this.displayShift = 0;
+                // CLEARDISPLAY sets the increment mode
+                this.entryMode |= LCDEntryModeFlags.ENTRYLEFT;
+                this.framebuffer.clear();
+                if (err) {
+                    done(err);
+                    return;
+                }
+                this.moveCursorTo(0, done);
+            });
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ printLine
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Prints 'message' in row 'line' (zero-based), then call 'callback(null)'
+     * or 'callback(error)' if an error occurred.
+     * The row number wraps around the rows of the display (i.e. -1 is the
+     * last row), the operation fails if it is not a number.
+     * The message can contain the placeholders of the named glyphs (see 
+     * registerGlyph()): they are loaded in the CGRAM if needed.
+     * The message is also written in the framebuffer (see flush()).
+     * 'options' (optional) is described in the NOTE above, plus:
+     *  'replace': cancel the queued printLine() for the same row that are not
+     *             executing yet (i.e. a clock that cannot keep up)
+     *  'pad'    : clear the rest of the row (default=true). If false, only
+     *             the cells of the message are written.
+     */
+    printLine(message, line, options, callback) {
+        if (typeof(options) === "function") {
+            callback = options;
+            options = undefined;
+        }
+        options = options || {};
+        var key = this.rowKey(line);
+        if (options.replace) {
+            this.queue.cancelKey(key, CommandQueue.cancelledError("Replaced by a newer printLine()"));
+        }
+        return this.enqueue("printLine", { priority: options.priority, key: key }, (done) => {
+            if (!this.config) {
+                debug("printLine failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            var row = Number.parseInt(line);
+            if (Number.isNaN(row)) {
+                debug("printLine failed: invalid row '%s'", line);
+                done(new Error("Invalid parameter"));
+                return;
+            }
+            // The rows wrap around the display (-1 is the last row)
+            line = ((row % this.config.rows) + this.config.rows) % this.config.rows;
+            message = this.encode(String(message));
+            if (message.length > this.config.cols) {
+                debug("printLine warning: message larger than display, output will be truncated");
+                message = message.substr(0, this.config.cols);
+            }
+            if (options.pad !== false) {
+                message = message.padEnd(this.config.cols);
+            }
+            debug("Printing line '%s' on row=#%d", message, line);
+            this.writeRows([ { row: line, col: 0, text: message } ], done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ printBlock
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Prints 'text' across multiple rows, then call 'callback(null)' or 
+     * 'callback(error)' if an error occurred.
+     * The text is word-wrapped to the width of the display and split at each
+     * '\n' (see lib/layout.js). 
+     * 'options' (optional) is described in the NOTE above, plus:
+     *  'row'     : first row of the block (default=0)
+     *  'rows'    : number of rows of the block (default=all the rows from 
+     *              'row' to the bottom of the display)
+     *  'align'   : 'left' (default), 'center' or 'right'
+     *  'wrap'    : word-wrap the lines longer than a row (default=true), if 
+     *              false they are truncated
+     *  'ellipsis': text that ends the last row when the text does not fit 
+     *              (default='...'), false to just truncate the text
+     *  'clear'   : clear the rest of each row and the rows of the block not
+     *              used by the text (default=true). If false, only the cells 
+     *              of the text are written.
+     */
+    printBlock(text, options, callback) {
+        if (typeof(options) === "function") {
+            callback = options;
+            options = undefined;
+        }
+        options = options || {};
+        return this.enqueue("printBlock", { priority: options.priority }, (done) => {
+            if (!this.config) {
+                debug("printBlock failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            var first = (options.row !== undefined ? options.row : 0);
+            var count = (options.rows !== undefined ? options.rows : this.config.rows - first);
+            if (!Number.isInteger(first) || (first < 0) || (first >= this.config.rows) ||
+                !Number.isInteger(count) || (count < 1) || (first + count > this.config.rows)) {
+                debug("printBlock failed: invalid rows (row=%s, rows=%s)", options.row, options.rows);
+                done(new Error("Invalid parameter"));
+                return;
+            }
+            var lines;
+            try {
+                lines = layoutText(text, {
+                    cols: this.config.cols,
+                    rows: count,
+                    align: options.align,
+                    wrap: options.wrap,
+                    ellipsis: options.ellipsis,
+                    encode: (text) => this.encode(text)
+                });
+            } catch (err) {
+                debug("printBlock failed: %s", err.message);
+                done(err);
+                return;
+            }
+            var rows = [];
+            for (var i = 0; i < count; ++i) {
+                var line = lines[i];
+                if (options.clear === false) {
+                    if (line && line.text.length) {
+                        rows.push({ row: first + i, col: line.col, text: line.text });
+                    }
+                    continue;
+                }
+                rows.push({ 
+                    row: first + i, 
+                    col: 0, 
+                    text: (line ? " ".repeat(line.col) + line.text : "").padEnd(this.config.cols)
+                });
+            }
+            debug("Printing block of %d row(s) from row=#%d", rows.length, first);
+            this.writeRows(rows, done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ print
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Writes 'text' at the current cursor position (see setCursorPosition())
+     * using the current text direction and autoscroll mode, then call 
+     * 'callback(null)' or 'callback(error)' if an error occurred.
+     * Unlike printLine(), the text is not truncated: the cursor moves through
+     * the DDRAM like the address counter of the controller does.
+     * 'options' (optional) is described in the NOTE above.
+     */
+    print(text, options, callback) {
+        if (typeof(options) === "function") {
+            callback = options;
+            options = undefined;
+        }
+        return this.enqueue("print", options || {}, (done) => {
+            if (!this.config) {
+                debug("print failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            text = this.encode(String(text));
+            var delta = ((this.entryMode & LCDEntryModeFlags.ENTRYLEFT) ? 1 : -1);
+            var cells = [];
+            var address = this.cursorAddress;
+            for (var i = 0; i < text.length; ++i) {
+                cells.push(this.cellAt(address));
+                address = this.nextAddress(address, delta);
+            }
+            var resolved;
+            try {
+                resolved = this.glyphs.resolve(text, this.visibleSlots((r, c) => cells.some((cell) => cell && (cell.row === r) && (cell.col === c))));
+            } catch (err) {
+                debug("print failed: %s", err.message);
+                done(err);
+                return;
+            }
+            debug("Printing '%s' at address 0x%s", resolved.text, this.cursorAddress.toString(16));
+            async.series([
+                (next) => {
+                    this.loadGlyphs(resolved.loads, next);
+                },
+                // The text goes to the controller showing the cursor only
+                (next) => { this.selectController(this.cursorController); next(null); },
+                (next) => { this.writeByte(LCDCommand.SETDDRAMADDR | this.cursorAddress, LCD_RS_CMD, 1, 0, next); },
+                (next) => {
+                    async.timesSeries(text.length, (i, cb) => {
+                        var cell = cells[i];
+                        if (cell) {
+                            this.screen[cell.row][cell.col] = resolved.text.charCodeAt(i);
+                            this.framebuffer.writeRaw(text.charAt(i), cell.row, cell.col);
+                        }
+                        this.cursorAddress = this.nextAddress(this.cursorAddress, delta);
+                        if (this.entryMode & LCDEntryModeFlags.ENTRYSHIFTINCREMENT) {
+                            this.displayShift += delta;
+                        }
+                        this.writeByte(resolved.text.charCodeAt(i), LCD_RS_DATA, 1, 0, cb);
+                    }, next);
+                }
+            ], (err) => {
+                this.selectController();
+                done(err);
+            });
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ setDisplay
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Turns the display on or off (the content of the display is preserved),
+     * then call 'callback(null)' or 'callback(error)' if an error occurred.
+     */
+    setDisplay(on, callback) {
+        return this.updateDisplayControl("setDisplay", LCDControlFlags.DISPLAYON, on, callback);
+    }
+
+    // }}}
+
+    /* {{{ showCursor
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Shows or hides the underline cursor, then call 'callback(null)' or 
+     * 'callback(error)' if an error occurred.
+     */
+    showCursor(visible, callback) {
+        return this.updateDisplayControl("showCursor", LCDControlFlags.CURSORON, visible, callback);
+    }
+
+    // }}}
+
+    /* {{{ blinkCursor
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Enables or disables the blinking block cursor, then call 
+     * 'callback(null)' or 'callback(error)' if an error occurred.
+     */
+    blinkCursor(blink, callback) {
+        return this.updateDisplayControl("blinkCursor", LCDControlFlags.BLINKON, blink, callback);
+    }
+
+    // }}}
+
+    /* {{{ updateDisplayControl
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Sets (if 'value' is true) or clears the DISPLAYCONTROL 'flag', keeping
+     * the other flags unchanged.
+     */
+    updateDisplayControl(name, flag, value, callback) {
+        return this.enqueue(name, {}, (done) => {
+            if (!this.config) {
+                debug("%s failed: LCD not initialized", name);
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            var displayControl = (value ? (this.displayControl | flag) : (this.displayControl & ~flag));
+            this.applyDisplayControl(displayControl, (err) => {
+                if (!err) {
+                    this.displayControl = displayControl;
+                }
+                done(err);
+            });
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ setCursorPosition
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Moves the cursor to column 'col' of row 'row' (zero-based), then call 
+     * 'callback(null)' or 'callback(error)' if an error occurred.
+     */
+    setCursorPosition(col, row, callback) {
+        return this.enqueue("setCursorPosition", {}, (done) => {
+            if (!this.config) {
+                debug("setCursorPosition failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            if (!Number.isInteger(col) || (col < 0) || (col >= this.config.cols) ||
+                !Number.isInteger(row) || (row < 0) || (row >= this.config.rows)) {
+                debug("setCursorPosition failed: invalid position (%s, %s)", col, row);
+                done(new Error("Invalid parameter"));
+                return;
+            }
+            var position = this.addressOf(row, col);
+            this.cursorAddress = position.address;
+            async.series([
+                (next) => { this.writeByte(LCDCommand.SETDDRAMADDR | this.cursorAddress, LCD_RS_CMD, 1, 0, next); },
+                (next) => { this.moveCursorTo(position.controller, next); }
+            ], done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ home
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Moves the cursor to the top-left corner and restores the original
+     * position of the display if it was shifted, then call 'callback(null)' 
+     * or 'callback(error)' if an error occurred.
+     */
+    home(callback) {
+        return this.enqueue("home", {}, (done) => {
+            if (!this.config) {
+                debug("home failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            this.cursorAddress = 0;
+            this.displayShift = 0;
+            async.series([
+                (next) => { this.writeByte(LCDCommand.HOME, LCD_RS_CMD, 1, 0, next); },
+                (next) => { this.waitClear(next); },
+                (next) => { this.moveCursorTo(0, next); }
+            ], done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ shiftDisplay
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Shifts the content of all the rows by one position in 'direction' 
+     * ('left' or 'right') without changing the DDRAM, then call 
+     * 'callback(null)' or 'callback(error)' if an error occurred.
+     */
+    shiftDisplay(direction, callback) {
+        return this.cursorShift("shiftDisplay", LCDMoveFlags.DISPLAYMOVE, direction, callback);
+    }
+
+    // }}}
+
+    /* {{{ shiftCursor
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Moves the cursor by one position in 'direction' ('left' or 'right'), 
+     * then call 'callback(null)' or 'callback(error)' if an error occurred.
+     */
+    shiftCursor(direction, callback) {
+        return this.cursorShift("shiftCursor", LCDMoveFlags.CURSORMOVE, direction, callback);
+    }
+
+    // }}}
+
+    /* {{{ cursorShift
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Sends the CURSORSHIFT command for the display or the cursor ('move')
+     */
+    cursorShift(name, move, direction, callback) {
+        return this.enqueue(name, {}, (done) => {
+            if (!this.config) {
+                debug("%s failed: LCD not initialized", name);
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            if ((direction !== 'left') && (direction !== 'right')) {
+                debug("%s failed: invalid direction '%s'", name, direction);
+                done(new Error("Invalid parameter"));
+                return;
+            }
+            var delta = (direction === 'right' ? 1 : -1);
+            if (move === LCDMoveFlags.DISPLAYMOVE) {
+                this.displayShift -= delta;
+            } else {
+                this.cursorAddress = this.nextAddress(this.cursorAddress, delta);
+            }
+            this.writeByte(LCDCommand.CURSORSHIFT | move | 
+                           (delta > 0 ? LCDMoveFlags.MOVERIGHT : LCDMoveFlags.MOVELEFT), LCD_RS_CMD, 1, 0, done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ setTextDirection
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Sets the direction of the text written by print(): 'ltr' (left to 
+     * right, default) or 'rtl' (right to left), then call 'callback(null)' or
+     * 'callback(error)' if an error occurred.
+     * printLine() and flush() always write left to right.
+     */
+    setTextDirection(direction, callback) {
+        if ((direction !== 'ltr') && (direction !== 'rtl')) {
+            return promiseOrCallback(callback, (callback) => {
+                debug("setTextDirection failed: invalid direction '%s'", direction);
+                process.nextTick(callback, new Error("Invalid parameter"));
+            });
+        }
+        return this.updateEntryMode("setTextDirection", LCDEntryModeFlags.ENTRYLEFT, (direction === 'ltr'), callback);
+    }
+
+    // }}}
+
+    /* {{{ setAutoscroll
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Enables or disables the autoscroll mode: when enabled, the display is
+     * shifted at each character written by print() so the cursor stays at 
+     * the same position on screen. Then call 'callback(null)' or 
+     * 'callback(error)' if an error occurred.
+     */
+    setAutoscroll(enabled, callback) {
+        return this.updateEntryMode("setAutoscroll", LCDEntryModeFlags.ENTRYSHIFTINCREMENT, enabled, callback);
+    }
+
+    // }}}
+
+    /* {{{ updateEntryMode
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Sets (if 'value' is true) or clears the ENTRYMODESET 'flag', keeping
+     * the other flags unchanged.
+     */
+    updateEntryMode(name, flag, value, callback) {
+        return this.enqueue(name, {}, (done) => {
+            if (!this.config) {
+                debug("%s failed: LCD not initialized", name);
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            var entryMode = (value ? (this.entryMode | flag) : (this.entryMode & ~flag));
+            this.writeByte(LCDCommand.ENTRYMODESET | entryMode, LCD_RS_CMD, 1, 0, (err) => {
+                if (!err) {
+                    this.entryMode = entryMode;
+                }
+                done(err);
+            });
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ getDisplayState
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns an object describing the current state of the display:
+     *  'display'       : true if the display is on
+     *  'cursor'        : true if the underline cursor is visible
+     *  'blink'         : true if the blinking cursor is enabled
+     *  'textDirection' : 'ltr' or 'rtl'
+     *  'autoscroll'    : true if the autoscroll mode is enabled
+     *  'cursorPosition': { col, row } of the cursor, or null if the cursor is
+     *                    outside the visible area
+     *  'displayShift'  : number of positions the display is shifted left
+     */
+    getDisplayState() {
+        return {
+            display: !!(this.displayControl & LCDControlFlags.DISPLAYON),
+            cursor: !!(this.displayControl & LCDControlFlags.CURSORON),
+            blink: !!(this.displayControl & LCDControlFlags.BLINKON),
+            textDirection: ((this.entryMode & LCDEntryModeFlags.ENTRYLEFT) ? 'ltr' : 'rtl'),
+            autoscroll: !!(this.entryMode & LCDEntryModeFlags.ENTRYSHIFTINCREMENT),
+            cursorPosition: (this.config ? this.cellAt(this.cursorAddress) : null),
+            displayShift: this.displayShift
+        };
+    }
+
+    // }}}
+
+    /* {{{ setBacklight
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Turns the backlight on or off, then call 'callback(null)' or 
+     * 'callback(error)' if an error occurred.
+     */
+    setBacklight(on, callback) {
+        return this.enqueue("setBacklight", {}, (done) => {
+            if (!this.config) {
+                debug("setBacklight failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            this.backlight.on = !!on;
+            this.applyBacklight(done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ setBrightness
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Sets the brightness of the backlight to 'level' (between 0 and 1), 
+     * then call 'callback(null)' or 'callback(error)' if an error occurred.
+     * The brightness is applied when the backlight is on.
+     */
+    setBrightness(level, callback) {
+        return this.enqueue("setBrightness", {}, (done) => {
+            if (!this.config) {
+                debug("setBrightness failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            if ((typeof(level) !== "number") || !(level >= 0) || !(level <= 1)) {
+                debug("setBrightness failed: invalid level %s", level);
+                done(new Error("Invalid parameter"));
+                return;
+            }
+            this.backlight.brightness = level;
+            this.applyBacklight(done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ setIdleTimeout
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Dims the backlight to 'idleBrightness' (optional, default=0: off) after
+     * 'seconds' without updates (0 disables the timeout), then call 
+     * 'callback(null)' or 'callback(error)' if an error occurred.
+     * Overrides the 'idle_timeout' and 'idle_brightness' properties of the
+     * configuration.
+     */
+    setIdleTimeout(seconds, idleBrightness, callback) {
+        if (typeof(idleBrightness) === "function") {
+            callback = idleBrightness;
+            idleBrightness = undefined;
+        }
+        return this.enqueue("setIdleTimeout", {}, (done) => {
+            if (!this.config) {
+                debug("setIdleTimeout failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            idleBrightness = idleBrightness || 0;
+            if ((typeof(seconds) !== "number") || !(seconds >= 0) ||
+                (typeof(idleBrightness) !== "number") || !(idleBrightness >= 0) || !(idleBrightness <= 1)) {
+                debug("setIdleTimeout failed: invalid parameters");
+                done(new Error("Invalid parameter"));
+                return;
+            }
+            this.config.idle_timeout = seconds;
+            this.config.idle_brightness = idleBrightness;
+            done(null);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ getBacklight
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns an object describing the state of the backlight:
+     *  'on'        : true if the backlight is on
+     *  'brightness': brightness when not idle (0-1)
+     *  'idle'      : true if the backlight is dimmed by the idle timeout
+     */
+    getBacklight() {
+        return {
+            on: this.backlight.on,
+            brightness: this.backlight.brightness,
+            idle: this.backlight.idle
+        };
+    }
+
+    // }}}
+
+    /* {{{ recover
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Resets the controller and redraws the screen (i.e. if the display 
+     * shows garbage after a power dip), then emits the 'recovered' event and
+     * call 'callback(null)', or 'callback(error)' if an error occurred.
+     * Set the 'watchdog_interval' property of the configuration to do it 
+     * periodically.
+     */
+    recover(callback) {
+        return this.enqueue("recover", {}, (done) => {
+            if (!this.config) {
+                debug("recover failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            this.restoreDisplay((err) => {
+                if (!err) {
+                    this.emit('recovered', { reason: 'manual' });
+                }
+                done(err);
+            });
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ startMarquee
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Scrolls 'text' horizontally in row 'row', leaving the other rows 
+     * untouched, and returns the Marquee object (see lib/marquee.js) that 
+     * controls the animation:
+     *
+     *    var m = lcd.startMarquee(1, song.title, { speed: 3, mode: 'bounce' });
+     *    ...
+     *    m.update(nextSong.title);
+     *    ...
+     *    m.stop();
+     *
+     * The marquee already scrolling in the same row (if any) is stopped. 
+     * All the marquees are stopped by finalize(). Call stopMarquee(row) 
+     * before printing something else in the row, or the next frame will
+     * overwrite it.
+     *
+     * Throws an error if the LCD is not initialized or the parameters are 
+     * invalid.
+     */
+    startMarquee(row, text, options) {
+        if (!this.config || this.finalizing) {
+            throw new Error("LCD not initialized");
+        }
+        if (!Number.isInteger(row) || (row < 0) || (row >= this.config.rows)) {
+            throw new Error("Invalid row: " + row);
+        }
+        var marquee = new Marquee(this, row, text, options);
+        this.stopMarquee(row);
+        this.marquees[row] = marquee;
+        marquee.start();
+        return marquee;
+    }
+
+    // }}}
+
+    /* {{{ stopMarquee
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Stops the marquee scrolling in row 'row', or all the marquees if 'row'
+     * is undefined. The current frame stays on the display.
+     */
+    stopMarquee(row) {
+        for (var r in this.marquees) {
+            if ((row === undefined) || (Number(r) === row)) {
+                this.marquees[r].stop();
+                delete this.marquees[r];
+            }
+        }
+    }
+
+    // }}}
+
+    /* {{{ createProgressBar / createBarGraph / createBigDigits
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Return a widget (see lib/widgets.js) drawn in the region of the screen
+     * described by 'options' ('row', 'col', 'width' and, for the bar graphs
+     * and big digits, 'height'):
+     *
+     *    var bar = lcd.createProgressBar({ row: 1, max: 100 });
+     *    await bar.setValue(42);
+     *    var clock = lcd.createBigDigits({ row: 0, col: 1, height: 2 });
+     *    await clock.setText("12:34");
+     *
+     * The widgets share the custom characters they need, so several of them
+     * can be displayed at the same time.
+     *
+     * Throw an error if the LCD is not initialized or the options are 
+     * invalid.
+     */
+    createProgressBar(options) {
+        return this.createWidget(Widgets.ProgressBar, options);
+    }
+
+    createBarGraph(options) {
+        return this.createWidget(Widgets.BarGraph, options);
+    }
+
+    createBigDigits(options) {
+        return this.createWidget(Widgets.BigDigits, options);
+    }
+
+    createWidget(WidgetClass, options) {
+        if (!this.config || this.finalizing) {
+            throw new Error("LCD not initialized");
+        }
+        return new WidgetClass(this, options);
+    }
+
+    // }}}
+
+    /* {{{ createScreenManager
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns a screen manager (see lib/screens.js) that rotates the pages 
+     * of a dashboard and displays the overlays on top of them:
+     *
+     *    var screens = lcd.createScreenManager({ dwell: 10000 });
+     *    screens.addPage("clock", { refresh: 1000, render: () => [
+     *        new Date().toLocaleTimeString(), new Date().toLocaleDateString() ] });
+     *    screens.addPage("network", { render: () => "IP address:\n" + getAddress() });
+     *    screens.start();
+     *    ...
+     *    screens.showOverlay("Door open!", { priority: 1, duration: 5000 });
+     *
+     * The screen manager created before (if any) is stopped, and so is this
+     * one by finalize(). 'options' (optional) is described in 
+     * lib/screens.js.
+     *
+     * Throws an error if the LCD is not initialized or the options are 
+     * invalid.
+     */
+    createScreenManager(options) {
+        if (!this.config || this.finalizing) {
+            throw new Error("LCD not initialized");
+        }
+        var screens = new ScreenManager(this, options);
+        if (this.screens) {
+            this.screens.stop();
+        }
+        this.screens = screens;
+        return screens;
+    }
+
+    // }}}
+
+    /* {{{ createTerminal
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns a Writable stream that prints the text written to it like a 
+     * small terminal, scrolling the rows up when the bottom is reached (see 
+     * lib/terminal.js for the control characters and ANSI sequences 
+     * supported):
+     *
+     *    var child = child_process.spawn("ping", [ "-c", "3", "1.1.1.1" ]);
+     *    child.stdout.pipe(lcd.createTerminal());
+     *
+     * 'options' (optional) is described in lib/terminal.js.
+     * Throws an error if the LCD is not initialized.
+     */
+    createTerminal(options) {
+        if (!this.config || this.finalizing) {
+            throw new Error("LCD not initialized");
+        }
+        return new Terminal(this, options);
+    }
+
+    // }}}
+
+    /* {{{ injectKey
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Emits the 'key' event for a press of 'key' ('up', 'down', 'left', 
+     * 'right', 'enter' or 'back'), as if it came from the buttons: a long 
+     * press if 'long' is true. The event object has the properties 'key' and
+     * 'long'.
+     * Useful to test the menus, or to drive them from another input device
+     * (i.e. a rotary encoder or a remote control).
+     *
+     * Throws an error if 'key' is invalid.
+     */
+    injectKey(key, long) {
+        if (KEYS.indexOf(key) == -1) {
+            throw new Error("Invalid key: '" + key + "'");
+        }
+        this.emit('key', { key: key, long: !!long });
+    }
+
+    // }}}
+
+    /* {{{ openMenu
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Displays the menu 'root' on the whole screen and navigates it with the
+     * keys (see injectKey()). Returns the Menu object (see lib/menu.js):
+     *
+     *    var menu = lcd.openMenu({ title: "Settings", items: [
+     *        { label: "Brightness", value: 80, min: 0, max: 100, step: 10,
+     *          onChange: (value) => { lcd.setBrightness(value / 100); } },
+     *        { label: "Network", items: [ ... ] },
+     *        { label: "Exit", action: () => { menu.close(); } }
+     *    ]});
+     *    menu.on('close', () => { showStatus(); });
+     *
+     * The menu already open (if any) is closed. finalize() closes the menu.
+     * 'options' (optional) is described in lib/menu.js.
+     *
+     * Throws an error if the LCD is not initialized or the menu is invalid.
+     */
+    openMenu(root, options) {
+        if (!this.config || this.finalizing) {
+            throw new Error("LCD not initialized");
+        }
+        var menu = new Menu(this, root, options);
+        this.closeMenu();
+        this.menu = menu;
+        menu.on('close', () => {
+            if (this.menu === menu) {
+                this.menu = null;
+            }
+        });
+        menu.start();
+        return menu;
+    }
+
+    // }}}
+
+    /* {{{ closeMenu
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Closes the menu opened by openMenu() (if any). The menu stays on the 
+     * display.
+     */
+    closeMenu() {
+        if (this.menu) {
+            this.menu.close();
+        }
+    }
+
+    // }}}
+
+    /* {{{ getFramebuffer
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns the framebuffer (see lib/framebuffer.js), or undefined if the 
+     * LCD is not initialized. Write the text in the framebuffer, then call 
+     * flush() to update the LCD:
+     *
+     *    var fb = lcd.getFramebuffer();
+     *    fb.write(tNow.toLocaleTimeString(), 0);
+     *    fb.write(tNow.toLocaleDateString(), 1);
+     *    await lcd.flush();
+     *
+     * The framebuffer can also be read back (getChar(), getLine() and 
+     * getText()) to know what is (or is going to be) displayed: the text is
+     * converted back from the character ROM (see lib/charset.js), use 
+     * getRawLine() and getRawText() to get the characters as sent to the LCD.
+     */
+    getFramebuffer() {
+        return this.framebuffer;
+    }
+
+    // }}}
+
+    /* {{{ flush
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Sends the content of the framebuffer to the LCD, then call 
+     * 'callback(null)' or 'callback(error)' if an error occurred.
+     * Only the cells that differ from what is currently displayed are 
+     * written: each run of adjacent changed cells is written after a single 
+     * SETDDRAMADDR command.
+     * 'options' (optional) is described in the NOTE above.
+     */
+    flush(options, callback) {
+        if (typeof(options) === "function") {
+            callback = options;
+            options = undefined;
+        }
+        return this.enqueue("flush", options || {}, (done) => {
+            if (!this.config) {
+                debug("flush failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            this.writeFramebuffer(done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ writeFramebuffer
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Internal method
+     *
+     * Writes the cells of the framebuffer that differ from the screen (see 
+     * flush()). Must be executed from the command queue.
+     */
+    writeFramebuffer(callback) {
+        var text = this.framebuffer.getRawText().join("");
+        var resolved;
+        try {
+            // The whole screen is going to be overwritten: only the slots
+            // referenced directly by their character code must be kept
+            var visible = {};
+            for (var i = 0; i < text.length; ++i) {
+                var slot = this.glyphs.slotOf(text.charCodeAt(i));
+                if (slot != -1) {
+                    visible[slot] = true;
+                }
+            }
+            resolved = this.glyphs.resolve(text, visible);
+        } catch (err) {
+            debug("flush failed: %s", err.message);
+            callback(err);
+            return;
+        }
+
+        // Find the runs of changed cells
+        var runs = [];
+        for (var row = 0; row < this.config.rows; ++row) {
+            var run = null;
+            for (var col = 0; col < this.config.cols; ++col) {
+                var code = resolved.text.charCodeAt(row * this.config.cols + col);
+                if (code === this.screen[row][col]) {
+                    run = null;
+                    continue;
+                }
+                if (!run) {
+                    run = { row: row, col: col, codes: [] };
+                    runs.push(run);
+                }
+                run.codes.push(code);
+            }
+        }
+        debug("Flushing framebuffer: %d run(s) of changed cells", runs.length);
+        async.series([
+            (next) => {
+                this.loadGlyphs(resolved.loads, next);
+            },
+            (next) => {
+                if (!runs.length) {
+                    next(null);
+                    return;
+                }
+                this.withDefaultEntryMode((cbRuns) => {
+                    async.eachSeries(runs, (run, cb) => { this.writeCells(run.row, run.col, run.codes, cb); }, cbRuns);
+                }, next);
+            }
+        ], callback);
+    }
+
+    // }}}
+
+    /* {{{ getScreen
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns an array with the content of each row as currently displayed
+     * (the custom characters are returned as their character code), or 
+     * undefined if the LCD is not initialized.
+     */
+    getScreen() {
+        if (!this.screen) {
+            return undefined;
+        }
+        return this.screen.map((codes) => String.fromCharCode.apply(null, codes));
+    }
+
+    // }}}
+
+    /* {{{ registerGlyph
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Registers (or redefines) the custom character 'name' and returns the 
+     * placeholder character to use in the text passed to printLine():
+     *
+     *    var heart = lcd.registerGlyph("heart", `
+     *        .....
+     *        .#.#.
+     *        #####
+     *        #####
+     *        .###.
+     *        ..#..`);
+     *    lcd.printLine("I " + heart + " JS", 0);
+     *
+     * 'glyph' is either an array of pixel rows (numbers or strings) or a 
+     * string (see lib/glyphs.js for the syntax).
+     * Any number of glyphs can be registered: they are loaded in the 8 CGRAM
+     * slots (4 with the 5x10 font) when printed, replacing the glyphs that 
+     * are not on screen anymore. printLine() fails if the text requires more
+     * slots than available without redefining a character still on screen.
+     *
+     * Throws an error if the glyph definition is invalid.
+     */
+    registerGlyph(name, glyph) {
+        return this.glyphs.register(name, glyph);
+    }
+
+    // }}}
+
+    /* {{{ getGlyph
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Returns the placeholder character of the custom character 'name', or 
+     * undefined if not registered
+     */
+    getGlyph(name) {
+        return this.glyphs.placeholder(name);
+    }
+
+    // }}}
+
+    /* {{{ defineGlyph
+     * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+     * Public
+     *
+     * Loads 'glyph' directly in CGRAM 'slot' (0-7, or 0-3 with the 5x10 font),
+     * then call 'callback(null)' or 'callback(error)' if an error occurred.
+     * The glyph is displayed by the character code of the slot (the slot 
+     * itself, or slot*2 with the 5x10 font), i.e. "\x03" for slot 3.
+     * The slot is not used for the named glyphs until the LCD is 
+     * re-initialized.
+     */
+    defineGlyph(slot, glyph, callback) {
+        return this.enqueue("defineGlyph", {}, (done) => {
+            if (!this.config) {
+                debug("defineGlyph failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            var rows;
+            try {
+                if (!Number.isInteger(slot) || (slot < 0) || (slot >= this.glyphs.slotCount())) {
+                    throw new Error("Invalid CGRAM slot: " + slot);
+                }
+                rows = this.glyphs.rowsFor(parseGlyph(glyph));
+            } catch (err) {
+                debug("defineGlyph failed: %s", err.message);
+                done(err);
+                return;
+            }
+            this.glyphs.define(slot, rows);
+            async.series([
+                (next) => { this.writeGlyph(slot, rows, next); },
+                // Restore the position of the cursor
+                (next) => { this.writeByte(LCDCommand.SETDDRAMADDR | this.cursorAddress, LCD_RS_CMD, 1, 0, next); }
+            ], done);
+        }, callback);
+    }
+
+    // }}}
+}
+
+/*******************************************************************************
+ * CONFIGURATION FILES
+ ******************************************************************************/
+/* {{{ loadConfig
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Public
+ *
+ * Reads the configuration from the JSON file 'path' (an object with the 
+ * properties of initialize()), then call 'callback(null, config)' or 
+ * 'callback(error)' if the file cannot be read or the configuration is 
+ * invalid. Returns a Promise resolved with the configuration if the 
+ * callback is not provided:
+ *
+ *    var config = await lcd.loadConfig("/etc/hd44780.json");
+ *    await lcd.initialize(config);
+ */
+function loadConfig(path, callback) {
+    var load = (callback) => {
+        Config.readConfigFile(path, (err, config) => {
+            if (err) {
+                debug("loadConfig failed: %s", err.message);
+                callback(err);
+                return;
+            }
+            try {
+                Config.resolveConfig(config, DEFAULT_CONFIG);
+            } catch (err) {
+                debug("loadConfig failed: %s", err.message);
+                callback(new Error(err.message + " (" + path + ")"));
+                return;
+            }
+            callback(null, config);
+        });
+    };
+    if (callback) {
+        load(callback);
+        return undefined;
+    }
+    return new Promise((resolve, reject) => {
+        load((err, config) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(config);
+            }
+        });
+    });
+}
+
+// }}}
+
+/*******************************************************************************
+ * DEFAULT INSTANCE
+ ******************************************************************************/
+/* The functions exported by the module operate on a default LCD instance, so
+ * applications driving a single display can keep using them directly:
+ *
+ *    lcd.initialize(config, callback);     // same as theDefaultLCD.initialize()
+ *
+ * To drive more displays, create a new LCD object for each of them:
+ *
+ *    var lcd2 = new lcd.LCD();
+ *    lcd2.initialize(config2, callback);
+ */
+var theDefaultLCD = new LCD();
+
+function initialize(config, callback) {
+    return theDefaultLCD.initialize(config, callback);
+}
+
+function finalize(clear, callback) {
+    return theDefaultLCD.finalize(clear, callback);
+}
+
+function getConfig() {
+    return theDefaultLCD.getConfig();
+}
+
+function getQueueDepth() {
+    return theDefaultLCD.getQueueDepth();
+}
+
+function cancelLine(line) {
+    return theDefaultLCD.cancelLine(line);
+}
+
+function clearScreen(options, callback) {
+    return theDefaultLCD.clearScreen(options, callback);
+}
+
+function printBlock(text, options, callback) {
+    return theDefaultLCD.printBlock(text, options, callback);
+}
+
+function startMarquee(row, text, options) {
+    return theDefaultLCD.startMarquee(row, text, options);
+}
+
+function stopMarquee(row) {
+    return theDefaultLCD.stopMarquee(row);
+}
+
+function createProgressBar(options) {
+    return theDefaultLCD.createProgressBar(options);
+}
+
+function createBarGraph(options) {
+    return theDefaultLCD.createBarGraph(options);
+}
+
+function createBigDigits(options) {
+    return theDefaultLCD.createBigDigits(options);
+}
+
+function createScreenManager(options) {
+    return theDefaultLCD.createScreenManager(options);
+}
+
+function createTerminal(options) {
+    return theDefaultLCD.createTerminal(options);
+}
+
+function injectKey(key, long) {
+    return theDefaultLCD.injectKey(key, long);
+}
+
+function openMenu(root, options) {
+    return theDefaultLCD.openMenu(root, options);
+}
+
+function closeMenu() {
+    return theDefaultLCD.closeMenu();
+}
+
+function printLine(message, line, options, callback) {
+    return theDefaultLCD.printLine(message, line, options, callback);
+}
+
+function registerGlyph(name, glyph) {
+    return theDefaultLCD.registerGlyph(name, glyph);
+}
+
+function getGlyph(name) {
+    return theDefaultLCD.getGlyph(name);
+}
+
+function defineGlyph(slot, glyph, callback) {
+    return theDefaultLCD.defineGlyph(slot, glyph, callback);
+}
+
+function getFramebuffer() {
+    return theDefaultLCD.getFramebuffer();
+}
+
+function flush(options, callback) {
+    return theDefaultLCD.flush(options, callback);
+}
+
+function getScreen() {
+    return theDefaultLCD.getScreen();
+}
+
+function print(text, options, callback) {
+    return theDefaultLCD.print(text, options, callback);
+}
+
+function setDisplay(on, callback) {
+    return theDefaultLCD.setDisplay(on, callback);
+}
+
+function showCursor(visible, callback) {
+    return theDefaultLCD.showCursor(visible, callback);
+}
+
+function blinkCursor(blink, callback) {
+    return theDefaultLCD.blinkCursor(blink, callback);
+}
+
+function setCursorPosition(col, row, callback) {
+    return theDefaultLCD.setCursorPosition(col, row, callback);
+}
+
+function home(callback) {
+    return theDefaultLCD.home(callback);
+}
+
+function shiftDisplay(direction, callback) {
+    return theDefaultLCD.shiftDisplay(direction, callback);
+}
+
+function shiftCursor(direction, callback) {
+    return theDefaultLCD.shiftCursor(direction, callback);
+}
+
+function setTextDirection(direction, callback) {
+    return theDefaultLCD.setTextDirection(direction, callback);
+}
+
+function setAutoscroll(enabled, callback) {
+    return theDefaultLCD.setAutoscroll(enabled, callback);
+}
+
+function getDisplayState() {
+    return theDefaultLCD.getDisplayState();
+}
+
+function setBacklight(on, callback) {
+    return theDefaultLCD.setBacklight(on, callback);
+}
+
+function setBrightness(level, callback) {
+    return theDefaultLCD.setBrightness(level, callback);
+}
+
+function setIdleTimeout(seconds, idleBrightness, callback) {
+    return theDefaultLCD.setIdleTimeout(seconds, idleBrightness, callback);
+}
+
+function getBacklight() {
+    return theDefaultLCD.getBacklight();
+}
+
+function recover(callback) {
+    return theDefaultLCD.recover(callback);
+}
+
+function on(event, listener) {
+    theDefaultLCD.on(event, listener);
+    return exports;
+}
+
+function once(event, listener) {
+    theDefaultLCD.once(event, listener);
+    return exports;
+}
+
+function removeListener(event, listener) {
+    theDefaultLCD.removeListener(event, listener);
+    return exports;
+}
+
+// Exported functions
+exports.initialize  = initialize;
+exports.finalize    = finalize;
+exports.loadConfig  = loadConfig;
+exports.getConfig   = getConfig;
+exports.getQueueDepth = getQueueDepth;
+exports.cancelLine  = cancelLine;
+
+exports.clearScreen = clearScreen;
+exports.printLine   = printLine;
+exports.printBlock  = printBlock;
+exports.startMarquee = startMarquee;
+exports.stopMarquee = stopMarquee;
+exports.createProgressBar = createProgressBar;
+exports.createBarGraph = createBarGraph;
+exports.createBigDigits = createBigDigits;
+exports.createScreenManager = createScreenManager;
+exports.createTerminal = createTerminal;
+exports.injectKey   = injectKey;
+exports.openMenu    = openMenu;
+exports.closeMenu   = closeMenu;
+
+exports.print       = print;
+exports.setDisplay  = setDisplay;
+exports.showCursor  = showCursor;
+exports.blinkCursor = blinkCursor;
+exports.setCursorPosition = setCursorPosition;
+exports.home        = home;
+exports.shiftDisplay = shiftDisplay;
+exports.shiftCursor = shiftCursor;
+exports.setTextDirection = setTextDirection;
+exports.setAutoscroll = setAutoscroll;
+exports.getDisplayState = getDisplayState;
+
+exports.setBacklight = setBacklight;
+exports.setBrightness = setBrightness;
+exports.setIdleTimeout = setIdleTimeout;
+exports.getBacklight = getBacklight;
+
+exports.recover     = recover;
+exports.on          = on;
+exports.once        = once;
+exports.removeListener = removeListener;
+
+exports.getFramebuffer = getFramebuffer;
+exports.flush       = flush;
+exports.getScreen   = getScreen;
+
+exports.registerGlyph = registerGlyph;
+exports.getGlyph    = getGlyph;
+exports.defineGlyph = defineGlyph;
+
+exports.rawChar = Charset.rawChar;
+
+exports.LCD = LCD;
+exports.Priority = Priority;
+exports.EmulatorTransport = EmulatorTransport;
+exports.DualEmulatorTransport = EmulatorTransport.DualEmulatorTransport;
+exports.PCF8574Transport  = PCF8574Transport;
+exports.PCF8574Emulator   = PCF8574Transport.PCF8574Emulator;
+exports.MCP23017Transport = MCP23017Transport;
+exports.MCP23017Emulator  = MCP23017Transport.MCP23017Emulator;
+exports.PRESETS = Config.PRESETS;
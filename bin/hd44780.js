@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+ * hd44780: drives the display from the shell scripts and the cron jobs.
+ *
+ *    hd44780 print --row 1 "Backup done"
+ *    hd44780 --config /etc/hd44780.json daemon --socket /tmp/hd44780.sock
+ *
+ * The commands are executed by the daemon if one is running (see
+ * lib/daemon.js), otherwise the display is driven directly: it is
+ * initialized (so the screen is cleared) before each command.
+ */
+
+var fs = require('fs');
+var lcd = require('../async-hd44780.js');
+var Daemon = require('../lib/daemon').Daemon;
+var runCommand = require('../lib/daemon').runCommand;
+var sendRequest = require('../lib/daemon').sendRequest;
+var DEFAULT_SOCKET = require('../lib/daemon').DEFAULT_SOCKET;
+
+const USAGE = `Usage: hd44780 [options] <command> [arguments]
+
+Commands:
+  init                       initialize the display (the screen is cleared)
+  print [--row N] [--align left|center|right] [text...]
+                             print the text (read from the standard input if
+                             missing) on row N, or across the rows
+  clear                      clear the screen
+  backlight on|off|LEVEL     turn the backlight on or off, or set its
+                             brightness (0-1)
+  status                     print the state of the display (JSON)
+  daemon                     drive the display and execute the commands
+                             received on the socket and/or the HTTP port
+
+Options:
+  --config FILE              JSON file with the configuration of the display
+                             (see initialize())
+  --NAME VALUE               configuration property NAME, overrides the file
+                             (i.e. --pin_rs 27 --cols 20 --rows 4)
+  --socket PATH              Unix socket of the daemon
+                             (default=${DEFAULT_SOCKET})
+  --http PORT                HTTP port of the daemon (on 127.0.0.1)
+  --emulator                 drive an emulated display instead of the GPIO
+  -h, --help                 print this help
+
+The configuration is used by 'daemon' and when no daemon is running. The
+other commands are sent to the daemon listening on --socket or --http, or on
+the default socket if it exists.
+`;
+
+// Options that are not configuration properties, and their arguments
+const OPTIONS = {
+    config: true,
+    socket: true,
+    http: true,
+    row: true,
+    align: true,
+    emulator: false,
+    help: false
+};
+const COMMANDS = ['init', 'print', 'clear', 'backlight', 'status', 'daemon'];
+
+/* {{{ fail
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Prints 'message' and exits with 'status' (default=1)
+ */
+function fail(message, status) {
+    console.error("hd44780: " + message);
+    process.exit(status || 1);
+}
+
+// }}}
+
+/* {{{ parseValue
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the value of a configuration property given on the command line:
+ * JSON (numbers, booleans, null, arrays...), hexadecimal numbers (i.e. the
+ * I2C address 0x27) or else a string
+ */
+function parseValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        var value = Number(text);
+        return ((text.trim().length && !Number.isNaN(value)) ? value : text);
+    }
+}
+
+// }}}
+
+/* {{{ parseArgs
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns { command, args, options, config } from the command line 'argv'.
+ * The options can be written '--name value' or '--name=value', the dashes
+ * in the configuration properties are read as underscores (--pin-rs is
+ * --pin_rs).
+ */
+function parseArgs(argv) {
+    var parsed = { command: undefined, args: [], options: {}, config: {} };
+    for (var i = 0; i < argv.length; ++i) {
+        var arg = argv[i];
+        if ((arg === "-h") || (arg === "--help")) {
+            parsed.options.help = true;
+            continue;
+        }
+        if (arg === "--") {
+            parsed.args = parsed.args.concat(argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith("--")) {
+            if (parsed.command === undefined) {
+                parsed.command = arg;
+            } else {
+                parsed.args.push(arg);
+            }
+            continue;
+        }
+        var name = arg.substr(2);
+        var value = undefined;
+        var equal = name.indexOf("=");
+        if (equal >= 0) {
+            value = name.substr(equal + 1);
+            name = name.substr(0, equal);
+        }
+        name = name.replace(/-/g, "_");
+        var takesValue = (OPTIONS.hasOwnProperty(name) ? OPTIONS[name] : true);
+        if (takesValue && (value === undefined)) {
+            if (i + 1 >= argv.length) {
+                fail("missing value of --" + name, 2);
+            }
+            value = argv[++i];
+        } else if (!takesValue && (value !== undefined)) {
+            fail("--" + name + " takes no value", 2);
+        }
+        if (OPTIONS.hasOwnProperty(name)) {
+            parsed.options[name] = (takesValue ? value : true);
+        } else {
+            parsed.config[name] = parseValue(value);
+        }
+    }
+    return parsed;
+}
+
+// }}}
+
+/* {{{ loadConfig
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Reads the configuration of the display, then call 'callback(config)': the
+ * file given with --config (if any) overridden by the properties of the 
+ * command line
+ */
+function loadConfig(parsed, callback) {
+    var withProperties = (config) => {
+        Object.keys(parsed.config).forEach((name) => { config[name] = parsed.config[name]; });
+        if (parsed.options.emulator) {
+            var preset = lcd.PRESETS[config.preset] || {};
+            config.transport = new lcd.EmulatorTransport({ cols: config.cols || preset.cols, rows: config.rows || preset.rows });
+        }
+        callback(config);
+    };
+    if (!parsed.options.config) {
+        withProperties({});
+        return;
+    }
+    lcd.loadConfig(parsed.options.config, (err, config) => {
+        if (err) {
+            fail("cannot load the configuration: " + err.message);
+        }
+        withProperties(config);
+    });
+}
+
+// }}}
+
+/* {{{ buildRequest
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the request of the command (see lib/daemon.js), then call
+ * 'callback(request)' (the text of 'print' can be read from the standard
+ * input)
+ */
+function buildRequest(parsed, callback) {
+    var request = { command: parsed.command };
+    switch (parsed.command) {
+    case 'print':
+        if (parsed.options.row !== undefined) {
+            request.row = Number(parsed.options.row);
+        }
+        if (parsed.options.align !== undefined) {
+            request.align = parsed.options.align;
+        }
+        if (parsed.args.length) {
+            request.text = parsed.args.join(" ");
+            callback(request);
+            return;
+        }
+        var text = "";
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', (data) => { text += data; });
+        process.stdin.on('end', () => {
+            request.text = text.replace(/\n$/, "");
+            callback(request);
+        });
+        return;
+    case 'backlight':
+        if (parsed.args.length !== 1) {
+            fail("expected: backlight on|off|LEVEL", 2);
+        }
+        request.value = parsed.args[0];
+        break;
+    default:
+        if (parsed.args.length) {
+            fail("unexpected argument '" + parsed.args[0] + "'", 2);
+        }
+        break;
+    }
+    callback(request);
+}
+
+// }}}
+
+/* {{{ printResult
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Prints the result of the command (if any) and exits, or fails with 'err'
+ */
+function printResult(err, result) {
+    if (err) {
+        fail(err.message, ((err.code === 'EINVAL') ? 2 : 1));
+    }
+    if (result !== undefined) {
+        console.log(JSON.stringify(result, null, 2));
+    }
+    process.exit(0);
+}
+
+// }}}
+
+/* {{{ runDirect
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Initializes the display, executes 'request' and releases the display
+ * (without clearing the screen)
+ */
+function runDirect(config, request) {
+    lcd.initialize(config, (err) => {
+        if (err) {
+            fail("cannot initialize the display: " + err.message);
+        }
+        var execute = (request.command === 'init' ? (request, done) => { done(null); }
+                                                  : (request, done) => { runCommand(lcd, request, done); });
+        execute(request, (err, result) => {
+            lcd.finalize(false, (finalizeErr) => { printResult(err || finalizeErr, result); });
+        });
+    });
+}
+
+// }}}
+
+/* {{{ runDaemon
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Runs the daemon until SIGINT or SIGTERM
+ */
+function runDaemon(config, options) {
+    var daemon = new Daemon(lcd, config, {
+        socket: ((options.socket || !options.http) ? (options.socket || DEFAULT_SOCKET) : undefined),
+        http: (options.http ? Number(options.http) : undefined)
+    });
+    lcd.on('error', (err) => { console.error("hd44780: " + (err.operation || "LCD") + " failed: " + err.message); });
+    daemon.start((err) => {
+        if (err) {
+            fail("cannot start the daemon: " + err.message);
+        }
+        var stop = () => {
+            daemon.stop((err) => { process.exit(err ? 1 : 0); });
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+    });
+}
+
+// }}}
+
+/* {{{ main */
+var parsed = parseArgs(process.argv.slice(2));
+if (parsed.options.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+}
+if (COMMANDS.indexOf(parsed.command) < 0) {
+    fail((parsed.command === undefined ? "missing command" : "unknown command '" + parsed.command + "'") +
+         " (see hd44780 --help)", 2);
+}
+if ((parsed.options.http !== undefined) && !(Number(parsed.options.http) > 0)) {
+    fail("invalid HTTP port '" + parsed.options.http + "'", 2);
+}
+loadConfig(parsed, (config) => {
+    if (parsed.command === 'daemon') {
+        runDaemon(config, parsed.options);
+        return;
+    }
+    buildRequest(parsed, (request) => {
+        var target;
+        if (parsed.options.http) {
+            target = { http: Number(parsed.options.http) };
+        } else if (parsed.options.socket) {
+            target = { socket: parsed.options.socket };
+        } else if (fs.existsSync(DEFAULT_SOCKET)) {
+            target = { socket: DEFAULT_SOCKET, auto: true };
+        }
+        if (!target) {
+            runDirect(config, request);
+            return;
+        }
+        sendRequest(target, request, (err, result) => {
+            // A socket left by a daemon that did not stop cleanly
+            if (err && target.auto && (err.code === 'ECONNREFUSED')) {
+                runDirect(config, request);
+                return;
+            }
+            printResult(err, result);
+        });
+    });
+});
+
+// }}}
@@ -1,6 +1,5 @@
 'use strict';
 
-var async = require('async');
 var lcd = require('./async-hd44780.js');
 
 var theCurrentTimeout = undefined;
@@ -22,10 +21,13 @@ function printClockSec(prevSec) {
             printClockSec(tNow.getSeconds());
         }, 100);
     } else {
-        async.series([
-            (next) => { lcd.printLine(tNow.toLocaleTimeString(), 0, next); },
-            (next) => { lcd.printLine(tNow.toLocaleDateString(), 1, next); },
-        ], (next) => {
+        // Only the characters that changed are sent to the LCD
+        var fb = lcd.getFramebuffer();
+        fb.write(tNow.toLocaleTimeString(), 0);
+        fb.write(tNow.toLocaleDateString(), 1);
+        lcd.flush()
+        .catch((err) => { console.log("LCD write failed: " + err.message); })
+        .then(() => {
             theCurrentTimeout = setTimeout(() => {
                 theCurrentTimeout = undefined;
                 printClockSec(tNow.getSeconds());
@@ -39,11 +41,10 @@ function printClockHiRes(prevDate) {
     var tNow = new Date();
 
     function printNow() {
-        async.series([
-            (next) => { lcd.printLine(tNow.toLocaleTimeString() + 
-                                      '.' + Math.round(tNow.getMilliseconds()/100), 0, next); },
-            (next) => { lcd.printLine(tNow.toLocaleDateString(), 1, next); },
-        ], (next) => {
+        lcd.printLine(tNow.toLocaleTimeString() + 
+                      '.' + Math.round(tNow.getMilliseconds()/100), 0)
+        .then(() => lcd.printLine(tNow.toLocaleDateString(), 1))
+        .then(() => {
             theCurrentTimeout = setTimeout(() => {
                 theCurrentTimeout = undefined;
                 printClockHiRes(tNow);
@@ -70,11 +71,9 @@ function printClockHiRes(prevDate) {
 */
 
 /*
-async.series([
-    (next) => { lcd.initialize(undefined, next); },
-    (next) => { lcd.printLine("  Hello World!  ", 0, next); },
-    (next) => { lcd.printLine("================", 1, next); },
-]);
+lcd.initialize()
+.then(() => lcd.printLine("  Hello World!  ", 0))
+.then(() => lcd.printLine("================", 1));
 */
 lcd.initialize(undefined, (err) => {
     if (err) {
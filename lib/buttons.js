@@ -0,0 +1,126 @@
+'use strict';
+
+/*
+ * Push buttons: turns the raw levels read from the buttons into key events.
+ *
+ * The contacts of a push button bounce for a few milliseconds when pressed
+ * or released: a new level is accepted only after it has been stable for
+ * the debounce time. A button held for the long press time generates a
+ * long press (immediately, without waiting for the release), otherwise a
+ * short press is generated when the button is released.
+ *
+ * The keys are named after their function in the menus (see lib/menu.js):
+ * 'up', 'down', 'left', 'right', 'enter' and 'back'. The levels can come
+ * from GPIO inputs (see GpioButtons in lib/gpio-transport.js) or from any
+ * other source calling ButtonDecoder.input().
+ */
+
+var debug = require('debug')('async-hd44780:buttons');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const KEYS = ['up', 'down', 'left', 'right', 'enter', 'back'];
+const DEFAULT_DEBOUNCE = 20;        // ms
+const DEFAULT_LONG_PRESS = 800;     // ms
+
+// }}}
+
+/* {{{ ButtonDecoder
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * 'onKey(key, long)' is invoked for each press of the button 'key', with
+ * 'long' set to true for a long press.
+ * The 'options' object (optional) can have the following properties:
+ *  'debounce'  : time in ms a level must be stable to be accepted
+ *                (default=20, 0 to accept the levels immediately)
+ *  'longPress' : time in ms a button must be held for a long press
+ *                (default=800, 0 to disable the long presses)
+ */
+class ButtonDecoder {
+    constructor(onKey, options) {
+        options = options || {};
+        this.onKey = onKey;
+        this.debounce = (options.debounce !== undefined ? options.debounce : DEFAULT_DEBOUNCE);
+        this.longPress = (options.longPress !== undefined ? options.longPress : DEFAULT_LONG_PRESS);
+        // State of each key: 'pressed' is the debounced level, 'timer' the
+        // debounce timer and 'longTimer' the timer of the long press
+        this.keys = {};
+    }
+
+    /* {{{ input
+     * Reports the raw level of the button 'key' (true = pressed)
+     */
+    input(key, pressed) {
+        var state = this.keys[key];
+        if (!state) {
+            state = { pressed: false, timer: null, longTimer: null, long: false };
+            this.keys[key] = state;
+        }
+        if (state.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
+        }
+        pressed = !!pressed;
+        if (pressed === state.pressed) {
+            // Bounce: back to the stable level before the debounce time
+            return;
+        }
+        if (!this.debounce) {
+            this.accept(key, state, pressed);
+            return;
+        }
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this.accept(key, state, pressed);
+        }, this.debounce);
+    }
+
+    // }}}
+
+    /* {{{ accept
+     * Internal method: the level of 'key' is stable, generates the key events
+     */
+    accept(key, state, pressed) {
+        state.pressed = pressed;
+        if (pressed) {
+            debug("Button '%s' pressed", key);
+            state.long = false;
+            if (this.longPress) {
+                state.longTimer = setTimeout(() => {
+                    state.longTimer = null;
+                    state.long = true;
+                    this.onKey(key, true);
+                }, this.longPress);
+            }
+            return;
+        }
+        debug("Button '%s' released", key);
+        if (state.longTimer) {
+            clearTimeout(state.longTimer);
+            state.longTimer = null;
+        }
+        if (!state.long) {
+            this.onKey(key, false);
+        }
+    }
+
+    // }}}
+
+    /* {{{ stop
+     * Cancels the pending timers and forgets the state of the buttons
+     */
+    stop() {
+        for (var key in this.keys) {
+            clearTimeout(this.keys[key].timer);
+            clearTimeout(this.keys[key].longTimer);
+        }
+        this.keys = {};
+    }
+
+    // }}}
+}
+
+// }}}
+
+exports.KEYS = KEYS;
+exports.ButtonDecoder = ButtonDecoder;
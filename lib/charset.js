@@ -0,0 +1,335 @@
+'use strict';
+
+/*
+ * Mapping between Unicode and the character ROM of the HD44780.
+ *
+ * The controller is available with two character ROMs:
+ *  - A00 (Japanese, the most common): ASCII (with '¥' instead of '\' and
+ *    arrows instead of '~' and DEL), half-width katakana, and a few Greek
+ *    letters and symbols
+ *  - A02 (European): ASCII, Latin-1 accented letters, some Cyrillic and
+ *    Greek letters and symbols
+ *
+ * Charset.encode() converts a string into the characters to send to the LCD
+ * (one JS character per cell, with the character code of the ROM). The text is
+ * normalized (NFC) first, then each character is converted:
+ *  1. using its code in the ROM, if available
+ *  2. using the ROM codes of its canonical decomposition (NFD), if all of them
+ *     are available (i.e. 'ガ' becomes 'ｶﾞ' on the A00 ROM)
+ *  3. using an auto-generated CGRAM glyph (see FALLBACK_GLYPHS below), if
+ *     enabled: the glyph is registered in the GlyphRegistry and the
+ *     character is replaced by its placeholder
+ *  4. using the ROM codes of its compatibility decomposition (NFKD) without
+ *     the combining marks (i.e. 'ő' becomes 'o', '²' becomes '2'), if all of
+ *     them are available
+ *  5. using the replacement character
+ *
+ * The characters U+0000-U+000F (CGRAM codes), the placeholders of the named
+ * glyphs (see lib/glyphs.js) and the characters returned by rawChar() are
+ * sent unchanged.
+ *
+ * Charset.decode() converts the characters sent to the LCD back into text
+ * (i.e. to read back the framebuffer). The ROM codes shared by several
+ * characters are decoded as the first one of the table (i.e. the katakana 
+ * are read back as half-width katakana), the approximations as they are
+ * displayed (i.e. 'o' for 'ő').
+ */
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const CGRAM_LAST = 0x0f;
+
+// Range of the Private Use Area used by the glyph placeholders, and range
+// used to send ROM codes directly (see rawChar())
+const PLACEHOLDER_FIRST = 0xe000;
+const PLACEHOLDER_LAST = 0xf7ff;
+const RAW_FIRST = 0xf800;
+
+const COMBINING_MARKS = /[\u0300-\u036f\u3099\u309a]/g;
+
+// Prefix of the names of the glyphs registered by encode()
+const GLYPH_PREFIX = 'charset:';
+
+// }}}
+
+/* {{{ ROM tables
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Each table is a Map from a Unicode character to its code in the ROM. The
+ * characters of the ROM that have no Unicode equivalent (i.e. the letters
+ * with descenders of the A00 ROM) can be printed with rawChar().
+ */
+
+// Adds the characters of 'chars' to 'table' starting with code 'first'.
+// The '\0' characters are skipped.
+function addRange(table, first, chars) {
+    var code = first;
+    for (var c of chars) {
+        if (c !== '\0') {
+            table.set(c, code);
+        }
+        ++code;
+    }
+}
+
+function buildA00() {
+    var table = new Map();
+    for (var code = 0x20; code <= 0x7d; ++code) {
+        table.set(String.fromCharCode(code), code);
+    }
+    // Before the katakana and the Greek letters sharing their codes, so they
+    // are decoded as '°' and 'µ'
+    table.set('°', 0xdf);
+    table.set('µ', 0xe4);
+    table.delete('\\');
+    table.set('¥', 0x5c);
+    table.set('→', 0x7e);
+    table.set('←', 0x7f);
+
+    // Half-width katakana (U+FF61-U+FF9F), and their full-width forms
+    for (code = 0xa1; code <= 0xdf; ++code) {
+        var halfWidth = String.fromCharCode(0xff61 + code - 0xa1);
+        var fullWidth = halfWidth.normalize('NFKC');
+        table.set(halfWidth, code);
+        table.set(fullWidth, code);
+        // Hiragana are printed as katakana
+        var cp = fullWidth.charCodeAt(0);
+        if ((cp >= 0x30a1) && (cp <= 0x30f6)) {
+            table.set(String.fromCharCode(cp - 0x60), code);
+        }
+    }
+    table.set('゛', 0xde);
+    table.set('゜', 0xdf);
+
+    addRange(table, 0xe0, "αäβεμσρ\0√\0\0\0¢£ñö\0\0θ∞ΩüΣπ\0\0千万円÷\0█");
+    table.set('ß', 0xe2);
+    table.set('\u00a0', 0x20);     // No-break space
+    return table;
+}
+
+function buildA02() {
+    var table = new Map();
+    addRange(table, 0x10, "▶◀“”⏫⏬●↲↑↓→←≤≥▲▼");
+    table.set('►', 0x10);
+    table.set('◄', 0x11);
+    for (var code = 0x20; code <= 0x7e; ++code) {
+        table.set(String.fromCharCode(code), code);
+    }
+    table.set('⌂', 0x7f);
+    addRange(table, 0x80, "БДЖЗИЙЛПУЦЧШЩЪЫЭ");
+    addRange(table, 0x90, "α♪ΓπΣσ♬τ\u{1f514}ΘΩδ∞♥ε∩");
+    // Latin-1, except for a few codes
+    for (code = 0xa1; code <= 0xff; ++code) {
+        table.set(String.fromCharCode(code), code);
+    }
+    [0xa8, 0xac, 0xad, 0xaf, 0xb4, 0xb8, 0xd8, 0xf8].forEach((code) => {
+        table.delete(String.fromCharCode(code));
+    });
+    table.set('ƒ', 0xa8);
+    table.set('Ю', 0xac);
+    table.set('Я', 0xad);
+    table.set('ω', 0xb8);
+    table.set('Φ', 0xd8);
+    table.set('φ', 0xf8);
+    table.set('μ', 0xb5);
+    table.set('\u00a0', 0x20);     // No-break space
+    return table;
+}
+
+const ROMS = {
+    A00: buildA00(),
+    A02: buildA02()
+};
+
+// }}}
+
+/* {{{ FALLBACK_GLYPHS
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * 5x8 glyphs used for the characters missing in the ROM (mostly the accented
+ * letters missing in the A00 ROM).
+ */
+const E_BODY = [".###.", "#...#", "#####", "#....", ".###."];
+const A_BODY = [".###.", "....#", ".####", "#...#", ".####"];
+const O_BODY = [".###.", "#...#", "#...#", "#...#", ".###."];
+const U_BODY = ["#...#", "#...#", "#...#", "#..##", ".##.#"];
+const I_BODY = [".##..", "..#..", "..#..", ".###."];
+const ACUTE = ["...#.", "..#.."];
+const GRAVE = [".#...", "..#.."];
+const CIRCUMFLEX = ["..#..", ".#.#."];
+const DIAERESIS = [".#.#.", "....."];
+
+const FALLBACK_GLYPHS = {
+    'é': ACUTE.concat(E_BODY),
+    'è': GRAVE.concat(E_BODY),
+    'ê': CIRCUMFLEX.concat(E_BODY),
+    'ë': DIAERESIS.concat(E_BODY),
+    'á': ACUTE.concat(A_BODY),
+    'à': GRAVE.concat(A_BODY),
+    'â': CIRCUMFLEX.concat(A_BODY),
+    'ó': ACUTE.concat(O_BODY),
+    'ò': GRAVE.concat(O_BODY),
+    'ô': CIRCUMFLEX.concat(O_BODY),
+    'ú': ACUTE.concat(U_BODY),
+    'ù': GRAVE.concat(U_BODY),
+    'û': CIRCUMFLEX.concat(U_BODY),
+    'í': ACUTE.concat(["....."], I_BODY),
+    'ì': GRAVE.concat(["....."], I_BODY),
+    'î': CIRCUMFLEX.concat(["....."], I_BODY),
+    'ï': DIAERESIS.concat(["....."], I_BODY),
+    'ç': [".....", ".....", ".###.", "#....", "#....", ".###.", "..#..", ".##.."],
+    'Ä': DIAERESIS.concat([".###.", "#...#", "#####", "#...#", "#...#"]),
+    'Ö': DIAERESIS.concat(O_BODY),
+    'Ü': DIAERESIS.concat(["#...#", "#...#", "#...#", "#...#", ".###."]),
+    'É': ACUTE.concat(["#####", "#....", "####.", "#....", "#####"]),
+    'Ø': [".###.", "#..##", "#.#.#", "#.#.#", "#.#.#", "##..#", ".###."],
+    'ø': [".....", ".....", ".###.", "#..##", "#.#.#", "##..#", ".###."],
+    '€': ["..###", ".#...", "####.", ".#...", "####.", ".#...", "..###"],
+    '\\': [".....", "#....", ".#...", "..#..", "...#.", "....#", "....."],
+    '~': [".....", ".....", ".#...", "#.#.#", "...#.", ".....", "....."],
+    '↑': ["..#..", ".###.", "#.#.#", "..#..", "..#..", "..#..", "..#.."],
+    '↓': ["..#..", "..#..", "..#..", "..#..", "#.#.#", ".###.", "..#.."]
+};
+
+// }}}
+
+/* {{{ rawChar
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns a character that is sent to the LCD as the ROM character 'code'
+ * (0-255), bypassing the mapping.
+ */
+function rawChar(code) {
+    if (!Number.isInteger(code) || (code < 0) || (code > 0xff)) {
+        throw new Error("Invalid character code: " + code);
+    }
+    return String.fromCharCode(RAW_FIRST + code);
+}
+
+// }}}
+
+/* {{{ Charset
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * The 'options' object (optional) can have the following properties:
+ *  'rom'         : 'A00' (default) or 'A02'
+ *  'replacement' : character printed when there is no better option
+ *                  (default='?'). Must be available in the ROM.
+ *  'autoGlyphs'  : use CGRAM glyphs for the characters missing in the ROM
+ *                  (default=true)
+ *
+ * Throws an error if the ROM or the replacement character are invalid.
+ */
+class Charset {
+    constructor(options) {
+        options = options || {};
+        this.rom = options.rom || 'A00';
+        if (!ROMS.hasOwnProperty(this.rom)) {
+            throw new Error("Unknown character ROM: '" + this.rom + "'");
+        }
+        this.table = ROMS[this.rom];
+        // ROM code -> first character of the table with that code
+        this.reverse = new Map();
+        this.table.forEach((code, c) => {
+            if (!this.reverse.has(code)) {
+                this.reverse.set(code, c);
+            }
+        });
+        var replacement = (options.replacement !== undefined ? options.replacement : '?');
+        if (!this.table.has(replacement)) {
+            throw new Error("Replacement character '" + replacement + "' not available in ROM " + this.rom);
+        }
+        this.replacement = String.fromCharCode(this.table.get(replacement));
+        this.autoGlyphs = (options.autoGlyphs !== undefined ? !!options.autoGlyphs : true);
+    }
+
+    /* {{{ lookup
+     * Returns the ROM characters for all the characters of 'text', or null
+     * if any of them is missing in the ROM
+     */
+    lookup(text) {
+        var retVal = "";
+        for (var c of text) {
+            var code = this.table.get(c);
+            if (code === undefined) {
+                return null;
+            }
+            retVal += String.fromCharCode(code);
+        }
+        return retVal;
+    }
+
+    // }}}
+
+    /* {{{ encode
+     * Converts 'text' as described above. The glyphs for the missing
+     * characters are registered in 'registry' (a GlyphRegistry, optional).
+     */
+    encode(text, registry) {
+        var retVal = "";
+        for (var c of String(text).normalize('NFC')) {
+            var cp = c.codePointAt(0);
+            if ((cp <= CGRAM_LAST) || ((cp >= PLACEHOLDER_FIRST) && (cp <= PLACEHOLDER_LAST))) {
+                retVal += c;
+                continue;
+            }
+            if ((cp >= RAW_FIRST) && (cp <= RAW_FIRST + 0xff)) {
+                retVal += String.fromCharCode(cp - RAW_FIRST);
+                continue;
+            }
+            var encoded = this.lookup(c);
+            if (encoded === null) {
+                var decomposed = c.normalize('NFD');
+                encoded = ((decomposed !== c) ? this.lookup(decomposed) : null);
+            }
+            if (encoded !== null) {
+                retVal += encoded;
+                continue;
+            }
+            var approx = this.lookup(c.normalize('NFKD').replace(COMBINING_MARKS, ''));
+            if (!approx) {
+                approx = this.replacement;
+            }
+            if (registry && this.autoGlyphs && FALLBACK_GLYPHS.hasOwnProperty(c)) {
+                var name = GLYPH_PREFIX + c;
+                var placeholder = registry.placeholder(name) ||
+                                  registry.register(name, FALLBACK_GLYPHS[c], approx.charAt(0));
+                retVal += placeholder;
+                continue;
+            }
+            retVal += approx;
+        }
+        return retVal;
+    }
+
+    // }}}
+
+    /* {{{ decode
+     * Converts the characters sent to the LCD (as returned by encode()) back
+     * into text, as described above. The placeholders of the glyphs 
+     * generated by encode() are decoded using 'registry' (optional). The 
+     * codes without a Unicode character are returned as rawChar(), the CGRAM
+     * codes and the placeholders of the named glyphs unchanged.
+     */
+    decode(text, registry) {
+        var retVal = "";
+        for (var c of String(text)) {
+            var cp = c.codePointAt(0);
+            if ((cp >= PLACEHOLDER_FIRST) && (cp <= PLACEHOLDER_LAST)) {
+                var name = (registry ? registry.nameOf(c) : undefined);
+                retVal += ((name && name.startsWith(GLYPH_PREFIX)) ? name.substr(GLYPH_PREFIX.length) : c);
+            } else if ((cp > CGRAM_LAST) && (cp <= 0xff)) {
+                retVal += (this.reverse.has(cp) ? this.reverse.get(cp) : rawChar(cp));
+            } else {
+                retVal += c;
+            }
+        }
+        return retVal;
+    }
+
+    // }}}
+}
+
+// }}}
+
+module.exports = Charset;
+module.exports.ROMS = ROMS;
+module.exports.FALLBACK_GLYPHS = FALLBACK_GLYPHS;
+module.exports.rawChar = rawChar;
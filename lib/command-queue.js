@@ -0,0 +1,209 @@
+'use strict';
+
+/*
+ * FIFO command queue with priorities.
+ *
+ * Each LCD object owns a queue: all the public operations are pushed in the
+ * queue and executed one at a time, so the sequences of writeByte() of two
+ * operations can never interleave on the bus.
+ *
+ * A command is an object with the following properties:
+ *  'name'     : name of the operation (for debugging)
+ *  'run'      : function(done) performing the operation, must invoke
+ *               'done(error)' when completed (an exception thrown by 'run' 
+ *               completes the command with the exception as error)
+ *  'priority' : (optional) commands with higher priority are executed first,
+ *               commands with the same priority are executed in FIFO order
+ *               (default=Priority.NORMAL)
+ *  'key'      : (optional) identifies the target of the command (i.e. the row
+ *               of the display), used to cancel or replace pending commands
+ *
+ * The queue emits the 'idle' event when the last command completes.
+ */
+
+var debug = require('debug')('async-hd44780:queue');
+var EventEmitter = require('events');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const Priority = {
+    LOW: -10,
+    NORMAL: 0,
+    HIGH: 10
+};
+
+// }}}
+
+/* {{{ cancelledError
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the error passed to the callback of the commands removed from the
+ * queue before being executed. The error has the property 'code' set to
+ * 'ECANCELED'.
+ */
+function cancelledError(message) {
+    var err = new Error(message || "Command cancelled");
+    err.code = 'ECANCELED';
+    return err;
+}
+
+// }}}
+
+/* {{{ shutdownError
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the error passed to the callback of the commands that will never be
+ * executed because the LCD is shutting down (see LCD.finalize()). The error 
+ * has the property 'code' set to 'ESHUTDOWN', so it can be told apart from
+ * the commands cancelled or replaced by another command.
+ */
+function shutdownError(message) {
+    var err = new Error(message || "LCD is being finalized");
+    err.code = 'ESHUTDOWN';
+    return err;
+}
+
+// }}}
+
+/* {{{ invoke
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Invokes the operation 'run(done)', then 'callback(error)' when it completes.
+ * An exception thrown by 'run' completes the operation with the exception as
+ * error, so a bug in an operation cannot leave the queue stuck. The callback
+ * is invoked only once.
+ */
+function invoke(name, run, callback) {
+    var completed = false;
+    var done = (err) => {
+        if (completed) {
+            debug("Command '%s' completed twice", name);
+            return;
+        }
+        completed = true;
+        callback(err);
+    };
+    try {
+        run(done);
+    } catch (err) {
+        if (completed) {
+            throw err;          // Thrown after completion (i.e. by the callback)
+        }
+        debug("Command '%s' failed: %s", name, err.message);
+        done(err);
+    }
+}
+
+// }}}
+
+/* {{{ CommandQueue
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+class CommandQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.pending = [];          // Commands waiting to be executed
+        this.running = null;        // Command currently executing
+    }
+
+    /* {{{ push
+     * Adds 'command' to the queue. When the command completes, invokes
+     * 'callback(error)' (optional).
+     * The execution starts on the next tick, so commands pushed together are
+     * executed according to their priority.
+     */
+    push(command, callback) {
+        command.priority = command.priority || Priority.NORMAL;
+        command.callback = callback;
+        var i = 0;
+        while ((i < this.pending.length) && (this.pending[i].priority >= command.priority)) {
+            ++i;
+        }
+        this.pending.splice(i, 0, command);
+        debug("Queued command '%s' (priority=%d, depth=%d)", command.name, command.priority, this.depth());
+        process.nextTick(() => { this.runNext(); });
+    }
+
+    // }}}
+
+    /* {{{ cancel
+     * Removes from the queue all the pending commands for which
+     * 'predicate(command)' returns true, and completes them with 'error' (if
+     * not provided, a generic cancellation error is used).
+     * The command currently executing is never cancelled.
+     * Returns the number of cancelled commands.
+     */
+    cancel(predicate, error) {
+        var cancelled = this.pending.filter(predicate);
+        if (!cancelled.length) {
+            return 0;
+        }
+        this.pending = this.pending.filter((command) => !predicate(command));
+        cancelled.forEach((command) => {
+            debug("Cancelled command '%s'", command.name);
+            if (command.callback) {
+                process.nextTick(command.callback, error || cancelledError());
+            }
+        });
+        return cancelled.length;
+    }
+
+    // }}}
+
+    /* {{{ cancelKey
+     * Cancels all the pending commands with the given 'key'
+     */
+    cancelKey(key, error) {
+        return this.cancel((command) => (command.key === key), error);
+    }
+
+    // }}}
+
+    /* {{{ flush
+     * Cancels all the pending commands
+     */
+    flush(error) {
+        return this.cancel(() => true, error);
+    }
+
+    // }}}
+
+    /* {{{ depth
+     * Returns the number of commands in the queue, including the one
+     * currently executing
+     */
+    depth() {
+        return this.pending.length + (this.running ? 1 : 0);
+    }
+
+    // }}}
+
+    /* {{{ runNext
+     * Internal method: executes the next command in the queue (if any)
+     */
+    runNext() {
+        if (this.running || !this.pending.length) {
+            return;
+        }
+        var command = this.pending.shift();
+        this.running = command;
+        invoke(command.name, command.run, (err) => {
+            this.running = null;
+            if (command.callback) {
+                command.callback(err || null);
+            }
+            if (!this.pending.length && !this.running) {
+                this.emit('idle');
+            }
+            process.nextTick(() => { this.runNext(); });
+        });
+    }
+
+    // }}}
+}
+
+// }}}
+
+module.exports = CommandQueue;
+module.exports.Priority = Priority;
+module.exports.cancelledError = cancelledError;
+module.exports.shutdownError = shutdownError;
+module.exports.invoke = invoke;
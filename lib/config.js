@@ -0,0 +1,284 @@
+'use strict';
+
+/*
+ * Configuration of the display: wiring presets, validation and config
+ * files.
+ *
+ * The configuration passed to initialize() is checked strictly: unknown
+ * properties, values of the wrong type or out of range, missing or invalid
+ * pin numbers and pins used twice are rejected with an error describing the
+ * problem, instead of being silently replaced by the defaults.
+ *
+ * A preset is a named set of properties for a common module or hat
+ * (see PRESETS): the properties of the configuration override the ones of
+ * the preset, i.e. { preset: 'sunfounder-lcd2004', i2c_address: 0x3f }.
+ *
+ * The 'pin_xx' properties are GPIO numbers ('pin_numbering' = 'bcm',
+ * default) or the numbers of the pins on the 40-pin header of the
+ * Raspberry Pi ('pin_numbering' = 'board'). In both cases 0 means that the
+ * line is not connected. The pins are always driven by their BCM number
+ * (see toBcm()).
+ */
+
+var fs = require('fs');
+var debug = require('debug')('async-hd44780:config');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const PRESETS = {
+    // The wiring described at the top of async-hd44780.js (and in the README)
+    'default': {
+        pin_rs: 27, pin_e: 22, pin_d4: 25, pin_d5: 24, pin_d6: 23, pin_d7: 18, pin_bl: 15,
+        cols: 16, rows: 2
+    },
+
+    // Adafruit 16x2 LCD + keypad Pi Plate: MCP23017 expander at 0x20 (see
+    // lib/mcp23017-transport.js), the buttons are read from the expander
+    'adafruit-pi-plate': {
+        i2c_expander: 'mcp23017', i2c_address: 0x20, i2c_pinout: 'adafruit',
+        cols: 16, rows: 2
+    },
+
+    // Sunfounder LCD2004 module: 20x4 with a PCF8574 backpack at 0x27
+    'sunfounder-lcd2004': {
+        i2c_expander: 'pcf8574', i2c_address: 0x27, i2c_pinout: 'default',
+        cols: 20, rows: 4
+    }
+};
+
+// Types accepted for the properties whose default value is null (the type
+// of the other ones is the type of their default value)
+const NULLABLE_TYPES = {
+    preset: ['string'],
+    geometry: ['string'],
+    row_offsets: ['array'],
+    i2c_pinout: ['string', 'object']
+};
+
+// Pins of the LCD (GPIO mode only) and of the push buttons
+const LCD_PINS = ['pin_rs', 'pin_e', 'pin_d0', 'pin_d1', 'pin_d2', 'pin_d3',
+                  'pin_d4', 'pin_d5', 'pin_d6', 'pin_d7', 'pin_bl', 'pin_rw', 'pin_e2'];
+const REQUIRED_PINS = ['pin_rs', 'pin_e', 'pin_d4', 'pin_d5', 'pin_d6', 'pin_d7'];
+const BUTTON_PINS = ['pin_btn_up', 'pin_btn_down', 'pin_btn_left', 'pin_btn_right',
+                     'pin_btn_enter', 'pin_btn_back'];
+
+// GPIO pins of the 40-pin header: BCM number of each BOARD (physical) pin.
+// Pins 27 and 28 (GPIO 0 and 1) are reserved for the ID EEPROM of the HATs,
+// and 0 means "not connected"
+const BOARD_TO_BCM = {
+     3: 2,  5: 3,  7: 4,  8: 14, 10: 15, 11: 17, 12: 18, 13: 27, 15: 22, 16: 23,
+    18: 24, 19: 10, 21: 9, 22: 25, 23: 11, 24: 8, 26: 7, 29: 5,
+    31: 6, 32: 12, 33: 13, 35: 19, 36: 16, 37: 26, 38: 20, 40: 21
+};
+const MAX_BCM_PIN = 27;
+
+const PIN_NUMBERINGS = ['bcm', 'board'];
+const I2C_EXPANDERS = ['pcf8574', 'mcp23017'];
+
+// }}}
+
+/* {{{ configError
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the error of an invalid configuration
+ */
+function configError(message) {
+    return new Error("Invalid configuration: " + message);
+}
+
+// }}}
+
+/* {{{ typeOf
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * typeof, with 'array' and 'null'
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return (Array.isArray(value) ? 'array' : typeof(value));
+}
+
+// }}}
+
+/* {{{ toBcm
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the BCM number of 'pin' in the given 'numbering' ('bcm' or
+ * 'board'), or undefined if it is not a GPIO pin of the 40-pin header
+ */
+function toBcm(pin, numbering) {
+    if (!Number.isInteger(pin)) {
+        return undefined;
+    }
+    if (numbering === 'board') {
+        return BOARD_TO_BCM[pin];
+    }
+    return (((pin >= 1) && (pin <= MAX_BCM_PIN)) ? pin : undefined);
+}
+
+// }}}
+
+/* {{{ checkRange
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Throws an error if the properties 'names' of 'config' are not between
+ * 'min' and 'max' (integers only if 'integer' is true)
+ */
+function checkRange(config, names, min, max, integer) {
+    names.forEach((name) => {
+        var value = config[name];
+        if ((integer && !Number.isInteger(value)) || !(value >= min) || !(value <= max)) {
+            var range = (max === Infinity ? ">= " + min : "between " + min + " and " + max);
+            throw configError("'" + name + "' must be " + (integer ? "an integer " : "") + range + " (got " + value + ")");
+        }
+    });
+}
+
+// }}}
+
+/* {{{ checkPins
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Throws an error if the GPIO pins of 'config' are invalid. The pins of the
+ * LCD are checked only in GPIO mode ('gpioMode' = true), the pins of the
+ * buttons are always read from the GPIO.
+ */
+function checkPins(config, gpioMode) {
+    var names = BUTTON_PINS;
+    if (gpioMode) {
+        REQUIRED_PINS.forEach((name) => {
+            if (!config[name]) {
+                throw configError("'" + name + "' is required (GPIO mode)");
+            }
+        });
+        var lowPins = ['pin_d0', 'pin_d1', 'pin_d2', 'pin_d3'].filter((name) => config[name]);
+        if (lowPins.length && (lowPins.length < 4)) {
+            throw configError("the 8-bit mode requires all the pins 'pin_d0' to 'pin_d3' (or none for the 4-bit mode)");
+        }
+        // The backlight is not driven through 'pin_bl' by the hardware PWM
+        names = LCD_PINS.filter((name) => ((name !== 'pin_bl') || (config.bl_pwm_channel < 0))).concat(names);
+    }
+    var used = {};
+    names.forEach((name) => {
+        var pin = config[name];
+        if (!pin) {
+            return;             // Not connected
+        }
+        var bcm = toBcm(pin, config.pin_numbering);
+        if (bcm === undefined) {
+            throw configError("'" + name + "'=" + pin + " is not a GPIO pin " +
+                              (config.pin_numbering === 'board' ? "of the 40-pin header (BOARD numbering)"
+                                                                : "(BCM numbering: 1-" + MAX_BCM_PIN + ")"));
+        }
+        if (used[bcm] !== undefined) {
+            throw configError("'" + used[bcm] + "' and '" + name + "' use the same pin " + pin);
+        }
+        used[bcm] = name;
+    });
+}
+
+// }}}
+
+/* {{{ validateConfig
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Throws an error if the values of 'config' (complete, with the defaults)
+ * are invalid. 'customTransport' is true if the LCD lines are driven by a
+ * transport provided by the application.
+ */
+function validateConfig(config, customTransport) {
+    checkRange(config, ['cols', 'rows'], 1, Infinity, true);
+    checkRange(config, ['brightness', 'idle_brightness'], 0, 1);
+    checkRange(config, ['idle_timeout', 'watchdog_interval', 'btn_debounce', 'btn_long_press',
+                        'enable_delay', 'exec_delay', 'clear_delay', 'reset_delay', 'busy_timeout'], 0, Infinity);
+    checkRange(config, ['i2c_bus', 'bl_pwm_chip'], 0, Infinity, true);
+    checkRange(config, ['bl_pwm_channel'], -1, Infinity, true);
+    if (PIN_NUMBERINGS.indexOf(config.pin_numbering) < 0) {
+        throw configError("'pin_numbering' must be one of " + PIN_NUMBERINGS.join(", ") + " (got '" + config.pin_numbering + "')");
+    }
+    if (I2C_EXPANDERS.indexOf(config.i2c_expander) < 0) {
+        throw configError("'i2c_expander' must be one of " + I2C_EXPANDERS.join(", ") + " (got '" + config.i2c_expander + "')");
+    }
+    // 0x00-0x02 and 0x78-0x7F are reserved addresses
+    if (config.i2c_address) {
+        checkRange(config, ['i2c_address'], 0x03, 0x77, true);
+    }
+    checkPins(config, !customTransport && !config.i2c_address);
+}
+
+// }}}
+
+/* {{{ resolveConfig
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the complete configuration from the properties 'props' given to
+ * initialize(), the properties of the preset ('props.preset', if any) and
+ * the default values 'defaults'.
+ * Throws an error if the configuration is invalid. The 'transport' property
+ * is accepted but not copied.
+ */
+function resolveConfig(props, defaults) {
+    if ((props === undefined) || (props === null)) {
+        props = {};
+    }
+    if (typeOf(props) !== 'object') {
+        throw configError("expected an object (got " + typeOf(props) + ")");
+    }
+    for (var name in props) {
+        if ((name !== 'transport') && !defaults.hasOwnProperty(name)) {
+            throw configError("unknown property '" + name + "'");
+        }
+    }
+    var preset = {};
+    if ((props.preset !== undefined) && (props.preset !== null)) {
+        if (!PRESETS.hasOwnProperty(props.preset)) {
+            throw configError("unknown preset '" + props.preset + "' (expected one of " + Object.keys(PRESETS).join(", ") + ")");
+        }
+        debug("Using preset '%s'", props.preset);
+        preset = PRESETS[props.preset];
+    }
+    var retVal = {};
+    for (var k in defaults) {
+        var value = (props.hasOwnProperty(k) ? props[k] : (preset.hasOwnProperty(k) ? preset[k] : defaults[k]));
+        var types = (NULLABLE_TYPES[k] ? NULLABLE_TYPES[k].concat(['null']) : [ typeOf(defaults[k]) ]);
+        if (types.indexOf(typeOf(value)) < 0) {
+            var expected = types.map((type) => ((type === 'null') ? type : (/^[aeiou]/.test(type) ? "an " : "a ") + type));
+            throw configError("'" + k + "' must be " + expected.join(" or ") + " (got " + typeOf(value) + ")");
+        }
+        // Copy the arrays and objects, the configuration can be modified
+        retVal[k] = ((value && (typeof(value) === "object")) ? JSON.parse(JSON.stringify(value)) : value);
+    }
+    validateConfig(retVal, !!props.transport);
+    return retVal;
+}
+
+// }}}
+
+/* {{{ readConfigFile
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Reads the JSON object of the configuration file 'path', then call
+ * 'callback(error, props)'
+ */
+function readConfigFile(path, callback) {
+    fs.readFile(path, 'utf8', (err, text) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        var props;
+        try {
+            props = JSON.parse(text);
+        } catch (err) {
+            callback(configError(path + ": " + err.message));
+            return;
+        }
+        if (typeOf(props) !== 'object') {
+            callback(configError(path + ": expected a JSON object"));
+            return;
+        }
+        callback(null, props);
+    });
+}
+
+// }}}
+
+exports.PRESETS = PRESETS;
+exports.toBcm = toBcm;
+exports.resolveConfig = resolveConfig;
+exports.readConfigFile = readConfigFile;
@@ -0,0 +1,72 @@
+'use strict';
+
+/*
+ * HD44780 instruction set and flags.
+ *
+ * These constants are shared by the driver (async-hd44780.js) and by the
+ * transports (i.e. the emulator needs them to decode the instructions sent
+ * on the bus).
+ */
+
+/* {{{ General Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const LCDCommand = {
+    CLEARDISPLAY: 0x01,
+    HOME: 0x02,
+    ENTRYMODESET: 0x04,
+    DISPLAYCONTROL: 0x08,
+    CURSORSHIFT: 0x10,
+    FUNCTIONSET: 0x20,
+    SETCGRAMADDR: 0x40,
+    SETDDRAMADDR: 0x80
+};
+
+const LCDEntryModeFlags = {
+    ENTRYRIGHT: 0x00,
+    ENTRYLEFT: 0x02,
+    ENTRYSHIFTINCREMENT: 0x01,
+    ENTRYSHIFTDECREMENT: 0x00
+};
+
+const LCDControlFlags = {
+    DISPLAYON: 0x04,
+    DISPLAYOFF: 0x00,
+    CURSORON: 0x02,
+    CURSOROFF: 0x00,
+    BLINKON: 0x01,
+    BLINKOFF: 0x00
+};
+
+const LCDMoveFlags = {
+    DISPLAYMOVE: 0x08,
+    CURSORMOVE: 0x00,
+    MOVERIGHT: 0x04,
+    MOVELEFT: 0x00
+};
+
+const LCDFunctionSetFlags = {
+    EIGHTBITMODE: 0x10,
+    FOURBITMODE: 0x00,
+    TWOLINE: 0x08,
+    ONELINE: 0x00,
+    FIVEBYTENDOTS: 0x04,
+    FIVEBYEIGHTDOTS: 0x00
+};
+
+const LCDRowOffset = [0x00, 0x40, 0x14, 0x54];
+
+// Value for the RS line: LCD_RS_DATA (True) = write to data, LCD_RS_CMD (False) = write to Command
+const LCD_RS_DATA = true;
+const LCD_RS_CMD  = false;
+
+// }}}
+
+exports.LCDCommand          = LCDCommand;
+exports.LCDEntryModeFlags   = LCDEntryModeFlags;
+exports.LCDControlFlags     = LCDControlFlags;
+exports.LCDMoveFlags        = LCDMoveFlags;
+exports.LCDFunctionSetFlags = LCDFunctionSetFlags;
+exports.LCDRowOffset        = LCDRowOffset;
+exports.LCD_RS_DATA         = LCD_RS_DATA;
+exports.LCD_RS_CMD          = LCD_RS_CMD;
@@ -0,0 +1,492 @@
+'use strict';
+
+/*
+ * Daemon: lets several processes share one display.
+ *
+ * Only one process can drive the LCD pins: two processes initializing the
+ * same display would reset it under each other, and the first one to
+ * finalize would release the GPIO pins of the other. The daemon owns the
+ * LCD and executes the commands received from the other processes (i.e.
+ * the 'hd44780' command, see bin/hd44780.js) over:
+ *
+ *  - a Unix socket: each request is a JSON object on one line, answered by
+ *    a JSON object on one line:
+ *        {"command":"print","text":"Hello","row":1}
+ *        {"ok":true}
+ *  - a local HTTP endpoint (bound to 127.0.0.1): POST /<command> with the
+ *    parameters as a JSON object in the body (optional, but the
+ *    'Content-Type: application/json' header is required), or GET /status.
+ *    The response has the same JSON body as above.
+ *
+ * The commands are:
+ *  'init'                     : resets the display (the screen is cleared)
+ *  'print' (text, row, align) : prints 'text' on 'row' (printLine()), or
+ *                               across the rows if 'row' is not set
+ *                               (printBlock(), with 'align')
+ *  'clear'                    : clears the screen
+ *  'backlight' (value)        : 'on' or 'off', or the brightness (0-1)
+ *  'status'                   : returns the state of the display
+ * A failed command is answered with { ok: false, error: message, code }.
+ */
+
+var net = require('net');
+var http = require('http');
+var fs = require('fs');
+var async = require('async');
+var debug = require('debug')('async-hd44780:daemon');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const DEFAULT_SOCKET = "/tmp/hd44780.sock";
+const HTTP_HOST = "127.0.0.1";
+const MAX_REQUEST_SIZE = 64 * 1024;
+const ALIGNS = ['left', 'center', 'right'];
+
+// }}}
+
+/* {{{ invalidRequest
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the error of a request that cannot be executed
+ */
+function invalidRequest(message) {
+    var err = new Error(message);
+    err.code = 'EINVAL';
+    return err;
+}
+
+// }}}
+
+/* {{{ runCommand
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Executes 'request' (see the commands above, except 'init') on 'lcd', then
+ * call 'callback(error, result)'. The LCD must be initialized.
+ */
+function runCommand(lcd, request, callback) {
+    var config = lcd.getConfig();
+    if (!config) {
+        process.nextTick(callback, new Error("LCD not initialized"));
+        return;
+    }
+    var done = (err) => { callback(err || null); };
+    switch (request.command) {
+    case 'print':
+        var text = (request.text !== undefined ? String(request.text) : "");
+        if ((request.align !== undefined) && (ALIGNS.indexOf(request.align) < 0)) {
+            process.nextTick(callback, invalidRequest("Invalid alignment '" + request.align + "'"));
+            return;
+        }
+        if ((request.row === undefined) || (request.row === null)) {
+            lcd.printBlock(text, { align: request.align }, done);
+            return;
+        }
+        var row = Number(request.row);
+        if (!Number.isInteger(row) || (row < 0) || (row >= config.rows)) {
+            process.nextTick(callback, invalidRequest("Invalid row '" + request.row + "'"));
+            return;
+        }
+        if (request.align !== undefined) {
+            lcd.printBlock(text, { row: row, rows: 1, align: request.align }, done);
+        } else {
+            lcd.printLine(text, row, { replace: true }, done);
+        }
+        return;
+    case 'clear':
+        lcd.clearScreen(done);
+        return;
+    case 'backlight':
+        var value = request.value;
+        if ((value === 'on') || (value === true)) {
+            lcd.setBacklight(true, done);
+            return;
+        }
+        if ((value === 'off') || (value === false)) {
+            lcd.setBacklight(false, done);
+            return;
+        }
+        var level = ((typeof(value) === "string") && value.length ? Number(value) : value);
+        if ((typeof(level) !== "number") || !(level >= 0) || !(level <= 1)) {
+            process.nextTick(callback, invalidRequest("Invalid backlight value '" + value + "': expected on, off or 0-1"));
+            return;
+        }
+        // The brightness is applied when the backlight is on
+        lcd.setBrightness(level, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            lcd.setBacklight(level > 0, done);
+        });
+        return;
+    case 'status':
+        process.nextTick(callback, null, {
+            cols: config.cols,
+            rows: config.rows,
+            screen: lcd.getScreen(),
+            display: lcd.getDisplayState(),
+            backlight: lcd.getBacklight(),
+            queue: lcd.getQueueDepth()
+        });
+        return;
+    default:
+        process.nextTick(callback, invalidRequest("Unknown command '" + request.command + "'"));
+        return;
+    }
+}
+
+// }}}
+
+/* {{{ responseOf
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the response object of a request that completed with 'err' and
+ * 'result'
+ */
+function responseOf(err, result) {
+    if (err) {
+        return { ok: false, error: err.message, code: err.code };
+    }
+    return (result !== undefined ? { ok: true, result: result } : { ok: true });
+}
+
+// }}}
+
+/* {{{ Daemon
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Drives 'lcd', initialized with 'config' (see LCD.initialize()), on
+ * behalf of the clients.
+ * The 'options' object can have the following properties (at least one of
+ * them is required):
+ *  'socket' : path of the Unix socket
+ *  'http'   : TCP port of the HTTP endpoint (on 127.0.0.1 only)
+ */
+class Daemon {
+    constructor(lcd, config, options) {
+        options = options || {};
+        this.lcd = lcd;
+        this.config = config;
+        this.socketPath = options.socket;
+        this.httpPort = options.http;
+        this.servers = [];
+        this.connections = new Set();
+    }
+
+    /* {{{ start
+     * Initializes the LCD and starts listening, then call 'callback(error)'
+     */
+    start(callback) {
+        if (!this.socketPath && !this.httpPort) {
+            process.nextTick(callback, new Error("Invalid parameter: no socket or HTTP port"));
+            return;
+        }
+        this.lcd.initialize(this.config, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            this.listen((err) => {
+                if (err) {
+                    this.stop(() => { callback(err); });
+                    return;
+                }
+                callback(null);
+            });
+        });
+    }
+
+    // }}}
+
+    /* {{{ listen
+     * Internal method: opens the socket and the HTTP server, then call
+     * 'callback(error)'
+     */
+    listen(callback) {
+        var steps = [];
+        if (this.socketPath) {
+            // A socket left by a daemon that did not stop cleanly would make
+            // listen() fail
+            steps.push((next) => { this.removeStaleSocket(next); });
+            steps.push((next) => {
+                var server = net.createServer({ allowHalfOpen: true }, (connection) => { this.handleConnection(connection); });
+                this.listenOn(server, [ this.socketPath ], next);
+            });
+        }
+        if (this.httpPort) {
+            steps.push((next) => {
+                var server = http.createServer((req, res) => { this.handleHttp(req, res); });
+                this.listenOn(server, [ this.httpPort, HTTP_HOST ], next);
+            });
+        }
+        async.series(steps, (err) => { callback(err || null); });
+    }
+
+    listenOn(server, address, callback) {
+        var onError = (err) => { callback(err); };
+        server.once('error', onError);
+        server.on('connection', (connection) => {
+            this.connections.add(connection);
+            connection.on('close', () => { this.connections.delete(connection); });
+        });
+        server.listen.apply(server, address.concat([ () => {
+            server.removeListener('error', onError);
+            server.on('error', (err) => { debug("Server error: %s", err.message); });
+            debug("Listening on %s", address.join(":"));
+            this.servers.push(server);
+            callback(null);
+        } ]));
+    }
+
+    removeStaleSocket(callback) {
+        var stats;
+        try {
+            stats = fs.statSync(this.socketPath);
+        } catch (err) {
+            process.nextTick(callback, (err.code === 'ENOENT' ? null : err));
+            return;
+        }
+        if (!stats.isSocket()) {
+            process.nextTick(callback, new Error(this.socketPath + " exists and is not a socket"));
+            return;
+        }
+        var probe = net.connect(this.socketPath);
+        probe.on('connect', () => {
+            probe.destroy();
+            callback(new Error("Another daemon is listening on " + this.socketPath));
+        });
+        probe.on('error', (err) => {
+            if (err.code !== 'ECONNREFUSED') {
+                callback(err);
+                return;
+            }
+            debug("Removing the stale socket %s", this.socketPath);
+            fs.unlink(this.socketPath, (err) => { callback(err || null); });
+        });
+    }
+
+    // }}}
+
+    /* {{{ stop
+     * Closes the servers and finalizes the LCD (the screen is not cleared),
+     * then call 'callback(error)'
+     */
+    stop(callback) {
+        var servers = this.servers;
+        this.servers = [];
+        servers.forEach((server) => { server.close(); });
+        this.connections.forEach((connection) => { connection.destroy(); });
+        if (this.socketPath && servers.length) {
+            try {
+                fs.unlinkSync(this.socketPath);
+            } catch (err) {
+                debug("Failed to remove %s: %s", this.socketPath, err.message);
+            }
+        }
+        this.lcd.finalize(false, callback);
+    }
+
+    // }}}
+
+    /* {{{ execute
+     * Executes 'request', then call 'callback(error, result)'
+     */
+    execute(request, callback) {
+        if (!request || (typeof(request) !== "object") || (typeof(request.command) !== "string")) {
+            process.nextTick(callback, invalidRequest("Invalid request: expected an object with a 'command'"));
+            return;
+        }
+        debug("Executing %s", JSON.stringify(request));
+        if (request.command !== 'init') {
+            runCommand(this.lcd, request, callback);
+            return;
+        }
+        this.lcd.finalize(false, (err) => {
+            if (err) {
+                debug("Finalize failed: %s", err.message);
+            }
+            this.lcd.initialize(this.config, (err) => { callback(err || null); });
+        });
+    }
+
+    // }}}
+
+    /* {{{ handleConnection
+     * Internal method: executes the requests received on the Unix socket,
+     * one per line, and writes the responses in the same order
+     */
+    handleConnection(connection) {
+        var buffer = "";
+        var pending = Promise.resolve();
+        connection.setEncoding('utf8');
+        connection.on('data', (data) => {
+            buffer += data;
+            var lines = buffer.split("\n");
+            buffer = lines.pop();
+            if (buffer.length > MAX_REQUEST_SIZE) {
+                debug("Request too large, closing the connection");
+                connection.destroy();
+                return;
+            }
+            lines.filter((line) => line.trim().length).forEach((line) => {
+                var request;
+                try {
+                    request = JSON.parse(line);
+                } catch (err) {
+                    request = null;
+                }
+                // Each request is started immediately (so it is queued in
+                // the order received), the responses are chained
+                var response = new Promise((resolve) => {
+                    this.execute(request, (err, result) => { resolve(responseOf(err, result)); });
+                });
+                pending = pending.then(() => response).then((response) => {
+                    if (!connection.destroyed) {
+                        connection.write(JSON.stringify(response) + "\n");
+                    }
+                });
+            });
+        });
+        // The client can close its side after the last request: the
+        // connection is closed after the last response
+        connection.on('end', () => {
+            pending.then(() => { connection.end(); });
+        });
+        connection.on('error', (err) => { debug("Connection error: %s", err.message); });
+    }
+
+    // }}}
+
+    /* {{{ handleHttp
+     * Internal method: executes the request POST /<command> (or GET
+     * /status). The body of a POST must be sent as application/json.
+     */
+    handleHttp(req, res) {
+        var reply = (status, response) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response) + "\n");
+        };
+        var command;
+        try {
+            command = decodeURIComponent(req.url.split("?")[0].replace(/^\/+/, ""));
+        } catch (err) {
+            reply(400, responseOf(invalidRequest("Invalid URL: " + err.message)));
+            return;
+        }
+        if ((req.method !== 'POST') && !((req.method === 'GET') && (command === 'status'))) {
+            reply(405, responseOf(invalidRequest("Method not allowed")));
+            return;
+        }
+        // A page opened in a local browser can send a form or a text/plain
+        // body to the endpoint, but not a JSON one without the consent of
+        // the server (CORS preflight)
+        var contentType = (req.headers['content-type'] || "").split(";")[0].trim().toLowerCase();
+        if ((req.method === 'POST') && (contentType !== 'application/json')) {
+            reply(415, responseOf(invalidRequest("Unsupported content type: expected application/json")));
+            req.resume();
+            return;
+        }
+        var body = "";
+        req.setEncoding('utf8');
+        req.on('data', (data) => {
+            body += data;
+            if (body.length > MAX_REQUEST_SIZE) {
+                reply(413, responseOf(invalidRequest("Request too large")));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            var request;
+            try {
+                request = (body.trim().length ? JSON.parse(body) : {});
+            } catch (err) {
+                reply(400, responseOf(invalidRequest("Invalid JSON: " + err.message)));
+                return;
+            }
+            if (!request || (typeof(request) !== "object") || Array.isArray(request)) {
+                reply(400, responseOf(invalidRequest("Invalid request: expected an object")));
+                return;
+            }
+            request.command = command;
+            this.execute(request, (err, result) => {
+                reply((err ? (err.code === 'EINVAL' ? 400 : 500) : 200), responseOf(err, result));
+            });
+        });
+    }
+
+    // }}}
+}
+
+// }}}
+
+/* {{{ sendRequest
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Sends 'request' to the daemon listening on 'target' ({ socket: path } or
+ * { http: port }), then call 'callback(error, result)'. The error of a
+ * failed command has the 'code' returned by the daemon, the errors of the
+ * connection (i.e. ECONNREFUSED if the daemon is not running) have the
+ * 'code' set by Node.
+ */
+function sendRequest(target, request, callback) {
+    var completed = false;
+    var complete = (err, result) => {
+        if (!completed) {
+            completed = true;
+            callback(err, result);
+        }
+    };
+    var parseResponse = (text) => {
+        var response;
+        try {
+            response = JSON.parse(text);
+        } catch (err) {
+            complete(new Error("Invalid response from the daemon"));
+            return;
+        }
+        if (!response.ok) {
+            var err = new Error(response.error);
+            err.code = response.code;
+            complete(err);
+            return;
+        }
+        complete(null, response.result);
+    };
+
+    if (target.http) {
+        var body = JSON.stringify(request);
+        var req = http.request({
+            host: HTTP_HOST,
+            port: target.http,
+            method: 'POST',
+            path: "/" + encodeURIComponent(request.command),
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        }, (res) => {
+            var text = "";
+            res.setEncoding('utf8');
+            res.on('data', (data) => { text += data; });
+            res.on('end', () => { parseResponse(text); });
+        });
+        req.on('error', complete);
+        req.end(body);
+        return;
+    }
+
+    var connection = net.connect(target.socket);
+    var text = "";
+    connection.setEncoding('utf8');
+    connection.on('connect', () => { connection.write(JSON.stringify(request) + "\n"); });
+    connection.on('data', (data) => {
+        text += data;
+        var end = text.indexOf("\n");
+        if (end >= 0) {
+            connection.end();
+            parseResponse(text.substr(0, end));
+        }
+    });
+    connection.on('error', complete);
+    connection.on('close', () => { complete(new Error("Connection closed by the daemon")); });
+}
+
+// }}}
+
+exports.DEFAULT_SOCKET = DEFAULT_SOCKET;
+exports.runCommand = runCommand;
+exports.Daemon = Daemon;
+exports.sendRequest = sendRequest;
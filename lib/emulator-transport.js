@@ -0,0 +1,463 @@
+'use strict';
+
+/*
+ * In-memory emulator of the HD44780 controller.
+ *
+ * The emulator implements the transport interface (see lib/gpio-transport.js)
+ * but instead of driving real pins it decodes the signals written on the bus
+ * the same way the controller does: RS and the data lines are latched on the
+ * falling edge of E and, when the controller is in 4-bit mode, two consecutive
+ * strobes (high nibble first) make a full byte.
+ *
+ * The decoded instructions update a software model of the controller that
+ * can be inspected after the operations complete:
+ *
+ *  ddram          : Buffer with the content of the display data RAM (indexed
+ *                   by DDRAM address, 0x00-0x7F)
+ *  cgram          : Buffer with the content of the character generator RAM
+ *  addressCounter : current value of the address counter (AC)
+ *  addressTarget  : 'ddram' or 'cgram', the RAM selected by the last
+ *                   SETDDRAMADDR/SETCGRAMADDR instruction
+ *  entryMode      : { increment, shift }
+ *  display        : { on, cursor, blink }
+ *  displayShift   : number of positions the display has been shifted left
+ *  functionSet    : { eightBit, twoLine, font5x10 }
+ *  history        : last decoded bytes, as { rs, value } objects
+ *  overruns       : number of bytes received while the busy flag was set
+ *  brightness     : brightness of the backlight (0-1), set by the 'bl' line
+ *                   or by setBrightness()
+ *
+ * Example:
+ *    var emu = new EmulatorTransport({ cols: 16, rows: 2 });
+ *    lcd.initialize({ transport: emu }, (err) => {
+ *        lcd.printLine("Hello", 0, (err) => {
+ *            assert.equal(emu.getLine(0), "Hello           ");
+ *        });
+ *    });
+ */
+
+var debug = require('debug')('async-hd44780:emulator');
+var constants = require('./constants');
+var geometry = require('./geometry');
+
+const LCDCommand = constants.LCDCommand;
+const LCDEntryModeFlags = constants.LCDEntryModeFlags;
+const LCDControlFlags = constants.LCDControlFlags;
+const LCDFunctionSetFlags = constants.LCDFunctionSetFlags;
+
+const DDRAM_SIZE = 0x80;        // Address space of the DDRAM (7 bit)
+const DDRAM_CHARS = 80;         // Number of characters actually stored
+const DDRAM_LINE2 = 0x40;       // First address of the 2nd line in 2-line mode
+const CGRAM_SIZE = 0x40;
+const SPACE = 0x20;
+
+const DEFAULT_HISTORY_SIZE = 256;
+
+/* {{{ EmulatorTransport
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * The 'options' object (optional) can have the following properties:
+ *  'cols'        : number of columns of the emulated glass (default=16)
+ *  'rows'        : number of rows of the emulated glass (default=2)
+ *  'rowOffsets'  : DDRAM address of the first character of each row
+ *                  (default=[0x00, 0x40, cols, 0x40+cols])
+ *  'historySize' : number of decoded bytes kept in 'history' (default=256)
+ *  'enableLine'  : name of the ENABLE line of the controller (default='e')
+ *  'busWidth'    : 8 to emulate a display with all the data lines connected
+ *                  (8-bit mode), 4 for D4-D7 only (default=4)
+ *  'canRead'     : emulate a display with the R/W line connected, so the
+ *                  busy flag can be polled (default=true)
+ *  'busyTime'    : time in ms the controller stays busy after each 
+ *                  instruction (default=0)
+ */
+class EmulatorTransport {
+    constructor(options) {
+        options = options || {};
+        this.cols = options.cols || 16;
+        this.rows = options.rows || 2;
+        this.rowOffsets = options.rowOffsets || geometry.defaultRowOffsets(this.cols);
+        this.enableLine = options.enableLine || 'e';
+        this.busWidth = options.busWidth || 4;
+        this.canRead = (options.canRead !== undefined ? !!options.canRead : true);
+        this.busyTime = options.busyTime || 0;
+        this.historySize = (options.historySize !== undefined ? options.historySize : DEFAULT_HISTORY_SIZE);
+        this.isOpen = false;
+        this.lines = {
+            rs: false, rw: false, e: false, e2: false, bl: false,
+            d0: false, d1: false, d2: false, d3: false,
+            d4: false, d5: false, d6: false, d7: false
+        };
+        this.brightness = 0;
+        this.powerOn();
+    }
+
+    /* {{{ powerOn
+     * Resets the controller to the state described in the datasheet for the
+     * "initializing by internal reset circuit": 8-bit interface, 1-line
+     * display, display off, increment mode and cleared DDRAM.
+     */
+    powerOn() {
+        this.ddram = Buffer.alloc(DDRAM_SIZE, SPACE);
+        this.cgram = Buffer.alloc(CGRAM_SIZE, 0);
+        this.addressCounter = 0;
+        this.addressTarget = 'ddram';
+        this.entryMode = { increment: true, shift: false };
+        this.display = { on: false, cursor: false, blink: false };
+        this.displayShift = 0;
+        this.functionSet = { eightBit: true, twoLine: false, font5x10: false };
+        this.pendingNibble = null;
+        this.history = [];
+        this.overruns = 0;
+        this.busyUntil = 0;         // Time the busy flag is cleared
+        this.busOutput = 0;         // Value driven on D0-D7 while reading
+        this.readValue = null;      // 4-bit mode: low nibble still to read
+    }
+
+    // }}}
+
+    /* {{{ Transport interface */
+    open(callback) {
+        this.isOpen = true;
+        if (callback) process.nextTick(callback, null);
+    }
+
+    write(signals, callback) {
+        if (!this.isOpen) {
+            if (callback) process.nextTick(callback, new Error("Transport not open"));
+            return;
+        }
+        var prevE = this.lines[this.enableLine];
+        for (var k in signals) {
+            this.lines[k] = !!signals[k];
+        }
+        if (signals.hasOwnProperty('bl')) {
+            this.brightness = (this.lines.bl ? 1 : 0);
+        }
+        if (this.lines.rw) {
+            // Read: the controller drives the bus while E is high
+            if (!prevE && this.lines[this.enableLine]) {
+                this.readStrobe();
+            }
+        } else if (prevE && !this.lines[this.enableLine]) {
+            this.strobe();
+        }
+        if (callback) process.nextTick(callback, null);
+    }
+
+    setBusDirection(input, callback) {
+        if (callback) process.nextTick(callback, null);
+    }
+
+    read(line, callback) {
+        var value = this.lines[line];
+        if (this.lines.rw && this.lines[this.enableLine] && /^d[0-7]$/.test(line)) {
+            value = !!(this.busOutput & (1 << Number(line.charAt(1))));
+        }
+        process.nextTick(callback, null, value);
+    }
+
+    setBrightness(level, callback) {
+        if (!this.isOpen) {
+            if (callback) process.nextTick(callback, new Error("Transport not open"));
+            return;
+        }
+        this.brightness = level;
+        this.lines.bl = (level > 0);
+        if (callback) process.nextTick(callback, null);
+    }
+
+    close(callback) {
+        this.isOpen = false;
+        if (callback) process.nextTick(callback, null);
+    }
+
+    // }}}
+
+    /* {{{ strobe
+     * Falling edge of E: latch the bus
+     */
+    strobe() {
+        var bus = 0;
+        for (var i = 0; i < 8; ++i) {
+            if (this.lines['d' + i]) bus |= (1 << i);
+        }
+        if (this.busWidth !== 8) {
+            // D0-D3 not connected (tied low)
+            bus &= 0xf0;
+        }
+        if (this.functionSet.eightBit) {
+            this.execute(this.lines.rs, bus);
+            return;
+        }
+        // 4-bit mode: only D4..D7 are used, high nibble first
+        if (this.pendingNibble === null) {
+            this.pendingNibble = bus & 0xf0;
+            return;
+        }
+        var value = this.pendingNibble | (bus >> 4);
+        this.pendingNibble = null;
+        this.execute(this.lines.rs, value);
+    }
+
+    // }}}
+
+    /* {{{ readStrobe
+     * Rising edge of E with R/W high: put the busy flag and the address 
+     * counter on the bus (in 4-bit mode, high nibble first)
+     */
+    readStrobe() {
+        if (!this.functionSet.eightBit && (this.readValue !== null)) {
+            this.busOutput = (this.readValue << 4) & 0xf0;
+            this.readValue = null;
+            return;
+        }
+        var value = (this.isBusy() ? 0x80 : 0) | (this.addressCounter & 0x7f);
+        this.busOutput = value;
+        if (!this.functionSet.eightBit) {
+            this.readValue = value;
+        }
+    }
+
+    // }}}
+
+    /* {{{ isBusy */
+    isBusy() {
+        return (Date.now() < this.busyUntil);
+    }
+
+    // }}}
+
+    /* {{{ execute
+     * Executes a full byte received from the bus
+     */
+    execute(rs, value) {
+        if (this.isBusy()) {
+            debug("Byte 0x%s received while busy", value.toString(16));
+            ++this.overruns;
+        }
+        this.busyUntil = Date.now() + this.busyTime;
+        this.history.push({ rs: rs, value: value });
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+        if (rs) {
+            this.writeData(value);
+        } else {
+            this.writeInstruction(value);
+        }
+    }
+
+    writeData(value) {
+        if (this.addressTarget === 'cgram') {
+            this.cgram[this.addressCounter] = value;
+        } else {
+            this.ddram[this.addressCounter] = value;
+            if (this.entryMode.shift) {
+                this.displayShift += (this.entryMode.increment ? 1 : -1);
+            }
+        }
+        this.moveAddressCounter(this.entryMode.increment ? 1 : -1);
+    }
+
+    writeInstruction(value) {
+        if (value & LCDCommand.SETDDRAMADDR) {
+            this.addressCounter = value & (DDRAM_SIZE-1);
+            this.addressTarget = 'ddram';
+
+        } else if (value & LCDCommand.SETCGRAMADDR) {
+            this.addressCounter = value & (CGRAM_SIZE-1);
+            this.addressTarget = 'cgram';
+
+        } else if (value & LCDCommand.FUNCTIONSET) {
+            this.functionSet = {
+                eightBit: !!(value & LCDFunctionSetFlags.EIGHTBITMODE),
+                twoLine: !!(value & LCDFunctionSetFlags.TWOLINE),
+                font5x10: !!(value & LCDFunctionSetFlags.FIVEBYTENDOTS)
+            };
+            this.pendingNibble = null;
+
+        } else if (value & LCDCommand.CURSORSHIFT) {
+            var delta = (value & 0x04) ? 1 : -1;        // R/L bit
+            if (value & 0x08) {                         // S/C bit
+                this.displayShift -= delta;
+            } else {
+                this.moveAddressCounter(delta);
+            }
+
+        } else if (value & LCDCommand.DISPLAYCONTROL) {
+            this.display = {
+                on: !!(value & LCDControlFlags.DISPLAYON),
+                cursor: !!(value & LCDControlFlags.CURSORON),
+                blink: !!(value & LCDControlFlags.BLINKON)
+            };
+
+        } else if (value & LCDCommand.ENTRYMODESET) {
+            this.entryMode = {
+                increment: !!(value & LCDEntryModeFlags.ENTRYLEFT),
+                shift: !!(value & LCDEntryModeFlags.ENTRYSHIFTINCREMENT)
+            };
+
+        } else if (value & LCDCommand.HOME) {
+            this.addressCounter = 0;
+            this.addressTarget = 'ddram';
+            this.displayShift = 0;
+
+        } else if (value & LCDCommand.CLEARDISPLAY) {
+            this.ddram.fill(SPACE);
+            this.addressCounter = 0;
+            this.addressTarget = 'ddram';
+            this.entryMode.increment = true;
+            this.displayShift = 0;
+
+        } else {
+            debug("NOP instruction received");
+        }
+    }
+
+    // }}}
+
+    /* {{{ moveAddressCounter
+     * Increments (delta > 0) or decrements the address counter following the
+     * controller rules: in 2-line mode the DDRAM is made of two lines of 40
+     * characters (0x00-0x27 and 0x40-0x67), in 1-line mode of a single line
+     * of 80 characters (0x00-0x4F).
+     */
+    moveAddressCounter(delta) {
+        if (this.addressTarget === 'cgram') {
+            this.addressCounter = (this.addressCounter + delta) & (CGRAM_SIZE-1);
+            return;
+        }
+        var index = this.addressCounter;
+        var twoLine = this.functionSet.twoLine;
+        if (twoLine && (index >= DDRAM_LINE2)) {
+            index = index - DDRAM_LINE2 + DDRAM_CHARS/2;
+        }
+        index = (index + delta + DDRAM_CHARS) % DDRAM_CHARS;
+        if (twoLine && (index >= DDRAM_CHARS/2)) {
+            index = index - DDRAM_CHARS/2 + DDRAM_LINE2;
+        }
+        this.addressCounter = index;
+    }
+
+    // }}}
+
+    /* {{{ Inspection helpers */
+
+    // Returns 'length' characters of DDRAM starting at 'address' as a string
+    readDdram(address, length) {
+        var retVal = "";
+        for (var i = 0; i < length; ++i) {
+            retVal += String.fromCharCode(this.ddram[(address + i) & (DDRAM_SIZE-1)]);
+        }
+        return retVal;
+    }
+
+    // Returns the content of row 'row' (zero-based) of the emulated glass
+    getLine(row) {
+        return this.readDdram(this.rowOffsets[row], this.cols);
+    }
+
+    // Returns an array with the content of all the rows
+    getText() {
+        var retVal = [];
+        for (var i = 0; i < this.rows; ++i) {
+            retVal.push(this.getLine(i));
+        }
+        return retVal;
+    }
+
+    // Returns the 8 (or 11 for 5x10 fonts) bytes defining CGRAM glyph 'slot'
+    // (0-7 for 5x8 fonts, 0-3 for 5x10 fonts)
+    getGlyph(slot) {
+        var size = (this.functionSet.font5x10 ? 16 : 8);
+        var start = (slot * size) & (CGRAM_SIZE-1);
+        return Array.from(this.cgram.slice(start, start + (size === 16 ? 11 : 8)));
+    }
+
+    // }}}
+}
+
+// }}}
+
+/* {{{ DualEmulatorTransport
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Emulator of the 40x4 displays: two controllers sharing all the lines but 
+ * ENABLE, each driving two rows. The controllers are available as 
+ * 'controllers[0]' (ENABLE line 'e', upper rows) and 'controllers[1]' 
+ * (ENABLE line 'e2', lower rows).
+ *
+ * The 'options' object (optional) can have the following properties:
+ *  'cols'        : number of columns of the emulated glass (default=40)
+ *  'historySize' : see EmulatorTransport
+ *  'busWidth'    : see EmulatorTransport
+ *  'canRead'     : see EmulatorTransport
+ *  'busyTime'    : see EmulatorTransport
+ */
+class DualEmulatorTransport {
+    constructor(options) {
+        options = options || {};
+        this.cols = options.cols || 40;
+        this.rows = 4;
+        this.busWidth = options.busWidth || 4;
+        this.canRead = (options.canRead !== undefined ? !!options.canRead : true);
+        this.controllers = geometry.ENABLE_LINES.map((line) => new EmulatorTransport({
+            cols: this.cols,
+            rows: 2,
+            historySize: options.historySize,
+            busWidth: this.busWidth,
+            busyTime: options.busyTime,
+            enableLine: line
+        }));
+    }
+
+    /* {{{ Transport interface */
+    open(callback) {
+        this.controllers.forEach((controller) => { controller.open(); });
+        if (callback) process.nextTick(callback, null);
+    }
+
+    write(signals, callback) {
+        this.controllers.forEach((controller) => { controller.write(signals); });
+        if (callback) process.nextTick(callback, null);
+    }
+
+    setBusDirection(input, callback) {
+        if (callback) process.nextTick(callback, null);
+    }
+
+    // The bus is driven by the controller being read
+    read(line, callback) {
+        var reading = this.controllers.find((controller) => controller.lines.rw && controller.lines[controller.enableLine]);
+        (reading || this.controllers[0]).read(line, callback);
+    }
+
+    setBrightness(level, callback) {
+        this.controllers.forEach((controller) => { controller.setBrightness(level); });
+        if (callback) process.nextTick(callback, null);
+    }
+
+    close(callback) {
+        this.controllers.forEach((controller) => { controller.close(); });
+        if (callback) process.nextTick(callback, null);
+    }
+
+    // }}}
+
+    /* {{{ Inspection helpers */
+
+    // Returns the content of row 'row' (zero-based) of the emulated glass
+    getLine(row) {
+        return this.controllers[row >> 1].getLine(row & 1);
+    }
+
+    // Returns an array with the content of all the rows
+    getText() {
+        return [0, 1, 2, 3].map((row) => this.getLine(row));
+    }
+
+    // }}}
+}
+
+// }}}
+
+module.exports = EmulatorTransport;
+module.exports.DualEmulatorTransport = DualEmulatorTransport;
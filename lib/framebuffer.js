@@ -0,0 +1,118 @@
+'use strict';
+
+/*
+ * Shadow framebuffer.
+ *
+ * Holds the text that should be displayed on the LCD, one character per cell
+ * (including the placeholders of the named glyphs, see lib/glyphs.js).
+ * Writing in the framebuffer does not perform any I/O: the content is sent to
+ * the LCD by LCD.flush(), that writes only the cells that differ from what is
+ * currently on screen.
+ *
+ * If an 'encode(text)' function is provided, the text is converted before 
+ * being stored (see lib/charset.js): the cells contain the characters as
+ * sent to the LCD, returned by getRawChar(), getRawLine() and getRawText().
+ * getChar(), getLine() and getText() return the text converted back by the
+ * 'decode(text)' function (if provided), i.e. '°' instead of the ROM code
+ * 0xDF.
+ */
+
+const SPACE = " ";
+
+/* {{{ Framebuffer
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+class Framebuffer {
+    constructor(cols, rows, encode, decode) {
+        this.cols = cols;
+        this.rows = rows;
+        this.encode = encode;
+        this.decode = decode || ((text) => text);
+        this.clear();
+    }
+
+    /* {{{ clear
+     * Fills the whole framebuffer with spaces
+     */
+    clear() {
+        this.cells = [];
+        for (var row = 0; row < this.rows; ++row) {
+            this.cells.push(new Array(this.cols).fill(SPACE));
+        }
+    }
+
+    // }}}
+
+    /* {{{ write
+     * Writes 'text' in row 'row' starting from column 'col' (default=0).
+     * The text exceeding the width of the display is discarded.
+     * Throws an error if 'row' or 'col' are out of range.
+     */
+    write(text, row, col) {
+        this.writeRaw((this.encode ? this.encode(String(text)) : String(text)), row, col);
+    }
+
+    // }}}
+
+    /* {{{ writeRaw
+     * Same as write(), but 'text' is stored without conversion (i.e. text 
+     * already encoded)
+     */
+    writeRaw(text, row, col) {
+        col = col || 0;
+        if (!Number.isInteger(row) || (row < 0) || (row >= this.rows)) {
+            throw new Error("Invalid row: " + row);
+        }
+        if (!Number.isInteger(col) || (col < 0) || (col >= this.cols)) {
+            throw new Error("Invalid column: " + col);
+        }
+        text = String(text);
+        var length = Math.min(text.length, this.cols - col);
+        for (var i = 0; i < length; ++i) {
+            this.cells[row][col + i] = text.charAt(i);
+        }
+    }
+
+    // }}}
+
+    /* {{{ getChar / getLine / getText */
+
+    // Returns the character in cell ('col', 'row')
+    getChar(col, row) {
+        return this.decode(this.cells[row][col]);
+    }
+
+    // Returns the content of row 'row' (one character per cell)
+    getLine(row) {
+        return this.decode(this.getRawLine(row));
+    }
+
+    // Returns an array with the content of all the rows
+    getText() {
+        return this.cells.map((cells, row) => this.getLine(row));
+    }
+
+    // }}}
+
+    /* {{{ getRawChar / getRawLine / getRawText
+     * Same as getChar(), getLine() and getText(), but return the characters
+     * as sent to the LCD
+     */
+    getRawChar(col, row) {
+        return this.cells[row][col];
+    }
+
+    getRawLine(row) {
+        return this.cells[row].join("");
+    }
+
+    getRawText() {
+        return this.cells.map((cells) => cells.join(""));
+    }
+
+    // }}}
+}
+
+// }}}
+
+module.exports = Framebuffer;
@@ -0,0 +1,134 @@
+'use strict';
+
+/*
+ * Geometry of the display: maps each cell of the glass to a controller and a
+ * DDRAM address.
+ *
+ * Most displays are driven by a single HD44780 in 2-line mode: the rows are
+ * made of DDRAM addresses 0x00-0x27 and 0x40-0x67, and the 3rd and 4th row of
+ * 4-row displays are the continuation of the first two (offsets 'cols' and
+ * 0x40+'cols', i.e. 0x14/0x54 for 20x4 displays and 0x10/0x50 for 16x4
+ * displays). Some displays need a different mapping:
+ *  - 16x1 "type 1": the single row is split in two halves, the left half at
+ *    0x00-0x07 and the right half at 0x40-0x47
+ *  - 40x4: two controllers, each driving two rows, with their own ENABLE
+ *    line ('e' for the upper rows, 'e2' for the lower rows)
+ *
+ * The mapping is described by an array with one entry per row, each entry
+ * is an array of segments (contiguous cells with contiguous addresses):
+ *    { col: <first column>, length: <columns>, controller: <0 or 1>,
+ *      address: <DDRAM address of the first column> }
+ */
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const DDRAM_LINE2 = 0x40;
+const DDRAM_LINE_LENGTH = 40;
+const MAX_ROWS_PER_CONTROLLER = 4;
+
+// The enable line of each controller
+const ENABLE_LINES = ['e', 'e2'];
+
+// Named geometries: 'cols' x 'rows', plus optional 'type' for the displays
+// that do not follow the standard mapping
+const PRESETS = {
+    '8x1':        { cols: 8,  rows: 1 },
+    '8x2':        { cols: 8,  rows: 2 },
+    '16x1':       { cols: 16, rows: 1 },
+    '16x1_type1': { cols: 16, rows: 1, type: 'split' },
+    '16x2':       { cols: 16, rows: 2 },
+    '16x4':       { cols: 16, rows: 4 },
+    '20x1':       { cols: 20, rows: 1 },
+    '20x2':       { cols: 20, rows: 2 },
+    '20x4':       { cols: 20, rows: 4 },
+    '24x2':       { cols: 24, rows: 2 },
+    '40x1':       { cols: 40, rows: 1 },
+    '40x2':       { cols: 40, rows: 2 },
+    '40x4':       { cols: 40, rows: 4, type: 'dual' }
+};
+
+// }}}
+
+/* {{{ defaultRowOffsets
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the DDRAM address of the first column of each row of a display
+ * with a single controller and 'cols' columns
+ */
+function defaultRowOffsets(cols) {
+    return [0x00, DDRAM_LINE2, cols, DDRAM_LINE2 + cols];
+}
+
+// }}}
+
+/* {{{ resolveGeometry
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the geometry of the display as an object:
+ *    { cols, rows, controllers, rowMap }
+ * from the 'options' object:
+ *  'geometry'   : name of a preset (see PRESETS), overrides 'cols' and 'rows'
+ *  'cols'       : number of columns
+ *  'rows'       : number of rows
+ *  'rowOffsets' : DDRAM address of the first column of each row (optional,
+ *                 single controller displays only)
+ *
+ * Throws an error if the geometry is invalid.
+ */
+function resolveGeometry(options) {
+    var cols = options.cols;
+    var rows = options.rows;
+    var type = 'standard';
+    if (options.geometry) {
+        if (!PRESETS.hasOwnProperty(options.geometry)) {
+            throw new Error("Unknown geometry: '" + options.geometry + "'");
+        }
+        var preset = PRESETS[options.geometry];
+        cols = preset.cols;
+        rows = preset.rows;
+        type = preset.type || type;
+    }
+    if (!Number.isInteger(cols) || (cols < 1) || (cols > DDRAM_LINE_LENGTH)) {
+        throw new Error("Invalid number of columns: " + cols);
+    }
+    var offsets = options.rowOffsets || defaultRowOffsets(cols);
+    if (options.rowOffsets) {
+        if (type !== 'standard') {
+            throw new Error("Row offsets not supported by geometry '" + options.geometry + "'");
+        }
+        if (!Array.isArray(offsets) || offsets.some((offset) => !Number.isInteger(offset) || (offset < 0) || (offset > 0x7f))) {
+            throw new Error("Invalid row offsets: " + JSON.stringify(offsets));
+        }
+    }
+    var maxRows = Math.min(offsets.length, MAX_ROWS_PER_CONTROLLER);
+    if (!Number.isInteger(rows) || (rows < 1) || (rows > maxRows)) {
+        throw new Error("Invalid number of rows: " + rows);
+    }
+
+    var rowMap = [];
+    for (var row = 0; row < rows; ++row) {
+        if (type === 'split') {
+            var half = Math.ceil(cols / 2);
+            rowMap.push([
+                { col: 0, length: half, controller: 0, address: 0x00 },
+                { col: half, length: cols - half, controller: 0, address: DDRAM_LINE2 }
+            ]);
+        } else if (type === 'dual') {
+            rowMap.push([ { col: 0, length: cols, controller: (row >> 1), address: ((row & 1) ? DDRAM_LINE2 : 0x00) } ]);
+        } else {
+            rowMap.push([ { col: 0, length: cols, controller: 0, address: offsets[row] } ]);
+        }
+    }
+    return {
+        cols: cols,
+        rows: rows,
+        controllers: (type === 'dual' ? 2 : 1),
+        rowMap: rowMap
+    };
+}
+
+// }}}
+
+exports.PRESETS = PRESETS;
+exports.ENABLE_LINES = ENABLE_LINES;
+exports.defaultRowOffsets = defaultRowOffsets;
+exports.resolveGeometry = resolveGeometry;
@@ -0,0 +1,376 @@
+'use strict';
+
+/*
+ * Custom characters (CGRAM glyphs).
+ *
+ * The HD44780 has 8 user-definable characters (character codes 0-7) when
+ * using the 5x8 font, or 4 (character codes 0, 2, 4, 6) when using the 5x10
+ * font. This module parses the glyph definitions and keeps the registry of
+ * the named glyphs loaded in the CGRAM slots.
+ *
+ * A glyph can be defined as:
+ *  - an array of numbers: one per pixel row, top to bottom, bit 4 is the
+ *    leftmost pixel (i.e. [0x00, 0x0a, 0x1f, 0x1f, 0x0e, 0x04, 0x00, 0x00])
+ *  - an array of strings: one per pixel row (i.e. ".#.#.")
+ *  - a single string with one pixel row per line. Lines are trimmed and empty
+ *    lines are ignored, so it can be written as an indented template literal
+ *
+ * In the strings, '#', '*', 'X', 'x', 'O', 'o', '@' and '1' are lit pixels,
+ * '.', ' ', '-', '_' and '0' are unlit pixels.
+ *
+ * Named glyphs are referenced in the text through a placeholder character in
+ * the Unicode Private Use Area (U+E000-U+F7FF) returned by register(): the
+ * registry loads the glyph in a free slot (or in a slot whose glyph is not on
+ * screen anymore) when the text is printed, and replaces the placeholder with
+ * the character code of the slot.
+ */
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT_5X8 = 8;         // 7 rows + cursor row
+const GLYPH_HEIGHT_5X10 = 11;       // 10 rows + cursor row
+const SLOTS_5X8 = 8;
+const SLOTS_5X10 = 4;
+
+const PIXELS_ON = "#*XxOo@1";
+const PIXELS_OFF = ". -_0";
+
+const PLACEHOLDER_FIRST = 0xe000;   // Unicode Private Use Area
+const PLACEHOLDER_LAST = 0xf7ff;   // U+F800-U+F8FF are used by lib/charset.js
+
+// }}}
+
+/* {{{ parseGlyph
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the array of pixel rows (as numbers) for the given glyph definition
+ * (see above). Throws an error if the definition is invalid.
+ */
+function parseGlyph(glyph) {
+    if (typeof(glyph) === "string") {
+        glyph = glyph.split("\n")
+                     .map((line) => line.trim())
+                     .filter((line) => line.length > 0);
+    }
+    if (!Array.isArray(glyph) || (glyph.length === 0)) {
+        throw new Error("Invalid glyph: expected an array of rows or a string");
+    }
+    if (glyph.length > GLYPH_HEIGHT_5X10) {
+        throw new Error("Invalid glyph: too many rows (" + glyph.length + ")");
+    }
+    return glyph.map((row, i) => {
+        if (typeof(row) === "number") {
+            if (!Number.isInteger(row) || (row < 0) || (row >= (1 << GLYPH_WIDTH))) {
+                throw new Error("Invalid glyph: row #" + i + " out of range");
+            }
+            return row;
+        }
+        if ((typeof(row) !== "string") || (row.length > GLYPH_WIDTH)) {
+            throw new Error("Invalid glyph: row #" + i + " must be a string of up to " + GLYPH_WIDTH + " pixels");
+        }
+        var value = 0;
+        for (var x = 0; x < GLYPH_WIDTH; ++x) {
+            value <<= 1;
+            var pixel = row.charAt(x);
+            if (PIXELS_ON.indexOf(pixel) != -1) {
+                value |= 1;
+            } else if (pixel && (PIXELS_OFF.indexOf(pixel) == -1)) {
+                throw new Error("Invalid glyph: unknown pixel '" + pixel + "' in row #" + i);
+            }
+        }
+        return value;
+    });
+}
+
+// }}}
+
+/* {{{ GlyphRegistry
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Keeps track of the named glyphs and of the content of the CGRAM slots.
+ * Each slot is either null (free) or an object with the following properties:
+ *  'glyph'    : the named glyph loaded in the slot (null if the slot has been
+ *               defined directly through define())
+ *  'lastUsed' : counter used to evict the least recently used glyph
+ *  'rows'     : the pixel rows loaded in the slot
+ */
+class GlyphRegistry {
+    constructor() {
+        this.glyphs = {};           // Named glyphs, indexed by name
+        this.byPlaceholder = {};    // Named glyphs, indexed by placeholder
+        this.nextPlaceholder = PLACEHOLDER_FIRST;
+        this.clock = 0;
+        this.reset(false);
+    }
+
+    /* {{{ reset
+     * Marks all the slots as free (i.e. after the LCD is initialized) and
+     * sets the font mode.
+     */
+    reset(font5x10) {
+        this.font5x10 = !!font5x10;
+        this.slots = new Array(this.font5x10 ? SLOTS_5X10 : SLOTS_5X8).fill(null);
+    }
+
+    // }}}
+
+    /* {{{ glyphHeight / slotCount / charCode / cgramAddress */
+    glyphHeight() {
+        return (this.font5x10 ? GLYPH_HEIGHT_5X10 : GLYPH_HEIGHT_5X8);
+    }
+
+    slotCount() {
+        return this.slots.length;
+    }
+
+    // Character code used in the DDRAM to display the glyph in 'slot'
+    charCode(slot) {
+        return (this.font5x10 ? (slot << 1) : slot);
+    }
+
+    // Returns the slot displayed by character code 'code', or -1 if 'code'
+    // is not a CGRAM character
+    slotOf(code) {
+        if (code >= 0x08) {
+            return -1;
+        }
+        return (this.font5x10 ? ((code >> 1) & 0x03) : code);
+    }
+
+    // CGRAM address of the first row of 'slot'
+    cgramAddress(slot) {
+        return (this.font5x10 ? (slot << 4) : (slot << 3));
+    }
+
+    // }}}
+
+    /* {{{ rowsFor
+     * Returns the rows to write in the CGRAM for a parsed glyph, padded to
+     * the height of the current font. Throws an error if the glyph does not
+     * fit the font.
+     */
+    rowsFor(rows) {
+        var height = this.glyphHeight();
+        if (rows.length > height) {
+            throw new Error("Glyph too tall for the current font (" + rows.length + " rows)");
+        }
+        return rows.concat(new Array(height - rows.length).fill(0));
+    }
+
+    // }}}
+
+    /* {{{ register
+     * Adds (or redefines) the named glyph 'name' and returns its placeholder
+     * character. If the glyph is redefined while loaded, its slot is reloaded
+     * the next time the glyph is printed.
+     * 'fallback' (optional) is the character printed instead of the glyph 
+     * when there are no free slots: if not provided, resolve() fails.
+     */
+    register(name, glyph, fallback) {
+        var rows = parseGlyph(glyph);
+        var entry = this.glyphs[name];
+        if (entry) {
+            entry.rows = rows;
+            entry.fallback = fallback;
+            entry.dirty = true;
+            return entry.placeholder;
+        }
+        if (this.nextPlaceholder > PLACEHOLDER_LAST) {
+            throw new Error("Too many glyphs registered");
+        }
+        entry = {
+            name: name,
+            rows: rows,
+            placeholder: String.fromCharCode(this.nextPlaceholder++),
+            fallback: fallback,
+            dirty: false
+        };
+        this.glyphs[name] = entry;
+        this.byPlaceholder[entry.placeholder] = entry;
+        return entry.placeholder;
+    }
+
+    // }}}
+
+    /* {{{ placeholder
+     * Returns the placeholder character of the named glyph 'name', or
+     * undefined if not registered
+     */
+    placeholder(name) {
+        var entry = this.glyphs[name];
+        return (entry ? entry.placeholder : undefined);
+    }
+
+    // }}}
+
+    /* {{{ nameOf
+     * Returns the name of the named glyph of 'placeholder', or undefined if
+     * it is not a placeholder
+     */
+    nameOf(placeholder) {
+        var entry = this.byPlaceholder[placeholder];
+        return (entry ? entry.name : undefined);
+    }
+
+    // }}}
+
+    /* {{{ define
+     * Records that 'slot' has been loaded directly with the pixel 'rows' of 
+     * an anonymous glyph: the slot is never reused for named glyphs until 
+     * the next reset().
+     */
+    define(slot, rows) {
+        this.slots[slot] = { glyph: null, lastUsed: Infinity, rows: rows };
+    }
+
+    // }}}
+
+    /* {{{ loadedSlots
+     * Returns the content of the CGRAM as an array of { slot, rows }, one 
+     * entry per slot in use (i.e. to load it again after a reset of the 
+     * controller).
+     */
+    loadedSlots() {
+        var retVal = [];
+        this.slots.forEach((s, slot) => {
+            if (s && s.rows) {
+                retVal.push({ slot: slot, rows: s.rows });
+            }
+        });
+        return retVal;
+    }
+
+    // }}}
+
+    /* {{{ resolve
+     * Prepares 'text' to be printed: allocates a slot for each named glyph
+     * referenced in the text and replaces the placeholders with the
+     * character code of their slot.
+     * 'visibleSlots' is the set (an object indexed by slot) of the slots
+     * currently displayed in the part of the screen not overwritten by the
+     * text: these slots are never redefined.
+     *
+     * Returns an object with the following properties:
+     *  'text'  : the text to print
+     *  'loads' : array of { slot, rows } to load in the CGRAM before printing
+     *
+     * Throws an error if there are not enough free slots (glyphs registered 
+     * with a fallback character are replaced by it instead).
+     */
+    resolve(text, visibleSlots) {
+        var retVal = { text: "", loads: [] };
+        var needed = [];
+        for (var i = 0; i < text.length; ++i) {
+            var entry = this.byPlaceholder[text.charAt(i)];
+            if (entry && (needed.indexOf(entry) == -1)) {
+                needed.push(entry);
+            }
+        }
+        if (!needed.length) {
+            retVal.text = text;
+            return retVal;
+        }
+
+        // The glyphs that cannot be replaced get the free slots first
+        needed.sort((a, b) => ((a.fallback !== undefined) - (b.fallback !== undefined)));
+        // The allocation is made on a copy of the slots and applied only if
+        // all the glyphs without a fallback get a slot
+        var slots = this.slots.slice();
+        var loaded = [];
+        var slotOf = new Map();
+        var clock = this.clock + 1;
+        // Keep the glyphs already loaded
+        needed.forEach((entry) => {
+            var slot = slots.findIndex((s) => s && (s.glyph === entry));
+            if (slot != -1) {
+                slotOf.set(entry, slot);
+                slots[slot] = Object.assign({}, slots[slot], { lastUsed: clock });
+            }
+        });
+        // Load the missing ones (and reload the redefined ones)
+        needed.forEach((entry) => {
+            var slot = slotOf.get(entry);
+            if (slot === undefined) {
+                slot = this.allocate(slots, clock, visibleSlots);
+                if ((slot == -1) && (entry.fallback !== undefined)) {
+                    return;
+                }
+                if (slot == -1) {
+                    throw new Error("Not enough CGRAM slots to print the text (" +
+                                    needed.length + " glyphs, " + this.slotCount() + " slots)");
+                }
+                slotOf.set(entry, slot);
+            } else if (!entry.dirty) {
+                return;
+            }
+            var rows = this.rowsFor(entry.rows);
+            slots[slot] = { glyph: entry, lastUsed: clock, rows: rows };
+            retVal.loads.push({ slot: slot, rows: rows });
+            loaded.push(entry);
+        });
+        this.slots = slots;
+        this.clock = clock;
+        loaded.forEach((entry) => { entry.dirty = false; });
+        for (i = 0; i < text.length; ++i) {
+            var c = text.charAt(i);
+            entry = this.byPlaceholder[c];
+            if (!entry) {
+                retVal.text += c;
+            } else if (slotOf.has(entry)) {
+                retVal.text += String.fromCharCode(this.charCode(slotOf.get(entry)));
+            } else {
+                retVal.text += entry.fallback;
+            }
+        }
+        return retVal;
+    }
+
+    // }}}
+
+    /* {{{ discard
+     * Frees the slots of 'loads' (as returned by resolve()) when they could
+     * not be written in the CGRAM: their glyphs are loaded again the next
+     * time they are printed.
+     */
+    discard(loads) {
+        loads.forEach((load) => {
+            var s = this.slots[load.slot];
+            if (s && s.glyph) {
+                s.glyph.dirty = true;
+                this.slots[load.slot] = null;
+            }
+        });
+    }
+
+    // }}}
+
+    /* {{{ allocate
+     * Internal method: returns a free slot in 'slots', or the least recently
+     * used slot that is not visible and not used by the text being resolved
+     * (i.e. not used at 'clock').
+     * Returns -1 if there are no slots available.
+     */
+    allocate(slots, clock, visibleSlots) {
+        var retVal = -1;
+        for (var slot = 0; slot < slots.length; ++slot) {
+            var s = slots[slot];
+            if (!s) {
+                return slot;
+            }
+            if (visibleSlots[slot] || (s.lastUsed === clock) || (s.lastUsed === Infinity)) {
+                continue;
+            }
+            if ((retVal == -1) || (s.lastUsed < slots[retVal].lastUsed)) {
+                retVal = slot;
+            }
+        }
+        return retVal;
+    }
+
+    // }}}
+}
+
+// }}}
+
+exports.parseGlyph = parseGlyph;
+exports.GlyphRegistry = GlyphRegistry;
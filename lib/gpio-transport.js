@@ -0,0 +1,414 @@
+'use strict';
+
+/*
+ * GPIO transport: drives the LCD signals directly through the Raspberry Pi
+ * GPIO pins using the rpi-gpio library.
+ *
+ * TRANSPORT INTERFACE
+ * ~~~~~~~~~~~~~~~~~~~
+ * The driver never accesses the hardware directly, instead it uses a
+ * transport object that implements the following methods:
+ *
+ *  open(callback)           : acquire the resources needed to drive the LCD,
+ *                             then call 'callback(error)'
+ *  write(signals, callback) : set the lines listed in the 'signals' object
+ *                             (i.e. { rs: true, e: false }) to the given
+ *                             boolean value, then call 'callback(error)'.
+ *                             Lines that are not listed are left untouched.
+ *  close(callback)          : release all the resources, then call
+ *                             'callback(error)'
+ *
+ * Transports that can dim the backlight also implement:
+ *
+ *  setBrightness(level, callback) : set the brightness of the backlight 
+ *                             between 0 (off) and 1 (full on), then call
+ *                             'callback(error)'. The 'bl' line must not be
+ *                             written with write() while dimmed.
+ *
+ * Transports that drive all the data lines D0-D7 have the property:
+ *
+ *  busWidth                 : 8 (the LCD is used in 8-bit mode). Otherwise 
+ *                             only D4-D7 are written (4-bit mode)
+ *
+ * Transports that can read the data bus (R/W line connected) also have:
+ *
+ *  canRead                  : true
+ *  setBusDirection(input, callback) : switch the data lines to input (if
+ *                             'input' is true, the LCD drives them) or back
+ *                             to output, then call 'callback(error)'
+ *  read(line, callback)     : read the level of 'line', then call 
+ *                             'callback(error, value)'
+ *
+ * Transports that can fail outside of the calls above (i.e. a timer driving 
+ * the backlight) report the error by calling:
+ *
+ *  onError(error)           : set by the driver after creating the transport
+ *
+ * Transports that can share lines with other transports (i.e. multiple 
+ * displays with common data lines) also implement:
+ *
+ *  lock(callback)           : acquire exclusive access to the shared lines, 
+ *                             then call 'callback()'
+ *  unlock()                 : release the access acquired with lock()
+ *
+ * The lines are identified by their logical name on the LCD side:
+ *  'rs', 'rw', 'e', 'd0'-'d7' and 'bl' (backlight), plus 'e2' (ENABLE
+ *  of the second controller) for the displays with two controllers
+ *
+ * The module also provides GpioButtons, that reads the push buttons used to
+ * navigate the menus (see lib/buttons.js) from GPIO inputs: it shares the 
+ * GPIO subsystem with the transports.
+ *
+ * This module is loaded only when the GPIO transport is used, so the rest of
+ * the library can be used on systems where rpi-gpio is not available.
+ */
+
+var GPIO = require('rpi-gpio');
+var async = require('async');
+var debug = require('debug')('async-hd44780:gpio');
+var fs = require('fs');
+var pwm = require('./pwm');
+var toBcm = require('./config').toBcm;
+
+// The direction of the data lines is changed through sysfs: rpi-gpio can 
+// only do it by exporting the pin again, which takes way longer
+const SYSFS_GPIO = '/sys/class/gpio';
+const DATA_LINES = ['d0', 'd1', 'd2', 'd3', 'd4', 'd5', 'd6', 'd7'];
+
+/* {{{ Global Variables
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * The GPIO subsystem is shared by all the transports of the process.
+ */
+// Number of open transports using each pin (indexed by pin number). A pin is
+// set up by the first transport using it.
+var thePinUsers = {};
+
+// Number of open transports (and button sets). GPIO.destroy() is called when
+// the last one is closed.
+var theOpenCount = 0;
+
+// Software PWM of each backlight pin (indexed by pin number): 
+// { pwm, transports }. The displays sharing the backlight share its PWM, it
+// is stopped when the last of them is closed.
+var theSoftwarePwms = {};
+
+// Bus lock: set to TRUE while a transport owns the bus, theLockWaiters
+// contains the callbacks of the transports waiting for it.
+var theBusLocked = false;
+var theLockWaiters = [];
+
+// }}}
+
+/* {{{ setupPins
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Sets up the 'pins' (object mapping each line to its pin) of 'user' (a 
+ * transport or a button set) with the given 'direction' and 'edge', then 
+ * call 'callback(error)'. The pins already set up by another user are 
+ * shared. The pins counted for 'user' are recorded in 'user.usedPins' even
+ * if a setup fails, so releasePins() releases exactly those. 'user' is 
+ * counted as open only on success.
+ */
+function setupPins(user, pins, direction, edge, callback) {
+    if (theOpenCount === 0) {
+        GPIO.setMode(GPIO.MODE_BCM);
+    }
+    user.usedPins = [];
+    async.eachOfSeries(pins, (pin, signal, next) => {
+        if (thePinUsers[pin]) {
+            debug("Pin %d for line '%s' already set up, sharing it", pin, signal);
+            ++thePinUsers[pin];
+            user.usedPins.push(pin);
+            next(null);
+            return;
+        }
+        debug("Setting up pin %d for line '%s'", pin, signal);
+        GPIO.setup(pin, direction, edge, (err) => {
+            if (!err) {
+                thePinUsers[pin] = 1;
+                user.usedPins.push(pin);
+            }
+            next(err);
+        });
+    }, (err) => {
+        user.isOpen = !err;
+        if (user.isOpen) {
+            ++theOpenCount;
+        }
+        callback(err);
+    });
+}
+
+// }}}
+
+/* {{{ releasePins
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Releases the pins of 'user' counted by setupPins(), then call 
+ * 'callback(error)'. Also called after a failed setupPins().
+ */
+function releasePins(user, callback) {
+    var used = user.usedPins || [];
+    var wasOpen = !!user.isOpen;
+    user.usedPins = [];
+    user.isOpen = false;
+    used.forEach((pin) => {
+        if (thePinUsers[pin] && (--thePinUsers[pin] === 0)) {
+            delete thePinUsers[pin];
+        }
+    });
+    if (wasOpen) {
+        --theOpenCount;
+    } else if (!used.length) {
+        // Nothing was set up
+        process.nextTick(callback, null);
+        return;
+    }
+    if (theOpenCount > 0) {
+        // rpi-gpio can only release all the pins at once: the pins used
+        // only by this user are released with the last one
+        debug("GPIO subsystem still in use by %d user(s)", theOpenCount);
+        process.nextTick(callback, null);
+        return;
+    }
+    debug("Finalizing GPIO subsystem...");
+    thePinUsers = {};
+    GPIO.destroy(callback);
+}
+
+// }}}
+
+/* {{{ acquireSoftwarePwm / releaseSoftwarePwm
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the software PWM driving 'pin' for 'transport', created by the 
+ * first transport using the pin. The write errors of the PWM are reported to
+ * all the transports using it. releaseSoftwarePwm() stops the PWM when its
+ * last transport releases it.
+ */
+function acquireSoftwarePwm(pin, transport) {
+    var shared = theSoftwarePwms[pin];
+    if (shared) {
+        debug("Software PWM on pin %d already running, sharing it", pin);
+    } else {
+        shared = { transports: new Set() };
+        shared.pwm = new pwm.SoftwarePwm((value, cb) => { GPIO.write(pin, value, cb); }, {
+            onError: (err) => {
+                shared.transports.forEach((user) => { if (user.onError) user.onError(err); });
+            }
+        });
+        theSoftwarePwms[pin] = shared;
+    }
+    shared.transports.add(transport);
+    return shared.pwm;
+}
+
+function releaseSoftwarePwm(pin, transport) {
+    var shared = theSoftwarePwms[pin];
+    if (!shared || !shared.transports.delete(transport) || shared.transports.size) {
+        return;
+    }
+    debug("Stopping the software PWM on pin %d", pin);
+    shared.pwm.stop();
+    delete theSoftwarePwms[pin];
+}
+
+// }}}
+
+/* {{{ GpioTransport
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Builds the mapping between the logical lines and the GPIO pins from the
+ * 'pin_xx' properties of the given configuration object (see initialize()
+ * in async-hd44780.js). The pins are numbered according to 'pin_numbering'
+ * (see lib/config.js), and driven by their BCM number.
+ *
+ * The 8-bit mode is used if the pins of D0-D3 are set ('pin_d0' to 
+ * 'pin_d3'), the 4-bit mode if none of them is set. Throws an error if only
+ * some of them are set.
+ *
+ * If 'pin_rw' is set, the bus can be read to poll the busy flag. Note that 
+ * the LCD drives the data lines with its own supply voltage: a 5V module
+ * needs level shifters on D0-D7.
+ *
+ * The backlight is dimmed with a software PWM on 'pin_bl', or with a 
+ * hardware PWM channel if 'bl_pwm_channel' is set (see lib/pwm.js): in that
+ * case 'pin_bl' is not used. If neither is set ('pin_bl' = 0), the 
+ * backlight is not controlled. The displays with the same 'pin_bl' share 
+ * one software PWM: the last brightness set applies to all of them.
+ */
+class GpioTransport {
+    constructor(config) {
+        var pin = (name) => toBcm(config['pin_' + name], config.pin_numbering);
+        this.pins = {
+            e:  pin('e'),
+            rs: pin('rs'),
+            d4: pin('d4'),
+            d5: pin('d5'),
+            d6: pin('d6'),
+            d7: pin('d7')
+        };
+        var lowPins = [config.pin_d0, config.pin_d1, config.pin_d2, config.pin_d3];
+        if (lowPins.every((pin) => pin)) {
+            lowPins.forEach((unused, i) => { this.pins['d' + i] = pin('d' + i); });
+            this.busWidth = 8;
+        } else if (lowPins.some((pin) => pin)) {
+            throw new Error("Invalid pinout: 8-bit mode requires all the pins D0-D3");
+        } else {
+            this.busWidth = 4;
+        }
+        if (config.pin_e2) {
+            this.pins.e2 = pin('e2');
+        }
+        this.canRead = !!config.pin_rw;
+        if (this.canRead) {
+            this.pins.rw = pin('rw');
+        }
+        // Pins counted by setupPins() (see releasePins())
+        this.usedPins = [];
+        this.isOpen = false;
+        this.pwm = null;
+        if (config.bl_pwm_channel >= 0) {
+            this.pwm = new pwm.SysfsPwm({ chip: config.bl_pwm_chip, channel: config.bl_pwm_channel });
+        } else if (config.pin_bl) {
+            // The software PWM is acquired when the transport is open
+            this.pins.bl = pin('bl');
+        }
+        for (var line in this.pins) {
+            if (this.pins[line] === undefined) {
+                throw new Error("Invalid pinout: '" + config['pin_' + line] + "' is not a GPIO pin for line '" + line + "'");
+            }
+        }
+    }
+
+    open(callback) {
+        setupPins(this, this.pins, GPIO.DIR_OUT, GPIO.EDGE_NONE, (err) => {
+            if (!err && (this.pins.bl !== undefined)) {
+                this.pwm = acquireSoftwarePwm(this.pins.bl, this);
+            }
+            if (err || !this.pwm || !this.pwm.open) {
+                callback(err);
+                return;
+            }
+            this.pwm.open(callback);
+        });
+    }
+
+    write(signals, callback) {
+        async.eachOf(signals, (value, signal, next) => {
+            GPIO.write(this.pins[signal], value, next);
+        }, callback);
+    }
+
+    setBusDirection(input, callback) {
+        var direction = (input ? 'in' : 'out');
+        async.each(DATA_LINES.filter((line) => this.pins[line]), (line, next) => {
+            fs.writeFile(SYSFS_GPIO + '/gpio' + this.pins[line] + '/direction', direction, next);
+        }, callback);
+    }
+
+    read(line, callback) {
+        GPIO.read(this.pins[line], callback);
+    }
+
+    setBrightness(level, callback) {
+        if (!this.pwm) {
+            // No backlight control
+            process.nextTick(callback, null);
+            return;
+        }
+        this.pwm.set(level, callback);
+    }
+
+    close(callback) {
+        this.closePwm((pwmErr) => {
+            if (pwmErr) {
+                debug("Failed to close the PWM channel: %s", pwmErr.message);
+            }
+            releasePins(this, (err) => { callback(pwmErr || err || null); });
+        });
+    }
+
+    closePwm(callback) {
+        if (!this.pwm) {
+            process.nextTick(callback, null);
+            return;
+        }
+        if (this.pwm.close) {
+            this.pwm.close(callback);
+            return;
+        }
+        releaseSoftwarePwm(this.pins.bl, this);
+        this.pwm = null;
+        process.nextTick(callback, null);
+    }
+
+    lock(callback) {
+        if (theBusLocked) {
+            theLockWaiters.push(callback);
+            return;
+        }
+        theBusLocked = true;
+        process.nextTick(callback);
+    }
+
+    unlock() {
+        var next = theLockWaiters.shift();
+        if (next) {
+            process.nextTick(next);
+        } else {
+            theBusLocked = false;
+        }
+    }
+}
+
+// }}}
+
+/* {{{ GpioButtons
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Reads the push buttons connected to the GPIO pins listed in 'pins' (object
+ * mapping each key to its pin, i.e. { up: 5, down: 6, enter: 13 }).
+ * Each change of level is reported by calling:
+ *
+ *  onChange(key, pressed)  : set by the owner after creating the object
+ *
+ * The levels are reported as read: they must be debounced (see 
+ * lib/buttons.js).
+ * If 'activeLow' is true (default) a button is pressed when its pin is low
+ * (button connected to ground, with a pull-up resistor). Note that rpi-gpio
+ * does not configure the internal pull resistors: use external ones, or the
+ * pins that are pulled up by default (GPIO 0-8).
+ */
+class GpioButtons {
+    constructor(pins, activeLow) {
+        this.pins = pins;
+        this.activeLow = (activeLow !== undefined ? !!activeLow : true);
+        this.usedPins = [];
+        this.isOpen = false;
+        this.keyOf = {};
+        for (var key in pins) {
+            this.keyOf[pins[key]] = key;
+        }
+        this.listener = (pin, value) => {
+            var key = this.keyOf[pin];
+            if ((key !== undefined) && this.onChange) {
+                this.onChange(key, (!!value !== this.activeLow));
+            }
+        };
+    }
+
+    open(callback) {
+        setupPins(this, this.pins, GPIO.DIR_IN, GPIO.EDGE_BOTH, (err) => {
+            if (!err) {
+                GPIO.on('change', this.listener);
+            }
+            callback(err);
+        });
+    }
+
+    close(callback) {
+        GPIO.removeListener('change', this.listener);
+        releasePins(this, callback);
+    }
+}
+
+// }}}
+
+module.exports = GpioTransport;
+module.exports.GpioButtons = GpioButtons;
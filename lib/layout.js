@@ -0,0 +1,129 @@
+'use strict';
+
+/*
+ * Text layout: splits a block of text in the rows of the display.
+ *
+ * The text is split in paragraphs at each '\n', then each paragraph is
+ * word-wrapped (or truncated) to the width of the display. Words longer than
+ * a row are broken. When the text does not fit, the last visible row is
+ * ellipsized.
+ *
+ * The layout works on the text as sent to the LCD (one character per cell):
+ * an 'encode(text)' function (see lib/charset.js) converts each paragraph
+ * before the layout.
+ */
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const ALIGNMENTS = ['left', 'center', 'right'];
+const DEFAULT_ELLIPSIS = "...";
+
+// }}}
+
+/* {{{ wrapParagraph
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the lines of 'text' word-wrapped to 'cols' characters. The spaces
+ * at the line breaks are removed.
+ */
+function wrapParagraph(text, cols) {
+    var lines = [];
+    var line = "";
+    text.split(" ").forEach((word) => {
+        if (!line.length) {
+            line = word;
+        } else if (line.length + 1 + word.length <= cols) {
+            line += " " + word;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+        while (line.length > cols) {
+            lines.push(line.substr(0, cols));
+            line = line.substr(cols);
+        }
+    });
+    lines.push(line);
+    return lines;
+}
+
+// }}}
+
+/* {{{ ellipsize
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns 'line' followed by 'ellipsis', truncated to 'cols' characters
+ */
+function ellipsize(line, ellipsis, cols) {
+    if (ellipsis.length >= cols) {
+        return ellipsis.substr(0, cols);
+    }
+    line = line.substr(0, cols - ellipsis.length).replace(/ +$/, "");
+    return line + ellipsis;
+}
+
+// }}}
+
+/* {{{ layoutText
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns an array with one entry per row used by 'text', as objects:
+ *    { col: <first column>, text: <text of the row> }
+ *
+ * The 'options' object can have the following properties:
+ *  'cols'     : width of the rows (mandatory)
+ *  'rows'     : maximum number of rows (mandatory)
+ *  'align'    : 'left' (default), 'center' or 'right'
+ *  'wrap'     : word-wrap the paragraphs longer than a row (default=true),
+ *               if false they are truncated
+ *  'ellipsis' : text appended to the last visible row when the text does
+ *               not fit (default='...'), false to just truncate it
+ *  'encode'   : function used to convert the text (optional)
+ *
+ * Throws an error if the options are invalid.
+ */
+function layoutText(text, options) {
+    var cols = options.cols;
+    var rows = options.rows;
+    var align = options.align || 'left';
+    var wrap = (options.wrap !== undefined ? !!options.wrap : true);
+    var encode = options.encode || ((text) => text);
+    var ellipsis = (options.ellipsis !== undefined ? options.ellipsis : DEFAULT_ELLIPSIS);
+    ellipsis = (ellipsis ? encode(String(ellipsis)) : "");
+
+    if (ALIGNMENTS.indexOf(align) == -1) {
+        throw new Error("Invalid alignment: '" + align + "'");
+    }
+    if (!Number.isInteger(cols) || (cols <= 0) || !Number.isInteger(rows) || (rows < 0)) {
+        throw new Error("Invalid geometry: " + cols + "x" + rows);
+    }
+
+    var lines = [];
+    String(text).split(/\r?\n/).forEach((paragraph) => {
+        paragraph = encode(paragraph);
+        if (wrap) {
+            lines = lines.concat(wrapParagraph(paragraph, cols));
+        } else {
+            lines.push(paragraph);
+        }
+    });
+    var overflow = (lines.length > rows);
+    if (overflow) {
+        lines = lines.slice(0, rows);
+    }
+    return lines.map((line, i) => {
+        if ((line.length > cols) || (overflow && ellipsis && (i === lines.length - 1))) {
+            line = (ellipsis ? ellipsize(line, ellipsis, cols) : line.substr(0, cols));
+        }
+        var col = 0;
+        if (align === 'center') {
+            col = Math.floor((cols - line.length) / 2);
+        } else if (align === 'right') {
+            col = cols - line.length;
+        }
+        return { col: col, text: line };
+    });
+}
+
+// }}}
+
+exports.layoutText = layoutText;
+exports.ALIGNMENTS = ALIGNMENTS;
@@ -0,0 +1,203 @@
+'use strict';
+
+/*
+ * Marquee: scrolls a text horizontally in a single row of the display.
+ *
+ * The hardware display shift moves all the rows at once, so the marquee
+ * redraws the row at each step through LCD.printLine() instead: the other
+ * rows are not affected. The frames are queued with a low priority and the
+ * 'replace' option, so other operations are never delayed by the animation
+ * and a slow display skips frames instead of accumulating them.
+ *
+ * The text is converted to the character ROM once (see lib/charset.js), then
+ * each frame is passed to printLine() as raw characters, so the scrolling is
+ * always one cell per step.
+ */
+
+var debug = require('debug')('async-hd44780:marquee');
+var Priority = require('./command-queue').Priority;
+var rawChar = require('./charset').rawChar;
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const MODES = ['loop', 'bounce'];
+const DEFAULT_SPEED = 4;            // Characters per second
+const DEFAULT_PAUSE = 1000;         // ms
+const DEFAULT_GAP = "   ";
+const CGRAM_LAST = 0x0f;
+const ROM_LAST = 0xff;
+
+// }}}
+
+/* {{{ Marquee
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Scrolls 'text' in row 'row' of 'lcd'. Use LCD.startMarquee() instead of
+ * creating the object directly.
+ *
+ * The 'options' object (optional) can have the following properties:
+ *  'speed'    : scrolling speed in characters per second (default=4)
+ *  'pause'    : time in ms the text stays still when its beginning (or, in
+ *               bounce mode, its end) is displayed (default=1000)
+ *  'mode'     : 'loop' (default): the text scrolls left and starts again
+ *               after 'gap', or 'bounce': the text scrolls left until its
+ *               end is displayed, then back
+ *  'gap'      : text displayed between the end and the beginning of the text
+ *               in loop mode (default=3 spaces)
+ *  'priority' : priority of the printLine() operations (default=Priority.LOW)
+ *
+ * A text that fits in the row is printed without scrolling.
+ * Throws an error if the options are invalid.
+ */
+class Marquee {
+    constructor(lcd, row, text, options) {
+        options = options || {};
+        this.lcd = lcd;
+        this.row = row;
+        this.speed = (options.speed !== undefined ? options.speed : DEFAULT_SPEED);
+        this.pause = (options.pause !== undefined ? options.pause : DEFAULT_PAUSE);
+        this.mode = options.mode || 'loop';
+        this.gap = (options.gap !== undefined ? String(options.gap) : DEFAULT_GAP);
+        this.priority = (options.priority !== undefined ? options.priority : Priority.LOW);
+        if (!(this.speed > 0) || !(this.pause >= 0) || (MODES.indexOf(this.mode) == -1)) {
+            throw new Error("Invalid marquee options");
+        }
+        this.running = false;
+        this.timer = null;
+        this.generation = 0;        // Incremented at each start()
+        this.setText(text);
+    }
+
+    /* {{{ setText
+     * Internal method: converts 'text' in the characters to print and resets
+     * the animation
+     */
+    setText(text) {
+        var encode = (text) => Array.from(this.lcd.encode(String(text)), (c) => {
+            var code = c.charCodeAt(0);
+            return (((code > CGRAM_LAST) && (code <= ROM_LAST)) ? rawChar(code) : c);
+        }).join("");
+        this.text = encode(text);
+        this.strip = this.text + encode(this.gap);
+        this.offset = 0;
+        this.direction = 1;
+    }
+
+    // }}}
+
+    /* {{{ frame
+     * Internal method: returns the text of the current frame and the delay
+     * before the next one
+     */
+    frame() {
+        var cols = this.lcd.getConfig().cols;
+        if (this.text.length <= cols) {
+            return { text: this.text, delay: -1 };
+        }
+        var delay = 1000 / this.speed;
+        var text;
+        if (this.mode === 'loop') {
+            text = (this.strip + this.strip).substr(this.offset, cols);
+            if (this.offset === 0) {
+                delay = Math.max(delay, this.pause);
+            }
+            this.offset = (this.offset + 1) % this.strip.length;
+        } else {
+            var last = this.text.length - cols;
+            text = this.text.substr(this.offset, cols);
+            if ((this.offset === 0) || (this.offset === last)) {
+                delay = Math.max(delay, this.pause);
+            }
+            if (((this.offset === last) && (this.direction > 0)) ||
+                ((this.offset === 0) && (this.direction < 0))) {
+                this.direction = -this.direction;
+            }
+            this.offset += this.direction;
+        }
+        return { text: text, delay: delay };
+    }
+
+    // }}}
+
+    /* {{{ step
+     * Internal method: prints the current frame and schedules the next one
+     * when the printLine() completes. The animation stops if the frame fails
+     * or is cancelled (i.e. by finalize() or by a printLine() with the 
+     * 'replace' option on the same row). The failures are reported with the
+     * 'error' event of the LCD.
+     */
+    step(generation) {
+        this.timer = null;
+        var frame = this.frame();
+        this.lcd.printLine(frame.text, this.row, { priority: this.priority, replace: true }, (err) => {
+            if (!this.running || (generation !== this.generation)) {
+                return;
+            }
+            if (err) {
+                debug("Marquee on row #%d stopped: %s", this.row, err.message);
+                this.running = false;
+                if ((err.code !== 'ECANCELED') && (err.code !== 'ESHUTDOWN')) {
+                    this.lcd.reportError("marquee", err);
+                }
+                return;
+            }
+            if (frame.delay < 0) {
+                // The text fits, nothing to animate
+                return;
+            }
+            this.timer = setTimeout(() => { this.step(generation); }, frame.delay);
+        });
+    }
+
+    // }}}
+
+    /* {{{ start
+     * Starts (or restarts) the animation from the beginning of the text
+     */
+    start() {
+        this.stop();
+        this.running = true;
+        this.offset = 0;
+        this.direction = 1;
+        this.step(++this.generation);
+    }
+
+    // }}}
+
+    /* {{{ stop
+     * Stops the animation. The current frame stays on the display.
+     */
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // }}}
+
+    /* {{{ update
+     * Replaces the text and restarts the animation (if running)
+     */
+    update(text) {
+        this.setText(text);
+        if (this.running) {
+            this.start();
+        }
+    }
+
+    // }}}
+
+    /* {{{ isRunning */
+    isRunning() {
+        return this.running;
+    }
+
+    // }}}
+}
+
+// }}}
+
+module.exports = Marquee;
+module.exports.MODES = MODES;
@@ -0,0 +1,413 @@
+'use strict';
+
+/*
+ * MCP23017 transport: drives the LCD through a MCP23017 I2C I/O expander, as
+ * on the Adafruit 16x2 LCD + keypad Pi Plate.
+ *
+ * The expander has two 8-bit ports (A and B): the pins are numbered 0-7
+ * (GPA0-GPA7) and 8-15 (GPB0-GPB7). The transport keeps a shadow copy of the
+ * output latches and writes the port(s) that changed on the I2C bus
+ * (/dev/i2c-N) every time a line changes.
+ *
+ * The pinout maps each line to its pin (see PINOUTS below). The backlight
+ * can be a list of pins, all switched together (i.e. the red, green and
+ * blue LEDs of the Pi Plate). The pinout can also list push buttons
+ * connected to the expander: they are configured as inputs with pull-ups,
+ * and read by polling the ports (see createButtons()).
+ *
+ * The I2C bus is accessed through the 'i2c-bus' module (optional dependency),
+ * loaded only when the transport is opened. An already open bus object can be
+ * provided instead (i.e. a MCP23017Emulator to run without the hardware): it
+ * must implement 'writeByte(address, register, byte, callback)' and
+ * 'readByte(address, register, callback)'.
+ */
+
+var async = require('async');
+var debug = require('debug')('async-hd44780:mcp23017');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const PINOUTS = {
+    // Adafruit Pi Plate: LCD on port B, red and green LEDs on GPA6-GPA7, blue
+    // on GPB0 (active low), 5 buttons to ground on GPA0-GPA4
+    adafruit: {
+        rs: 15, rw: 14, e: 13, d4: 12, d5: 11, d6: 10, d7: 9, bl: [6, 7, 8], blActiveLow: true,
+        keys: { enter: 0, right: 1, down: 2, up: 3, left: 4 }
+    }
+};
+
+// Registers (IOCON.BANK=0, the power-on mapping)
+const IODIRA = 0x00;
+const GPPUA = 0x0c;
+const GPIOA = 0x12;
+const OLATA = 0x14;
+// The register of port B follows the register of port A
+const PORT_B = 1;
+
+const DEFAULT_BUS = 1;              // /dev/i2c-1 on all recent Raspberry Pi
+const DEFAULT_ADDRESS = 0x20;
+const POLL_INTERVAL = 10;           // ms between two reads of the buttons
+
+// }}}
+
+/* {{{ resolvePinout
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the pinout object from either a pinout name or a pinout object.
+ * Throws an error if the pinout is invalid.
+ */
+function resolvePinout(pinout) {
+    if (!pinout) {
+        return PINOUTS.adafruit;
+    }
+    if (typeof(pinout) === "string") {
+        if (!PINOUTS.hasOwnProperty(pinout)) {
+            throw new Error("Unknown MCP23017 pinout: '" + pinout + "'");
+        }
+        return PINOUTS[pinout];
+    }
+    var isPin = (pin) => (Number.isInteger(pin) && (pin >= 0) && (pin <= 15));
+    ['rs', 'e', 'd4', 'd5', 'd6', 'd7'].forEach((signal) => {
+        if (!isPin(pinout[signal])) {
+            throw new Error("Invalid MCP23017 pinout: pin for line '" + signal + "' must be 0-15");
+        }
+    });
+    if ((pinout.bl !== undefined) && ![].concat(pinout.bl).every(isPin)) {
+        throw new Error("Invalid MCP23017 pinout: pins for line 'bl' must be 0-15");
+    }
+    for (var key in (pinout.keys || {})) {
+        if (!isPin(pinout.keys[key])) {
+            throw new Error("Invalid MCP23017 pinout: pin for key '" + key + "' must be 0-15");
+        }
+    }
+    return pinout;
+}
+
+// }}}
+
+/* {{{ inputMask
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the 16-bit mask of the pins of 'pinout' used as inputs (buttons)
+ */
+function inputMask(pinout) {
+    var retVal = 0;
+    for (var key in (pinout.keys || {})) {
+        retVal |= (1 << pinout.keys[key]);
+    }
+    return retVal;
+}
+
+// }}}
+
+/* {{{ MCP23017Transport
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * The 'options' object (optional) can have the following properties:
+ *  'busNumber' : I2C bus number N of the /dev/i2c-N device (default=1)
+ *  'address'   : I2C address of the expander (default=0x20)
+ *  'pinout'    : name of the pinout (see PINOUTS) or pinout object
+ *                (default='adafruit')
+ *  'backlight' : initial state of the backlight (default=true)
+ *  'bus'       : an already open bus object to use instead of opening
+ *                /dev/i2c-N (the transport will not close it)
+ */
+class MCP23017Transport {
+    constructor(options) {
+        options = options || {};
+        this.busNumber = (options.busNumber !== undefined ? options.busNumber : DEFAULT_BUS);
+        this.address = options.address || DEFAULT_ADDRESS;
+        this.pinout = resolvePinout(options.pinout);
+        this.bus = options.bus || null;
+        this.ownBus = !this.bus;
+        this.signals = { bl: (options.backlight !== undefined ? !!options.backlight : true) };
+        // Value of the output latches of the ports A and B, undefined until
+        // written
+        this.latches = [ undefined, undefined ];
+    }
+
+    /* {{{ portValue
+     * Returns the 16-bit value of the output latches for the current state of
+     * the lines. The R/W line is always low (write).
+     */
+    portValue() {
+        var retVal = 0;
+        for (var signal in this.signals) {
+            if (this.pinout[signal] === undefined) {
+                continue;
+            }
+            var value = this.signals[signal];
+            if ((signal === 'bl') && this.pinout.blActiveLow) {
+                value = !value;
+            }
+            if (value) {
+                [].concat(this.pinout[signal]).forEach((pin) => { retVal |= (1 << pin); });
+            }
+        }
+        return retVal;
+    }
+
+    // }}}
+
+    open(callback) {
+        var setupPorts = (err) => {
+            if (err) {
+                this.bus = null;
+                return callback(err);
+            }
+            // The buttons are inputs with pull-ups, all the other pins are
+            // outputs
+            var inputs = inputMask(this.pinout);
+            var registers = [
+                [ IODIRA, inputs & 0xff ], [ IODIRA + PORT_B, inputs >> 8 ],
+                [ GPPUA, inputs & 0xff ], [ GPPUA + PORT_B, inputs >> 8 ]
+            ];
+            async.eachSeries(registers, (register, next) => {
+                this.bus.writeByte(this.address, register[0], register[1], next);
+            }, (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                this.write({}, callback);
+            });
+        };
+
+        this.latches = [ undefined, undefined ];
+        if (!this.ownBus) {
+            setupPorts(null);
+            return;
+        }
+        var i2c;
+        try {
+            i2c = require('i2c-bus');
+        } catch (err) {
+            debug("Failed to load module i2c-bus: %s", err.message);
+            callback(new Error("I2C mode requires the 'i2c-bus' module"));
+            return;
+        }
+        debug("Opening /dev/i2c-%d, device address=0x%s", this.busNumber, this.address.toString(16));
+        this.bus = i2c.open(this.busNumber, setupPorts);
+    }
+
+    write(signals, callback) {
+        if (!this.bus) {
+            if (callback) process.nextTick(callback, new Error("Transport not open"));
+            return;
+        }
+        for (var k in signals) {
+            this.signals[k] = !!signals[k];
+        }
+        // Only the ports that changed are written (the LCD lines are usually
+        // on the same port: one transfer per write)
+        var value = this.portValue();
+        var ports = [0, 1].filter((port) => (((value >> (8 * port)) & 0xff) !== this.latches[port]));
+        async.eachSeries(ports, (port, next) => {
+            var byte = (value >> (8 * port)) & 0xff;
+            this.bus.writeByte(this.address, OLATA + port, byte, (err) => {
+                if (!err) {
+                    this.latches[port] = byte;
+                }
+                next(err);
+            });
+        }, (err) => {
+            if (callback) callback(err || null);
+        });
+    }
+
+    close(callback) {
+        var bus = this.bus;
+        this.bus = null;
+        if (!bus || !this.ownBus) {
+            if (callback) process.nextTick(callback, null);
+            return;
+        }
+        debug("Closing /dev/i2c-%d", this.busNumber);
+        bus.close((err) => {
+            if (callback) callback(err || null);
+        });
+    }
+
+    /* {{{ readInputs
+     * Reads the ports with inputs, then call 'callback(error, value)' with
+     * the 16-bit value of the pins
+     */
+    readInputs(callback) {
+        if (!this.bus) {
+            process.nextTick(callback, new Error("Transport not open"));
+            return;
+        }
+        var inputs = inputMask(this.pinout);
+        var ports = [0, 1].filter((port) => ((inputs >> (8 * port)) & 0xff));
+        var value = 0;
+        async.eachSeries(ports, (port, next) => {
+            this.bus.readByte(this.address, GPIOA + port, (err, byte) => {
+                value |= ((byte & 0xff) << (8 * port));
+                next(err);
+            });
+        }, (err) => { callback(err || null, value); });
+    }
+
+    // }}}
+
+    /* {{{ createButtons
+     * Returns an object reading the buttons of the pinout, with the same
+     * interface as GpioButtons (see lib/gpio-transport.js), or null if the
+     * pinout has no buttons. The transport must be open while the buttons
+     * are read.
+     */
+    createButtons() {
+        var keys = this.pinout.keys;
+        if (!keys || !Object.keys(keys).length) {
+            return null;
+        }
+        var buttons = { onChange: null };
+        var timer = null;
+        var levels = {};
+        var poll = () => {
+            this.readInputs((err, values) => {
+                if (err) {
+                    debug("Failed to read the buttons: %s", err.message);
+                } else {
+                    // The buttons connect the pins to ground
+                    for (var key in keys) {
+                        var pressed = !(values & (1 << keys[key]));
+                        if ((pressed !== levels[key]) && buttons.onChange) {
+                            buttons.onChange(key, pressed);
+                        }
+                        levels[key] = pressed;
+                    }
+                }
+                if (timer) {
+                    timer = setTimeout(poll, POLL_INTERVAL);
+                }
+            });
+        };
+        buttons.open = (callback) => {
+            timer = setTimeout(poll, POLL_INTERVAL);
+            process.nextTick(callback, null);
+        };
+        buttons.close = (callback) => {
+            clearTimeout(timer);
+            timer = null;
+            process.nextTick(callback, null);
+        };
+        return buttons;
+    }
+
+    // }}}
+}
+
+// }}}
+
+/* {{{ MCP23017Emulator
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * A fake I2C bus with a MCP23017 connected to an emulated LCD (see
+ * lib/emulator-transport.js). Every write to the output latches is decoded
+ * back into the LCD lines according to the pinout and forwarded to 'lcd'.
+ * Use press() to emulate the buttons of the pinout.
+ *
+ * The 'options' object (optional) can have the following properties:
+ *  'address' : I2C address of the emulated expander (default=0x20)
+ *  'pinout'  : name of the pinout or pinout object (default='adafruit')
+ */
+class MCP23017Emulator {
+    constructor(lcd, options) {
+        options = options || {};
+        this.lcd = lcd;
+        this.address = options.address || DEFAULT_ADDRESS;
+        this.pinout = resolvePinout(options.pinout);
+        // Registers of ports A and B, at power-on: all pins are inputs
+        this.iodir = [ 0xff, 0xff ];
+        this.pullUps = [ 0, 0 ];
+        this.latches = [ 0, 0 ];
+        this.pressed = {};
+        this.lcd.open();
+    }
+
+    /* {{{ press
+     * Presses (or releases, if 'pressed' is false) the button 'key'
+     */
+    press(key, pressed) {
+        this.pressed[key] = (pressed !== undefined ? !!pressed : true);
+    }
+
+    // }}}
+
+    checkAddress(address, callback) {
+        if (address !== this.address) {
+            process.nextTick(callback, new Error("Remote I/O error (no device at address 0x" + address.toString(16) + ")"));
+            return false;
+        }
+        return true;
+    }
+
+    writeByte(address, register, value, callback) {
+        if (!this.checkAddress(address, callback)) {
+            return;
+        }
+        var port = register & PORT_B;
+        switch (register & ~PORT_B) {
+        case IODIRA:
+            this.iodir[port] = value;
+            break;
+        case GPPUA:
+            this.pullUps[port] = value;
+            break;
+        case GPIOA:
+        case OLATA:
+            this.latches[port] = value;
+            this.lcd.write(this.signals(), callback);
+            return;
+        }
+        process.nextTick(callback, null);
+    }
+
+    readByte(address, register, callback) {
+        if (!this.checkAddress(address, callback)) {
+            return;
+        }
+        if ((register & ~PORT_B) !== GPIOA) {
+            process.nextTick(callback, new Error("Register 0x" + register.toString(16) + " not emulated"));
+            return;
+        }
+        var port = register & PORT_B;
+        // Outputs read their latch, the inputs with a pull-up read high
+        // unless a button connects them to ground
+        var value = (this.latches[port] & ~this.iodir[port]) | (this.pullUps[port] & this.iodir[port]);
+        var keys = this.pinout.keys || {};
+        for (var key in keys) {
+            var pin = keys[key];
+            if (this.pressed[key] && ((pin >> 3) === port)) {
+                value &= ~(1 << (pin & 7));
+            }
+        }
+        process.nextTick(callback, null, value);
+    }
+
+    // The LCD lines for the current value of the latches (outputs only)
+    signals() {
+        var outputs = (this.latches[0] & ~this.iodir[0]) | ((this.latches[1] & ~this.iodir[1]) << 8);
+        var signals = {};
+        for (var signal in this.pinout) {
+            if ((signal === 'keys') || (signal === 'blActiveLow')) {
+                continue;
+            }
+            var levels = [].concat(this.pinout[signal]).map((pin) => ((outputs & (1 << pin)) != 0));
+            if ((signal === 'bl') && this.pinout.blActiveLow) {
+                // The backlight is on if any of its LEDs is on
+                signals.bl = levels.some((level) => !level);
+            } else {
+                signals[signal] = levels.some((level) => level);
+            }
+        }
+        return signals;
+    }
+
+    close(callback) {
+        this.lcd.close(callback);
+    }
+}
+
+// }}}
+
+module.exports = MCP23017Transport;
+module.exports.MCP23017Emulator = MCP23017Emulator;
+module.exports.PINOUTS = PINOUTS;
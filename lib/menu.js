@@ -0,0 +1,372 @@
+'use strict';
+
+/*
+ * Menu: hierarchical menus navigated with the push buttons (see
+ * lib/buttons.js).
+ *
+ * A menu is an object with the following properties:
+ *  'title' : text of the first row (optional, displayed on the displays with
+ *            more than 2 rows)
+ *  'items' : array of items, each of them with a 'label' and one of:
+ *   - 'items'   : the items of a submenu (the 'title' of the submenu
+ *                 defaults to the label)
+ *   - 'action'  : function invoked with the item when it is selected
+ *   - 'value'   : a value that can be edited. The value is either a number
+ *                 (between 'min' and 'max', by steps of 'step', default=1),
+ *                 one of the 'choices' (array of strings or numbers) or a
+ *                 boolean. When the edit is confirmed, the new value is
+ *                 stored in 'value' and 'onChange(value, item)' is invoked
+ *                 (optional). 'format(value)' (optional) returns the text
+ *                 displayed for the value.
+ *
+ * The items are listed one per row, with a cursor on the selected one. The
+ * keys are used as follows:
+ *  - 'up' and 'down' move the cursor (a long press moves by a page)
+ *  - 'enter' or 'right' opens the submenu, invokes the action or starts
+ *    editing the value
+ *  - 'back' or 'left' (or a long press of 'enter', for the appliances with
+ *    3 buttons) goes back to the parent menu. In the top menu it closes the
+ *    menu.
+ * While editing a value (the cursor becomes '*'), 'up' and 'right'
+ * increment it (a long press increments it by 10 steps), 'down' and 'left'
+ * decrement it, 'enter' confirms and 'back' (or a long press of 'enter')
+ * restores the previous value.
+ *
+ * The menu is drawn on the whole display through the command queue: a
+ * redraw replaces the one still queued, so the menu keeps up with the keys.
+ */
+
+var EventEmitter = require('events');
+var CommandQueue = require('./command-queue');
+var debug = require('debug')('async-hd44780:menu');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const CURSOR = ">";
+const EDIT_CURSOR = "*";
+const SUBMENU_MARK = "→";
+const LONG_STEPS = 10;              // Steps of a long press while editing
+const QUEUE_KEY = "menu";
+
+// }}}
+
+/* {{{ checkMenu
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Throws an error if 'menu' (and its submenus) are not valid
+ */
+function checkMenu(menu, path) {
+    if (!menu || !Array.isArray(menu.items) || !menu.items.length) {
+        throw new Error("Invalid menu '" + path + "': expected a non-empty array of items");
+    }
+    menu.items.forEach((item, i) => {
+        var where = path + "/" + (item && item.label !== undefined ? item.label : "#" + i);
+        if (!item || (item.label === undefined)) {
+            throw new Error("Invalid menu item '" + where + "': missing label");
+        }
+        var kinds = ['items', 'action', 'value'].filter((kind) => (item[kind] !== undefined));
+        if (kinds.length !== 1) {
+            throw new Error("Invalid menu item '" + where + "': expected one of 'items', 'action' or 'value'");
+        }
+        if (item.items !== undefined) {
+            checkMenu(item, where);
+        } else if ((item.action !== undefined) && (typeof(item.action) !== "function")) {
+            throw new Error("Invalid menu item '" + where + "': 'action' must be a function");
+        } else if ((item.choices !== undefined) && (!Array.isArray(item.choices) || !item.choices.length)) {
+            throw new Error("Invalid menu item '" + where + "': 'choices' must be a non-empty array");
+        }
+    });
+}
+
+// }}}
+
+/* {{{ Menu
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Displays the menu 'root' on 'lcd'. Use LCD.openMenu() instead of creating
+ * the object directly.
+ *
+ * The 'options' object (optional) can have the following properties:
+ *  'priority'  : priority of the draw operations (default=Priority.NORMAL)
+ *  'showTitle' : display the title of the menus in the first row
+ *                (default=true on displays with more than 2 rows)
+ *
+ * Emits the following events:
+ *  'action' (item)        : an item with an action has been selected
+ *  'change' (item, value) : the value of an item has been changed
+ *  'close'                : the menu has been closed (by close(), or with
+ *                           the 'back' key in the top menu)
+ *
+ * Throws an error if the menu is not valid.
+ */
+class Menu extends EventEmitter {
+    constructor(lcd, root, options) {
+        super();
+        options = options || {};
+        checkMenu(root, "");
+        this.lcd = lcd;
+        this.priority = options.priority;
+        this.showTitle = (options.showTitle !== undefined ? !!options.showTitle : (lcd.getConfig().rows > 2));
+        // Menus opened from the top one, with the selected item and the
+        // first item displayed
+        this.stack = [ { menu: root, selected: 0, top: 0 } ];
+        // Item being edited: { item, value }
+        this.editing = null;
+        this.running = false;
+        this.keyListener = (event) => { this.handleKey(event.key, event.long); };
+    }
+
+    /* {{{ start
+     * Starts reading the keys and draws the menu
+     */
+    start() {
+        if (!this.running) {
+            this.running = true;
+            this.lcd.on('key', this.keyListener);
+        }
+        this.draw();
+    }
+
+    // }}}
+
+    /* {{{ close
+     * Stops reading the keys and emits the 'close' event. The menu stays on
+     * the display.
+     */
+    close() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        this.lcd.removeListener('key', this.keyListener);
+        this.lcd.queue.cancelKey(QUEUE_KEY, CommandQueue.cancelledError("Menu closed"));
+        this.emit('close');
+    }
+
+    // }}}
+
+    /* {{{ isRunning */
+    isRunning() {
+        return this.running;
+    }
+
+    // }}}
+
+    /* {{{ current / listRows */
+
+    // The entry of the stack of the menu displayed
+    current() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    // Number of rows used by the items
+    listRows() {
+        return this.lcd.getConfig().rows - (this.showTitle ? 1 : 0);
+    }
+
+    // }}}
+
+    /* {{{ handleKey
+     * Executes the action of 'key' (pressed for a long time if 'long' is
+     * true) and redraws the menu
+     */
+    handleKey(key, long) {
+        if (!this.running || !this.lcd.getConfig()) {
+            return;
+        }
+        debug("Key '%s'%s", key, (long ? " (long)" : ""));
+        if (this.editing) {
+            this.editKey(key, long);
+        } else {
+            this.navigateKey(key, long);
+        }
+        if (this.running) {
+            this.draw();
+        }
+    }
+
+    // }}}
+
+    /* {{{ navigateKey
+     * Internal method: handles 'key' while browsing the items
+     */
+    navigateKey(key, long) {
+        var entry = this.current();
+        var count = entry.menu.items.length;
+        var step = (long ? this.listRows() : 1);
+        if (key === 'up') {
+            entry.selected = Math.max(entry.selected - step, 0);
+        } else if (key === 'down') {
+            entry.selected = Math.min(entry.selected + step, count - 1);
+        } else if (((key === 'enter') && !long) || (key === 'right')) {
+            this.select(entry.menu.items[entry.selected]);
+        } else if ((key === 'enter') || (key === 'back') || (key === 'left')) {
+            if (this.stack.length > 1) {
+                this.stack.pop();
+            } else {
+                this.close();
+            }
+        }
+    }
+
+    // }}}
+
+    /* {{{ select
+     * Internal method: opens the submenu, invokes the action or starts
+     * editing the value of 'item'
+     */
+    select(item) {
+        if (item.items !== undefined) {
+            this.stack.push({ menu: item, selected: 0, top: 0 });
+        } else if (item.action !== undefined) {
+            this.emit('action', item);
+            item.action(item);
+        } else {
+            this.editing = { item: item, value: item.value };
+        }
+    }
+
+    // }}}
+
+    /* {{{ editKey
+     * Internal method: handles 'key' while editing a value
+     */
+    editKey(key, long) {
+        var item = this.editing.item;
+        if ((key === 'enter') && !long) {
+            var value = this.editing.value;
+            this.editing = null;
+            if (value !== item.value) {
+                item.value = value;
+                if (item.onChange) {
+                    item.onChange(value, item);
+                }
+                this.emit('change', item, value);
+            }
+            return;
+        }
+        if ((key === 'enter') || (key === 'back')) {
+            this.editing = null;
+            return;
+        }
+        var delta = (((key === 'up') || (key === 'right')) ? 1 : -1) * (long ? LONG_STEPS : 1);
+        this.editing.value = this.adjust(item, this.editing.value, delta);
+    }
+
+    // }}}
+
+    /* {{{ adjust
+     * Internal method: returns 'value' changed by 'delta' steps
+     */
+    adjust(item, value, delta) {
+        if (item.choices) {
+            var count = item.choices.length;
+            var index = Math.max(item.choices.indexOf(value), 0);
+            return item.choices[(((index + delta) % count) + count) % count];
+        }
+        if (typeof(item.value) === "boolean") {
+            return !value;
+        }
+        var step = (item.step !== undefined ? item.step : 1);
+        value += delta * step;
+        if ((item.max !== undefined) && (value > item.max)) {
+            value = item.max;
+        }
+        if ((item.min !== undefined) && (value < item.min)) {
+            value = item.min;
+        }
+        // Avoid the rounding errors of the fractional steps
+        return Number(value.toFixed(10));
+    }
+
+    // }}}
+
+    /* {{{ valueText
+     * Internal method: returns the text displayed for 'value' of 'item'
+     */
+    valueText(item, value) {
+        if (item.format) {
+            return String(item.format(value));
+        }
+        if (typeof(value) === "boolean") {
+            return (value ? "On" : "Off");
+        }
+        return String(value);
+    }
+
+    // }}}
+
+    /* {{{ render
+     * Internal method: returns the (encoded) lines of the display
+     */
+    render() {
+        var config = this.lcd.getConfig();
+        var entry = this.current();
+        var items = entry.menu.items;
+        var lines = [];
+        if (this.showTitle) {
+            lines.push(this.lcd.encode(entry.menu.title !== undefined ? entry.menu.title : (entry.menu.label || "")));
+        }
+        var listRows = this.listRows();
+        if (entry.selected < entry.top) {
+            entry.top = entry.selected;
+        } else if (entry.selected >= entry.top + listRows) {
+            entry.top = entry.selected - listRows + 1;
+        }
+        for (var i = entry.top; (i < items.length) && (lines.length < config.rows); ++i) {
+            var item = items[i];
+            var cursor = " ";
+            if (i === entry.selected) {
+                cursor = (this.editing ? EDIT_CURSOR : CURSOR);
+            }
+            var suffix = "";
+            if (item.items !== undefined) {
+                suffix = SUBMENU_MARK;
+            } else if (item.value !== undefined) {
+                var editing = (this.editing && (this.editing.item === item));
+                suffix = this.valueText(item, (editing ? this.editing.value : item.value));
+            }
+            suffix = this.lcd.encode(suffix).substr(0, config.cols - 1);
+            var label = this.lcd.encode(String(item.label));
+            var labelWidth = config.cols - 1 - suffix.length - (suffix.length ? 1 : 0);
+            lines.push(cursor + label.substr(0, Math.max(labelWidth, 0)).padEnd(config.cols - 1 - suffix.length) + suffix);
+        }
+        while (lines.length < config.rows) {
+            lines.push("");
+        }
+        return lines.map((line) => line.padEnd(config.cols).substr(0, config.cols));
+    }
+
+    // }}}
+
+    /* {{{ draw
+     * Internal method: queues the redraw of the menu, replacing the one not
+     * executed yet
+     */
+    draw() {
+        this.lcd.queue.cancelKey(QUEUE_KEY, CommandQueue.cancelledError("Replaced by a newer menu redraw"));
+        this.lcd.enqueue("menu", { priority: this.priority, key: QUEUE_KEY }, (done) => {
+            if (!this.lcd.getConfig()) {
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            var lines;
+            try {
+                lines = this.render();
+            } catch (err) {
+                done(err);
+                return;
+            }
+            this.lcd.writeRows(lines.map((text, row) => ({ row: row, col: 0, text: text })), done);
+        }, (err) => {
+            if (err && (err.code !== 'ECANCELED') && (err.code !== 'ESHUTDOWN')) {
+                this.lcd.reportError("menu", err);
+            }
+        });
+    }
+
+    // }}}
+}
+
+// }}}
+
+module.exports = Menu;
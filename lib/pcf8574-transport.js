@@ -0,0 +1,214 @@
+'use strict';
+
+/*
+ * PCF8574 transport: drives the LCD through a PCF8574 I2C I/O expander (the
+ * "I2C backpack" soldered on many 16x2 and 20x4 modules).
+ *
+ * The expander has a single 8-bit port: each bit is wired to one of the LCD
+ * lines. The transport keeps a shadow copy of the port and writes the whole
+ * byte on the I2C bus (/dev/i2c-N) every time a line changes.
+ *
+ * There is no standard wiring for the backpacks, the most common ones are
+ * available as named pinouts (see PINOUTS below). A custom pinout can be
+ * provided as an object mapping each line to the bit number of the port:
+ *    { rs: 0, rw: 1, e: 2, bl: 3, d4: 4, d5: 5, d6: 6, d7: 7, blActiveLow: false }
+ *
+ * The I2C bus is accessed through the 'i2c-bus' module (optional dependency),
+ * loaded only when the transport is opened. An already open bus object can be
+ * provided instead (i.e. a PCF8574Emulator to run without the hardware): it
+ * must implement 'sendByte(address, byte, callback)'.
+ */
+
+var debug = require('debug')('async-hd44780:pcf8574');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const PINOUTS = {
+    // Most common backpack (address 0x27 for PCF8574T, 0x3F for PCF8574AT)
+    default: { rs: 0, rw: 1, e: 2, bl: 3, d4: 4, d5: 5, d6: 6, d7: 7, blActiveLow: false },
+
+    // 'mjkdz' backpack (address 0x20), data on the low nibble
+    mjkdz:   { d4: 0, d5: 1, d6: 2, d7: 3, e: 4, rw: 5, rs: 6, bl: 7, blActiveLow: true }
+};
+
+const DEFAULT_BUS = 1;              // /dev/i2c-1 on all recent Raspberry Pi
+const DEFAULT_ADDRESS = 0x27;
+
+// }}}
+
+/* {{{ resolvePinout
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns the pinout object from either a pinout name or a pinout object.
+ * Throws an error if the pinout is invalid.
+ */
+function resolvePinout(pinout) {
+    if (!pinout) {
+        return PINOUTS.default;
+    }
+    if (typeof(pinout) === "string") {
+        if (!PINOUTS.hasOwnProperty(pinout)) {
+            throw new Error("Unknown PCF8574 pinout: '" + pinout + "'");
+        }
+        return PINOUTS[pinout];
+    }
+    ['rs', 'e', 'd4', 'd5', 'd6', 'd7'].forEach((signal) => {
+        if (!Number.isInteger(pinout[signal]) || (pinout[signal] < 0) || (pinout[signal] > 7)) {
+            throw new Error("Invalid PCF8574 pinout: bit for line '" + signal + "' must be 0-7");
+        }
+    });
+    return pinout;
+}
+
+// }}}
+
+/* {{{ PCF8574Transport
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * The 'options' object (optional) can have the following properties:
+ *  'busNumber' : I2C bus number N of the /dev/i2c-N device (default=1)
+ *  'address'   : I2C address of the expander (default=0x27)
+ *  'pinout'    : name of the pinout (see PINOUTS) or pinout object
+ *                (default='default')
+ *  'backlight' : initial state of the backlight (default=true)
+ *  'bus'       : an already open bus object to use instead of opening
+ *                /dev/i2c-N (the transport will not close it)
+ */
+class PCF8574Transport {
+    constructor(options) {
+        options = options || {};
+        this.busNumber = (options.busNumber !== undefined ? options.busNumber : DEFAULT_BUS);
+        this.address = options.address || DEFAULT_ADDRESS;
+        this.pinout = resolvePinout(options.pinout);
+        this.bus = options.bus || null;
+        this.ownBus = !this.bus;
+        this.signals = { bl: (options.backlight !== undefined ? !!options.backlight : true) };
+    }
+
+    /* {{{ portValue
+     * Returns the byte to write on the expander port for the current state of
+     * the lines. The R/W line is always low (write).
+     */
+    portValue() {
+        var retVal = 0;
+        for (var signal in this.signals) {
+            var bit = this.pinout[signal];
+            if (bit === undefined) {
+                continue;
+            }
+            var value = this.signals[signal];
+            if ((signal === 'bl') && this.pinout.blActiveLow) {
+                value = !value;
+            }
+            if (value) {
+                retVal |= (1 << bit);
+            }
+        }
+        return retVal;
+    }
+
+    // }}}
+
+    open(callback) {
+        var sendInitialState = (err) => {
+            if (err) {
+                this.bus = null;
+                return callback(err);
+            }
+            this.write({}, callback);
+        };
+
+        if (!this.ownBus) {
+            sendInitialState(null);
+            return;
+        }
+        var i2c;
+        try {
+            i2c = require('i2c-bus');
+        } catch (err) {
+            debug("Failed to load module i2c-bus: %s", err.message);
+            callback(new Error("I2C mode requires the 'i2c-bus' module"));
+            return;
+        }
+        debug("Opening /dev/i2c-%d, device address=0x%s", this.busNumber, this.address.toString(16));
+        this.bus = i2c.open(this.busNumber, sendInitialState);
+    }
+
+    write(signals, callback) {
+        if (!this.bus) {
+            if (callback) process.nextTick(callback, new Error("Transport not open"));
+            return;
+        }
+        for (var k in signals) {
+            this.signals[k] = !!signals[k];
+        }
+        this.bus.sendByte(this.address, this.portValue(), (err) => {
+            if (callback) callback(err || null);
+        });
+    }
+
+    close(callback) {
+        var bus = this.bus;
+        this.bus = null;
+        if (!bus || !this.ownBus) {
+            if (callback) process.nextTick(callback, null);
+            return;
+        }
+        debug("Closing /dev/i2c-%d", this.busNumber);
+        bus.close((err) => {
+            if (callback) callback(err || null);
+        });
+    }
+}
+
+// }}}
+
+/* {{{ PCF8574Emulator
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * A fake I2C bus with a PCF8574 connected to an emulated LCD (see
+ * lib/emulator-transport.js). Every byte written to the expander is decoded
+ * back into the LCD lines according to the pinout and forwarded to 'lcd'.
+ *
+ * The 'options' object (optional) can have the following properties:
+ *  'address' : I2C address of the emulated expander (default=0x27)
+ *  'pinout'  : name of the pinout or pinout object (default='default')
+ */
+class PCF8574Emulator {
+    constructor(lcd, options) {
+        options = options || {};
+        this.lcd = lcd;
+        this.address = options.address || DEFAULT_ADDRESS;
+        this.pinout = resolvePinout(options.pinout);
+        this.value = 0xff;              // Port value at power-on
+        this.lcd.open();
+    }
+
+    sendByte(address, value, callback) {
+        if (address !== this.address) {
+            process.nextTick(callback, new Error("Remote I/O error (no device at address 0x" + address.toString(16) + ")"));
+            return;
+        }
+        this.value = value;
+        var signals = {};
+        for (var signal in this.pinout) {
+            var bit = this.pinout[signal];
+            if (!Number.isInteger(bit)) {
+                continue;
+            }
+            signals[signal] = ((value & (1 << bit)) != 0);
+            if ((signal === 'bl') && this.pinout.blActiveLow) {
+                signals[signal] = !signals[signal];
+            }
+        }
+        this.lcd.write(signals, callback);
+    }
+
+    close(callback) {
+        this.lcd.close(callback);
+    }
+}
+
+// }}}
+
+module.exports = PCF8574Transport;
+module.exports.PCF8574Emulator = PCF8574Emulator;
+module.exports.PINOUTS = PINOUTS;
@@ -0,0 +1,185 @@
+'use strict';
+
+/*
+ * PWM generators used to dim the backlight.
+ *
+ * SoftwarePwm toggles a line through a 'write(value, callback)' function with
+ * a timer. It works on any GPIO pin, but the resolution is limited by the
+ * timers of Node.js (about 1ms): at the default frequency (100Hz) there are
+ * only 10 brightness levels, and the backlight may flicker when the event
+ * loop is busy.
+ *
+ * SysfsPwm drives a hardware PWM channel through the Linux sysfs interface
+ * (/sys/class/pwm/pwmchipN/pwmM). On the Raspberry Pi the channels must be
+ * enabled with the 'pwm' or 'pwm-2chan' overlay, i.e. in /boot/config.txt:
+ *    dtoverlay=pwm,pin=18,func=2
+ * then channel 0 of chip 0 drives GPIO 18.
+ *
+ * Both generators take a brightness level between 0 (off) and 1 (full on).
+ */
+
+var fs = require('fs');
+var path = require('path');
+var async = require('async');
+var debug = require('debug')('async-hd44780:pwm');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const DEFAULT_SOFTWARE_FREQUENCY = 100;     // Hz
+const DEFAULT_HARDWARE_FREQUENCY = 1000;    // Hz
+const SYSFS_PWM_ROOT = '/sys/class/pwm';
+
+// }}}
+
+/* {{{ SoftwarePwm
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * 'write(value, callback)' sets the line to the boolean 'value'.
+ * The 'options' object (optional) can have the following properties:
+ *  'frequency' : PWM frequency in Hz (default=100)
+ *  'onError'   : function invoked with the error if a write of the PWM cycle
+ *                fails (the PWM is stopped)
+ */
+class SoftwarePwm {
+    constructor(write, options) {
+        options = options || {};
+        this.write = write;
+        this.onError = options.onError;
+        this.period = 1000 / (options.frequency || DEFAULT_SOFTWARE_FREQUENCY);
+        this.level = 0;
+        this.timer = null;
+    }
+
+    /* {{{ set
+     * Sets the brightness 'level' (0-1), then call 'callback(error)'.
+     * Levels that round to 0 or to a full period stop the timer and leave the
+     * line steady.
+     */
+    set(level, callback) {
+        this.stop();
+        this.level = level;
+        var onTime = Math.round(level * this.period);
+        if ((onTime <= 0) || (onTime >= this.period)) {
+            this.write(onTime > 0, callback);
+            return;
+        }
+        debug("Software PWM: %dms on, %dms off", onTime, this.period - onTime);
+        var cycle = (value) => {
+            this.timer = setTimeout(() => {
+                this.write(!value, (err) => {
+                    if (err) {
+                        debug("Software PWM write failed: %s", err.message);
+                        this.stop();
+                        if (this.onError) this.onError(err);
+                    }
+                });
+                cycle(!value);
+            }, (value ? onTime : this.period - onTime));
+        };
+        this.write(true, (err) => {
+            if (!err) {
+                cycle(true);
+            }
+            callback(err);
+        });
+    }
+
+    // }}}
+
+    /* {{{ stop
+     * Stops the timer, leaving the line in its current state
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // }}}
+}
+
+// }}}
+
+/* {{{ SysfsPwm
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * The 'options' object (optional) can have the following properties:
+ *  'chip'      : number N of /sys/class/pwm/pwmchipN (default=0)
+ *  'channel'   : PWM channel of the chip (default=0)
+ *  'frequency' : PWM frequency in Hz (default=1000)
+ */
+class SysfsPwm {
+    constructor(options) {
+        options = options || {};
+        this.chipPath = path.join(SYSFS_PWM_ROOT, 'pwmchip' + (options.chip || 0));
+        this.channel = options.channel || 0;
+        this.channelPath = path.join(this.chipPath, 'pwm' + this.channel);
+        this.period = Math.round(1e9 / (options.frequency || DEFAULT_HARDWARE_FREQUENCY));  // ns
+        this.exported = false;
+    }
+
+    /* {{{ open
+     * Exports the channel (if needed), sets the period and enables it with a
+     * duty cycle of 0, then call 'callback(error)'
+     */
+    open(callback) {
+        debug("Opening hardware PWM channel %s", this.channelPath);
+        async.series([
+            (next) => {
+                fs.access(this.channelPath, (err) => {
+                    if (!err) {
+                        next(null);
+                        return;
+                    }
+                    this.exported = true;
+                    fs.writeFile(path.join(this.chipPath, 'export'), String(this.channel), next);
+                });
+            },
+            // The duty cycle must never exceed the period
+            (next) => { this.writeAttribute('duty_cycle', 0, next); },
+            (next) => { this.writeAttribute('period', this.period, next); },
+            (next) => { this.writeAttribute('enable', 1, next); }
+        ], (err) => { callback(err || null); });
+    }
+
+    // }}}
+
+    /* {{{ set
+     * Sets the brightness 'level' (0-1), then call 'callback(error)'
+     */
+    set(level, callback) {
+        this.writeAttribute('duty_cycle', Math.round(level * this.period), callback);
+    }
+
+    // }}}
+
+    /* {{{ close
+     * Disables the channel and unexports it (if exported by open()), then
+     * call 'callback(error)'
+     */
+    close(callback) {
+        debug("Closing hardware PWM channel %s", this.channelPath);
+        async.series([
+            (next) => { this.writeAttribute('enable', 0, next); },
+            (next) => {
+                if (!this.exported) {
+                    next(null);
+                    return;
+                }
+                this.exported = false;
+                fs.writeFile(path.join(this.chipPath, 'unexport'), String(this.channel), next);
+            }
+        ], (err) => { callback(err || null); });
+    }
+
+    // }}}
+
+    writeAttribute(name, value, callback) {
+        fs.writeFile(path.join(this.channelPath, name), String(value), callback);
+    }
+}
+
+// }}}
+
+exports.SoftwarePwm = SoftwarePwm;
+exports.SysfsPwm = SysfsPwm;
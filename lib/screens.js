@@ -0,0 +1,447 @@
+'use strict';
+
+/*
+ * Screen manager: rotates the pages of a dashboard and displays the
+ * overlays (i.e. alerts) on top of them.
+ *
+ * A page is drawn by its 'render(size)' function ('size' is an object with
+ * the properties 'cols' and 'rows'), that returns the text of the screen:
+ * either a string (the rows separated by '\n') or an array of strings, one
+ * per row. It can also return a Promise of the text, or null to leave the
+ * screen unchanged. The text is written in the framebuffer and flushed (see
+ * LCD.flush()): only the cells that changed since the previous render are
+ * sent to the LCD.
+ *
+ * The pages are displayed in the order they are added, each of them for
+ * its 'dwell' time, then the rotation moves to the next one. While a page
+ * is displayed it is rendered again every 'refresh' ms (i.e. 1000 for a
+ * clock).
+ *
+ * An overlay is drawn like a page, but it takes over the screen as soon as
+ * it is shown and stops the rotation: when it expires (after its
+ * 'duration') or is dismissed, the page displayed before is restored. When
+ * several overlays are shown at the same time the one with the highest
+ * 'priority' is displayed (the most recent one if the same priority), the
+ * others are displayed when it is removed, unless they expired.
+ *
+ * All the timers are stopped by stop(), or by LCD.finalize(): the pages are
+ * never rendered while the LCD is shutting down.
+ */
+
+var EventEmitter = require('events');
+var CommandQueue = require('./command-queue');
+var Priority = CommandQueue.Priority;
+var debug = require('debug')('async-hd44780:screens');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const DEFAULT_DWELL = 5000;         // ms
+const QUEUE_KEY = "screens";
+
+// }}}
+
+/* {{{ Overlay
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returned by ScreenManager.showOverlay(). Call dismiss() to remove it
+ * before it expires.
+ */
+class Overlay {
+    constructor(manager, render, options) {
+        this.manager = manager;
+        this.render = render;
+        this.priority = (options.priority !== undefined ? options.priority : 0);
+        this.duration = options.duration || 0;
+        this.refresh = options.refresh || 0;
+        this.timer = null;          // Expiry timer
+    }
+
+    /* {{{ dismiss
+     * Removes the overlay, restoring what was displayed before
+     */
+    dismiss() {
+        this.manager.removeOverlay(this);
+    }
+
+    // }}}
+
+    /* {{{ isActive */
+    isActive() {
+        return (this.manager.overlays.indexOf(this) != -1);
+    }
+
+    // }}}
+}
+
+// }}}
+
+/* {{{ ScreenManager
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Displays the pages and overlays on 'lcd'. Use LCD.createScreenManager()
+ * instead of creating the object directly.
+ *
+ * The 'options' object (optional) can have the following properties:
+ *  'dwell'    : default dwell time of the pages in ms (default=5000)
+ *  'priority' : priority of the draw operations (default=Priority.LOW)
+ *
+ * Emits the following events:
+ *  'page' (name)       : the page 'name' is displayed
+ *  'overlay' (overlay) : the overlay is displayed
+ */
+class ScreenManager extends EventEmitter {
+    constructor(lcd, options) {
+        super();
+        options = options || {};
+        this.lcd = lcd;
+        this.dwell = (options.dwell !== undefined ? options.dwell : DEFAULT_DWELL);
+        this.priority = (options.priority !== undefined ? options.priority : Priority.LOW);
+        if (!(this.dwell >= 0)) {
+            throw new Error("Invalid screen manager options");
+        }
+        this.pages = [];
+        this.overlays = [];         // Sorted by decreasing priority
+        this.page = null;           // Page of the rotation
+        this.displayed = null;      // Page or overlay currently displayed
+        this.running = false;
+        this.dwellTimer = null;
+        this.refreshTimer = null;
+        this.generation = 0;        // Incremented each time 'displayed' changes
+    }
+
+    /* {{{ addPage
+     * Adds the page 'name' at the end of the rotation. 'options' has the
+     * following properties:
+     *  'render'  : function returning the text of the page (see above)
+     *  'refresh' : render the page again every N ms while it is displayed
+     *              (default=0, only when it is displayed)
+     *  'dwell'   : time in ms the page stays on screen before moving to the
+     *              next one (default=see the options of the manager). With
+     *              0, the page is not part of the rotation and can only be
+     *              displayed with showPage()
+     * Throws an error if the page already exists or the options are invalid.
+     */
+    addPage(name, options) {
+        options = options || {};
+        if (this.findPage(name)) {
+            throw new Error("Page already exists: '" + name + "'");
+        }
+        if ((typeof(options.render) !== "function") ||
+            !((options.refresh || 0) >= 0) || !((options.dwell || 0) >= 0)) {
+            throw new Error("Invalid options for page '" + name + "'");
+        }
+        this.pages.push({
+            name: name,
+            render: options.render,
+            refresh: options.refresh || 0,
+            dwell: (options.dwell !== undefined ? options.dwell : this.dwell)
+        });
+        if (this.running && !this.page) {
+            this.next();
+        }
+    }
+
+    // }}}
+
+    /* {{{ removePage
+     * Removes the page 'name'. If displayed, the rotation moves to the next
+     * page.
+     */
+    removePage(name) {
+        var page = this.findPage(name);
+        if (!page) {
+            return;
+        }
+        var index = this.pages.indexOf(page);
+        this.pages.splice(index, 1);
+        if (page === this.page) {
+            // Continue the rotation from the page that followed it
+            this.page = this.pages[index - 1] || null;
+            this.next();
+        }
+    }
+
+    // }}}
+
+    /* {{{ findPage */
+    findPage(name) {
+        return this.pages.find((page) => (page.name === name));
+    }
+
+    // }}}
+
+    /* {{{ start
+     * Starts displaying the pages, from the first one
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.page = null;
+        this.next();
+    }
+
+    // }}}
+
+    /* {{{ stop
+     * Stops the rotation, the refreshes and removes the overlays. The screen
+     * is left as is.
+     */
+    stop() {
+        this.running = false;
+        this.displayed = null;
+        ++this.generation;
+        this.clearTimers();
+        this.overlays.forEach((overlay) => { clearTimeout(overlay.timer); });
+        this.overlays = [];
+        this.lcd.queue.cancelKey(QUEUE_KEY, CommandQueue.cancelledError("Screen manager stopped"));
+    }
+
+    // }}}
+
+    /* {{{ isRunning */
+    isRunning() {
+        return this.running;
+    }
+
+    // }}}
+
+    /* {{{ next
+     * Moves the rotation to the next page (skipping the pages with no dwell
+     * time). The next page is displayed immediately, unless an overlay is
+     * on screen.
+     */
+    next() {
+        var count = this.pages.length;
+        var index = this.pages.indexOf(this.page);
+        for (var i = 1; i <= count; ++i) {
+            var page = this.pages[(index + i) % count];
+            if (page.dwell > 0) {
+                this.setPage(page);
+                return;
+            }
+        }
+        // No rotation: keep the current page, or display the first one
+        this.setPage(this.page || this.pages[0] || null);
+    }
+
+    // }}}
+
+    /* {{{ showPage
+     * Displays the page 'name' (unless an overlay is on screen) and restarts
+     * the rotation from it.
+     * Throws an error if the page does not exist.
+     */
+    showPage(name) {
+        var page = this.findPage(name);
+        if (!page) {
+            throw new Error("Unknown page: '" + name + "'");
+        }
+        this.setPage(page);
+    }
+
+    // }}}
+
+    /* {{{ setPage
+     * Internal method: makes 'page' the current page of the rotation
+     */
+    setPage(page) {
+        this.page = page;
+        this.update(true);
+    }
+
+    // }}}
+
+    /* {{{ showOverlay
+     * Displays 'render' (a function returning the text, like the pages, or
+     * directly the text) on top of the pages and returns the Overlay object.
+     * 'options' (optional) has the following properties:
+     *  'priority' : the overlay with the highest priority is displayed
+     *               (default=0)
+     *  'duration' : the overlay is removed after N ms (default=0, when
+     *               dismissed)
+     *  'refresh'  : render the overlay again every N ms while displayed
+     *               (default=0, only when it is displayed)
+     */
+    showOverlay(render, options) {
+        options = options || {};
+        if (typeof(render) !== "function") {
+            var text = render;
+            render = () => text;
+        }
+        var overlay = new Overlay(this, render, options);
+        if (!(overlay.duration >= 0) || !(overlay.refresh >= 0)) {
+            throw new Error("Invalid overlay options");
+        }
+        // After the overlays with the same priority
+        var index = this.overlays.findIndex((o) => (o.priority < overlay.priority));
+        this.overlays.splice((index == -1 ? this.overlays.length : index), 0, overlay);
+        if (overlay.duration) {
+            overlay.timer = setTimeout(() => {
+                overlay.timer = null;
+                debug("Overlay expired");
+                this.removeOverlay(overlay);
+            }, overlay.duration);
+        }
+        this.update(false);
+        return overlay;
+    }
+
+    // }}}
+
+    /* {{{ removeOverlay
+     * Internal method: removes 'overlay' (see Overlay.dismiss())
+     */
+    removeOverlay(overlay) {
+        var index = this.overlays.indexOf(overlay);
+        if (index == -1) {
+            return;
+        }
+        clearTimeout(overlay.timer);
+        overlay.timer = null;
+        this.overlays.splice(index, 1);
+        this.update(false);
+    }
+
+    // }}}
+
+    /* {{{ update
+     * Internal method: displays the overlay with the highest priority, or
+     * the current page. The page restarts its dwell time if 'restart' is
+     * true, or if it is displayed again after an overlay.
+     */
+    update(restart) {
+        if (!this.running) {
+            return;
+        }
+        var target = this.overlays[0] || this.page;
+        if ((target === this.displayed) && !(restart && (target === this.page))) {
+            return;
+        }
+        var wasOverlay = (this.displayed instanceof Overlay);
+        this.clearTimers();
+        this.displayed = target;
+        var generation = ++this.generation;
+        if (!target) {
+            return;
+        }
+        if (target instanceof Overlay) {
+            debug("Displaying overlay (priority=%d)", target.priority);
+            this.emit('overlay', target);
+        } else {
+            debug("Displaying page '%s'%s", target.name, (wasOverlay ? " (restored)" : ""));
+            this.emit('page', target.name);
+            if (target.dwell > 0) {
+                this.dwellTimer = setTimeout(() => {
+                    this.dwellTimer = null;
+                    this.next();
+                }, target.dwell);
+            }
+        }
+        this.render(target, generation);
+    }
+
+    // }}}
+
+    /* {{{ render
+     * Internal method: renders 'target' and draws it, then schedules the next
+     * refresh. The result is discarded if something else is displayed in
+     * the meantime ('generation' changed).
+     */
+    render(target, generation) {
+        var config = this.lcd.getConfig();
+        if (!config) {
+            return;
+        }
+        var started = Date.now();
+        new Promise((resolve) => { resolve(target.render({ cols: config.cols, rows: config.rows })); })
+        .then((text) => {
+            if (generation !== this.generation) {
+                return;
+            }
+            if ((text === null) || (text === undefined)) {
+                this.scheduleRefresh(target, generation, started);
+                return;
+            }
+            this.draw(text, (err) => {
+                if (generation !== this.generation) {
+                    return;
+                }
+                if (err && (err.code !== 'ECANCELED') && (err.code !== 'ESHUTDOWN')) {
+                    this.lcd.reportError("screen", err);
+                }
+                this.scheduleRefresh(target, generation, started);
+            });
+        }, (err) => {
+            if (generation !== this.generation) {
+                return;
+            }
+            debug("Render failed: %s", err.message);
+            this.lcd.reportError("render", err);
+            this.scheduleRefresh(target, generation, started);
+        });
+    }
+
+    // }}}
+
+    /* {{{ scheduleRefresh
+     * Internal method: renders 'target' again 'refresh' ms after the previous
+     * render was 'started'
+     */
+    scheduleRefresh(target, generation, started) {
+        if (!target.refresh) {
+            return;
+        }
+        var delay = Math.max(target.refresh - (Date.now() - started), 0);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.render(target, generation);
+        }, delay);
+    }
+
+    // }}}
+
+    /* {{{ draw
+     * Internal method: writes 'text' in the framebuffer and flushes it,
+     * replacing the draw not executed yet (if any)
+     */
+    draw(text, callback) {
+        var lines = (Array.isArray(text) ? text : String(text).split("\n"));
+        this.lcd.queue.cancelKey(QUEUE_KEY, CommandQueue.cancelledError("Replaced by a newer screen"));
+        this.lcd.enqueue("screen", { priority: this.priority, key: QUEUE_KEY }, (done) => {
+            var config = this.lcd.getConfig();
+            if (!config) {
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            var fb = this.lcd.getFramebuffer();
+            fb.clear();
+            try {
+                lines.slice(0, config.rows).forEach((line, row) => { fb.write(line, row); });
+            } catch (err) {
+                done(err);
+                return;
+            }
+            this.lcd.writeFramebuffer(done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ clearTimers
+     * Internal method: stops the rotation and refresh timers
+     */
+    clearTimers() {
+        clearTimeout(this.dwellTimer);
+        clearTimeout(this.refreshTimer);
+        this.dwellTimer = null;
+        this.refreshTimer = null;
+    }
+
+    // }}}
+}
+
+// }}}
+
+module.exports = ScreenManager;
+module.exports.Overlay = Overlay;
@@ -0,0 +1,346 @@
+'use strict';
+
+/*
+ * Terminal: a Writable stream that prints the text written to it like a
+ * small terminal, i.e. to pipe the output of a child process to the LCD:
+ *
+ *    child.stdout.pipe(lcd.createTerminal());
+ *
+ * The terminal keeps a copy of the screen and a cursor. The printable
+ * characters are written at the cursor, wrapping to the next row at the end
+ * of a row; when the cursor goes past the last row, the rows scroll up. The
+ * following control characters are interpreted:
+ *  '\n' : moves to the beginning of the next row
+ *  '\r' : moves to the beginning of the row
+ *  '\b' : moves one column to the left (the character is not erased)
+ *  '\t' : moves to the next tab stop (every 'tabSize' columns)
+ *  '\f' : clears the screen and moves to the top left corner
+ * the other control characters are ignored.
+ *
+ * The following ANSI escape sequences are interpreted (rows and columns are
+ * 1-based, the parameters in brackets are optional):
+ *  ESC [ [row] ; [col] H   (or f) moves the cursor
+ *  ESC [ [n] A / B / C / D moves the cursor up, down, right or left
+ *  ESC [ [col] G           moves the cursor to the column
+ *  ESC [ [row] d           moves the cursor to the row
+ *  ESC [ [n] J             clears from the cursor to the end of the screen
+ *                          (n=0), from the beginning of the screen to the
+ *                          cursor (n=1) or the whole screen (n=2)
+ *  ESC [ [n] K             clears the row in the same way
+ *  ESC [ s / ESC [ u       saves / restores the position of the cursor
+ *  ESC [ ? 25 h / l        shows / hides the cursor
+ * The other sequences (i.e. the colors, ESC [ ... m) are ignored.
+ *
+ * After each write, the rows that changed are printed with LCD.printLine()
+ * and the cursor is moved with LCD.setCursorPosition() (if visible): the
+ * write completes (and the stream accepts more data) when the LCD has been
+ * updated.
+ */
+
+var stream = require('stream');
+var StringDecoder = require('string_decoder').StringDecoder;
+var async = require('async');
+var debug = require('debug')('async-hd44780:terminal');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const ESC = "\x1b";
+const DEFAULT_TAB_SIZE = 8;
+
+// Parser states
+const STATE_TEXT = 0;
+const STATE_ESCAPE = 1;             // After ESC
+const STATE_CSI = 2;                // After ESC [
+
+// }}}
+
+/* {{{ Terminal
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Writable stream printing on 'lcd'. Use LCD.createTerminal() instead of
+ * creating the object directly.
+ *
+ * The 'options' object (optional) can have the following properties:
+ *  'tabSize'  : distance between the tab stops (default=8)
+ *  'cursor'   : show the cursor (default=false)
+ *  'priority' : priority of the operations (default=Priority.NORMAL)
+ *  'encoding' : encoding of the Buffers written (default='utf8')
+ * The screen starts blank, with the cursor in the top left corner.
+ */
+class Terminal extends stream.Writable {
+    constructor(lcd, options) {
+        options = options || {};
+        super({ decodeStrings: false });
+        var config = lcd.getConfig();
+        this.lcd = lcd;
+        this.cols = config.cols;
+        this.rows = config.rows;
+        this.tabSize = options.tabSize || DEFAULT_TAB_SIZE;
+        this.priority = options.priority;
+        this.decoder = new StringDecoder(options.encoding || 'utf8');
+        this.cells = [];
+        for (var row = 0; row < this.rows; ++row) {
+            this.cells.push(new Array(this.cols).fill(" "));
+        }
+        this.row = 0;
+        this.col = 0;               // 'cols' when the next character wraps
+        this.saved = { row: 0, col: 0 };
+        this.cursorVisible = !!options.cursor;
+        // State of the LCD: the rows that must be printed again and the
+        // visibility of the cursor as set on the LCD (undefined = unknown)
+        this.dirty = new Array(this.rows).fill(true);
+        this.lcdCursor = undefined;
+        // State of the escape sequence parser
+        this.state = STATE_TEXT;
+        this.params = "";
+    }
+
+    /* {{{ _write
+     * Internal method (stream.Writable): interprets 'chunk' and updates the
+     * LCD
+     */
+    _write(chunk, encoding, callback) {
+        var text = (Buffer.isBuffer(chunk) ? this.decoder.write(chunk) : String(chunk));
+        for (var c of text) {
+            this.input(c);
+        }
+        this.update(callback);
+    }
+
+    // }}}
+
+    /* {{{ input
+     * Internal method: interprets the character 'c'
+     */
+    input(c) {
+        if (this.state === STATE_ESCAPE) {
+            if (c === "[") {
+                this.state = STATE_CSI;
+                this.params = "";
+            } else {
+                // Other escape sequences (two characters) are ignored
+                this.state = STATE_TEXT;
+            }
+            return;
+        }
+        if (this.state === STATE_CSI) {
+            var code = c.charCodeAt(0);
+            if ((code >= 0x40) && (code <= 0x7e)) {
+                this.state = STATE_TEXT;
+                this.control(c, this.params);
+            } else if (this.params.length < 32) {
+                this.params += c;
+            } else {
+                // Not a valid sequence
+                this.state = STATE_TEXT;
+            }
+            return;
+        }
+        switch (c) {
+        case ESC:
+            this.state = STATE_ESCAPE;
+            break;
+        case "\n":
+            this.lineFeed();
+            break;
+        case "\r":
+            this.col = 0;
+            break;
+        case "\b":
+            this.col = Math.max(Math.min(this.col, this.cols - 1) - 1, 0);
+            break;
+        case "\t":
+            this.col = Math.min((Math.floor(this.col / this.tabSize) + 1) * this.tabSize, this.cols - 1);
+            break;
+        case "\f":
+            this.erase(0, 0, this.rows - 1, this.cols - 1);
+            this.row = 0;
+            this.col = 0;
+            break;
+        default:
+            if ((c < " ") || (c === "\x7f")) {
+                // Other control characters
+                break;
+            }
+            if (this.col >= this.cols) {
+                this.lineFeed();
+            }
+            this.cells[this.row][this.col] = c;
+            this.dirty[this.row] = true;
+            ++this.col;
+            break;
+        }
+    }
+
+    // }}}
+
+    /* {{{ lineFeed
+     * Internal method: moves the cursor to the beginning of the next row,
+     * scrolling the rows up if needed
+     */
+    lineFeed() {
+        this.col = 0;
+        if (this.row < this.rows - 1) {
+            ++this.row;
+            return;
+        }
+        this.cells.shift();
+        this.cells.push(new Array(this.cols).fill(" "));
+        this.dirty.fill(true);
+    }
+
+    // }}}
+
+    /* {{{ erase
+     * Internal method: clears the cells from ('row1', 'col1') to ('row2',
+     * 'col2') included, row by row
+     */
+    erase(row1, col1, row2, col2) {
+        for (var row = row1; row <= row2; ++row) {
+            var first = (row === row1 ? col1 : 0);
+            var last = (row === row2 ? col2 : this.cols - 1);
+            for (var col = first; col <= last; ++col) {
+                this.cells[row][col] = " ";
+            }
+            this.dirty[row] = true;
+        }
+    }
+
+    // }}}
+
+    /* {{{ control
+     * Internal method: executes the control sequence ESC [ 'params' 'final'
+     */
+    control(final, params) {
+        if (params.charAt(0) === "?") {
+            if ((params === "?25") && ((final === "h") || (final === "l"))) {
+                this.cursorVisible = (final === "h");
+            }
+            return;
+        }
+        // Missing parameters take the default value 'def', so does 0 for
+        // the counts and positions (their default is 1)
+        var args = params.split(";").map((p) => Number.parseInt(p));
+        var arg = (index, def) => {
+            var value = args[index];
+            return ((Number.isNaN(value) || (value === undefined) || ((value === 0) && def)) ? def : value);
+        };
+        var col = Math.min(this.col, this.cols - 1);
+        switch (final) {
+        case "H":
+        case "f":
+            this.moveTo(arg(0, 1) - 1, arg(1, 1) - 1);
+            break;
+        case "A":
+            this.moveTo(this.row - arg(0, 1), col);
+            break;
+        case "B":
+            this.moveTo(this.row + arg(0, 1), col);
+            break;
+        case "C":
+            this.moveTo(this.row, col + arg(0, 1));
+            break;
+        case "D":
+            this.moveTo(this.row, col - arg(0, 1));
+            break;
+        case "G":
+            this.moveTo(this.row, arg(0, 1) - 1);
+            break;
+        case "d":
+            this.moveTo(arg(0, 1) - 1, col);
+            break;
+        case "J":
+            switch (arg(0, 0)) {
+            case 0:
+                this.erase(this.row, col, this.rows - 1, this.cols - 1);
+                break;
+            case 1:
+                this.erase(0, 0, this.row, col);
+                break;
+            case 2:
+            case 3:
+                this.erase(0, 0, this.rows - 1, this.cols - 1);
+                break;
+            }
+            break;
+        case "K":
+            switch (arg(0, 0)) {
+            case 0:
+                this.erase(this.row, col, this.row, this.cols - 1);
+                break;
+            case 1:
+                this.erase(this.row, 0, this.row, col);
+                break;
+            case 2:
+                this.erase(this.row, 0, this.row, this.cols - 1);
+                break;
+            }
+            break;
+        case "s":
+            this.saved = { row: this.row, col: this.col };
+            break;
+        case "u":
+            this.moveTo(this.saved.row, this.saved.col);
+            break;
+        default:
+            debug("Ignored control sequence ESC [ %s%s", params, final);
+            break;
+        }
+    }
+
+    // }}}
+
+    /* {{{ moveTo
+     * Internal method: moves the cursor to ('row', 'col'), clamped to the
+     * screen
+     */
+    moveTo(row, col) {
+        this.row = Math.min(Math.max(row, 0), this.rows - 1);
+        this.col = Math.min(Math.max(col, 0), this.cols - 1);
+    }
+
+    // }}}
+
+    /* {{{ update
+     * Internal method: prints the rows that changed and updates the cursor,
+     * then call 'callback(error)'
+     */
+    update(callback) {
+        var options = { priority: this.priority };
+        var operations = [];
+        this.dirty.forEach((dirty, row) => {
+            if (dirty) {
+                var text = this.cells[row].join("");
+                operations.push((next) => { this.lcd.printLine(text, row, options, next); });
+            }
+        });
+        this.dirty.fill(false);
+        var visible = this.cursorVisible;
+        if (visible !== this.lcdCursor) {
+            operations.push((next) => { this.lcd.showCursor(visible, next); });
+            this.lcdCursor = visible;
+        }
+        if (visible) {
+            var row = this.row;
+            var col = Math.min(this.col, this.cols - 1);
+            operations.push((next) => { this.lcd.setCursorPosition(col, row, next); });
+        }
+        // The operations are queued at once (so the writes of other streams
+        // cannot interleave), the callback is invoked when the last completes
+        async.parallel(operations, (err) => {
+            if (err) {
+                debug("Terminal update failed: %s", err.message);
+                // Print everything again at the next write
+                this.dirty.fill(true);
+                this.lcdCursor = undefined;
+            }
+            callback(err);
+        });
+    }
+
+    // }}}
+}
+
+// }}}
+
+module.exports = Terminal;
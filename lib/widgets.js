@@ -0,0 +1,439 @@
+'use strict';
+
+/*
+ * Widgets: progress bars, bar graphs (sparklines) and big digits.
+ *
+ * Each widget is drawn in a rectangular region of the display (a number of
+ * cells starting at 'row' and 'col') through the command queue, like
+ * printLine(): only the cells of the region are written, the rest of the
+ * screen is not affected.
+ *
+ * The widgets are drawn with a shared set of named glyphs (see
+ * lib/glyphs.js), registered on demand with the names 'widget:...': all the
+ * widgets on screen use the same CGRAM slot for the same glyph, i.e. two
+ * progress bars showing the same fraction of a cell need a single slot.
+ *  - the bars use the partial cells 'widget:hbarN:H' (N columns lit, from
+ *    the left) and 'widget:vbarN:H' (N pixel rows lit, from the bottom),
+ *    where H is the height of the cell in pixels. These glyphs are
+ *    registered with a fallback character: if there are not enough slots
+ *    they are drawn as a space or a full cell, so the bars lose their
+ *    sub-character resolution instead of failing
+ *  - the big digits use 'widget:upper', 'widget:lower', 'widget:both'
+ *    (horizontal segments) and 'widget:dot'
+ * The full cell is the character █ of the A00 ROM, or the glyph
+ * 'widget:full' with the other ROMs.
+ *
+ * A progress bar needs at most one slot, a bar graph up to 7 (one per pixel
+ * level), the big digits 3 (4 rows) or 4 (2 rows).
+ */
+
+var debug = require('debug')('async-hd44780:widgets');
+
+/* {{{ Constants
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ */
+const CELL_WIDTH = 5;               // Pixels
+const FULL_BLOCK = "█";
+const FULL_FALLBACK = "#";          // Fallback of the full cell without █
+
+// Big digits: 3 columns per digit. In the patterns, 'F' is a full cell, 'U',
+// 'L' and 'B' are the upper, lower and both horizontal segments, 'D' is the
+// dot of ':' and '.'
+const BIG_FONTS = {
+    2: {
+        '0': ["FUF", "FLF"],
+        '1': ["UF ", "LFL"],
+        '2': ["BBF", "FLL"],
+        '3': ["BBF", "LLF"],
+        '4': ["FLF", "  F"],
+        '5': ["FBB", "LLF"],
+        '6': ["FBB", "FLF"],
+        '7': ["UUF", "  F"],
+        '8': ["FBF", "FLF"],
+        '9': ["FBF", "LLF"],
+        '-': ["LLL", "   "],
+        ' ': ["   ", "   "],
+        ':': ["D", "D"],
+        '.': [" ", "D"]
+    },
+    4: {
+        '0': ["FUF", "F F", "F F", "FLF"],
+        '1': ["UF ", " F ", " F ", "LFL"],
+        '2': ["UUF", "LLF", "F  ", "FLL"],
+        '3': ["UUF", "LLF", "  F", "LLF"],
+        '4': ["F F", "FLF", "  F", "  F"],
+        '5': ["FUU", "FLL", "  F", "LLF"],
+        '6': ["FUU", "FLL", "F F", "FLF"],
+        '7': ["UUF", "  F", "  F", "  F"],
+        '8': ["FUF", "FLF", "F F", "FLF"],
+        '9': ["FUF", "FLF", "  F", "LLF"],
+        '-': ["   ", "LLL", "   ", "   "],
+        ' ': ["   ", "   ", "   ", "   "],
+        ':': [" ", "D", "D", " "],
+        '.': [" ", " ", " ", "D"]
+    }
+};
+
+// }}}
+
+/* {{{ Widget
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Base class of the widgets: a region of 'height' rows of 'lcd'.
+ *
+ * The 'options' object can have the following properties:
+ *  'row'      : first row of the region (default=0)
+ *  'col'      : first column of the region (default=0)
+ *  'width'    : number of columns (default=up to the end of the row)
+ *  'priority' : priority of the draw operations (default=Priority.NORMAL)
+ *
+ * Throws an error if the region does not fit the display.
+ */
+class Widget {
+    constructor(lcd, options, height) {
+        var config = lcd.getConfig();
+        this.lcd = lcd;
+        this.row = (options.row !== undefined ? options.row : 0);
+        this.col = (options.col !== undefined ? options.col : 0);
+        this.width = (options.width !== undefined ? options.width : config.cols - this.col);
+        this.height = height;
+        this.priority = options.priority;
+        if (!Number.isInteger(this.row) || (this.row < 0) || !Number.isInteger(this.height) ||
+            (this.height < 1) || (this.row + this.height > config.rows) ||
+            !Number.isInteger(this.col) || (this.col < 0) || !Number.isInteger(this.width) ||
+            (this.width < 1) || (this.col + this.width > config.cols)) {
+            throw new Error("Invalid widget region");
+        }
+    }
+
+    /* {{{ glyph
+     * Internal method: returns the placeholder of the shared glyph 'name',
+     * registering it with the pixel 'rows' and the (encoded) 'fallback'
+     * character if needed
+     */
+    glyph(name, rows, fallback) {
+        name = "widget:" + name;
+        var registry = this.lcd.glyphs;
+        return registry.placeholder(name) || registry.register(name, rows, fallback);
+    }
+
+    // }}}
+
+    /* {{{ cellHeight / fullCell / fullFallback */
+
+    // Number of pixel rows of a cell (including the cursor row)
+    cellHeight() {
+        return this.lcd.glyphs.glyphHeight();
+    }
+
+    // The character of a cell with all the pixels lit
+    fullCell() {
+        if (this.lcd.charset.lookup(FULL_BLOCK) !== null) {
+            return FULL_BLOCK;
+        }
+        return this.glyph("full", new Array(this.cellHeight()).fill((1 << CELL_WIDTH) - 1));
+    }
+
+    // The (encoded) character printed instead of a partial cell that is
+    // (almost) full when there are no free slots
+    fullFallback() {
+        return (this.lcd.charset.lookup(FULL_BLOCK) || this.lcd.charset.lookup(FULL_FALLBACK));
+    }
+
+    // }}}
+
+    /* {{{ draw
+     * Internal method: queues the operation that writes the lines returned
+     * by 'render()' (array of 'height' strings, padded or truncated to 
+     * 'width') in the region, then call 'callback(null)' or 'callback(error)'
+     * if an error occurred. 'render()' is invoked when the operation 
+     * executes, and can throw an error to make it fail.
+     */
+    draw(render, callback) {
+        return this.lcd.enqueue("widget", { priority: this.priority }, (done) => {
+            if (!this.lcd.getConfig()) {
+                debug("Draw failed: LCD not initialized");
+                done(new Error("LCD not initialized"));
+                return;
+            }
+            var rows;
+            try {
+                var lines = render();
+                var width = this.drawWidth(lines);
+                rows = lines.map((line, i) => ({
+                    row: this.row + i,
+                    col: this.col,
+                    text: this.lcd.encode(line).padEnd(width).substr(0, width)
+                }));
+            } catch (err) {
+                debug("Draw failed: %s", err.message);
+                done(err);
+                return;
+            }
+            this.lcd.writeRows(rows, done);
+        }, callback);
+    }
+
+    // }}}
+
+    /* {{{ drawWidth
+     * Internal method: returns the number of columns to write for 'lines'
+     */
+    drawWidth(lines) {
+        return this.width;
+    }
+
+    // }}}
+}
+
+// }}}
+
+/* {{{ scale
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Returns 'value' scaled from the range 'min'-'max' to 0-1 (clamped).
+ * Returns 0 if 'value' is not a number.
+ */
+function scale(value, min, max) {
+    value = Number(value);
+    if (Number.isNaN(value)) {
+        return 0;
+    }
+    if (max <= min) {
+        return (value >= max ? 1 : 0);
+    }
+    return Math.min(Math.max((value - min) / (max - min), 0), 1);
+}
+
+// }}}
+
+/* {{{ ProgressBar
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Horizontal bar in a single row, with a resolution of one pixel column
+ * (5 steps per cell). Use LCD.createProgressBar() instead of creating the
+ * object directly.
+ *
+ * The 'options' object is described in Widget, plus:
+ *  'min', 'max' : range of the values (default=0-1)
+ */
+class ProgressBar extends Widget {
+    constructor(lcd, options) {
+        options = options || {};
+        super(lcd, options, 1);
+        this.min = (options.min !== undefined ? options.min : 0);
+        this.max = (options.max !== undefined ? options.max : 1);
+        this.value = this.min;
+    }
+
+    /* {{{ render
+     * Internal method: returns the line of the bar for the current value
+     */
+    render() {
+        var pixels = Math.round(scale(this.value, this.min, this.max) * this.width * CELL_WIDTH);
+        var line = "";
+        for (var i = 0; i < this.width; ++i) {
+            var lit = Math.min(Math.max(pixels - i * CELL_WIDTH, 0), CELL_WIDTH);
+            if (lit === 0) {
+                line += " ";
+            } else if (lit === CELL_WIDTH) {
+                line += this.fullCell();
+            } else {
+                var row = ((1 << CELL_WIDTH) - 1) & ~((1 << (CELL_WIDTH - lit)) - 1);
+                line += this.glyph("hbar" + lit + ":" + this.cellHeight(),
+                                   new Array(this.cellHeight()).fill(row),
+                                   (2*lit >= CELL_WIDTH ? this.fullFallback() : " "));
+            }
+        }
+        return [ line ];
+    }
+
+    // }}}
+
+    /* {{{ setValue
+     * Sets the value of the bar and draws it, then call 'callback(null)' or
+     * 'callback(error)' if an error occurred
+     */
+    setValue(value, callback) {
+        this.value = value;
+        return this.draw(() => this.render(), callback);
+    }
+
+    // }}}
+}
+
+// }}}
+
+/* {{{ BarGraph
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Vertical bars, one per column, with a resolution of one pixel row (8
+ * steps per cell with the 5x8 font). Use LCD.createBarGraph() instead of
+ * creating the object directly.
+ * The bars are set all at once with setValues(), or added one at a time
+ * with push() to draw a sparkline (the history of a sensor, the most
+ * recent value on the right).
+ *
+ * The 'options' object is described in Widget, plus:
+ *  'height'     : number of rows (default=1)
+ *  'min', 'max' : range of the values. If not set, the range of the values
+ *                 currently displayed is used.
+ */
+class BarGraph extends Widget {
+    constructor(lcd, options) {
+        options = options || {};
+        super(lcd, options, (options.height !== undefined ? options.height : 1));
+        this.min = options.min;
+        this.max = options.max;
+        this.values = [];
+    }
+
+    /* {{{ render
+     * Internal method: returns the lines of the graph for the current values
+     */
+    render() {
+        var numbers = this.values.map(Number).filter((v) => !Number.isNaN(v));
+        var min = (this.min !== undefined ? this.min : Math.min.apply(null, numbers));
+        var max = (this.max !== undefined ? this.max : Math.max.apply(null, numbers));
+        var cellHeight = this.cellHeight();
+        var full = this.fullCell();
+        var lines = new Array(this.height).fill("");
+        // The values are right-aligned
+        var first = this.values.length - this.width;
+        for (var i = 0; i < this.width; ++i) {
+            var value = this.values[first + i];
+            var pixels = ((value === undefined) ? 0 :
+                          Math.round(scale(value, min, max) * this.height * cellHeight));
+            for (var r = 0; r < this.height; ++r) {
+                var lit = Math.min(Math.max(pixels - r * cellHeight, 0), cellHeight);
+                var c;
+                if (lit === 0) {
+                    c = " ";
+                } else if (lit === cellHeight) {
+                    c = full;
+                } else {
+                    var rows = new Array(cellHeight).fill(0).fill((1 << CELL_WIDTH) - 1, cellHeight - lit);
+                    c = this.glyph("vbar" + lit + ":" + cellHeight, rows,
+                                   (2*lit >= cellHeight ? this.fullFallback() : " "));
+                }
+                // Rows are filled from the bottom
+                lines[this.height - 1 - r] += c;
+            }
+        }
+        return lines;
+    }
+
+    // }}}
+
+    /* {{{ setValues
+     * Sets the values of the bars (array, the last 'width' values are
+     * displayed) and draws them, then call 'callback(null)' or
+     * 'callback(error)' if an error occurred
+     */
+    setValues(values, callback) {
+        this.values = Array.from(values || []).slice(-this.width);
+        return this.draw(() => this.render(), callback);
+    }
+
+    // }}}
+
+    /* {{{ push
+     * Adds 'value' on the right, scrolling the other values to the left, and
+     * draws the graph, then call 'callback(null)' or 'callback(error)' if an
+     * error occurred
+     */
+    push(value, callback) {
+        return this.setValues(this.values.concat([ value ]), callback);
+    }
+
+    // }}}
+}
+
+// }}}
+
+/* {{{ BigDigits
+ * ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ * Digits 3 columns wide and 2 or 4 rows high (i.e. for a clock). Use
+ * LCD.createBigDigits() instead of creating the object directly.
+ * The text can contain the digits and the characters ' ', '-', ':' and '.'.
+ *
+ * The 'options' object is described in Widget ('width' defaults to the width
+ * of the text), plus:
+ *  'height'  : 2 (default) or 4 rows
+ *  'spacing' : number of empty columns between two characters (default=1)
+ */
+class BigDigits extends Widget {
+    constructor(lcd, options) {
+        options = options || {};
+        super(lcd, options, (options.height !== undefined ? options.height : 2));
+        this.fitText = (options.width === undefined);
+        this.drawn = 0;             // Columns written by the last draw
+        this.font = BIG_FONTS[this.height];
+        this.spacing = (options.spacing !== undefined ? options.spacing : 1);
+        if (!this.font || !Number.isInteger(this.spacing) || (this.spacing < 0)) {
+            throw new Error("Invalid big digits options");
+        }
+        this.text = "";
+    }
+
+    /* {{{ render
+     * Internal method: returns the lines of the current text
+     */
+    render() {
+        var h = this.cellHeight();
+        var bar = (1 << CELL_WIDTH) - 1;
+        var upper = [bar, bar].concat(new Array(h - 2).fill(0));
+        var lower = new Array(h - 2).fill(0).concat([bar, bar]);
+        var cells = {
+            ' ': " ",
+            'F': this.fullCell(),
+            'U': this.glyph("upper", upper),
+            'L': this.glyph("lower", lower),
+            'B': this.glyph("both", upper.map((row, i) => (row | lower[i]))),
+            'D': this.glyph("dot", [".....", ".....", ".###.", ".###.", ".###."])
+        };
+        var lines = new Array(this.height).fill("");
+        Array.from(this.text).forEach((c, i) => {
+            var pattern = this.font[c];
+            if (!pattern) {
+                throw new Error("Character not available in big digits: '" + c + "'");
+            }
+            pattern.forEach((cols, r) => {
+                lines[r] += (i > 0 ? " ".repeat(this.spacing) : "") + Array.from(cols, (p) => cells[p]).join("");
+            });
+        });
+        return lines;
+    }
+
+    // }}}
+
+    /* {{{ drawWidth
+     * Internal method: without an explicit 'width', writes the columns of
+     * the text and clears the ones left by the previous text
+     */
+    drawWidth(lines) {
+        if (!this.fitText) {
+            return this.width;
+        }
+        this.drawn = Math.min(Math.max(lines[0].length, this.drawn), this.width);
+        return this.drawn;
+    }
+
+    // }}}
+
+    /* {{{ setText
+     * Draws 'text' (converted to a string, i.e. a number), then call
+     * 'callback(null)' or 'callback(error)' if an error occurred. The
+     * columns of the region not used by the text are cleared, the text
+     * exceeding the region is discarded.
+     * The operation fails if the text contains unsupported characters.
+     */
+    setText(text, callback) {
+        this.text = String(text);
+        return this.draw(() => this.render(), callback);
+    }
+
+    // }}}
+}
+
+// }}}
+
+exports.ProgressBar = ProgressBar;
+exports.BarGraph = BarGraph;
+exports.BigDigits = BigDigits;
@@ -0,0 +1,229 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var lcd = require('../async-hd44780.js');
+var SysfsPwm = require('../lib/pwm').SysfsPwm;
+
+function delay(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+describe('Backlight', function() {
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('turns the backlight on after initialize()', function() {
+        return display.initialize({ transport: emu, brightness: 0.6 }).then(() => {
+            assert.strictEqual(emu.brightness, 0.6);
+            assert.deepStrictEqual(display.getBacklight(), { on: true, brightness: 0.6, idle: false });
+        });
+    });
+
+    it('keeps the backlight off with backlight=false', function() {
+        return display.initialize({ transport: emu, backlight: false }).then(() => {
+            assert.strictEqual(emu.brightness, 0);
+            assert.strictEqual(display.getBacklight().on, false);
+        });
+    });
+
+    it('turns the backlight on and off, keeping the brightness', function() {
+        return display.initialize({ transport: emu }).then(() => {
+            return display.setBrightness(0.4);
+        }).then(() => {
+            assert.strictEqual(emu.brightness, 0.4);
+            return display.setBacklight(false);
+        }).then(() => {
+            assert.strictEqual(emu.brightness, 0);
+            assert.strictEqual(emu.lines.bl, false);
+            assert.deepStrictEqual(display.getBacklight(), { on: false, brightness: 0.4, idle: false });
+            // Applied when the backlight is turned on again
+            return display.setBrightness(0.8);
+        }).then(() => {
+            assert.strictEqual(emu.brightness, 0);
+            return display.setBacklight(true);
+        }).then(() => {
+            assert.strictEqual(emu.brightness, 0.8);
+            assert.deepStrictEqual(display.getBacklight(), { on: true, brightness: 0.8, idle: false });
+        });
+    });
+
+    it('rejects the invalid brightness levels', function() {
+        return display.initialize({ transport: emu }).then(() => {
+            return display.setBrightness(1.5);
+        }).then(() => {
+            assert.fail("setBrightness() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid parameter");
+            assert.strictEqual(display.getBacklight().brightness, 1);
+        });
+    });
+
+    it('turns the backlight on and off with the transports that cannot dim it', function() {
+        emu.setBrightness = undefined;
+        return display.initialize({ transport: emu, brightness: 0.3 }).then(() => {
+            assert.strictEqual(emu.lines.bl, true);
+            return display.setBacklight(false);
+        }).then(() => {
+            assert.strictEqual(emu.lines.bl, false);
+        });
+    });
+
+    describe('idle timeout', function() {
+        it('turns the backlight off without updates and on at the next update', function() {
+            return display.initialize({ transport: emu, idle_timeout: 0.05 }).then(() => {
+                return display.printLine("Hello", 0);
+            }).then(() => {
+                assert.strictEqual(emu.brightness, 1);
+                return delay(80);
+            }).then(() => {
+                assert.strictEqual(emu.brightness, 0);
+                assert.deepStrictEqual(display.getBacklight(), { on: true, brightness: 1, idle: true });
+                // The screen is not touched
+                assert.strictEqual(emu.getLine(0), "Hello           ");
+                return display.printLine("World", 1);
+            }).then(() => {
+                assert.strictEqual(emu.brightness, 1);
+                assert.strictEqual(display.getBacklight().idle, false);
+            });
+        });
+
+        it('restarts the timeout at each update', function() {
+            return display.initialize({ transport: emu, idle_timeout: 0.1 }).then(() => {
+                return delay(60);
+            }).then(() => {
+                return display.printLine("still busy", 0);
+            }).then(() => {
+                return delay(60);
+            }).then(() => {
+                assert.strictEqual(display.getBacklight().idle, false);
+                return delay(80);
+            }).then(() => {
+                assert.strictEqual(display.getBacklight().idle, true);
+            });
+        });
+
+        it('dims the backlight to the idle brightness', function() {
+            return display.initialize({ transport: emu, brightness: 0.8, idle_timeout: 0.03, idle_brightness: 0.2 }).then(() => {
+                return delay(60);
+            }).then(() => {
+                assert.strictEqual(emu.brightness, 0.2);
+                // Never brighter than the brightness set
+                return display.setBrightness(0.1);
+            }).then(() => {
+                return delay(60);
+            }).then(() => {
+                assert.strictEqual(emu.brightness, 0.1);
+            });
+        });
+
+        it('is changed by setIdleTimeout()', function() {
+            return display.initialize({ transport: emu }).then(() => {
+                return display.setIdleTimeout(0.03, 0.5);
+            }).then(() => {
+                return delay(60);
+            }).then(() => {
+                assert.strictEqual(emu.brightness, 0.5);
+                return display.setIdleTimeout(0);
+            }).then(() => {
+                assert.strictEqual(emu.brightness, 1);
+                return delay(60);
+            }).then(() => {
+                assert.strictEqual(display.getBacklight().idle, false);
+                return display.setIdleTimeout(-1);
+            }).then(() => {
+                assert.fail("setIdleTimeout() should have failed");
+            }, (err) => {
+                assert.strictEqual(err.message, "Invalid parameter");
+            });
+        });
+    });
+});
+
+describe('SysfsPwm', function() {
+    const CHANNEL = '/sys/class/pwm/pwmchip1/pwm2';
+    var saved;
+    var files;          // Content of the files written, by path
+    var exists;         // Paths that fs.access() finds
+
+    beforeEach(function() {
+        saved = { access: fs.access, writeFile: fs.writeFile };
+        files = {};
+        exists = {};
+        fs.access = (path, callback) => {
+            setImmediate(callback, (exists[path] ? null : Object.assign(new Error("ENOENT: " + path), { code: 'ENOENT' })));
+        };
+        fs.writeFile = (path, data, callback) => {
+            files[path] = data;
+            if (path.endsWith('/export')) {
+                // The kernel creates the channel
+                exists[CHANNEL] = true;
+            }
+            setImmediate(callback, null);
+        };
+    });
+
+    afterEach(function() {
+        fs.access = saved.access;
+        fs.writeFile = saved.writeFile;
+    });
+
+    // Calls 'method' of 'pwm' with the arguments, returns a Promise
+    function call(pwm, method) {
+        var args = Array.from(arguments).slice(2);
+        return new Promise((resolve, reject) => {
+            pwm[method].apply(pwm, args.concat([ (err) => { err ? reject(err) : resolve(); } ]));
+        });
+    }
+
+    it('exports the channel, drives the duty cycle and unexports it', function() {
+        var pwm = new SysfsPwm({ chip: 1, channel: 2, frequency: 500 });
+        return call(pwm, 'open').then(() => {
+            assert.deepStrictEqual(files, {
+                '/sys/class/pwm/pwmchip1/export': "2",
+                [CHANNEL + '/duty_cycle']: "0",
+                [CHANNEL + '/period']: "2000000",
+                [CHANNEL + '/enable']: "1"
+            });
+            return call(pwm, 'set', 0.25);
+        }).then(() => {
+            assert.strictEqual(files[CHANNEL + '/duty_cycle'], "500000");
+            return call(pwm, 'close');
+        }).then(() => {
+            assert.strictEqual(files[CHANNEL + '/enable'], "0");
+            assert.strictEqual(files['/sys/class/pwm/pwmchip1/unexport'], "2");
+        });
+    });
+
+    it('leaves exported the channels it did not export', function() {
+        exists[CHANNEL] = true;
+        var pwm = new SysfsPwm({ chip: 1, channel: 2 });
+        return call(pwm, 'open').then(() => {
+            assert.strictEqual(files['/sys/class/pwm/pwmchip1/export'], undefined);
+            assert.strictEqual(files[CHANNEL + '/period'], "1000000");
+            return call(pwm, 'close');
+        }).then(() => {
+            assert.strictEqual(files[CHANNEL + '/enable'], "0");
+            assert.strictEqual(files['/sys/class/pwm/pwmchip1/unexport'], undefined);
+        });
+    });
+
+    it('fails when the channel cannot be written', function() {
+        fs.writeFile = (path, data, callback) => { setImmediate(callback, new Error("EACCES: " + path)); };
+        var pwm = new SysfsPwm();
+        return call(pwm, 'open').then(() => {
+            assert.fail("open() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "EACCES: /sys/class/pwm/pwmchip0/export");
+        });
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+describe('Busy flag', function() {
+    var display;
+
+    beforeEach(function() {
+        display = new lcd.LCD();
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    [4, 8].forEach((busWidth) => {
+        it('never writes while the controller is busy (' + busWidth + '-bit mode)', function() {
+            var emu = new lcd.EmulatorTransport({ busyTime: 2, busWidth: busWidth });
+            return display.initialize({ transport: emu }).then(() => {
+                assert.strictEqual(emu.overruns, 0);
+                return display.printLine("Hello", 0);
+            }).then(() => {
+                return display.clearScreen();
+            }).then(() => {
+                return display.printLine("World", 1);
+            }).then(() => {
+                assert.strictEqual(emu.overruns, 0);
+                assert.strictEqual(emu.getLine(1), "World".padEnd(16));
+                assert.strictEqual(emu.functionSet.eightBit, (busWidth === 8));
+            });
+        });
+    });
+
+    it('waits fixed delays when the busy flag cannot be read', function() {
+        var emu = new lcd.EmulatorTransport({ canRead: false });
+        return display.initialize({ transport: emu }).then(() => {
+            return display.printLine("timed", 0);
+        }).then(() => {
+            assert.strictEqual(display.busyPolling, false);
+            assert.strictEqual(emu.getLine(0), "timed".padEnd(16));
+        });
+    });
+
+    it('fails when the controller stays busy', function() {
+        var emu = new lcd.EmulatorTransport({ busyTime: 1000 });
+        return display.initialize({ transport: emu, busy_timeout: 10 }).then(() => {
+            assert.fail("initialize() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "LCD busy timeout");
+        });
+    });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+var Charset = require('../lib/charset');
+var GlyphRegistry = require('../lib/glyphs').GlyphRegistry;
+
+// Returns the character codes of 'text'
+function codes(text) {
+    return Array.from(text, (c) => c.charCodeAt(0));
+}
+
+describe('Charset', function() {
+    describe('A00', function() {
+        var charset = new Charset({ rom: 'A00' });
+
+        it('sends ASCII unchanged', function() {
+            assert.strictEqual(charset.encode("Hello, World! 0-9 {}"), "Hello, World! 0-9 {}");
+        });
+
+        it('maps the symbols of the ROM', function() {
+            assert.deepStrictEqual(codes(charset.encode("25°C µA Ω ¥ → ←")),
+                [0x32, 0x35, 0xdf, 0x43, 0x20, 0xe4, 0x41, 0x20, 0xf4, 0x20, 0x5c, 0x20, 0x7e, 0x20, 0x7f]);
+        });
+
+        it('maps the katakana and the hiragana', function() {
+            assert.deepStrictEqual(codes(charset.encode("ｱ")), [0xb1]);
+            assert.deepStrictEqual(codes(charset.encode("ア")), [0xb1]);
+            assert.deepStrictEqual(codes(charset.encode("あ")), [0xb1]);
+            // Voiced katakana: base + dakuten
+            assert.deepStrictEqual(codes(charset.encode("ガ")), [0xb6, 0xde]);
+        });
+
+        it('approximates the characters missing in the ROM', function() {
+            assert.strictEqual(charset.encode("ő²"), "o2");
+            assert.strictEqual(charset.encode("中"), "?");
+            assert.strictEqual(new Charset({ replacement: '*' }).encode("中"), "*");
+        });
+
+        it('normalizes the decomposed text', function() {
+            assert.deepStrictEqual(codes(charset.encode("n\u0303")), [0xee]);
+        });
+
+        it('sends the raw characters and the CGRAM codes unchanged', function() {
+            assert.deepStrictEqual(codes(charset.encode(Charset.rawChar(0xe7) + "\x03")), [0xe7, 0x03]);
+            assert.throws(() => { Charset.rawChar(0x100); }, /Invalid character code/);
+        });
+
+        it('uses a CGRAM glyph for the common accented letters', function() {
+            var registry = new GlyphRegistry();
+            var text = charset.encode("Café", registry);
+            assert.strictEqual(text.substr(0, 3), "Caf");
+            assert.strictEqual(registry.nameOf(text.charAt(3)), "charset:é");
+            assert.deepStrictEqual(registry.resolve(text, {}).loads[0].rows, Charset.FALLBACK_GLYPHS['é'].map((row) => {
+                return Array.from(row).reduce((value, pixel) => ((value << 1) | (pixel === '#' ? 1 : 0)), 0);
+            }).concat([0]));
+            assert.strictEqual(new Charset({ autoGlyphs: false }).encode("Café", registry), "Cafe");
+        });
+
+        it('decodes the text back', function() {
+            var registry = new GlyphRegistry();
+            ["25°C µA", "ｶﾞ", "Café ¥100 →", "x\x03"].forEach((text) => {
+                assert.strictEqual(charset.decode(charset.encode(text, registry), registry), text);
+            });
+            assert.strictEqual(charset.decode(charset.encode("ő")), "o");
+            assert.strictEqual(charset.decode("\xe7"), Charset.rawChar(0xe7));
+        });
+    });
+
+    describe('A02', function() {
+        var charset = new Charset({ rom: 'A02' });
+
+        it('maps Latin-1 and Cyrillic', function() {
+            assert.deepStrictEqual(codes(charset.encode("é\\~Б")), [0xe9, 0x5c, 0x7e, 0x80]);
+            assert.strictEqual(charset.decode(charset.encode("Ünïcodé Я")), "Ünïcodé Я");
+        });
+    });
+
+    it('rejects an unknown ROM and an unavailable replacement', function() {
+        assert.throws(() => { new Charset({ rom: 'B01' }); }, /Unknown character ROM/);
+        assert.throws(() => { new Charset({ replacement: '\\' }); }, /not available in ROM A00/);
+    });
+});
+
+describe('LCD character set', function() {
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('prints the text converted to the ROM', function() {
+        return display.initialize({ transport: emu }).then(() => {
+            return display.printLine("25°C", 0);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "25\xdfC".padEnd(16));
+        });
+    });
+
+    it('uses the configured ROM', function() {
+        return display.initialize({ transport: emu, charset: 'A02' }).then(() => {
+            return display.printLine("Ñ", 0);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0).charCodeAt(0), 0xd1);
+        });
+    });
+
+    it('reads the framebuffer back as the text written', function() {
+        var fb;
+        return display.initialize({ transport: emu }).then(() => {
+            fb = display.getFramebuffer();
+            fb.write("25°C", 0);
+            assert.strictEqual(fb.getLine(0), "25°C".padEnd(16));
+            assert.strictEqual(fb.getChar(2, 0), "°");
+            assert.strictEqual(fb.getRawLine(0), "25\xdfC".padEnd(16));
+            return display.flush();
+        }).then(() => {
+            return display.printLine("Café", 1);
+        }).then(() => {
+            assert.deepStrictEqual(fb.getText(), ["25°C".padEnd(16), "Café".padEnd(16)]);
+            // The glyph is displayed from its CGRAM slot
+            assert.strictEqual(emu.getLine(1), "Caf\x00".padEnd(16));
+        });
+    });
+});
@@ -0,0 +1,209 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+var CommandQueue = require('../lib/command-queue');
+
+const Priority = CommandQueue.Priority;
+
+// Returns a command that records its name in 'log' and completes on the next
+// tick
+function command(log, name, options) {
+    return Object.assign({
+        name: name,
+        run: (done) => {
+            log.push(name);
+            process.nextTick(done, null);
+        }
+    }, options);
+}
+
+describe('CommandQueue', function() {
+    it('executes the commands in FIFO order', function(done) {
+        var queue = new CommandQueue();
+        var log = [];
+        queue.push(command(log, 'a'));
+        queue.push(command(log, 'b'));
+        queue.push(command(log, 'c'));
+        queue.once('idle', () => {
+            assert.deepStrictEqual(log, ['a', 'b', 'c']);
+            done();
+        });
+    });
+
+    it('executes the commands with higher priority first', function(done) {
+        var queue = new CommandQueue();
+        var log = [];
+        queue.push(command(log, 'low', { priority: Priority.LOW }));
+        queue.push(command(log, 'normal1'));
+        queue.push(command(log, 'high', { priority: Priority.HIGH }));
+        queue.push(command(log, 'normal2'));
+        queue.once('idle', () => {
+            assert.deepStrictEqual(log, ['high', 'normal1', 'normal2', 'low']);
+            done();
+        });
+    });
+
+    it('executes one command at a time', function(done) {
+        var queue = new CommandQueue();
+        var running = 0;
+        var slow = (name) => ({
+            name: name,
+            run: (cb) => {
+                assert.strictEqual(++running, 1);
+                setTimeout(() => { --running; cb(null); }, 5);
+            }
+        });
+        queue.push(slow('a'));
+        queue.push(slow('b'));
+        assert.strictEqual(queue.depth(), 2);
+        queue.once('idle', () => {
+            assert.strictEqual(queue.depth(), 0);
+            done();
+        });
+    });
+
+    it('passes the result of each command to its callback', function(done) {
+        var queue = new CommandQueue();
+        var failure = new Error("failed");
+        queue.push({ name: 'fail', run: (cb) => { cb(failure); } }, (err) => {
+            assert.strictEqual(err, failure);
+        });
+        queue.push({ name: 'ok', run: (cb) => { cb(); } }, (err) => {
+            assert.strictEqual(err, null);
+            done();
+        });
+    });
+
+    it('cancels the pending commands with a key', function(done) {
+        var queue = new CommandQueue();
+        var log = [];
+        var errors = [];
+        queue.push(command(log, 'row0', { key: 'row:0' }), (err) => { errors.push(err); });
+        queue.push(command(log, 'row1', { key: 'row:1' }), (err) => { errors.push(err); });
+        assert.strictEqual(queue.cancelKey('row:0'), 1);
+        queue.once('idle', () => {
+            assert.deepStrictEqual(log, ['row1']);
+            assert.strictEqual(errors[0].code, 'ECANCELED');
+            assert.strictEqual(errors[1], null);
+            done();
+        });
+    });
+
+    it('completes a command that throws with the exception', function(done) {
+        var queue = new CommandQueue();
+        var log = [];
+        queue.push({ name: 'bug', run: () => { throw new Error("bug"); } }, (err) => {
+            assert.strictEqual(err.message, "bug");
+            log.push('bug');
+        });
+        queue.push(command(log, 'next'));
+        queue.once('idle', () => {
+            assert.deepStrictEqual(log, ['bug', 'next']);
+            assert.strictEqual(queue.depth(), 0);
+            done();
+        });
+    });
+
+    it('never cancels the command executing', function(done) {
+        var queue = new CommandQueue();
+        queue.push({ name: 'running', key: 'k', run: (cb) => {
+            assert.strictEqual(queue.cancelKey('k'), 0);
+            setImmediate(cb, null);
+        } }, (err) => {
+            assert.strictEqual(err, null);
+            done();
+        });
+    });
+});
+
+describe('LCD command queue', function() {
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('does not interleave concurrent printLine()', function() {
+        return Promise.all([
+            display.printLine("first line", 0),
+            display.printLine("second line", 1),
+            display.printLine("third line", 0)
+        ]).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["third line      ", "second line     "]);
+            assert.strictEqual(display.getQueueDepth(), 0);
+        });
+    });
+
+    it('replaces the queued printLine() of the same row', function() {
+        var results = [];
+        var print = (text, row, options) => display.printLine(text, row, options).then(
+            () => { results.push(text); },
+            (err) => { results.push(text + ":" + err.code); });
+        return Promise.all([
+            print("executing", 0),
+            print("10:00:00", 1),
+            print("10:00:01", 1, { replace: true }),
+            print("10:00:02", 1, { replace: true })
+        ]).then(() => {
+            assert.deepStrictEqual(results.sort(),
+                ["10:00:00:ECANCELED", "10:00:01:ECANCELED", "10:00:02", "executing"]);
+            assert.strictEqual(emu.getLine(1), "10:00:02        ");
+        });
+    });
+
+    it('executes the operations with higher priority first', function() {
+        var order = [];
+        var print = (text, row, options) => display.printLine(text, row, options).then(() => { order.push(text); });
+        return Promise.all([
+            print("normal", 0),
+            print("low", 1, { priority: lcd.Priority.LOW }),
+            print("high", 1, { priority: lcd.Priority.HIGH })
+        ]).then(() => {
+            assert.deepStrictEqual(order, ["high", "normal", "low"]);
+            assert.strictEqual(emu.getLine(1), "low             ");
+        });
+    });
+
+    it('cancels the queued operations of a row', function() {
+        var p = display.printLine("keep", 0);
+        var cancelled = display.printLine("cancelled", 1);
+        assert.strictEqual(display.cancelLine(1), 1);
+        return Promise.all([p, cancelled.catch((err) => err.code)]).then((results) => {
+            assert.strictEqual(results[1], 'ECANCELED');
+            assert.strictEqual(emu.getLine(1), " ".repeat(16));
+        });
+    });
+
+    it('keeps running after an operation that throws', function() {
+        var failed = display.enqueue("bug", {}, () => { throw new TypeError("bug"); });
+        var next = display.printLine("next", 0);
+        return failed.then(() => {
+            assert.fail("the operation should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "bug");
+            return next;
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "next            ");
+        });
+    });
+
+    it('rejects the queued operations on finalize()', function() {
+        var pending = display.printLine("pending", 1);
+        return display.finalize(false).then(() => {
+            return pending;
+        }).then(() => {
+            assert.fail("printLine() should have been cancelled");
+        }, (err) => {
+            assert.strictEqual(err.code, 'ESHUTDOWN');
+            return display.initialize({ transport: emu });
+        });
+    });
+});
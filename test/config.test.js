@@ -0,0 +1,172 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var lcd = require('../async-hd44780.js');
+var Config = require('../lib/config');
+
+// GPIO wiring of the README
+const WIRING = { pin_rs: 27, pin_e: 22, pin_d4: 25, pin_d5: 24, pin_d6: 23, pin_d7: 18, pin_bl: 15 };
+
+describe('toBcm', function() {
+    it('converts the BOARD numbers of the GPIO pins', function() {
+        assert.strictEqual(Config.toBcm(13, 'board'), 27);
+        assert.strictEqual(Config.toBcm(40, 'board'), 21);
+        // Ground and power pins
+        assert.strictEqual(Config.toBcm(6, 'board'), undefined);
+        assert.strictEqual(Config.toBcm(1, 'board'), undefined);
+        assert.strictEqual(Config.toBcm(27, 'board'), undefined);
+    });
+
+    it('accepts the BCM numbers of the header', function() {
+        assert.strictEqual(Config.toBcm(27, 'bcm'), 27);
+        assert.strictEqual(Config.toBcm(28, 'bcm'), undefined);
+        assert.strictEqual(Config.toBcm(2.5, 'bcm'), undefined);
+    });
+});
+
+describe('Configuration', function() {
+    var display;
+
+    beforeEach(function() {
+        display = new lcd.LCD();
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    // Expects initialize(config) to fail with a message matching 'message'
+    function assertInvalid(config, message) {
+        return new lcd.LCD().initialize(config).then(() => {
+            assert.fail("initialize() should have failed");
+        }, (err) => {
+            assert.match(err.message, /^Invalid configuration: /);
+            assert.match(err.message, message);
+        });
+    }
+
+    it('rejects the unknown properties and the wrong types', function() {
+        return Promise.all([
+            assertInvalid("16x2", /expected an object \(got string\)/),
+            assertInvalid({ collumns: 20 }, /unknown property 'collumns'/),
+            assertInvalid({ cols: "20" }, /'cols' must be a number \(got string\)/),
+            assertInvalid({ backlight: 1 }, /'backlight' must be a boolean/),
+            assertInvalid({ row_offsets: "0,64" }, /'row_offsets' must be an array or null/),
+            assertInvalid({ i2c_pinout: 5 }, /'i2c_pinout' must be a string or an object or null/)
+        ]);
+    });
+
+    it('rejects the values out of range', function() {
+        var emu = new lcd.EmulatorTransport();
+        return Promise.all([
+            assertInvalid({ transport: emu, rows: 0 }, /'rows' must be an integer >= 1 \(got 0\)/),
+            assertInvalid({ transport: emu, brightness: 1.5 }, /'brightness' must be between 0 and 1/),
+            assertInvalid({ transport: emu, idle_timeout: -1 }, /'idle_timeout' must be >= 0/),
+            assertInvalid({ transport: emu, watchdog_interval: NaN }, /'watchdog_interval'/),
+            assertInvalid({ transport: emu, i2c_address: 0x78 }, /'i2c_address' must be an integer between 3 and 119/),
+            assertInvalid({ transport: emu, pin_numbering: 'wiringpi' }, /'pin_numbering' must be one of bcm, board/),
+            assertInvalid({ transport: emu, i2c_expander: 'mcp23008' }, /'i2c_expander' must be one of pcf8574, mcp23017/)
+        ]);
+    });
+
+    it('checks the pins of the GPIO mode', function() {
+        return Promise.all([
+            assertInvalid(Object.assign({}, WIRING, { pin_d7: 0 }), /'pin_d7' is required \(GPIO mode\)/),
+            assertInvalid(Object.assign({}, WIRING, { pin_d0: 5, pin_d1: 6 }), /requires all the pins 'pin_d0' to 'pin_d3'/),
+            assertInvalid(Object.assign({}, WIRING, { pin_e: 28 }), /'pin_e'=28 is not a GPIO pin \(BCM numbering: 1-27\)/),
+            assertInvalid(Object.assign({}, WIRING, { pin_bl: 25 }), /'pin_d4' and 'pin_bl' use the same pin 25/),
+            assertInvalid(Object.assign({}, WIRING, { pin_btn_up: 27 }), /'pin_rs' and 'pin_btn_up' use the same pin 27/)
+        ]);
+    });
+
+    it('checks the pins in BOARD numbering', function() {
+        var board = { pin_numbering: 'board', pin_rs: 13, pin_e: 15, pin_d4: 22, pin_d5: 18, pin_d6: 16, pin_d7: 12, pin_bl: 0 };
+        return Promise.all([
+            assertInvalid(Object.assign({}, board, { pin_bl: 2 }), /'pin_bl'=2 is not a GPIO pin of the 40-pin header \(BOARD numbering\)/),
+            // Pins 27 and 28 are reserved for the HAT ID EEPROM
+            assertInvalid(Object.assign({}, board, { pin_d4: 27 }), /'pin_d4'=27 is not a GPIO pin of the 40-pin header \(BOARD numbering\)/),
+            assertInvalid(Object.assign({}, board, { pin_bl: 28 }), /'pin_bl'=28 is not a GPIO pin of the 40-pin header \(BOARD numbering\)/),
+            // Pin 13 is GPIO 27
+            assertInvalid(Object.assign({}, board, { pin_btn_up: 13 }), /'pin_rs' and 'pin_btn_up' use the same pin 13/)
+        ]);
+    });
+
+    it('does not check the LCD pins with an I2C expander or a transport', function() {
+        var emu = new lcd.EmulatorTransport();
+        return display.initialize({ transport: emu, pin_rs: 0, pin_e: 99 }).then(() => {
+            assert.strictEqual(display.getConfig().pin_e, 99);
+            return assertInvalid({ i2c_address: 0x27, pin_btn_up: 99 }, /'pin_btn_up'=99 is not a GPIO pin/);
+        });
+    });
+
+    it('uses the properties of the preset', function() {
+        var emu = new lcd.EmulatorTransport({ cols: 20, rows: 4 });
+        return display.initialize({ transport: emu, preset: 'sunfounder-lcd2004', i2c_address: 0x3f }).then(() => {
+            var config = display.getConfig();
+            assert.strictEqual(config.cols, 20);
+            assert.strictEqual(config.rows, 4);
+            assert.strictEqual(config.i2c_expander, 'pcf8574');
+            // The properties of the configuration override the preset
+            assert.strictEqual(config.i2c_address, 0x3f);
+            return assertInvalid({ preset: 'hitachi' }, /unknown preset 'hitachi' \(expected one of default, adafruit-pi-plate, sunfounder-lcd2004\)/);
+        });
+    });
+
+    it('copies the objects of the configuration', function() {
+        var offsets = [0x00, 0x40];
+        var emu = new lcd.EmulatorTransport();
+        return display.initialize({ transport: emu, row_offsets: offsets }).then(() => {
+            offsets[1] = 0x10;
+            assert.deepStrictEqual(display.getConfig().row_offsets, [0x00, 0x40]);
+        });
+    });
+});
+
+describe('loadConfig', function() {
+    var file = path.join(os.tmpdir(), "hd44780-test-" + process.pid + ".json");
+
+    afterEach(function() {
+        try {
+            fs.unlinkSync(file);
+        } catch (err) {
+            // Not created
+        }
+    });
+
+    it('reads a valid configuration', function() {
+        fs.writeFileSync(file, JSON.stringify({ preset: 'adafruit-pi-plate', btn_long_press: 500 }));
+        return lcd.loadConfig(file).then((config) => {
+            assert.deepStrictEqual(config, { preset: 'adafruit-pi-plate', btn_long_press: 500 });
+        });
+    });
+
+    it('reports the invalid files', function() {
+        fs.writeFileSync(file, '{ "cols": 16, }');
+        return lcd.loadConfig(file).then(() => {
+            assert.fail("loadConfig() should have failed");
+        }, (err) => {
+            assert.match(err.message, new RegExp("^Invalid configuration: " + file.replace(/[.\\]/g, "\\$&") + ": "));
+            fs.writeFileSync(file, '[16, 2]');
+            return lcd.loadConfig(file);
+        }).then(() => {
+            assert.fail("loadConfig() should have failed");
+        }, (err) => {
+            assert.match(err.message, /expected a JSON object/);
+            fs.writeFileSync(file, '{ "rows": -2 }');
+            return new Promise((resolve) => { lcd.loadConfig(file, resolve); });
+        }).then((err) => {
+            assert.strictEqual(err.message, "Invalid configuration: 'rows' must be an integer >= 1 (got -2) (" + file + ")");
+        });
+    });
+
+    it('fails when the file does not exist', function() {
+        return lcd.loadConfig(file).then(() => {
+            assert.fail("loadConfig() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.code, 'ENOENT');
+        });
+    });
+});
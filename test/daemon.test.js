@@ -0,0 +1,272 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+var lcd = require('../async-hd44780.js');
+var daemon = require('../lib/daemon');
+
+// Promise version of daemon.runCommand()
+function run(display, request) {
+    return new Promise((resolve, reject) => {
+        daemon.runCommand(display, request, (err, result) => { err ? reject(err) : resolve(result); });
+    });
+}
+
+// Promise version of daemon.sendRequest()
+function send(target, request) {
+    return new Promise((resolve, reject) => {
+        daemon.sendRequest(target, request, (err, result) => { err ? reject(err) : resolve(result); });
+    });
+}
+
+// Expects 'promise' to fail with 'code' and a message matching 'message'
+function assertRejects(promise, code, message) {
+    return promise.then(() => {
+        assert.fail("the request should have failed");
+    }, (err) => {
+        assert.strictEqual(err.code, code);
+        assert.match(err.message, message);
+    });
+}
+
+// Sends a raw HTTP request to the daemon, resolves with { status, body }
+function httpRequest(port, method, url, headers, body) {
+    return new Promise((resolve, reject) => {
+        var req = http.request({ host: '127.0.0.1', port: port, method: method, path: url, headers: headers }, (res) => {
+            var text = "";
+            res.setEncoding('utf8');
+            res.on('data', (data) => { text += data; });
+            res.on('end', () => { resolve({ status: res.statusCode, body: JSON.parse(text) }); });
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// Resolves with a TCP port free on 127.0.0.1
+function freePort() {
+    return new Promise((resolve, reject) => {
+        var server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            var port = server.address().port;
+            server.close(() => { resolve(port); });
+        });
+    });
+}
+
+describe('runCommand', function() {
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('prints on a row or across the rows', function() {
+        return run(display, { command: 'print', text: "Hello", row: "1" }).then(() => {
+            assert.strictEqual(emu.getLine(1), "Hello".padEnd(16));
+            return run(display, { command: 'print', text: "centered", row: 0, align: 'center' });
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "    centered    ");
+            return run(display, { command: 'print', text: "a text wrapped on two rows" });
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["a text wrapped", "on two rows"].map((line) => line.padEnd(16)));
+        });
+    });
+
+    it('rejects the invalid parameters', function() {
+        return Promise.all([
+            assertRejects(run(display, { command: 'print', text: "x", row: 2 }), 'EINVAL', /Invalid row '2'/),
+            assertRejects(run(display, { command: 'print', text: "x", row: "one" }), 'EINVAL', /Invalid row/),
+            assertRejects(run(display, { command: 'print', text: "x", align: 'justify' }), 'EINVAL', /Invalid alignment/),
+            assertRejects(run(display, { command: 'backlight', value: 2 }), 'EINVAL', /Invalid backlight value/),
+            assertRejects(run(display, { command: 'backlight', value: "" }), 'EINVAL', /Invalid backlight value/),
+            assertRejects(run(display, { command: 'reboot' }), 'EINVAL', /Unknown command 'reboot'/)
+        ]);
+    });
+
+    it('sets the backlight', function() {
+        return run(display, { command: 'backlight', value: 'off' }).then(() => {
+            assert.strictEqual(display.getBacklight().on, false);
+            return run(display, { command: 'backlight', value: "0.5" });
+        }).then(() => {
+            assert.deepStrictEqual(display.getBacklight(), { on: true, brightness: 0.5, idle: false });
+        });
+    });
+
+    it('returns the status', function() {
+        return run(display, { command: 'print', text: "status", row: 0 }).then(() => {
+            return run(display, { command: 'status' });
+        }).then((status) => {
+            assert.strictEqual(status.cols, 16);
+            assert.strictEqual(status.rows, 2);
+            assert.deepStrictEqual(status.screen, ["status".padEnd(16), " ".repeat(16)]);
+            assert.strictEqual(status.display.display, true);
+            assert.strictEqual(status.backlight.on, true);
+        });
+    });
+
+    it('fails when the LCD is not initialized', function() {
+        return assertRejects(run(new lcd.LCD(), { command: 'clear' }), undefined, /LCD not initialized/);
+    });
+});
+
+describe('Daemon', function() {
+    var emu;
+    var server;
+    var socketPath;
+    var port;
+
+    before(function() {
+        return freePort().then((p) => { port = p; });
+    });
+
+    beforeEach(function() {
+        socketPath = path.join(os.tmpdir(), "hd44780-test-" + process.pid + ".sock");
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        server = new daemon.Daemon(new lcd.LCD(), { transport: emu }, { socket: socketPath, http: port });
+        return new Promise((resolve, reject) => {
+            server.start((err) => { err ? reject(err) : resolve(); });
+        });
+    });
+
+    afterEach(function() {
+        return new Promise((resolve) => { server.stop(() => { resolve(); }); });
+    });
+
+    it('executes the commands received on the socket', function() {
+        return send({ socket: socketPath }, { command: 'print', text: "socket", row: 0 }).then((result) => {
+            assert.strictEqual(result, undefined);
+            assert.strictEqual(emu.getLine(0), "socket".padEnd(16));
+            return send({ socket: socketPath }, { command: 'status' });
+        }).then((status) => {
+            assert.strictEqual(status.screen[0], "socket".padEnd(16));
+            return assertRejects(send({ socket: socketPath }, { command: 'print', row: 5 }), 'EINVAL', /Invalid row/);
+        });
+    });
+
+    it('answers the requests of a connection in order', function() {
+        return new Promise((resolve, reject) => {
+            var connection = net.connect(socketPath);
+            var text = "";
+            connection.setEncoding('utf8');
+            connection.on('connect', () => {
+                connection.end('{"command":"print","text":"one","row":0}\n' +
+                               'not json\n' +
+                               '{"command":"print","text":"two","row":1}\n');
+            });
+            connection.on('data', (data) => { text += data; });
+            connection.on('error', reject);
+            connection.on('close', () => { resolve(text); });
+        }).then((text) => {
+            var responses = text.trim().split("\n").map((line) => JSON.parse(line));
+            assert.strictEqual(responses.length, 3);
+            assert.deepStrictEqual(responses[0], { ok: true });
+            assert.strictEqual(responses[1].ok, false);
+            assert.strictEqual(responses[1].code, 'EINVAL');
+            assert.deepStrictEqual(responses[2], { ok: true });
+            assert.deepStrictEqual(emu.getText(), ["one".padEnd(16), "two".padEnd(16)]);
+        });
+    });
+
+    it('resets the display on init', function() {
+        return send({ socket: socketPath }, { command: 'print', text: "before", row: 1 }).then(() => {
+            return send({ socket: socketPath }, { command: 'init' });
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [" ".repeat(16), " ".repeat(16)]);
+        });
+    });
+
+    it('refuses to start without a socket or a port', function() {
+        var other = new daemon.Daemon(new lcd.LCD(), { transport: new lcd.EmulatorTransport() }, {});
+        return new Promise((resolve) => { other.start(resolve); }).then((err) => {
+            assert.match(err.message, /no socket or HTTP port/);
+        });
+    });
+
+    it('refuses to start when another daemon listens on the socket', function() {
+        var other = new daemon.Daemon(new lcd.LCD(), { transport: new lcd.EmulatorTransport() }, { socket: socketPath });
+        return new Promise((resolve) => { other.start(resolve); }).then((err) => {
+            assert.match(err.message, /Another daemon is listening/);
+            // The socket of the running daemon is still there
+            assert.ok(fs.statSync(socketPath).isSocket());
+        });
+    });
+
+    describe('HTTP', function() {
+        const JSON_TYPE = { 'Content-Type': 'application/json' };
+
+        it('executes the commands posted', function() {
+            return send({ http: port }, { command: 'print', text: "http", row: 1 }).then(() => {
+                assert.strictEqual(emu.getLine(1), "http".padEnd(16));
+                return httpRequest(port, 'POST', '/clear', { 'Content-Type': 'application/json; charset=utf-8' });
+            }).then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body, { ok: true });
+                assert.strictEqual(emu.getLine(1), " ".repeat(16));
+            });
+        });
+
+        it('returns the status on GET', function() {
+            return httpRequest(port, 'GET', '/status').then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(response.body.result.cols, 16);
+            });
+        });
+
+        it('rejects the invalid requests', function() {
+            return httpRequest(port, 'GET', '/clear').then((response) => {
+                assert.strictEqual(response.status, 405);
+                return httpRequest(port, 'POST', '/print', JSON_TYPE, '{"text":');
+            }).then((response) => {
+                assert.strictEqual(response.status, 400);
+                assert.match(response.body.error, /Invalid JSON/);
+                return httpRequest(port, 'POST', '/print', JSON_TYPE, '[1, 2]');
+            }).then((response) => {
+                assert.strictEqual(response.status, 400);
+                return httpRequest(port, 'POST', '/reboot', JSON_TYPE);
+            }).then((response) => {
+                assert.strictEqual(response.status, 400);
+                assert.strictEqual(response.body.code, 'EINVAL');
+            });
+        });
+
+        it('rejects the malformed URLs', function() {
+            return httpRequest(port, 'POST', '/%E0%A4%A', JSON_TYPE).then((response) => {
+                assert.strictEqual(response.status, 400);
+                assert.match(response.body.error, /Invalid URL/);
+                // The daemon is still running
+                return httpRequest(port, 'GET', '/status');
+            }).then((response) => {
+                assert.strictEqual(response.status, 200);
+            });
+        });
+
+        it('rejects the bodies that are not JSON', function() {
+            var form = { 'Content-Type': 'application/x-www-form-urlencoded' };
+            return send({ http: port }, { command: 'print', text: "kept", row: 0 }).then(() => {
+                return httpRequest(port, 'POST', '/print', form, '{"text":"form","row":0}');
+            }).then((response) => {
+                assert.strictEqual(response.status, 415);
+                return httpRequest(port, 'POST', '/clear', { 'Content-Type': 'text/plain' }, '');
+            }).then((response) => {
+                assert.strictEqual(response.status, 415);
+                return httpRequest(port, 'POST', '/clear');
+            }).then((response) => {
+                assert.strictEqual(response.status, 415);
+                assert.strictEqual(emu.getLine(0), "kept".padEnd(16));
+            });
+        });
+    });
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+describe('Display controls', function() {
+    const HELLO = ["Hello".padEnd(16), "World".padEnd(16)];
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu }).then(() => {
+            return Promise.all([display.printLine("Hello", 0), display.printLine("World", 1)]);
+        });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('turns the display off and on keeping its content', function() {
+        return display.setDisplay(false).then(() => {
+            assert.deepStrictEqual(emu.display, { on: false, cursor: false, blink: false });
+            assert.deepStrictEqual(emu.getText(), HELLO);
+            assert.strictEqual(display.getDisplayState().display, false);
+            return display.setDisplay(true);
+        }).then(() => {
+            assert.deepStrictEqual(emu.display, { on: true, cursor: false, blink: false });
+            assert.deepStrictEqual(emu.getText(), HELLO);
+            assert.strictEqual(display.getDisplayState().display, true);
+        });
+    });
+
+    it('shows the cursor and makes it blink independently', function() {
+        return display.showCursor(true).then(() => {
+            assert.deepStrictEqual(emu.display, { on: true, cursor: true, blink: false });
+            return display.blinkCursor(true);
+        }).then(() => {
+            assert.deepStrictEqual(emu.display, { on: true, cursor: true, blink: true });
+            return display.showCursor(false);
+        }).then(() => {
+            assert.deepStrictEqual(emu.display, { on: true, cursor: false, blink: true });
+            // Turning the display off and on keeps the cursor settings
+            return display.setDisplay(false);
+        }).then(() => {
+            assert.deepStrictEqual(emu.display, { on: false, cursor: false, blink: true });
+            return display.showCursor(true);
+        }).then(() => {
+            assert.deepStrictEqual(emu.display, { on: false, cursor: true, blink: true });
+            return display.setDisplay(true);
+        }).then(() => {
+            assert.deepStrictEqual(emu.display, { on: true, cursor: true, blink: true });
+            return display.blinkCursor(false);
+        }).then(() => {
+            assert.deepStrictEqual(emu.display, { on: true, cursor: true, blink: false });
+            var state = display.getDisplayState();
+            assert.deepStrictEqual([state.display, state.cursor, state.blink], [true, true, false]);
+            assert.deepStrictEqual(emu.getText(), HELLO);
+        });
+    });
+
+    it('moves the cursor', function() {
+        return display.setCursorPosition(3, 1).then(() => {
+            assert.strictEqual(emu.addressCounter, 0x43);
+            return display.print("ab");
+        }).then(() => {
+            assert.strictEqual(emu.getLine(1), "Worab".padEnd(16));
+            assert.deepStrictEqual(display.getDisplayState().cursorPosition, { col: 5, row: 1 });
+            return display.setCursorPosition(16, 0);
+        }).then(() => {
+            assert.fail("setCursorPosition() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid parameter");
+            assert.strictEqual(emu.addressCounter, 0x45);
+        });
+    });
+
+    it('moves the cursor home and restores the display shift', function() {
+        return display.setCursorPosition(4, 1).then(() => {
+            return display.shiftDisplay('left');
+        }).then(() => {
+            return display.shiftDisplay('left');
+        }).then(() => {
+            assert.strictEqual(emu.displayShift, 2);
+            assert.strictEqual(display.getDisplayState().displayShift, 2);
+            return display.home();
+        }).then(() => {
+            assert.strictEqual(emu.addressCounter, 0);
+            assert.strictEqual(emu.displayShift, 0);
+            var state = display.getDisplayState();
+            assert.deepStrictEqual(state.cursorPosition, { col: 0, row: 0 });
+            assert.strictEqual(state.displayShift, 0);
+            assert.deepStrictEqual(emu.getText(), HELLO);
+        });
+    });
+
+    it('shifts the cursor and the display', function() {
+        return display.setCursorPosition(5, 0).then(() => {
+            return display.shiftCursor('left');
+        }).then(() => {
+            assert.strictEqual(emu.addressCounter, 4);
+            return display.shiftCursor('right');
+        }).then(() => {
+            return display.shiftCursor('right');
+        }).then(() => {
+            assert.strictEqual(emu.addressCounter, 6);
+            assert.deepStrictEqual(display.getDisplayState().cursorPosition, { col: 6, row: 0 });
+            return display.shiftDisplay('right');
+        }).then(() => {
+            // The DDRAM and the cursor do not change
+            assert.strictEqual(emu.displayShift, -1);
+            assert.strictEqual(emu.addressCounter, 6);
+            assert.deepStrictEqual(emu.getText(), HELLO);
+            return display.shiftCursor('up');
+        }).then(() => {
+            assert.fail("shiftCursor() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid parameter");
+            return display.shiftDisplay('down');
+        }).then(() => {
+            assert.fail("shiftDisplay() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid parameter");
+            assert.strictEqual(emu.displayShift, -1);
+        });
+    });
+
+    it('prints right to left', function() {
+        return display.setTextDirection('rtl').then(() => {
+            assert.deepStrictEqual(emu.entryMode, { increment: false, shift: false });
+            assert.strictEqual(display.getDisplayState().textDirection, 'rtl');
+            return display.setCursorPosition(10, 0);
+        }).then(() => {
+            return display.print("abc");
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "Hello   cba     ");
+            assert.deepStrictEqual(display.getDisplayState().cursorPosition, { col: 7, row: 0 });
+            return display.setTextDirection('ltr');
+        }).then(() => {
+            assert.deepStrictEqual(emu.entryMode, { increment: true, shift: false });
+            return display.print("de");
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "Hello  deba     ");
+        });
+    });
+
+    it('keeps the text direction and the autoscroll independent', function() {
+        return display.setAutoscroll(true).then(() => {
+            assert.deepStrictEqual(emu.entryMode, { increment: true, shift: true });
+            return display.setTextDirection('rtl');
+        }).then(() => {
+            assert.deepStrictEqual(emu.entryMode, { increment: false, shift: true });
+            var state = display.getDisplayState();
+            assert.deepStrictEqual([state.textDirection, state.autoscroll], ['rtl', true]);
+            return display.setAutoscroll(false);
+        }).then(() => {
+            assert.deepStrictEqual(emu.entryMode, { increment: false, shift: false });
+            return display.setTextDirection('ltr');
+        }).then(() => {
+            assert.deepStrictEqual(emu.entryMode, { increment: true, shift: false });
+            var state = display.getDisplayState();
+            assert.deepStrictEqual([state.textDirection, state.autoscroll], ['ltr', false]);
+        });
+    });
+
+    it('shifts the display at each character printed in autoscroll mode', function() {
+        return display.setAutoscroll(true).then(() => {
+            return display.setCursorPosition(5, 0);
+        }).then(() => {
+            return display.print("abc");
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "Helloabc".padEnd(16));
+            assert.strictEqual(emu.displayShift, 3);
+            assert.strictEqual(display.getDisplayState().displayShift, 3);
+            return display.setAutoscroll(false);
+        }).then(() => {
+            return display.print("d");
+        }).then(() => {
+            assert.strictEqual(emu.displayShift, 3);
+            assert.strictEqual(emu.getLine(0), "Helloabcd".padEnd(16));
+        });
+    });
+
+    it('rejects the invalid text directions', function() {
+        return display.setTextDirection('up').then(() => {
+            assert.fail("setTextDirection() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid parameter");
+            assert.deepStrictEqual(emu.entryMode, { increment: true, shift: false });
+        });
+    });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+describe('EmulatorTransport', function() {
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('initializes the controller in 4-bit, 2-line mode', function() {
+        assert.deepStrictEqual(emu.functionSet, { eightBit: false, twoLine: true, font5x10: false });
+        assert.deepStrictEqual(emu.display, { on: true, cursor: false, blink: false });
+        assert.deepStrictEqual(emu.entryMode, { increment: true, shift: false });
+        assert.deepStrictEqual(emu.getText(), [" ".repeat(16), " ".repeat(16)]);
+        assert.strictEqual(emu.overruns, 0);
+    });
+
+    it('prints a line padded to the width of the display', function() {
+        return display.printLine("Hello World", 0).then(() => {
+            return display.printLine("second", 1);
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["Hello World     ", "second          "]);
+        });
+    });
+
+    it('truncates the lines longer than the display', function() {
+        return display.printLine("0123456789abcdefXYZ", 1).then(() => {
+            assert.strictEqual(emu.getLine(1), "0123456789abcdef");
+        });
+    });
+
+    it('wraps the row number around the rows of the display', function() {
+        return display.printLine("third", 2).then(() => {
+            assert.strictEqual(emu.getLine(0), "third           ");
+        });
+    });
+
+    it('counts the negative rows from the bottom of the display', function() {
+        return display.printLine("last", -1).then(() => {
+            return display.printLine("first", -2);
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["first           ", "last            "]);
+        });
+    });
+
+    it('rejects a row that is not a number', function() {
+        return display.printLine("x", "bottom").then(() => {
+            assert.fail("printLine() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid parameter");
+            // The queue is still running
+            return display.printLine("still running", 0);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "still running   ");
+        });
+    });
+
+    it('clears the screen and the framebuffer', function() {
+        return display.printLine("Hello", 0).then(() => {
+            return display.clearScreen();
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [" ".repeat(16), " ".repeat(16)]);
+            assert.deepStrictEqual(display.getFramebuffer().getText(), [" ".repeat(16), " ".repeat(16)]);
+            assert.strictEqual(emu.addressCounter, 0);
+        });
+    });
+
+    it('supports callbacks', function(done) {
+        display.printLine("callback", 0, (err) => {
+            assert.ifError(err);
+            assert.strictEqual(emu.getLine(0), "callback        ");
+            done();
+        });
+    });
+
+    it('fails the operations when not initialized', function() {
+        return display.finalize(false).then(() => {
+            return display.printLine("x", 0);
+        }).then(() => {
+            assert.fail("printLine() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "LCD not initialized");
+            return display.initialize({ transport: emu });
+        });
+    });
+
+    describe('framebuffer', function() {
+        it('writes the framebuffer on flush()', function() {
+            var fb = display.getFramebuffer();
+            fb.write("12:00:00", 0);
+            fb.write("Monday", 1, 5);
+            assert.deepStrictEqual(emu.getText(), [" ".repeat(16), " ".repeat(16)]);
+            return display.flush().then(() => {
+                assert.deepStrictEqual(emu.getText(), ["12:00:00        ", "     Monday     "]);
+                assert.deepStrictEqual(display.getScreen(), emu.getText());
+            });
+        });
+
+        it('sends only the cells that changed', function() {
+            var fb = display.getFramebuffer();
+            fb.write("12:00:00", 0);
+            return display.flush().then(() => {
+                emu.history = [];
+                fb.write("12:00:01", 0);
+                return display.flush();
+            }).then(() => {
+                // One SETDDRAMADDR and one character
+                assert.deepStrictEqual(emu.history, [
+                    { rs: false, value: 0x80 | 7 },
+                    { rs: true, value: "1".charCodeAt(0) }
+                ]);
+                assert.strictEqual(emu.getLine(0), "12:00:01        ");
+            });
+        });
+
+        it('does not write anything when nothing changed', function() {
+            var fb = display.getFramebuffer();
+            fb.write("same", 0);
+            return display.flush().then(() => {
+                emu.history = [];
+                fb.write("same", 0);
+                return display.flush();
+            }).then(() => {
+                assert.deepStrictEqual(emu.history, []);
+            });
+        });
+
+        it('is updated by printLine()', function() {
+            return display.printLine("Hello", 1).then(() => {
+                assert.strictEqual(display.getFramebuffer().getLine(1), "Hello           ");
+            });
+        });
+
+        it('rejects the rows and columns out of range', function() {
+            var fb = display.getFramebuffer();
+            assert.throws(() => { fb.write("x", 2); }, /Invalid row/);
+            assert.throws(() => { fb.write("x", 0, 16); }, /Invalid column/);
+        });
+    });
+});
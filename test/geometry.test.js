@@ -0,0 +1,127 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+var geometry = require('../lib/geometry');
+
+describe('resolveGeometry', function() {
+    it('maps the rows of 4-row displays after the first two', function() {
+        var g = geometry.resolveGeometry({ cols: 20, rows: 4 });
+        assert.deepStrictEqual(g.rowMap.map((segments) => segments[0].address), [0x00, 0x40, 0x14, 0x54]);
+        assert.strictEqual(g.controllers, 1);
+    });
+
+    it('splits the single row of 16x1 type 1 displays', function() {
+        var g = geometry.resolveGeometry({ geometry: '16x1_type1' });
+        assert.deepStrictEqual(g.rowMap, [[
+            { col: 0, length: 8, controller: 0, address: 0x00 },
+            { col: 8, length: 8, controller: 0, address: 0x40 }
+        ]]);
+    });
+
+    it('maps the rows of 40x4 displays to two controllers', function() {
+        var g = geometry.resolveGeometry({ geometry: '40x4' });
+        assert.strictEqual(g.controllers, 2);
+        assert.deepStrictEqual(g.rowMap.map((segments) => [segments[0].controller, segments[0].address]),
+                               [[0, 0x00], [0, 0x40], [1, 0x00], [1, 0x40]]);
+    });
+
+    it('rejects the invalid geometries', function() {
+        assert.throws(() => { geometry.resolveGeometry({ geometry: '12x3' }); }, /Unknown geometry/);
+        assert.throws(() => { geometry.resolveGeometry({ cols: 41, rows: 1 }); }, /Invalid number of columns/);
+        assert.throws(() => { geometry.resolveGeometry({ cols: 16, rows: 5 }); }, /Invalid number of rows/);
+        assert.throws(() => { geometry.resolveGeometry({ geometry: '40x4', rowOffsets: [0, 0x40] }); }, /not supported/);
+        assert.throws(() => { geometry.resolveGeometry({ cols: 16, rows: 2, rowOffsets: [0, 0x80] }); }, /Invalid row offsets/);
+    });
+});
+
+describe('LCD geometry', function() {
+    var display;
+
+    beforeEach(function() {
+        display = new lcd.LCD();
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('uses the configured row offsets', function() {
+        var offsets = [0x00, 0x40, 0x14, 0x54];
+        var emu = new lcd.EmulatorTransport({ cols: 16, rows: 4, rowOffsets: offsets });
+        return display.initialize({ transport: emu, cols: 16, rows: 4, row_offsets: offsets }).then(() => {
+            return display.printLine("third", 2);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(2), "third".padEnd(16));
+            assert.strictEqual(emu.readDdram(0x14, 5), "third");
+        });
+    });
+
+    it('writes both halves of 16x1 type 1 displays', function() {
+        var emu = new lcd.EmulatorTransport({ cols: 8, rows: 2 });
+        return display.initialize({ transport: emu, geometry: '16x1_type1' }).then(() => {
+            return display.printLine("0123456789abcdef", 0);
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["01234567", "89abcdef"]);
+        });
+    });
+
+    describe('40x4', function() {
+        var dual;
+
+        beforeEach(function() {
+            dual = new lcd.DualEmulatorTransport();
+            return display.initialize({ transport: dual, geometry: '40x4' });
+        });
+
+        it('initializes both controllers', function() {
+            dual.controllers.forEach((controller) => {
+                assert.deepStrictEqual(controller.functionSet, { eightBit: false, twoLine: true, font5x10: false });
+                assert.deepStrictEqual(controller.display, { on: true, cursor: false, blink: false });
+            });
+        });
+
+        it('writes each row to its controller', function() {
+            return Promise.all([0, 1, 2, 3].map((row) => display.printLine("row " + row, row))).then(() => {
+                assert.deepStrictEqual(dual.getText(), [0, 1, 2, 3].map((row) => ("row " + row).padEnd(40)));
+                assert.strictEqual(dual.controllers[0].getLine(1), "row 1".padEnd(40));
+                assert.strictEqual(dual.controllers[1].getLine(0), "row 2".padEnd(40));
+            });
+        });
+
+        it('clears both controllers', function() {
+            return display.printLine("top", 0).then(() => {
+                return display.printLine("bottom", 3);
+            }).then(() => {
+                return display.clearScreen();
+            }).then(() => {
+                assert.deepStrictEqual(dual.getText(), new Array(4).fill(" ".repeat(40)));
+            });
+        });
+
+        it('flushes the framebuffer to both controllers', function() {
+            var fb = display.getFramebuffer();
+            fb.write("upper", 1, 10);
+            fb.write("lower", 2, 20);
+            return display.flush().then(() => {
+                assert.strictEqual(dual.getLine(1).substr(10, 5), "upper");
+                assert.strictEqual(dual.getLine(2).substr(20, 5), "lower");
+                assert.deepStrictEqual(display.getScreen(), dual.getText());
+            });
+        });
+
+        it('shows the cursor on the controller of its row only', function() {
+            return display.showCursor(true).then(() => {
+                return display.setCursorPosition(5, 3);
+            }).then(() => {
+                assert.strictEqual(dual.controllers[0].display.cursor, false);
+                assert.strictEqual(dual.controllers[1].display.cursor, true);
+                assert.strictEqual(dual.controllers[1].addressCounter, 0x40 + 5);
+                return display.print("here");
+            }).then(() => {
+                assert.strictEqual(dual.getLine(3).substr(5, 4), "here");
+                assert.strictEqual(dual.getLine(1), " ".repeat(40));
+            });
+        });
+    });
+});
@@ -0,0 +1,237 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+var glyphs = require('../lib/glyphs');
+
+const HEART = [0x00, 0x0a, 0x1f, 0x1f, 0x0e, 0x04, 0x00, 0x00];
+
+// Returns a glyph with a single lit row 'n'
+function bar(n) {
+    var rows = new Array(8).fill(0);
+    rows[n % 8] = 0x1f;
+    return rows;
+}
+
+describe('parseGlyph', function() {
+    it('parses the arrays of numbers', function() {
+        assert.deepStrictEqual(glyphs.parseGlyph(HEART), HEART);
+    });
+
+    it('parses the arrays of strings and the multi-line strings', function() {
+        var expected = [0x00, 0x0a, 0x1f, 0x1f, 0x0e, 0x04];
+        assert.deepStrictEqual(glyphs.parseGlyph([".....", ".#.#.", "#####", "#####", ".###.", "..#.."]), expected);
+        assert.deepStrictEqual(glyphs.parseGlyph(`
+            .....
+            .#.#.
+            #####
+            xxxxx
+            -***-
+            __@__`), expected);
+    });
+
+    it('rejects the invalid definitions', function() {
+        assert.throws(() => { glyphs.parseGlyph([]); }, /Invalid glyph/);
+        assert.throws(() => { glyphs.parseGlyph([0x20]); }, /out of range/);
+        assert.throws(() => { glyphs.parseGlyph(["#?..."]); }, /unknown pixel/);
+        assert.throws(() => { glyphs.parseGlyph(new Array(12).fill(0)); }, /too many rows/);
+    });
+});
+
+describe('GlyphRegistry', function() {
+    var registry;
+
+    beforeEach(function() {
+        registry = new glyphs.GlyphRegistry();
+    });
+
+    it('returns a placeholder in the Private Use Area', function() {
+        var heart = registry.register("heart", HEART);
+        assert.strictEqual(heart.charCodeAt(0), 0xe000);
+        assert.strictEqual(registry.register("heart", HEART), heart);
+        assert.strictEqual(registry.placeholder("heart"), heart);
+        assert.strictEqual(registry.placeholder("spade"), undefined);
+    });
+
+    it('loads the glyphs once', function() {
+        var heart = registry.register("heart", HEART);
+        var resolved = registry.resolve("I" + heart + "JS", {});
+        assert.strictEqual(resolved.text, "I\x00JS");
+        assert.deepStrictEqual(resolved.loads, [{ slot: 0, rows: HEART }]);
+        resolved = registry.resolve(heart, {});
+        assert.strictEqual(resolved.text, "\x00");
+        assert.deepStrictEqual(resolved.loads, []);
+    });
+
+    it('replaces the least recently used glyph', function() {
+        var placeholders = [];
+        for (var i = 0; i < 9; ++i) {
+            placeholders.push(registry.register("bar" + i, bar(i)));
+        }
+        // Fill the 8 slots, then use glyph #0 again: #1 is the oldest one
+        placeholders.slice(0, 8).forEach((p) => { registry.resolve(p, {}); });
+        registry.resolve(placeholders[0], {});
+        var resolved = registry.resolve(placeholders[8], {});
+        assert.deepStrictEqual(resolved.loads, [{ slot: 1, rows: bar(8) }]);
+        assert.strictEqual(resolved.text, "\x01");
+    });
+
+    it('never replaces the visible glyphs', function() {
+        var placeholders = [];
+        for (var i = 0; i < 10; ++i) {
+            placeholders.push(registry.register("bar" + i, bar(i)));
+        }
+        placeholders.slice(0, 8).forEach((p) => { registry.resolve(p, {}); });
+        var resolved = registry.resolve(placeholders[8], { 0: true, 1: true, 2: true });
+        assert.deepStrictEqual(resolved.loads, [{ slot: 3, rows: bar(8) }]);
+        var visible = {};
+        for (i = 0; i < 8; ++i) {
+            visible[i] = true;
+        }
+        assert.throws(() => { registry.resolve(placeholders[9], visible); }, /Not enough CGRAM slots/);
+    });
+
+    it('does not allocate any slot when resolve() fails', function() {
+        var placeholders = [];
+        for (var i = 0; i < 9; ++i) {
+            placeholders.push(registry.register("bar" + i, bar(i)));
+        }
+        assert.throws(() => { registry.resolve(placeholders.join(""), {}); }, /Not enough CGRAM slots/);
+        assert.deepStrictEqual(registry.loadedSlots(), []);
+        assert.deepStrictEqual(registry.resolve(placeholders[0], {}).loads, [{ slot: 0, rows: bar(0) }]);
+    });
+
+    it('loads again the discarded glyphs', function() {
+        var heart = registry.register("heart", HEART);
+        var resolved = registry.resolve(heart, {});
+        registry.discard(resolved.loads);
+        assert.deepStrictEqual(registry.loadedSlots(), []);
+        assert.deepStrictEqual(registry.resolve(heart, {}).loads, [{ slot: 0, rows: HEART }]);
+    });
+
+    it('reloads the redefined glyphs', function() {
+        var heart = registry.register("heart", HEART);
+        registry.resolve(heart, {});
+        registry.register("heart", bar(0));
+        assert.deepStrictEqual(registry.resolve(heart, {}).loads, [{ slot: 0, rows: bar(0) }]);
+    });
+
+    it('prints the fallback character when there are no free slots', function() {
+        var visible = {};
+        for (var i = 0; i < 8; ++i) {
+            registry.resolve(registry.register("bar" + i, bar(i)), {});
+            visible[i] = true;
+        }
+        var e = registry.register("e-acute", bar(1), "e");
+        assert.strictEqual(registry.resolve("caf" + e, visible).text, "cafe");
+    });
+
+    it('has 4 slots with the 5x10 font', function() {
+        registry.reset(true);
+        assert.strictEqual(registry.slotCount(), 4);
+        var resolved = registry.resolve(registry.register("heart", HEART), {});
+        assert.strictEqual(resolved.text, "\x00");
+        assert.strictEqual(resolved.loads[0].rows.length, 11);
+        resolved = registry.resolve(registry.register("bar", bar(0)), { 0: true });
+        assert.strictEqual(resolved.text, "\x02");
+    });
+});
+
+describe('LCD glyphs', function() {
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('loads the glyphs in the CGRAM when printed', function() {
+        var heart = display.registerGlyph("heart", HEART);
+        assert.strictEqual(display.getGlyph("heart"), heart);
+        return display.printLine("I " + heart + " JS", 0).then(() => {
+            assert.deepStrictEqual(emu.getGlyph(0), HEART);
+            assert.strictEqual(emu.getLine(0), "I \x00 JS".padEnd(16));
+        });
+    });
+
+    it('reuses the slots of the glyphs not on screen anymore', function() {
+        var placeholders = [];
+        for (var i = 0; i < 9; ++i) {
+            placeholders.push(display.registerGlyph("bar" + i, bar(i)));
+        }
+        return display.printLine(placeholders.slice(0, 8).join(""), 0).then(() => {
+            return display.printLine(placeholders[0], 0);
+        }).then(() => {
+            // Slots 1-7 are not visible anymore, #1 is the oldest one
+            return display.printLine(placeholders[8], 1);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(1), "\x01" + " ".repeat(15));
+            assert.deepStrictEqual(emu.getGlyph(1), bar(8));
+            assert.deepStrictEqual(emu.getGlyph(0), bar(0));
+        });
+    });
+
+    it('fails when the glyphs on screen use all the slots', function() {
+        var placeholders = [];
+        for (var i = 0; i < 9; ++i) {
+            placeholders.push(display.registerGlyph("bar" + i, bar(i)));
+        }
+        return display.printLine(placeholders.slice(0, 8).join(""), 0).then(() => {
+            return display.printLine(placeholders[8], 1);
+        }).then(() => {
+            assert.fail("printLine() should have failed");
+        }, (err) => {
+            assert.ok(/Not enough CGRAM slots/.test(err.message), err.message);
+            assert.strictEqual(emu.getLine(1), " ".repeat(16));
+        });
+    });
+
+    it('loads the glyphs after a print that needs too many slots', function() {
+        var placeholders = [];
+        for (var i = 0; i < 9; ++i) {
+            placeholders.push(display.registerGlyph("bar" + i, bar(i)));
+        }
+        return display.printLine(placeholders.join(""), 0).then(() => {
+            assert.fail("printLine() should have failed");
+        }, (err) => {
+            assert.ok(/Not enough CGRAM slots/.test(err.message), err.message);
+            return display.printLine(placeholders[0], 1);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(1), "\x00" + " ".repeat(15));
+            assert.deepStrictEqual(emu.getGlyph(0), bar(0));
+        });
+    });
+
+    it('loads the glyphs again after a failed CGRAM write', function() {
+        var heart = display.registerGlyph("heart", HEART);
+        var write = emu.write;
+        emu.write = (signals, callback) => { process.nextTick(callback, new Error("EIO")); };
+        return display.printLine(heart, 0).then(() => {
+            assert.fail("printLine() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "EIO");
+            emu.write = write;
+            return display.printLine(heart, 0);
+        }).then(() => {
+            assert.deepStrictEqual(emu.getGlyph(0), HEART);
+            assert.strictEqual(emu.getLine(0), "\x00" + " ".repeat(15));
+        });
+    });
+
+    it('defines the anonymous glyphs', function() {
+        return display.defineGlyph(3, HEART).then(() => {
+            assert.deepStrictEqual(emu.getGlyph(3), HEART);
+            return display.defineGlyph(8, HEART);
+        }).then(() => {
+            assert.fail("defineGlyph() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid CGRAM slot: 8");
+        });
+    });
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+var assert = require('assert');
+
+// Fake rpi-gpio module: records the pins set up, the writes of each pin and
+// the calls to destroy(), fails the setup of pin 'failPin'
+var gpioPath = require.resolve('rpi-gpio');
+var fakeGpio = {
+    MODE_BCM: 'mode_bcm', DIR_OUT: 'out', DIR_IN: 'in', EDGE_NONE: 'none', EDGE_BOTH: 'both',
+    setups: [],
+    writes: {},
+    destroyed: 0,
+    failPin: null,
+    setMode: () => {},
+    setup: (pin, direction, edge, callback) => {
+        if (pin === fakeGpio.failPin) {
+            setImmediate(callback, new Error("EBUSY"));
+            return;
+        }
+        fakeGpio.setups.push(pin);
+        setImmediate(callback, null);
+    },
+    write: (pin, value, callback) => {
+        (fakeGpio.writes[pin] = fakeGpio.writes[pin] || []).push(value);
+        setImmediate(callback, null);
+    },
+    read: (pin, callback) => { setImmediate(callback, null, false); },
+    destroy: (callback) => {
+        ++fakeGpio.destroyed;
+        setImmediate(callback, null);
+    },
+    on: () => {},
+    removeListener: () => {}
+};
+
+// Wiring of the README: the displays share all the lines but ENABLE
+const WIRING = { pin_rs: 27, pin_e: 22, pin_d4: 25, pin_d5: 24, pin_d6: 23, pin_d7: 18, pin_bl: 15,
+                 pin_numbering: 'bcm', bl_pwm_channel: -1 };
+const PIN_BL = 15;
+
+function delay(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+// Calls 'method' of 'transport' with the arguments, returns a Promise
+function call(transport, method) {
+    var args = Array.from(arguments).slice(2);
+    return new Promise((resolve, reject) => {
+        transport[method].apply(transport, args.concat([ (err) => { err ? reject(err) : resolve(); } ]));
+    });
+}
+
+describe('GpioTransport', function() {
+    var GpioTransport;
+    var savedGpio;
+
+    before(function() {
+        savedGpio = require.cache[gpioPath];
+        require.cache[gpioPath] = { id: gpioPath, filename: gpioPath, loaded: true, exports: fakeGpio };
+        GpioTransport = require('../lib/gpio-transport');
+    });
+
+    after(function() {
+        delete require.cache[require.resolve('../lib/gpio-transport')];
+        if (savedGpio) {
+            require.cache[gpioPath] = savedGpio;
+        } else {
+            delete require.cache[gpioPath];
+        }
+    });
+
+    beforeEach(function() {
+        fakeGpio.setups = [];
+        fakeGpio.writes = {};
+        fakeGpio.destroyed = 0;
+        fakeGpio.failPin = null;
+    });
+
+    it('finalizes the GPIO subsystem when the last display is closed', function() {
+        var first = new GpioTransport(WIRING);
+        var second = new GpioTransport(Object.assign({}, WIRING, { pin_e: 17 }));
+        return call(first, 'open').then(() => {
+            return call(second, 'open');
+        }).then(() => {
+            // The common lines are set up once
+            assert.deepStrictEqual(fakeGpio.setups, [22, 27, 25, 24, 23, 18, 15, 17]);
+            return call(first, 'close');
+        }).then(() => {
+            assert.strictEqual(fakeGpio.destroyed, 0);
+            return call(second, 'close');
+        }).then(() => {
+            assert.strictEqual(fakeGpio.destroyed, 1);
+        });
+    });
+
+    it('serves the bus lock to one display at a time', function() {
+        var first = new GpioTransport(WIRING);
+        var second = new GpioTransport(Object.assign({}, WIRING, { pin_e: 17 }));
+        var log = [];
+        first.lock(() => { log.push("first"); });
+        second.lock(() => { log.push("second"); });
+        return delay(10).then(() => {
+            assert.deepStrictEqual(log, ["first"]);
+            first.unlock();
+            return delay(10);
+        }).then(() => {
+            assert.deepStrictEqual(log, ["first", "second"]);
+            second.unlock();
+            // Free again
+            first.lock(() => { log.push("first again"); });
+            return delay(10);
+        }).then(() => {
+            assert.deepStrictEqual(log, ["first", "second", "first again"]);
+            first.unlock();
+        });
+    });
+
+    it('releases only the pins it set up when the open fails', function() {
+        var first = new GpioTransport(WIRING);
+        var failing = new GpioTransport(Object.assign({}, WIRING, { pin_e: 17 }));
+        var third = new GpioTransport(Object.assign({}, WIRING, { pin_e: 4 }));
+        return call(first, 'open').then(() => {
+            fakeGpio.failPin = 17;
+            return call(failing, 'open');
+        }).then(() => {
+            assert.fail("open() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "EBUSY");
+            // The LCD closes the transport after a failed open
+            return call(failing, 'close');
+        }).then(() => {
+            assert.strictEqual(fakeGpio.destroyed, 0);
+            fakeGpio.failPin = null;
+            fakeGpio.setups = [];
+            return call(third, 'open');
+        }).then(() => {
+            // The lines of the first display are still shared
+            assert.deepStrictEqual(fakeGpio.setups, [4]);
+            return call(first, 'close');
+        }).then(() => {
+            assert.strictEqual(fakeGpio.destroyed, 0);
+            return call(third, 'close');
+        }).then(() => {
+            assert.strictEqual(fakeGpio.destroyed, 1);
+        });
+    });
+
+    it('shares the software PWM of a common backlight pin', function() {
+        var first = new GpioTransport(WIRING);
+        var second = new GpioTransport(Object.assign({}, WIRING, { pin_e: 17 }));
+        var writes = () => (fakeGpio.writes[PIN_BL] || []).length;
+        var count;
+        return call(first, 'open').then(() => {
+            return call(second, 'open');
+        }).then(() => {
+            assert.strictEqual(first.pwm, second.pwm);
+            return call(first, 'setBrightness', 0.5);
+        }).then(() => {
+            return call(second, 'setBrightness', 0.3);
+        }).then(() => {
+            // The last brightness applies to both displays
+            assert.strictEqual(first.pwm.level, 0.3);
+            return call(first, 'close');
+        }).then(() => {
+            // Still dimming the backlight of the second display
+            count = writes();
+            return delay(50);
+        }).then(() => {
+            assert.ok(writes() > count, "the PWM was stopped by the first display");
+            return call(second, 'close');
+        }).then(() => {
+            count = writes();
+            return delay(50);
+        }).then(() => {
+            assert.strictEqual(writes(), count);
+        });
+    });
+
+    it('creates a new PWM after the last user closed it', function() {
+        var transport = new GpioTransport(WIRING);
+        var previous;
+        return call(transport, 'open').then(() => {
+            previous = transport.pwm;
+            return call(transport, 'close');
+        }).then(() => {
+            assert.strictEqual(transport.pwm, null);
+            return call(transport, 'open');
+        }).then(() => {
+            assert.ok(transport.pwm);
+            assert.notStrictEqual(transport.pwm, previous);
+            return call(transport, 'setBrightness', 1);
+        }).then(() => {
+            assert.deepStrictEqual(fakeGpio.writes[PIN_BL], [true]);
+            return call(transport, 'close');
+        });
+    });
+
+    it('reports the errors of the shared PWM to all the displays', function() {
+        var first = new GpioTransport(WIRING);
+        var second = new GpioTransport(Object.assign({}, WIRING, { pin_e: 17 }));
+        var errors = [];
+        first.onError = (err) => { errors.push("first: " + err.message); };
+        second.onError = (err) => { errors.push("second: " + err.message); };
+        var write = fakeGpio.write;
+        return call(first, 'open').then(() => {
+            return call(second, 'open');
+        }).then(() => {
+            return call(first, 'setBrightness', 0.5);
+        }).then(() => {
+            fakeGpio.write = (pin, value, callback) => { setImmediate(callback, new Error("EIO")); };
+            return delay(30);
+        }).then(() => {
+            fakeGpio.write = write;
+            assert.deepStrictEqual(errors, ["first: EIO", "second: EIO"]);
+            return call(first, 'close');
+        }).then(() => {
+            return call(second, 'close');
+        });
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+var layout = require('../lib/layout');
+
+// Returns the text of the rows laid out by layoutText()
+function texts(lines) {
+    return lines.map((line) => line.text);
+}
+
+describe('layoutText', function() {
+    it('word-wraps the text to the width of the rows', function() {
+        var lines = layout.layoutText("The quick brown fox jumps", { cols: 10, rows: 4 });
+        assert.deepStrictEqual(lines, [
+            { col: 0, text: "The quick" },
+            { col: 0, text: "brown fox" },
+            { col: 0, text: "jumps" }
+        ]);
+    });
+
+    it('breaks the words longer than a row', function() {
+        assert.deepStrictEqual(texts(layout.layoutText("abcdefghijklmnopqrstuvwxyz", { cols: 10, rows: 4 })),
+                               ["abcdefghij", "klmnopqrst", "uvwxyz"]);
+        assert.deepStrictEqual(texts(layout.layoutText("Hi abcdefghijkl", { cols: 10, rows: 4 })),
+                               ["Hi", "abcdefghij", "kl"]);
+    });
+
+    it('splits the paragraphs at each newline', function() {
+        assert.deepStrictEqual(texts(layout.layoutText("a\nb\r\nc", { cols: 10, rows: 4 })), ["a", "b", "c"]);
+        assert.deepStrictEqual(texts(layout.layoutText("a\n\nb", { cols: 10, rows: 4 })), ["a", "", "b"]);
+    });
+
+    it('ellipsizes the last row when the text does not fit', function() {
+        var text = "one two three four five six";
+        assert.deepStrictEqual(texts(layout.layoutText(text, { cols: 8, rows: 2 })), ["one two", "three..."]);
+        assert.deepStrictEqual(texts(layout.layoutText(text, { cols: 8, rows: 2, ellipsis: "~" })), ["one two", "three~"]);
+        assert.deepStrictEqual(texts(layout.layoutText(text, { cols: 8, rows: 2, ellipsis: false })), ["one two", "three"]);
+        // The ellipsis replaces the end of a full row
+        assert.deepStrictEqual(texts(layout.layoutText("abcdefgh ijk", { cols: 8, rows: 1 })), ["abcde..."]);
+        // An ellipsis longer than the row is truncated
+        assert.deepStrictEqual(texts(layout.layoutText("abc def", { cols: 2, rows: 1 })), [".."]);
+    });
+
+    it('truncates the paragraphs when wrap is false', function() {
+        var text = "abcdefghijkl\nshort";
+        assert.deepStrictEqual(texts(layout.layoutText(text, { cols: 8, rows: 2, wrap: false })), ["abcde...", "short"]);
+        assert.deepStrictEqual(texts(layout.layoutText(text, { cols: 8, rows: 2, wrap: false, ellipsis: false })),
+                               ["abcdefgh", "short"]);
+    });
+
+    it('aligns the rows', function() {
+        var options = { cols: 8, rows: 2 };
+        assert.deepStrictEqual(layout.layoutText("abc", Object.assign({ align: 'left' }, options)), [{ col: 0, text: "abc" }]);
+        assert.deepStrictEqual(layout.layoutText("abc", Object.assign({ align: 'center' }, options)), [{ col: 2, text: "abc" }]);
+        assert.deepStrictEqual(layout.layoutText("abc\nab", Object.assign({ align: 'right' }, options)),
+                               [{ col: 5, text: "abc" }, { col: 6, text: "ab" }]);
+    });
+
+    it('encodes the paragraphs before the layout', function() {
+        var lines = layout.layoutText("ab cd", { cols: 2, rows: 2, encode: (text) => text.toUpperCase() });
+        assert.deepStrictEqual(texts(lines), ["AB", "CD"]);
+    });
+
+    it('rejects the invalid options', function() {
+        assert.throws(() => { layout.layoutText("x", { cols: 8, rows: 2, align: 'justify' }); }, /Invalid alignment: 'justify'/);
+        assert.throws(() => { layout.layoutText("x", { cols: 0, rows: 2 }); }, /Invalid geometry/);
+        assert.throws(() => { layout.layoutText("x", { cols: 8 }); }, /Invalid geometry/);
+    });
+});
+
+describe('LCD printBlock', function() {
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 4 });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu, cols: 16, rows: 4 }).then(() => {
+            return Promise.all([0, 1, 2, 3].map((row) => display.printLine("#".repeat(16), row)));
+        });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('prints the block in the rows given', function() {
+        return display.printBlock("Hello world, this is a long text", { row: 1, rows: 2 }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [
+                "#".repeat(16),
+                "Hello world,    ",
+                "this is a lon...",
+                "#".repeat(16)
+            ]);
+            assert.strictEqual(display.getFramebuffer().getLine(2), "this is a lon...");
+        });
+    });
+
+    it('clears the rows of the block not used by the text', function() {
+        return display.printBlock("Hi", { row: 2, align: 'center' }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["#".repeat(16), "#".repeat(16), "       Hi       ", " ".repeat(16)]);
+        });
+    });
+
+    it('writes only the cells of the text when clear is false', function() {
+        return display.printBlock("ab\ncd", { align: 'right', clear: false }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["#".repeat(14) + "ab", "#".repeat(14) + "cd", "#".repeat(16), "#".repeat(16)]);
+        });
+    });
+
+    it('rejects the rows out of the display', function() {
+        return display.printBlock("x", { row: 3, rows: 2 }).then(() => {
+            assert.fail("printBlock() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid parameter");
+            return display.printBlock("x", { align: 'justify' });
+        }).then(() => {
+            assert.fail("printBlock() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "Invalid alignment: 'justify'");
+            assert.strictEqual(emu.getLine(3), "#".repeat(16));
+        });
+    });
+});
@@ -0,0 +1,262 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+function delay(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+// Transport forwarding to an emulator, failing on demand: 'failOpen' makes
+// open() fail, 'failWrites' makes write() and setBrightness() fail
+class FailingTransport {
+    constructor() {
+        this.emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        this.canRead = this.emu.canRead;
+        this.failOpen = false;
+        this.failWrites = false;
+    }
+
+    open(callback) {
+        if (this.failOpen) {
+            process.nextTick(callback, new Error("open failed"));
+            return;
+        }
+        this.emu.open(callback);
+    }
+
+    write(signals, callback) {
+        if (this.failWrites) {
+            process.nextTick(callback, new Error("EIO"));
+            return;
+        }
+        this.emu.write(signals, callback);
+    }
+
+    setBusDirection(input, callback) {
+        this.emu.setBusDirection(input, callback);
+    }
+
+    read(line, callback) {
+        this.emu.read(line, callback);
+    }
+
+    setBrightness(level, callback) {
+        if (this.failWrites) {
+            process.nextTick(callback, new Error("EIO"));
+            return;
+        }
+        this.emu.setBrightness(level, callback);
+    }
+
+    close(callback) {
+        this.emu.close(callback);
+    }
+}
+
+describe('LCD lifecycle', function() {
+    var transport;
+    var display;
+    var events;
+
+    beforeEach(function() {
+        transport = new FailingTransport();
+        display = new lcd.LCD();
+        events = [];
+        ['ready', 'idle', 'finalizing', 'closed'].forEach((name) => {
+            display.on(name, () => { events.push(name); });
+        });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    // Keeps the queue busy for 'ms' milliseconds
+    function block(ms) {
+        return display.enqueue("block", {}, (done) => { setTimeout(done, ms); });
+    }
+
+    describe('events', function() {
+        it('emits ready, idle, finalizing and closed', function() {
+            return display.initialize({ transport: transport }).then(() => {
+                assert.deepStrictEqual(events, ['ready', 'idle']);
+                return display.printLine("Hello", 0);
+            }).then(() => {
+                assert.deepStrictEqual(events, ['ready', 'idle', 'idle']);
+                var finalized = display.finalize(false);
+                assert.deepStrictEqual(events, ['ready', 'idle', 'idle', 'finalizing']);
+                return finalized;
+            }).then(() => {
+                assert.deepStrictEqual(events, ['ready', 'idle', 'idle', 'finalizing', 'closed']);
+                assert.strictEqual(display.getConfig(), undefined);
+            });
+        });
+
+        it('emits idle once the queue is empty', function() {
+            return display.initialize({ transport: transport }).then(() => {
+                events = [];
+                display.printLine("one", 0);
+                display.printLine("two", 1);
+                return new Promise((resolve) => { display.once('idle', resolve); });
+            }).then(() => {
+                assert.deepStrictEqual(events, ['idle']);
+                assert.strictEqual(display.getQueueDepth(), 0);
+                assert.deepStrictEqual(transport.emu.getText(), ["one".padEnd(16), "two".padEnd(16)]);
+            });
+        });
+
+        it('does not emit ready when initialize() fails', function() {
+            transport.failOpen = true;
+            return display.initialize({ transport: transport }).then(() => {
+                assert.fail("initialize() should have failed");
+            }, (err) => {
+                assert.strictEqual(err.message, "open failed");
+                assert.deepStrictEqual(events, []);
+                assert.strictEqual(display.getConfig(), undefined);
+                // The LCD can be initialized again
+                transport.failOpen = false;
+                return display.initialize({ transport: transport });
+            }).then(() => {
+                assert.deepStrictEqual(events, ['ready', 'idle']);
+            });
+        });
+
+        it('emits error for the failures of the operations started by the driver', function() {
+            var errors = [];
+            display.on('error', (err) => { errors.push(err); });
+            return display.initialize({ transport: transport, idle_timeout: 0.02 }).then(() => {
+                transport.failWrites = true;
+                return delay(50);
+            }).then(() => {
+                assert.strictEqual(errors.length, 1);
+                assert.strictEqual(errors[0].message, "EIO");
+                assert.strictEqual(errors[0].operation, "idle");
+                transport.failWrites = false;
+            });
+        });
+    });
+
+    describe('cancellation', function() {
+        beforeEach(function() {
+            return display.initialize({ transport: transport });
+        });
+
+        it('fails the operations queued behind finalize() with ESHUTDOWN', function() {
+            var blocked = block(50);
+            var finalized;
+            var callbackErr;
+            return delay(10).then(() => {
+                var pending = display.printLine("pending", 0);
+                display.clearScreen((err) => { callbackErr = err; });
+                finalized = display.finalize(false);
+                return pending;
+            }).then(() => {
+                assert.fail("printLine() should have failed");
+            }, (err) => {
+                assert.strictEqual(err.code, 'ESHUTDOWN');
+                // The operation executing completes
+                return blocked;
+            }).then(() => {
+                return finalized;
+            }).then(() => {
+                assert.strictEqual(callbackErr.code, 'ESHUTDOWN');
+                assert.strictEqual(transport.emu.getLine(0), " ".repeat(16));
+            });
+        });
+
+        it('rejects the operations while the shutdown is pending', function() {
+            var finalized;
+            block(30);
+            return delay(10).then(() => {
+                finalized = display.finalize(false);
+                return display.printLine("too late", 0);
+            }).then(() => {
+                assert.fail("printLine() should have failed");
+            }, (err) => {
+                assert.strictEqual(err.code, 'ESHUTDOWN');
+                assert.strictEqual(err.message, "LCD is being finalized");
+                return finalized;
+            }).then(() => {
+                return display.printLine("not initialized", 0);
+            }).then(() => {
+                assert.fail("printLine() should have failed");
+            }, (err) => {
+                assert.strictEqual(err.message, "LCD not initialized");
+            });
+        });
+
+        it('completes the queued operations with the drain option', function() {
+            block(30);
+            var pending = display.printLine("drained", 0);
+            var finalized = display.finalize({ drain: true });
+            return pending.then(() => {
+                assert.strictEqual(transport.emu.getLine(0), "drained".padEnd(16));
+                return finalized;
+            }).then(() => {
+                assert.deepStrictEqual(events.slice(-2), ['finalizing', 'closed']);
+            });
+        });
+
+        it('fails the operations cancelled by another one with ECANCELED', function() {
+            block(30);
+            var first = display.printLine("first", 0);
+            var second = display.printLine("second", 1);
+            var third = display.printLine("third", 1, { replace: true });
+            assert.strictEqual(display.cancelLine(0), 1);
+            return Promise.all([
+                first.then(() => "completed", (err) => err.code),
+                second.then(() => "completed", (err) => err.code),
+                third.then(() => "completed", (err) => err.code)
+            ]).then((results) => {
+                assert.deepStrictEqual(results, ['ECANCELED', 'ECANCELED', 'completed']);
+                assert.deepStrictEqual(transport.emu.getText(), [" ".repeat(16), "third".padEnd(16)]);
+            });
+        });
+        it('cancels the operations of the same row given from the end', function() {
+            block(30);
+            var first = display.printLine("first", 1);
+            var second = display.printLine("second", -1, { replace: true });
+            var third = display.printLine("third", 0);
+            assert.strictEqual(display.cancelLine(-1), 1);
+            return Promise.all([
+                first.then(() => "completed", (err) => err.code),
+                second.then(() => "completed", (err) => err.code),
+                third.then(() => "completed", (err) => err.code)
+            ]).then((results) => {
+                assert.deepStrictEqual(results, ['ECANCELED', 'ECANCELED', 'completed']);
+                assert.deepStrictEqual(transport.emu.getText(), ["third".padEnd(16), " ".repeat(16)]);
+            });
+        });
+    });
+
+    describe('transport errors', function() {
+        beforeEach(function() {
+            return display.initialize({ transport: transport });
+        });
+
+        it('fails the Promise of the operation', function() {
+            transport.failWrites = true;
+            return display.printLine("lost", 0).then(() => {
+                assert.fail("printLine() should have failed");
+            }, (err) => {
+                assert.strictEqual(err.message, "EIO");
+                transport.failWrites = false;
+                // The next operations are executed
+                return display.printLine("ok", 0);
+            }).then(() => {
+                assert.strictEqual(transport.emu.getLine(0), "ok".padEnd(16));
+            });
+        });
+
+        it('passes the error to the callback of the operation', function(done) {
+            transport.failWrites = true;
+            display.setBacklight(false, (err) => {
+                transport.failWrites = false;
+                assert.ok(err);
+                assert.strictEqual(err.message, "EIO");
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,219 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+var Marquee = require('../lib/marquee');
+var rawChar = require('../lib/charset').rawChar;
+
+function delay(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+// Returns 'text' as the raw characters printed by the marquee
+function raw(text) {
+    return Array.from(text, (c) => rawChar(c.charCodeAt(0))).join("");
+}
+
+describe('Marquee frames', function() {
+    // Enough of an LCD for Marquee.frame()
+    var fakeLcd = {
+        getConfig: () => ({ cols: 4, rows: 2 }),
+        encode: (text) => text
+    };
+
+    // Returns the next 'count' frames of 'marquee' as "text@delay"
+    function frames(marquee, count) {
+        var retVal = [];
+        for (var i = 0; i < count; ++i) {
+            var frame = marquee.frame();
+            retVal.push(frame.text + "@" + frame.delay);
+        }
+        return retVal;
+    }
+
+    it('scrolls the text in a loop, followed by the gap', function() {
+        var marquee = new Marquee(fakeLcd, 0, "abcdef", { gap: "-" });
+        assert.deepStrictEqual(frames(marquee, 8), [
+            raw("abcd") + "@1000",
+            raw("bcde") + "@250",
+            raw("cdef") + "@250",
+            raw("def-") + "@250",
+            raw("ef-a") + "@250",
+            raw("f-ab") + "@250",
+            raw("-abc") + "@250",
+            raw("abcd") + "@1000"
+        ]);
+    });
+
+    it('scrolls the text back and forth in bounce mode', function() {
+        var marquee = new Marquee(fakeLcd, 0, "abcdef", { mode: 'bounce', speed: 10, pause: 500 });
+        assert.deepStrictEqual(frames(marquee, 6), [
+            raw("abcd") + "@500",
+            raw("bcde") + "@100",
+            raw("cdef") + "@500",
+            raw("bcde") + "@100",
+            raw("abcd") + "@500",
+            raw("bcde") + "@100"
+        ]);
+    });
+
+    it('does not pause when the pause is shorter than a step', function() {
+        var marquee = new Marquee(fakeLcd, 0, "abcdef", { speed: 2, pause: 0 });
+        assert.deepStrictEqual(frames(marquee, 2), [raw("abcd") + "@500", raw("bcde") + "@500"]);
+    });
+
+    it('does not animate a text that fits', function() {
+        var marquee = new Marquee(fakeLcd, 0, "abc");
+        assert.deepStrictEqual(frames(marquee, 2), [raw("abc") + "@-1", raw("abc") + "@-1"]);
+    });
+
+    it('rejects the invalid options', function() {
+        assert.throws(() => { new Marquee(fakeLcd, 0, "abc", { speed: 0 }); }, /Invalid marquee options/);
+        assert.throws(() => { new Marquee(fakeLcd, 0, "abc", { pause: -1 }); }, /Invalid marquee options/);
+        assert.throws(() => { new Marquee(fakeLcd, 0, "abc", { mode: 'zigzag' }); }, /Invalid marquee options/);
+    });
+});
+
+describe('LCD marquee', function() {
+    const TEXT = "0123456789abcdefXYZ";
+    var emu;
+    var display;
+    var frames;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        frames = 0;
+        var printLine = display.printLine;
+        display.printLine = function() {
+            ++frames;
+            return printLine.apply(this, arguments);
+        };
+        return display.initialize({ transport: emu });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('scrolls the row until stopped', function() {
+        var marquee = display.startMarquee(1, TEXT, { speed: 100, pause: 0 });
+        assert.ok(marquee.isRunning());
+        return delay(60).then(() => {
+            assert.ok(frames >= 3, frames + " frames");
+            assert.notStrictEqual(emu.getLine(1), "0123456789abcdef");
+            assert.strictEqual(emu.getLine(0), " ".repeat(16));
+            display.stopMarquee(1);
+            assert.ok(!marquee.isRunning());
+            return delay(20);
+        }).then(() => {
+            var line = emu.getLine(1);
+            var count = frames;
+            return delay(40).then(() => {
+                assert.strictEqual(frames, count);
+                assert.strictEqual(emu.getLine(1), line);
+            });
+        });
+    });
+
+    it('prints the text that fits without a timer', function() {
+        var marquee = display.startMarquee(0, "short", { speed: 100 });
+        return delay(50).then(() => {
+            assert.strictEqual(emu.getLine(0), "short           ");
+            assert.strictEqual(frames, 1);
+            assert.strictEqual(marquee.timer, null);
+        });
+    });
+
+    it('restarts the animation from the beginning when updated', function() {
+        var marquee = display.startMarquee(0, TEXT, { speed: 50, pause: 0 });
+        var idle = () => new Promise((resolve) => { display.once('idle', resolve); });
+        return delay(70).then(() => {
+            marquee.update("ABCDEFGHIJKLMNOPQRSTU");
+            assert.ok(marquee.isRunning());
+            return idle();
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "ABCDEFGHIJKLMNOP");
+            return idle();
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "BCDEFGHIJKLMNOPQ");
+        });
+    });
+
+    it('stops when a printLine() replaces a frame', function() {
+        display.enqueue("block", {}, (done) => { setTimeout(done, 30); });
+        var marquee = display.startMarquee(1, TEXT, { speed: 100, pause: 0 });
+        return display.printLine("fixed", 1, { replace: true }).then(() => {
+            assert.ok(!marquee.isRunning());
+            return delay(50);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(1), "fixed           ");
+        });
+    });
+
+    it('stops when a printLine() replaces a frame of the last row given from the end', function() {
+        display.enqueue("block", {}, (done) => { setTimeout(done, 30); });
+        var marquee = display.startMarquee(1, TEXT, { speed: 100, pause: 0 });
+        return display.printLine("fixed", -1, { replace: true }).then(() => {
+            assert.ok(!marquee.isRunning());
+            return delay(50);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(1), "fixed           ");
+        });
+    });
+
+    it('stops the marquee already scrolling in the same row', function() {
+        var first = display.startMarquee(0, TEXT, { speed: 100 });
+        var second = display.startMarquee(0, "second", { speed: 100 });
+        assert.ok(!first.isRunning());
+        assert.ok(second.isRunning());
+        return delay(30).then(() => {
+            assert.strictEqual(emu.getLine(0), "second          ");
+        });
+    });
+
+    it('stops all the marquees when the LCD is finalized', function() {
+        var marquees = [display.startMarquee(0, TEXT, { speed: 100 }), display.startMarquee(1, TEXT, { speed: 100 })];
+        return delay(30).then(() => {
+            return display.finalize(false);
+        }).then(() => {
+            marquees.forEach((marquee) => { assert.ok(!marquee.isRunning()); });
+            var count = frames;
+            return delay(40).then(() => {
+                assert.strictEqual(frames, count);
+            });
+        });
+    });
+
+    it('stops and reports the error when a frame fails', function() {
+        var errors = [];
+        display.on('error', (err) => { errors.push(err); });
+        var write = emu.write;
+        emu.write = (signals, callback) => { process.nextTick(callback, new Error("EIO")); };
+        var marquee = display.startMarquee(0, TEXT, { speed: 100, pause: 0 });
+        return delay(50).then(() => {
+            emu.write = write;
+            assert.ok(!marquee.isRunning());
+            assert.strictEqual(frames, 1);
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].message, "EIO");
+            assert.strictEqual(errors[0].operation, "marquee");
+        });
+    });
+
+    it('does not report the cancelled frames', function() {
+        var errors = [];
+        display.on('error', (err) => { errors.push(err); });
+        var marquee = display.startMarquee(1, TEXT, { speed: 100, pause: 0 });
+        assert.strictEqual(display.cancelLine(1), 1);
+        return delay(30).then(() => {
+            assert.ok(!marquee.isRunning());
+            assert.deepStrictEqual(errors, []);
+        });
+    });
+
+    it('rejects the invalid rows', function() {
+        assert.throws(() => { display.startMarquee(2, TEXT); }, /Invalid row: 2/);
+        assert.throws(() => { display.startMarquee(-1, TEXT); }, /Invalid row: -1/);
+    });
+});
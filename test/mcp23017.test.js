@@ -0,0 +1,112 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+// Pins of the LEDs of the backlight of the Adafruit Pi Plate (active low)
+const BL_PINS = (1 << 6) | (1 << 7) | (1 << 8);
+
+describe('MCP23017Transport', function() {
+    var emu;
+    var device;
+    var display;
+
+    // Value of the output latches of the ports A and B
+    function outputs() {
+        return device.latches[0] | (device.latches[1] << 8);
+    }
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        device = new lcd.MCP23017Emulator(emu);
+        display = new lcd.LCD();
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    describe('Adafruit Pi Plate', function() {
+        beforeEach(function() {
+            return display.initialize({
+                transport: new lcd.MCP23017Transport({ bus: device }),
+                btn_debounce: 0,
+                btn_long_press: 100
+            });
+        });
+
+        it('sets the buttons as inputs with pull-ups', function() {
+            assert.deepStrictEqual(device.iodir, [0x1f, 0x00]);
+            assert.deepStrictEqual(device.pullUps, [0x1f, 0x00]);
+        });
+
+        it('initializes the controller and prints text', function() {
+            assert.deepStrictEqual(emu.functionSet, { eightBit: false, twoLine: true, font5x10: false });
+            assert.deepStrictEqual(emu.display, { on: true, cursor: false, blink: false });
+            return display.printLine("Pi Plate", 0).then(() => {
+                assert.strictEqual(emu.getLine(0), "Pi Plate".padEnd(16));
+            });
+        });
+
+        it('switches all the LEDs of the backlight', function() {
+            assert.strictEqual(outputs() & BL_PINS, 0);
+            assert.strictEqual(emu.lines.bl, true);
+            return display.setBacklight(false).then(() => {
+                assert.strictEqual(outputs() & BL_PINS, BL_PINS);
+                assert.strictEqual(emu.lines.bl, false);
+                return display.printLine("dark", 1);
+            }).then(() => {
+                // Writing keeps the backlight off
+                assert.strictEqual(outputs() & BL_PINS, BL_PINS);
+                assert.strictEqual(emu.getLine(1), "dark".padEnd(16));
+            });
+        });
+
+        it('reads the buttons', function() {
+            var keys = [];
+            display.on('key', (event) => { keys.push(event.long ? event.key + ":long" : event.key); });
+            // Not a button of the pinout
+            device.press('select');
+            device.press('up');
+            return new Promise((resolve) => { setTimeout(resolve, 30); }).then(() => {
+                device.press('up', false);
+                device.press('enter');
+                return new Promise((resolve) => { setTimeout(resolve, 150); });
+            }).then(() => {
+                device.press('enter', false);
+                return new Promise((resolve) => { setTimeout(resolve, 30); });
+            }).then(() => {
+                assert.deepStrictEqual(keys, ['up', 'enter:long']);
+            });
+        });
+    });
+
+    it('drives a custom pinout without buttons', function() {
+        var pinout = { rs: 0, e: 1, d4: 2, d5: 3, d6: 4, d7: 5, bl: 15 };
+        device = new lcd.MCP23017Emulator(emu, { address: 0x21, pinout: pinout });
+        return display.initialize({
+            transport: new lcd.MCP23017Transport({ address: 0x21, pinout: pinout, bus: device })
+        }).then(() => {
+            assert.deepStrictEqual(device.iodir, [0x00, 0x00]);
+            assert.strictEqual(outputs() & (1 << 15), (1 << 15));
+            return display.printLine("custom", 1);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(1), "custom".padEnd(16));
+        });
+    });
+
+    it('rejects the invalid pinouts', function() {
+        assert.throws(() => { new lcd.MCP23017Transport({ pinout: 'sparkfun' }); }, /Unknown MCP23017 pinout: 'sparkfun'/);
+        assert.throws(() => { new lcd.MCP23017Transport({ pinout: { rs: 0, e: 1, d4: 2, d5: 3, d6: 4 } }); }, /pin for line 'd7' must be 0-15/);
+        assert.throws(() => { new lcd.MCP23017Transport({ pinout: { rs: 0, e: 1, d4: 2, d5: 3, d6: 4, d7: 5, bl: [6, 16] } }); }, /pins for line 'bl' must be 0-15/);
+        assert.throws(() => { new lcd.MCP23017Transport({ pinout: { rs: 0, e: 1, d4: 2, d5: 3, d6: 4, d7: 5, keys: { up: -1 } } }); }, /pin for key 'up' must be 0-15/);
+    });
+
+    it('fails when no device answers at the address', function() {
+        return display.initialize({ transport: new lcd.MCP23017Transport({ address: 0x27, bus: device }) }).then(() => {
+            assert.fail("initialize() should have failed");
+        }, (err) => {
+            assert.match(err.message, /no device at address 0x27/);
+        });
+    });
+});
@@ -0,0 +1,224 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+var ButtonDecoder = require('../lib/buttons').ButtonDecoder;
+
+function delay(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+describe('ButtonDecoder', function() {
+    var keys;
+    var decoder;
+
+    beforeEach(function() {
+        keys = [];
+        decoder = new ButtonDecoder((key, long) => { keys.push(long ? key + ":long" : key); }, { debounce: 10, longPress: 60 });
+    });
+
+    afterEach(function() {
+        decoder.stop();
+    });
+
+    it('generates a short press on the release', function() {
+        decoder.input('up', true);
+        return delay(20).then(() => {
+            assert.deepStrictEqual(keys, []);
+            decoder.input('up', false);
+            return delay(20);
+        }).then(() => {
+            assert.deepStrictEqual(keys, ['up']);
+        });
+    });
+
+    it('ignores the bounces', function() {
+        decoder.input('enter', true);
+        decoder.input('enter', false);
+        decoder.input('enter', true);
+        return delay(20).then(() => {
+            decoder.input('enter', false);
+            decoder.input('enter', true);
+            return delay(20);
+        }).then(() => {
+            // The glitch was shorter than the debounce time
+            assert.deepStrictEqual(keys, []);
+            decoder.input('enter', false);
+            return delay(20);
+        }).then(() => {
+            assert.deepStrictEqual(keys, ['enter']);
+        });
+    });
+
+    it('generates a long press without waiting for the release', function() {
+        decoder.input('down', true);
+        return delay(90).then(() => {
+            assert.deepStrictEqual(keys, ['down:long']);
+            decoder.input('down', false);
+            return delay(20);
+        }).then(() => {
+            assert.deepStrictEqual(keys, ['down:long']);
+        });
+    });
+
+    it('accepts the levels immediately without debounce', function() {
+        decoder = new ButtonDecoder((key, long) => { keys.push(key); }, { debounce: 0, longPress: 0 });
+        decoder.input('back', true);
+        decoder.input('back', false);
+        assert.deepStrictEqual(keys, ['back']);
+    });
+});
+
+describe('Menu', function() {
+    var emu;
+    var display;
+    var menu;
+    var root;
+    var actions;
+
+    // Waits for the redraw of the menu
+    function idle() {
+        return new Promise((resolve) => { display.once('idle', resolve); });
+    }
+
+    // Presses the keys then waits for the redraw
+    function press() {
+        var keys = Array.from(arguments);
+        var done = idle();
+        keys.forEach((key) => {
+            var parts = key.split(":");
+            display.injectKey(parts[0], parts[1] === "long");
+        });
+        return done;
+    }
+
+    beforeEach(function() {
+        actions = [];
+        root = { title: "Settings", items: [
+            { label: "Brightness", value: 80, min: 0, max: 100, step: 10 },
+            { label: "Network", items: [
+                { label: "DHCP", value: true },
+                { label: "Mode", value: "auto", choices: ["auto", "eth", "wifi"] }
+            ]},
+            { label: "Reboot", action: (item) => { actions.push(item.label); } },
+            { label: "About", action: (item) => { actions.push(item.label); } }
+        ]};
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('draws the items with a cursor on the selected one', function() {
+        menu = display.openMenu(root);
+        return idle().then(() => {
+            assert.deepStrictEqual(emu.getText(), [">Brightness   80", " Network       ~"]);
+            return press('down', 'down');
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [" Network       ~", ">Reboot         "]);
+            return press('down', 'down');
+        }).then(() => {
+            // The cursor stops on the last item
+            assert.deepStrictEqual(emu.getText(), [" Reboot         ", ">About          "]);
+            return press('up:long');
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [">Network       ~", " Reboot         "]);
+        });
+    });
+
+    it('displays the title on the displays with more than 2 rows', function() {
+        return display.finalize(false).then(() => {
+            emu = new lcd.EmulatorTransport({ cols: 20, rows: 4 });
+            return display.initialize({ transport: emu, cols: 20, rows: 4 });
+        }).then(() => {
+            menu = display.openMenu(root);
+            return press('down', 'right');
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["Network".padEnd(20), ">DHCP             On", " Mode           auto", " ".repeat(20)]);
+        });
+    });
+
+    it('opens the submenus and goes back', function() {
+        menu = display.openMenu(root);
+        return press('down', 'enter').then(() => {
+            assert.deepStrictEqual(emu.getText(), [">DHCP         On", " Mode       auto"]);
+            return press('back');
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [" Brightness   80", ">Network       ~"]);
+        });
+    });
+
+    it('invokes the actions', function() {
+        var emitted = [];
+        menu = display.openMenu(root);
+        menu.on('action', (item) => { emitted.push(item.label); });
+        return press('down', 'down', 'enter', 'down', 'right').then(() => {
+            assert.deepStrictEqual(actions, ["Reboot", "About"]);
+            assert.deepStrictEqual(emitted, ["Reboot", "About"]);
+        });
+    });
+
+    it('edits the numbers within their range', function() {
+        var changes = [];
+        menu = display.openMenu(root);
+        menu.on('change', (item, value) => { changes.push([item.label, value]); });
+        return press('enter', 'up').then(() => {
+            assert.strictEqual(emu.getLine(0), "*Brightness   90");
+            return press('up:long', 'enter');
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), ">Brightness  100");
+            assert.strictEqual(root.items[0].value, 100);
+            return press('enter', 'down:long', 'down', 'enter');
+        }).then(() => {
+            assert.strictEqual(root.items[0].value, 0);
+            assert.deepStrictEqual(changes, [["Brightness", 100], ["Brightness", 0]]);
+        });
+    });
+
+    it('edits the choices and the booleans', function() {
+        var onChange = [];
+        root.items[1].items[1].onChange = (value) => { onChange.push(value); };
+        menu = display.openMenu(root);
+        return press('down', 'right', 'enter', 'up', 'enter', 'down', 'enter', 'down', 'down', 'enter').then(() => {
+            assert.strictEqual(root.items[1].items[0].value, false);
+            assert.strictEqual(root.items[1].items[1].value, "eth");
+            assert.deepStrictEqual(onChange, ["eth"]);
+            assert.deepStrictEqual(emu.getText(), [" DHCP        Off", ">Mode        eth"]);
+        });
+    });
+
+    it('restores the value when the edit is cancelled', function() {
+        menu = display.openMenu(root);
+        return press('enter', 'down', 'down', 'back').then(() => {
+            assert.strictEqual(root.items[0].value, 80);
+            assert.strictEqual(emu.getLine(0), ">Brightness   80");
+            assert.ok(menu.isRunning());
+        });
+    });
+
+    it('closes the top menu with the back key', function() {
+        var closed = 0;
+        menu = display.openMenu(root);
+        menu.on('close', () => { ++closed; });
+        return idle().then(() => {
+            display.injectKey('left');
+            assert.strictEqual(closed, 1);
+            assert.strictEqual(menu.isRunning(), false);
+            // The keys are not read anymore
+            display.injectKey('down');
+            assert.strictEqual(menu.current().selected, 0);
+        });
+    });
+
+    it('rejects the invalid menus and keys', function() {
+        assert.throws(() => { display.openMenu({ items: [] }); }, /expected a non-empty array of items/);
+        assert.throws(() => { display.openMenu({ items: [{ value: 1 }] }); }, /missing label/);
+        assert.throws(() => { display.openMenu({ items: [{ label: "x", value: 1, action: () => {} }] }); }, /expected one of/);
+        assert.throws(() => { display.openMenu({ items: [{ label: "x", action: "reboot" }] }); }, /must be a function/);
+        assert.throws(() => { display.injectKey('select'); }, /Invalid key/);
+        assert.throws(() => { new lcd.LCD().openMenu(root); }, /LCD not initialized/);
+    });
+});
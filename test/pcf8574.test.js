@@ -0,0 +1,98 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+// Bit of the backlight and polarity of each pinout
+const PINOUTS = {
+    default: { address: 0x27, bl: 3, activeLow: false },
+    mjkdz: { address: 0x20, bl: 7, activeLow: true }
+};
+
+describe('PCF8574Transport', function() {
+    Object.keys(PINOUTS).forEach((pinout) => {
+        describe("pinout '" + pinout + "'", function() {
+            var emu;
+            var device;
+            var display;
+            var bl = PINOUTS[pinout].bl;
+            var address = PINOUTS[pinout].address;
+            var backlightBit = (on) => ((on !== PINOUTS[pinout].activeLow) ? (1 << bl) : 0);
+
+            beforeEach(function() {
+                emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+                device = new lcd.PCF8574Emulator(emu, { address: address, pinout: pinout });
+                display = new lcd.LCD();
+                return display.initialize({
+                    transport: new lcd.PCF8574Transport({ address: address, pinout: pinout, bus: device })
+                });
+            });
+
+            afterEach(function() {
+                return display.finalize(false);
+            });
+
+            it('initializes the controller through the expander', function() {
+                assert.deepStrictEqual(emu.functionSet, { eightBit: false, twoLine: true, font5x10: false });
+                assert.deepStrictEqual(emu.display, { on: true, cursor: false, blink: false });
+            });
+
+            it('prints text', function() {
+                return display.printLine("I2C " + pinout, 1).then(() => {
+                    assert.strictEqual(emu.getLine(1), ("I2C " + pinout).padEnd(16));
+                });
+            });
+
+            it('switches the backlight with the right polarity', function() {
+                assert.strictEqual(device.value & (1 << bl), backlightBit(true));
+                assert.strictEqual(emu.lines.bl, true);
+                return display.setBacklight(false).then(() => {
+                    assert.strictEqual(device.value & (1 << bl), backlightBit(false));
+                    assert.strictEqual(emu.lines.bl, false);
+                    return display.setBacklight(true);
+                }).then(() => {
+                    assert.strictEqual(device.value & (1 << bl), backlightBit(true));
+                    assert.strictEqual(emu.lines.bl, true);
+                });
+            });
+
+            it('keeps the backlight while writing', function() {
+                return display.printLine("abc", 0).then(() => {
+                    assert.strictEqual(device.value & (1 << bl), backlightBit(true));
+                });
+            });
+        });
+    });
+
+    it('fails when no device answers at the address', function() {
+        var emu = new lcd.EmulatorTransport();
+        var device = new lcd.PCF8574Emulator(emu, { address: 0x27 });
+        var display = new lcd.LCD();
+        return display.initialize({
+            transport: new lcd.PCF8574Transport({ address: 0x3f, bus: device })
+        }).then(() => {
+            assert.fail("initialize() should have failed");
+        }, (err) => {
+            assert.ok(/Remote I\/O error/.test(err.message), err.message);
+        });
+    });
+
+    it('rejects an unknown pinout', function() {
+        assert.throws(() => { new lcd.PCF8574Transport({ pinout: 'foo' }); }, /Unknown PCF8574 pinout/);
+    });
+
+    it('accepts a custom pinout', function() {
+        var pinout = { d4: 0, d5: 1, d6: 2, d7: 3, rs: 4, e: 5, bl: 6, blActiveLow: false };
+        var emu = new lcd.EmulatorTransport();
+        var device = new lcd.PCF8574Emulator(emu, { pinout: pinout });
+        var display = new lcd.LCD();
+        return display.initialize({
+            transport: new lcd.PCF8574Transport({ pinout: pinout, bus: device })
+        }).then(() => {
+            return display.printLine("custom", 0);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "custom          ");
+            return display.finalize(false);
+        });
+    });
+});
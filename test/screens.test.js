@@ -0,0 +1,248 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+function delay(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+// Resolves with the arguments of the next 'name' event of 'emitter'
+function nextEvent(emitter, name) {
+    return new Promise((resolve) => { emitter.once(name, resolve); });
+}
+
+describe('ScreenManager', function() {
+    var emu;
+    var display;
+    var screens;
+    var events;
+    var errors;
+
+    // Resolves when the next draw has been written on the LCD
+    function drawn() {
+        return nextEvent(display, 'idle').then(() => emu.getLine(0).trim());
+    }
+
+    // Keeps the queue busy for 'ms' milliseconds
+    function block(ms) {
+        return display.enqueue("block", {}, (done) => { setTimeout(done, ms); });
+    }
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        events = [];
+        errors = [];
+        display.on('error', (err) => { errors.push(err); });
+        return display.initialize({ transport: emu }).then(() => {
+            screens = display.createScreenManager({ dwell: 60 });
+            screens.on('page', (name) => { events.push("page:" + name); });
+            screens.on('overlay', (overlay) => { events.push("overlay:" + overlay.priority); });
+        });
+    });
+
+    afterEach(function() {
+        return display.finalize(false).then(() => {
+            assert.deepStrictEqual(errors, []);
+        });
+    });
+
+    it('rotates the pages after their dwell time', function() {
+        screens.addPage("a", { render: () => "Page A\nfirst" });
+        screens.addPage("b", { render: () => ["Page B"], dwell: 30 });
+        screens.addPage("hidden", { render: () => "Hidden", dwell: 0 });
+        var first = drawn();
+        screens.start();
+        assert.ok(screens.isRunning());
+        return first.then(() => {
+            assert.deepStrictEqual(emu.getText(), ["Page A".padEnd(16), "first".padEnd(16)]);
+            return nextEvent(screens, 'page').then(drawn);
+        }).then((text) => {
+            assert.strictEqual(text, "Page B");
+            // The rows not returned by render() are cleared
+            assert.strictEqual(emu.getLine(1), " ".repeat(16));
+            return nextEvent(screens, 'page').then(drawn);
+        }).then((text) => {
+            // The pages with no dwell time are skipped
+            assert.strictEqual(text, "Page A");
+            assert.deepStrictEqual(events, ["page:a", "page:b", "page:a"]);
+            screens.showPage("hidden");
+            return drawn();
+        }).then((text) => {
+            assert.strictEqual(text, "Hidden");
+            // The rotation stops on a page with no dwell time
+            return delay(100);
+        }).then(() => {
+            assert.deepStrictEqual(events, ["page:a", "page:b", "page:a", "page:hidden"]);
+            assert.throws(() => { screens.showPage("missing"); }, /Unknown page: 'missing'/);
+        });
+    });
+
+    it('renders the displayed page again every refresh', function() {
+        var count = 0;
+        screens.addPage("counter", { refresh: 20, dwell: 10000, render: () => "count " + (++count) });
+        screens.start();
+        return delay(110).then(() => {
+            assert.ok(count >= 3, "rendered " + count + " times");
+            return drawn();
+        }).then((text) => {
+            assert.strictEqual(text, "count " + count);
+            assert.deepStrictEqual(events, ["page:counter"]);
+        });
+    });
+
+    it('leaves the screen unchanged when render() returns null', function() {
+        var text = "first";
+        screens.addPage("a", { refresh: 20, render: () => text });
+        screens.start();
+        return drawn().then(() => {
+            text = null;
+            return delay(60);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0).trim(), "first");
+        });
+    });
+
+    it('displays the overlay with the highest priority', function() {
+        var low, high, same;
+        screens.addPage("a", { render: () => "Page A" });
+        screens.start();
+        return drawn().then(() => {
+            low = screens.showOverlay("Low", { priority: 0 });
+            return drawn();
+        }).then((text) => {
+            assert.strictEqual(text, "Low");
+            high = screens.showOverlay(() => "High", { priority: 2 });
+            return drawn();
+        }).then((text) => {
+            assert.strictEqual(text, "High");
+            // A lower priority overlay waits for the higher one to be removed
+            same = screens.showOverlay("Same", { priority: 0 });
+            assert.ok(same.isActive());
+            return delay(20);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0).trim(), "High");
+            var next = drawn();
+            high.dismiss();
+            assert.ok(!high.isActive());
+            return next;
+        }).then((text) => {
+            // The same priority: the oldest one first
+            assert.strictEqual(text, "Low");
+            var next = drawn();
+            low.dismiss();
+            return next;
+        }).then((text) => {
+            assert.strictEqual(text, "Same");
+            var next = drawn();
+            same.dismiss();
+            return next;
+        }).then((text) => {
+            assert.strictEqual(text, "Page A");
+            assert.deepStrictEqual(events, ["page:a", "overlay:0", "overlay:2", "overlay:0", "overlay:0", "page:a"]);
+        });
+    });
+
+    it('removes the overlays when they expire', function() {
+        screens.addPage("a", { render: () => "Page A", dwell: 10000 });
+        screens.start();
+        return drawn().then(() => {
+            screens.showOverlay("Alert", { priority: 1, duration: 40 });
+            return drawn();
+        }).then((text) => {
+            assert.strictEqual(text, "Alert");
+            return nextEvent(screens, 'page').then(drawn);
+        }).then((text) => {
+            assert.strictEqual(text, "Page A");
+            assert.deepStrictEqual(events, ["page:a", "overlay:1", "page:a"]);
+        });
+    });
+
+    it('stops the rotation while an overlay is displayed', function() {
+        screens.addPage("a", { render: () => "Page A", dwell: 30 });
+        screens.addPage("b", { render: () => "Page B", dwell: 30 });
+        screens.start();
+        var overlay = screens.showOverlay("Alert");
+        return delay(100).then(() => {
+            assert.strictEqual(emu.getLine(0).trim(), "Alert");
+            assert.deepStrictEqual(events, ["page:a", "overlay:0"]);
+            var next = drawn();
+            overlay.dismiss();
+            return next;
+        }).then((text) => {
+            // The page displayed before the overlay is restored
+            assert.strictEqual(text, "Page A");
+            assert.deepStrictEqual(events, ["page:a", "overlay:0", "page:a"]);
+        });
+    });
+
+    it('moves to the next page when the displayed one is removed', function() {
+        screens.addPage("a", { render: () => "Page A", dwell: 10000 });
+        screens.addPage("b", { render: () => "Page B", dwell: 10000 });
+        screens.addPage("c", { render: () => "Page C", dwell: 10000 });
+        screens.start();
+        return drawn().then(() => {
+            screens.showPage("b");
+            return drawn();
+        }).then(() => {
+            screens.removePage("b");
+            return drawn();
+        }).then((text) => {
+            assert.strictEqual(text, "Page C");
+            // Removing a page not displayed does not change the screen
+            screens.removePage("a");
+            screens.removePage("missing");
+            return delay(20);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0).trim(), "Page C");
+            assert.deepStrictEqual(events, ["page:a", "page:b", "page:c"]);
+        });
+    });
+
+    it('discards the renders completed after something else is displayed', function() {
+        screens.addPage("slow", { render: () => delay(40).then(() => "Slow page") });
+        screens.start();
+        screens.showOverlay("Alert");
+        return drawn().then((text) => {
+            assert.strictEqual(text, "Alert");
+            return delay(60);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0).trim(), "Alert");
+        });
+    });
+
+    it('cancels the pending draw when stopped', function() {
+        screens.addPage("a", { render: () => "Page A" });
+        var blocked = block(30);
+        screens.start();
+        return delay(10).then(() => {
+            screens.stop();
+            assert.ok(!screens.isRunning());
+            return blocked;
+        }).then(() => {
+            return delay(20);
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), " ".repeat(16));
+            assert.deepStrictEqual(events, ["page:a"]);
+        });
+    });
+
+    it('stops when the LCD is finalized', function() {
+        var count = 0;
+        screens.addPage("a", { refresh: 10, render: () => "count " + (++count) });
+        screens.start();
+        return drawn().then(() => {
+            block(30);
+            return delay(15);
+        }).then(() => {
+            return display.finalize(false);
+        }).then(() => {
+            assert.ok(!screens.isRunning());
+            var rendered = count;
+            return delay(50).then(() => {
+                assert.strictEqual(count, rendered);
+            });
+        });
+    });
+});
@@ -0,0 +1,195 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+const ESC = "\x1b";
+
+describe('Terminal', function() {
+    var emu;
+    var display;
+    var term;
+
+    // Writes 'data' to the terminal, resolves when the LCD has been updated
+    function write(data) {
+        return new Promise((resolve, reject) => {
+            term.write(data, (err) => { if (err) { reject(err); } else { resolve(); } });
+        });
+    }
+
+    // Fills the screen with the letters a-p (row 0) and A-P (row 1)
+    function fill() {
+        return write(ESC + "[Habcdefghijklmnop" + "ABCDEFGHIJKLMNOP");
+    }
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu }).then(() => {
+            term = display.createTerminal();
+        });
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    it('prints the text at the cursor', function() {
+        return write("Hello").then(() => {
+            return write(" World");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["Hello World     ", " ".repeat(16)]);
+        });
+    });
+
+    it('wraps to the next row only when a character is written past the last column', function() {
+        return write("0123456789abcdef").then(() => {
+            assert.deepStrictEqual(emu.getText(), ["0123456789abcdef", " ".repeat(16)]);
+            assert.strictEqual(term.row, 0);
+            return write("\r>");
+        }).then(() => {
+            // The carriage return cancels the pending wrap
+            assert.deepStrictEqual(emu.getText(), [">123456789abcdef", " ".repeat(16)]);
+            return write("\r0123456789abcdefX");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["0123456789abcdef", "X".padEnd(16)]);
+        });
+    });
+
+    it('scrolls the rows up after the last row', function() {
+        return write("one\ntwo\nthree").then(() => {
+            assert.deepStrictEqual(emu.getText(), ["two".padEnd(16), "three".padEnd(16)]);
+            return write("0123456789a\nfour");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["three0123456789a", "four".padEnd(16)]);
+            // Wrapping past the last column scrolls too
+            return write("\r0123456789abcdef+");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["0123456789abcdef", "+".padEnd(16)]);
+        });
+    });
+
+    it('interprets backspace, tab and form feed', function() {
+        return write("abc\b\bX").then(() => {
+            assert.strictEqual(emu.getLine(0), "aXc".padEnd(16));
+            return write("\r\tT\t\tU");
+        }).then(() => {
+            // The tab stops past the last column stop at the last column
+            assert.strictEqual(emu.getLine(0), "aXc     T      U");
+            return write("\b\bV\n\b\bW");
+        }).then(() => {
+            // Backspace at the pending wrap moves from the last column,
+            // backspace at the first column does nothing
+            assert.deepStrictEqual(emu.getText(), ["aXc     T    V U", "W".padEnd(16)]);
+            return write("\fnew");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["new".padEnd(16), " ".repeat(16)]);
+        });
+    });
+
+    it('ignores the other control characters', function() {
+        return write("a\x00b\x07c\x7fd").then(() => {
+            assert.strictEqual(emu.getLine(0), "abcd".padEnd(16));
+        });
+    });
+
+    it('moves the cursor', function() {
+        return write(ESC + "[2;5HX" + ESC + "[HY" + ESC + "[;3fZ").then(() => {
+            assert.deepStrictEqual(emu.getText(), ["Y Z".padEnd(16), "    X".padEnd(16)]);
+            return write(ESC + "[BA" + ESC + "[AB" + ESC + "[3CC" + ESC + "[2DD");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["Y Z B  DC".padEnd(16), "   AX".padEnd(16)]);
+            return write(ESC + "[12GE" + ESC + "[2dF" + ESC + "[0;0HG");
+        }).then(() => {
+            // A zero position is the same as the default position
+            assert.deepStrictEqual(emu.getText(), ["G Z B  DC  E".padEnd(16), "   AX       F".padEnd(16)]);
+        });
+    });
+
+    it('keeps the cursor in the screen', function() {
+        return write(ESC + "[9;99HX" + ESC + "[9AY" + ESC + "[99DZ").then(() => {
+            assert.deepStrictEqual(emu.getText(), ["Z              Y", "               X"]);
+        });
+    });
+
+    it('erases the screen', function() {
+        return fill().then(() => {
+            return write(ESC + "[1;9H" + ESC + "[J");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["abcdefgh".padEnd(16), " ".repeat(16)]);
+            return fill();
+        }).then(() => {
+            return write(ESC + "[2;4H" + ESC + "[1J");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [" ".repeat(16), "    EFGHIJKLMNOP"]);
+            return write(ESC + "[2J");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [" ".repeat(16), " ".repeat(16)]);
+            // The cursor does not move
+            return write("x");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [" ".repeat(16), "   x".padEnd(16)]);
+        });
+    });
+
+    it('erases the row', function() {
+        return fill().then(() => {
+            return write(ESC + "[1;5H" + ESC + "[K");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["abcd".padEnd(16), "ABCDEFGHIJKLMNOP"]);
+            return write(ESC + "[2;5H" + ESC + "[1K");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["abcd".padEnd(16), "     FGHIJKLMNOP"]);
+            return write(ESC + "[2K");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), ["abcd".padEnd(16), " ".repeat(16)]);
+        });
+    });
+
+    it('saves and restores the cursor', function() {
+        return write("ab" + ESC + "[s\n0123" + ESC + "[uX").then(() => {
+            assert.deepStrictEqual(emu.getText(), ["abX".padEnd(16), "0123".padEnd(16)]);
+        });
+    });
+
+    it('shows and hides the cursor', function() {
+        assert.strictEqual(emu.display.cursor, false);
+        return write(ESC + "[?25h" + "ab\ncd").then(() => {
+            assert.strictEqual(emu.display.cursor, true);
+            assert.strictEqual(emu.addressCounter, 0x40 + 2);
+            // At the pending wrap the cursor stays on the last column
+            return write("\r0123456789abcdef");
+        }).then(() => {
+            assert.strictEqual(emu.addressCounter, 0x40 + 15);
+            return write(ESC + "[?25l");
+        }).then(() => {
+            assert.strictEqual(emu.display.cursor, false);
+        });
+    });
+
+    it('ignores the unsupported sequences', function() {
+        return write(ESC + "[1;31mred" + ESC + "[0m " + ESC + "[?1049h" + ESC + "7ok").then(() => {
+            assert.strictEqual(emu.getLine(0), "red ok".padEnd(16));
+        });
+    });
+
+    it('parses the sequences split across writes', function() {
+        return write(ESC).then(() => {
+            return write("[2");
+        }).then(() => {
+            return write(";3H*");
+        }).then(() => {
+            assert.deepStrictEqual(emu.getText(), [" ".repeat(16), "  *".padEnd(16)]);
+        });
+    });
+
+    it('decodes the UTF-8 characters split across Buffers', function() {
+        var data = Buffer.from("25°C");
+        return write(data.slice(0, 3)).then(() => {
+            assert.strictEqual(emu.getLine(0), "25".padEnd(16));
+            return write(data.slice(3));
+        }).then(() => {
+            assert.strictEqual(emu.getLine(0), "25\xdfC".padEnd(16));
+        });
+    });
+});
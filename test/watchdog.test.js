@@ -0,0 +1,100 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+const HEART = [0x00, 0x0a, 0x1f, 0x1f, 0x0e, 0x04, 0x00, 0x00];
+
+describe('Recovery', function() {
+    var emu;
+    var display;
+
+    beforeEach(function() {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: 2 });
+        display = new lcd.LCD();
+    });
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    // Prints some text with a custom character, shows the cursor and shifts
+    // the display, then returns the state of the emulator to restore
+    function setUp() {
+        display.registerGlyph('heart', HEART);
+        return display.printLine("I " + display.getGlyph('heart') + " LCDs", 0).then(() => {
+            return display.printLine("second row", 1);
+        }).then(() => {
+            return display.showCursor(true);
+        }).then(() => {
+            return display.setCursorPosition(3, 1);
+        }).then(() => {
+            return display.shiftDisplay('left');
+        }).then(() => {
+            return {
+                text: emu.getText(),
+                glyph: emu.getGlyph(0),
+                display: Object.assign({}, emu.display),
+                displayShift: emu.displayShift,
+                addressCounter: emu.addressCounter
+            };
+        });
+    }
+
+    function assertRestored(state) {
+        assert.deepStrictEqual(emu.getText(), state.text);
+        assert.deepStrictEqual(emu.getGlyph(0), state.glyph);
+        assert.deepStrictEqual(emu.display, state.display);
+        assert.strictEqual(emu.displayShift, state.displayShift);
+        assert.strictEqual(emu.addressCounter, state.addressCounter);
+        assert.deepStrictEqual(emu.functionSet, { eightBit: false, twoLine: true, font5x10: false });
+    }
+
+    it('restores the display after a power loss', function() {
+        var state;
+        var reasons = [];
+        display.on('recovered', (info) => { reasons.push(info.reason); });
+        return display.initialize({ transport: emu }).then(setUp).then((s) => {
+            state = s;
+            emu.powerOn();
+            assert.strictEqual(emu.display.on, false);
+            return display.recover();
+        }).then(() => {
+            assertRestored(state);
+            assert.deepStrictEqual(reasons, ['manual']);
+            assert.strictEqual(emu.overruns, 0);
+        });
+    });
+
+    it('restores the display after a lost nibble', function() {
+        var state;
+        return display.initialize({ transport: emu }).then(setUp).then((s) => {
+            state = s;
+            // A glitch on E latched a stray nibble: the next bytes are garbled
+            emu.pendingNibble = 0x20;
+            return display.recover();
+        }).then(() => {
+            assertRestored(state);
+        });
+    });
+
+    it('fails when the LCD is not initialized', function() {
+        return display.recover().then(() => {
+            assert.fail("recover() should have failed");
+        }, (err) => {
+            assert.strictEqual(err.message, "LCD not initialized");
+        });
+    });
+
+    it('restores the display periodically with the watchdog', function() {
+        var state;
+        return display.initialize({ transport: emu, watchdog_interval: 0.05 }).then(setUp).then((s) => {
+            state = s;
+            emu.powerOn();
+            return new Promise((resolve) => { display.once('recovered', resolve); });
+        }).then((info) => {
+            assert.strictEqual(info.reason, 'watchdog');
+            assertRestored(state);
+        });
+    });
+});
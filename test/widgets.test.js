@@ -0,0 +1,206 @@
+'use strict';
+
+var assert = require('assert');
+var lcd = require('../async-hd44780.js');
+
+const FULL = "\xff";                // █ in the A00 ROM
+const BAR = 0x1f;
+
+// Returns a glyph of 8 pixel rows with the rows 'lit' (array) lit
+function glyph(lit, value) {
+    var rows = new Array(8).fill(0);
+    lit.forEach((r) => { rows[r] = (value !== undefined ? value : BAR); });
+    return rows;
+}
+
+describe('Widgets', function() {
+    var emu;
+    var display;
+
+    function setUp(rows) {
+        emu = new lcd.EmulatorTransport({ cols: 16, rows: rows });
+        display = new lcd.LCD();
+        return display.initialize({ transport: emu, cols: 16, rows: rows });
+    }
+
+    afterEach(function() {
+        return display.finalize(false);
+    });
+
+    describe('ProgressBar', function() {
+        beforeEach(function() {
+            return setUp(2);
+        });
+
+        it('draws the full cells', function() {
+            var bar = display.createProgressBar({ row: 1, col: 2, width: 4 });
+            return bar.setValue(0.5).then(() => {
+                assert.deepStrictEqual(emu.getText(), [" ".repeat(16), "  " + FULL + FULL + "  " + " ".repeat(10)]);
+            });
+        });
+
+        it('draws the partial cell with a resolution of one pixel column', function() {
+            var bar = display.createProgressBar({ row: 1, col: 2, width: 4, max: 100 });
+            return bar.setValue(60).then(() => {
+                // 12 columns of 20: 2 full cells and 2 columns of the third
+                assert.strictEqual(emu.getLine(1), "  " + FULL + FULL + "\x00 " + " ".repeat(10));
+                assert.deepStrictEqual(emu.getGlyph(0), new Array(8).fill(0x18));
+                return bar.setValue(35);
+            }).then(() => {
+                // 7 columns: the same partial cell
+                assert.strictEqual(emu.getLine(1), "  " + FULL + "\x00  " + " ".repeat(10));
+                assert.deepStrictEqual(emu.getGlyph(1), glyph([]));
+                return bar.setValue(150);
+            }).then(() => {
+                assert.strictEqual(emu.getLine(1), "  " + FULL.repeat(4) + " ".repeat(10));
+                return bar.setValue(-5);
+            }).then(() => {
+                assert.strictEqual(emu.getLine(1), " ".repeat(16));
+            });
+        });
+
+        it('draws the partial cells as spaces or full cells without free slots', function() {
+            var bar = display.createProgressBar({ width: 4 });
+            var slots = [0, 1, 2, 3, 4, 5, 6, 7];
+            return Promise.all(slots.map((slot) => display.defineGlyph(slot, glyph([slot])))).then(() => {
+                return bar.setValue(0.6);
+            }).then(() => {
+                assert.strictEqual(emu.getLine(0), FULL + FULL + "  " + " ".repeat(12));
+                return bar.setValue(0.7);
+            }).then(() => {
+                assert.strictEqual(emu.getLine(0), FULL + FULL + FULL + " " + " ".repeat(12));
+            });
+        });
+
+        it('rejects the regions out of the display', function() {
+            assert.throws(() => { display.createProgressBar({ row: 2 }); }, /Invalid widget region/);
+            assert.throws(() => { display.createProgressBar({ col: 10, width: 8 }); }, /Invalid widget region/);
+        });
+    });
+
+    describe('BarGraph', function() {
+        beforeEach(function() {
+            return setUp(2);
+        });
+
+        it('draws the bars with a resolution of one pixel row', function() {
+            var graph = display.createBarGraph({ row: 0, col: 12, width: 4, min: 0, max: 8 });
+            return graph.setValues([0, 4, 8, 3]).then(() => {
+                assert.strictEqual(emu.getLine(0), " ".repeat(12) + " \x00" + FULL + "\x01");
+                assert.deepStrictEqual(emu.getGlyph(0), glyph([4, 5, 6, 7]));
+                assert.deepStrictEqual(emu.getGlyph(1), glyph([5, 6, 7]));
+            });
+        });
+
+        it('scrolls the values to the left when a value is pushed', function() {
+            var graph = display.createBarGraph({ width: 4, min: 0, max: 8 });
+            return graph.push(8).then(() => {
+                // The values are right-aligned
+                assert.strictEqual(emu.getLine(0), "   " + FULL + " ".repeat(12));
+                return graph.setValues([0, 4, 8, 3]);
+            }).then(() => {
+                return graph.push(8);
+            }).then(() => {
+                assert.deepStrictEqual(graph.values, [4, 8, 3, 8]);
+                assert.strictEqual(emu.getLine(0), "\x00" + FULL + "\x01" + FULL + " ".repeat(12));
+            });
+        });
+
+        it('spans several rows and scales to the values displayed', function() {
+            var graph = display.createBarGraph({ width: 3, height: 2 });
+            return graph.setValues([100, 10, 14, 20]).then(() => {
+                // Range 10-20: 0, 6 and 16 pixel rows
+                assert.deepStrictEqual(emu.getText(), ["  " + FULL + " ".repeat(13), " \x00" + FULL + " ".repeat(13)]);
+                assert.deepStrictEqual(emu.getGlyph(0), glyph([2, 3, 4, 5, 6, 7]));
+            });
+        });
+    });
+
+    describe('BigDigits', function() {
+        it('draws the digits 2 rows high', function() {
+            return setUp(2).then(() => {
+                var digits = display.createBigDigits({ col: 1 });
+                return digits.setText(1);
+            }).then(() => {
+                assert.deepStrictEqual(emu.getText(), [" \x00" + FULL + " " + " ".repeat(12), " \x01" + FULL + "\x01" + " ".repeat(12)]);
+                assert.deepStrictEqual(emu.getGlyph(0), glyph([0, 1]));
+                assert.deepStrictEqual(emu.getGlyph(1), glyph([6, 7]));
+            });
+        });
+
+        it('clears the columns of the previous text', function() {
+            var digits;
+            return setUp(2).then(() => {
+                digits = display.createBigDigits({ spacing: 2 });
+                return digits.setText("12:3");
+            }).then(() => {
+                // 3 + 2 + 3 + 2 + 1 + 2 + 3 columns
+                assert.notStrictEqual(emu.getLine(0).charAt(15), " ");
+                return digits.setText("-");
+            }).then(() => {
+                // The lower segment keeps the slot it got for "12:3"
+                assert.deepStrictEqual(emu.getText(), ["\x03\x03\x03" + " ".repeat(13), " ".repeat(16)]);
+                assert.deepStrictEqual(emu.getGlyph(3), glyph([6, 7]));
+            });
+        });
+
+        it('draws the digits 4 rows high', function() {
+            return setUp(4).then(() => {
+                var digits = display.createBigDigits({ height: 4 });
+                return digits.setText("7.");
+            }).then(() => {
+                assert.deepStrictEqual(emu.getText(), [
+                    "\x00\x00" + FULL + "  " + " ".repeat(11),
+                    "  " + FULL + "  " + " ".repeat(11),
+                    "  " + FULL + "  " + " ".repeat(11),
+                    "  " + FULL + " \x01" + " ".repeat(11)
+                ]);
+                assert.deepStrictEqual(emu.getGlyph(1), glyph([2, 3, 4], 0x0e));
+            });
+        });
+
+        it('rejects the invalid options and characters', function() {
+            return setUp(2).then(() => {
+                assert.throws(() => { display.createBigDigits({ spacing: -1 }); }, /Invalid big digits options/);
+                return display.createBigDigits().setText("1A");
+            }).then(() => {
+                assert.fail("setText() should have failed");
+            }, (err) => {
+                assert.strictEqual(err.message, "Character not available in big digits: 'A'");
+            });
+        });
+    });
+
+    describe('shared glyphs', function() {
+        beforeEach(function() {
+            return setUp(2);
+        });
+
+        it('uses one slot for the same partial cell in two bars', function() {
+            var bars = [display.createProgressBar({ row: 0, width: 4 }), display.createProgressBar({ row: 1, width: 4 })];
+            return Promise.all(bars.map((bar) => bar.setValue(0.6))).then(() => {
+                assert.deepStrictEqual(emu.getText(), [FULL + FULL + "\x00 " + " ".repeat(12), FULL + FULL + "\x00 " + " ".repeat(12)]);
+                assert.deepStrictEqual(emu.getGlyph(0), new Array(8).fill(0x18));
+                assert.deepStrictEqual(emu.getGlyph(1), glyph([]));
+            });
+        });
+
+        it('keeps the glyphs of the widgets on screen', function() {
+            var digits = display.createBigDigits({ col: 0 });
+            var bar = display.createProgressBar({ row: 1, col: 8, width: 4 });
+            return digits.setText("1").then(() => {
+                return bar.setValue(0.6);
+            }).then(() => {
+                return digits.setText("1");
+            }).then(() => {
+                assert.deepStrictEqual(emu.getText(), [
+                    "\x00" + FULL + " " + " ".repeat(13),
+                    "\x01" + FULL + "\x01" + " ".repeat(5) + FULL + FULL + "\x02 " + " ".repeat(4)
+                ]);
+                assert.deepStrictEqual(emu.getGlyph(0), glyph([0, 1]));
+                assert.deepStrictEqual(emu.getGlyph(1), glyph([6, 7]));
+                assert.deepStrictEqual(emu.getGlyph(2), new Array(8).fill(0x18));
+            });
+        });
+    });
+});